@@ -0,0 +1,37 @@
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+// Shape of one entry in a deck's `words`, kept in sync with createEmptyWord and
+// WORD_LEVELS in src/data/decks.js. Firestore rules cannot loop over a list, so
+// firestore.rules only caps its length and the entries are checked here.
+const WORD_LEVELS = ['easy', 'medium', 'hard'];
+const WORD_KEYS = ['id', 'text', 'level', 'sentence', 'glosses'];
+const MAX_GLOSSES = 20;
+
+const isShortString = (value, maxLength) => typeof value === 'string' && value.length <= maxLength;
+
+// The app sounds words out letter by letter, so a word needs at least one letter.
+const hasLetter = (text) => /\p{L}/u.test(text);
+
+const isValidGlosses = (glosses) => glosses === undefined
+    || (typeof glosses === 'object' && glosses !== null && !Array.isArray(glosses)
+        && Object.keys(glosses).length <= MAX_GLOSSES
+        && Object.entries(glosses).every(([language, gloss]) => isShortString(language, 10) && isShortString(gloss, 80)));
+
+export const isValidWord = (word) => typeof word === 'object' && word !== null && !Array.isArray(word)
+    && Object.keys(word).every(key => WORD_KEYS.includes(key))
+    && isShortString(word.id, 60)
+    && isShortString(word.text, 40) && hasLetter(word.text)
+    && (word.level === undefined || WORD_LEVELS.includes(word.level))
+    && (word.sentence === undefined || isShortString(word.sentence, 200))
+    && isValidGlosses(word.glosses);
+
+// Drops malformed words from a deck after it is written. Valid decks are left
+// alone, so the function's own update does not trigger another.
+export const cleanDeckWords = async (deckPath, deck) => {
+    const words = Array.isArray(deck.words) ? deck.words : [];
+    const valid = words.filter(isValidWord);
+    if (Array.isArray(deck.words) && valid.length === words.length) return;
+    logger.warn(`Removing ${words.length - valid.length} malformed words from ${deckPath}`);
+    await getFirestore().doc(deckPath).update({ words: valid });
+};
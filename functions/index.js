@@ -0,0 +1,75 @@
+import { initializeApp } from 'firebase-admin/app';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentCreated, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { defineSecret } from 'firebase-functions/params';
+import { checkRateLimit, logUsage } from './limits.js';
+import { createGeminiModel, createStubModel } from './models.js';
+import { cleanDeckWords } from './decks.js';
+import { TASKS, isValidTaskInput, buildTask } from './shared/prompts.js';
+import { updateLedger } from './rewards.js';
+import { applyAttempt, applyStory } from './ledger.js';
+
+initializeApp();
+
+// The model key stays on the server: `firebase functions:secrets:set GEMINI_API_KEY`.
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+
+const pickModel = () => (process.env.LLM_STUB === 'true'
+    ? createStubModel()
+    : createGeminiModel({ apiKey: geminiApiKey.value(), model: process.env.LLM_MODEL }));
+
+const validateRequest = (data) => {
+    if (!data || !TASKS.includes(data.task)) {
+        throw new HttpsError('invalid-argument', `Unknown task. Expected one of: ${TASKS.join(', ')}.`);
+    }
+    if (!isValidTaskInput(data.task, data.input)) {
+        throw new HttpsError('invalid-argument', `Invalid input for the ${data.task} task.`);
+    }
+};
+
+// Callable proxy for the app's LLM tasks (src/services/llm/proxy.js). The callable
+// protocol verifies the caller's Firebase ID token and, since App Check is enforced,
+// that the call comes from the app. The function builds the task's prompt from its
+// validated `input` (shared/prompts.js), applies the caller's rate limits, calls the model
+// and logs the call. Returns { text }.
+export const llm = onCall({ secrets: [geminiApiKey], timeoutSeconds: 60, enforceAppCheck: true }, async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) throw new HttpsError('unauthenticated', 'Sign in to use this feature.');
+    validateRequest(request.data);
+    await checkRateLimit(uid);
+
+    const { task, input } = request.data;
+    const { prompt, schema } = buildTask(task, input);
+    const model = pickModel();
+    const started = Date.now();
+    try {
+        const text = await model.complete({ task, prompt, schema, input });
+        await logUsage(uid, { task, model: model.name, promptChars: prompt.length, responseChars: text.length, durationMs: Date.now() - started, ok: true });
+        return { text };
+    } catch (error) {
+        await logUsage(uid, { task, model: model.name, promptChars: prompt.length, responseChars: 0, durationMs: Date.now() - started, ok: false, error: error.message });
+        if (error instanceof HttpsError) throw error;
+        throw new HttpsError('unavailable', 'Could not reach the model.');
+    }
+});
+
+// Decks are written by the client, so their word entries are checked here (see decks.js).
+export const cleanDeck = onDocumentWritten('artifacts/{appId}/decks/{deckId}', async (event) => {
+    const after = event.data?.after;
+    if (!after?.exists) return;
+    await cleanDeckWords(after.ref.path, after.data());
+});
+
+// Stars and badges for each saved attempt and story (see rewards.js and ledger.js).
+export const awardAttempt = onDocumentCreated('artifacts/{appId}/users/{userId}/children/{childId}/progress/{progressId}', async (event) => {
+    const attempt = event.data?.data();
+    if (!attempt) return;
+    await updateLedger(event.params, (ledger) => applyAttempt(ledger, attempt));
+});
+
+export const awardStory = onDocumentWritten('artifacts/{appId}/users/{userId}/children/{childId}/stories/{storyId}', async (event) => {
+    const story = event.data?.after;
+    if (!story?.exists) return;
+    const isNew = !event.data.before?.exists;
+    await updateLedger(event.params, (ledger) => applyStory(ledger, story.id, story.data(), isNew));
+});
@@ -0,0 +1,161 @@
+// The rewards ledger's arithmetic: how each saved attempt and story changes a
+// reader's stars, streak and badges. rewards.js loads and saves the ledger; this
+// module has no dependencies, so it can be tested on its own.
+//
+// Days are UTC days of the server's `savedAt` time, so backdated attempts earn
+// nothing extra. Attempts and scores are still reported by the device (recognition
+// and comprehension grading run there), so a client writing to Firestore directly
+// can earn stars it did not practise for; MAX_STARS_PER_DAY is the limit on that,
+// and on what any reader can earn in a day.
+
+export const STARS = {
+    CORRECT_WORD: 1, // Per word read correctly, once per word per day
+    GAME_WIN: 1, // Per correct game answer, once per word per game per day
+    STORY_FINISHED: 3, // Read aloud or answered the questions
+    COMPREHENSION_MAX: 5, // Scaled by the comprehension score
+};
+
+export const MAX_STARS_PER_DAY = 100;
+
+// Kept in sync with BOX_INTERVALS in src/lib/scheduler.js; a word counts as mastered
+// for the deck badge once it has climbed this far up the boxes.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const BOX_INTERVALS = [5 * MINUTE_MS, 1 * DAY_MS, 2 * DAY_MS, 4 * DAY_MS, 8 * DAY_MS, 16 * DAY_MS];
+const MAX_BOX = BOX_INTERVALS.length - 1;
+const MASTERED_BOX = Math.min(3, MAX_BOX);
+
+// Words tracked for the deck badge; attempts at further new words still earn stars.
+const MAX_TRACKED_WORDS = 2000;
+
+// Words of the decks built into the app (BUILT_IN_DECKS in src/data/decks.js).
+export const BUILT_IN_DECK_WORDS = [
+    ['cat', 'dog', 'run', 'jump', 'apple', 'banana', 'elephant', 'telephone', 'curious'],
+    ['sol', 'mar', 'pan', 'casa', 'mesa', 'perro', 'zapato', 'mariposa', 'chocolate'],
+];
+
+const utcDay = (millis) => new Date(millis).toISOString().slice(0, 10);
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : 0);
+
+// When a document reached the server; documents saved before `savedAt` existed use
+// their practice time.
+export const savedMillis = (data) => toMillis(data.savedAt) || toMillis(data.timestamp);
+
+export const emptyLedger = () => ({
+    earned: 0,
+    stars: { words: 0, games: 0, stories: 0, comprehension: 0 },
+    badges: {},
+    today: { day: null, stars: 0, keys: [] },
+    streak: { day: null, current: 0, longest: 0 },
+    correctWords: [], // Up to the 10 needed for the word badges
+    boxes: {}, // { [word]: { box, due } }, as in the client's scheduler
+    storyStars: {}, // { [storyId]: { story, comprehension } }
+    storiesFinished: 0,
+});
+
+// Starts the ledger's day over when `millis` falls on a new one.
+const onDay = (ledger, millis) => {
+    const day = utcDay(millis);
+    if (ledger.today.day !== day) ledger.today = { day, stars: 0, keys: [] };
+};
+
+// Adds up to `stars` to one of the totals, within what is left of today's cap.
+const addStars = (ledger, kind, stars) => {
+    const added = Math.max(0, Math.min(stars, MAX_STARS_PER_DAY - ledger.today.stars));
+    ledger.today.stars += added;
+    ledger.stars[kind] += added;
+    ledger.earned += added;
+    return added;
+};
+
+const countPracticeDay = (ledger, millis) => {
+    const day = utcDay(millis);
+    const { streak } = ledger;
+    if (streak.day === day) return;
+    const continues = streak.day && utcDay(Date.parse(streak.day) + DAY_MS) === day;
+    streak.current = continues ? streak.current + 1 : 1;
+    streak.longest = Math.max(streak.longest, streak.current);
+    streak.day = day;
+};
+
+// Mirrors buildSchedule in src/lib/scheduler.js for one attempt. Returns true when
+// the word has just reached MASTERED_BOX.
+const scheduleAttempt = (ledger, attempt, at) => {
+    const entry = ledger.boxes[attempt.word];
+    if (!entry && Object.keys(ledger.boxes).length >= MAX_TRACKED_WORDS) return false;
+    if (attempt.verdict === 'close') return false;
+    const { box: before = 0, due = 0 } = entry || {};
+    let box = before;
+    if (!attempt.correct) box = 0;
+    else if (at >= due) box = (attempt.strugglingSyllables || []).length > 0 ? box : Math.min(box + 1, MAX_BOX);
+    ledger.boxes[attempt.word] = { box, due: at + BOX_INTERVALS[box] };
+    return before < MASTERED_BOX && box >= MASTERED_BOX;
+};
+
+/**
+ * Applies one saved attempt (a `progress` document) to the ledger. Returns true
+ * when a word has just been mastered, so the caller should check the deck badge.
+ */
+export const applyAttempt = (ledger, attempt) => {
+    if (!attempt.word || typeof attempt.correct !== 'boolean') return false;
+    const at = savedMillis(attempt);
+    onDay(ledger, at);
+    countPracticeDay(ledger, at);
+    const mastered = scheduleAttempt(ledger, attempt, at);
+    if (!attempt.correct) return mastered;
+
+    const game = attempt.game || 'flashcard';
+    const key = `${game}:${attempt.word}`;
+    if (!ledger.today.keys.includes(key) && ledger.today.stars < MAX_STARS_PER_DAY) {
+        ledger.today.keys.push(key);
+        addStars(ledger, game === 'flashcard' ? 'words' : 'games', game === 'flashcard' ? STARS.CORRECT_WORD : STARS.GAME_WIN);
+    }
+    if (game === 'flashcard' && ledger.correctWords.length < 10 && !ledger.correctWords.includes(attempt.word)) {
+        ledger.correctWords.push(attempt.word);
+    }
+    return mastered;
+};
+
+const isFinished = (story) => Boolean(story.comprehension || story.readingRecords?.length);
+
+/**
+ * Applies a new or updated story to the ledger. A story earns its stars once, as it
+ * is finished and scored; a later, higher comprehension score earns the difference.
+ * `isNew` is true when the story has just been created, which counts as practice.
+ */
+export const applyStory = (ledger, storyId, story, isNew) => {
+    const at = isNew ? savedMillis(story) : Date.now();
+    onDay(ledger, at);
+    if (isNew) countPracticeDay(ledger, at);
+    if (!isFinished(story)) return;
+
+    const awarded = ledger.storyStars[storyId];
+    if (!awarded) ledger.storiesFinished += 1;
+    const previous = awarded || { story: 0, comprehension: 0 };
+    const comprehension = Math.round((story.comprehension?.score || 0) * STARS.COMPREHENSION_MAX);
+    ledger.storyStars[storyId] = {
+        story: previous.story + addStars(ledger, 'stories', STARS.STORY_FINISHED - previous.story),
+        comprehension: previous.comprehension + addStars(ledger, 'comprehension', comprehension - previous.comprehension),
+    };
+};
+
+export const hasMasteredDeck = (ledger, deckWords) => deckWords.some(words => words.length > 0
+    && words.every(word => (ledger.boxes[word]?.box ?? 0) >= MASTERED_BOX));
+
+// Badges are only ever added, with the time they were earned. Ids are kept in sync
+// with BADGES in src/data/rewards.js.
+export const awardBadges = (ledger, deckMastered, earnedAt) => {
+    const checks = {
+        'first-word': ledger.correctWords.length >= 1,
+        'first-10-words': ledger.correctWords.length >= 10,
+        'deck-mastered': deckMastered,
+        'streak-3': ledger.streak.longest >= 3,
+        'streak-7': ledger.streak.longest >= 7,
+        'first-story': ledger.storiesFinished >= 1,
+        'bookworm': ledger.storiesFinished >= 10,
+    };
+    Object.keys(checks).filter(id => checks[id] && !ledger.badges[id]).forEach(id => {
+        ledger.badges[id] = earnedAt;
+    });
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { STARS, MAX_STARS_PER_DAY, emptyLedger, applyAttempt, applyStory, hasMasteredDeck, awardBadges } from './ledger';
+
+// A Firestore Timestamp is only read through toMillis().
+const at = (iso) => ({ toMillis: () => Date.parse(iso) });
+
+const attempt = (word, correct, savedAt, extra = {}) => ({ word, correct, savedAt: at(savedAt), ...extra });
+
+const replay = (attempts, ledger = emptyLedger()) => {
+    attempts.forEach(a => applyAttempt(ledger, a));
+    return ledger;
+};
+
+describe('applyAttempt', () => {
+    it('earns a star per word read correctly, once per word per day', () => {
+        const ledger = replay([
+            attempt('cat', true, '2026-03-02T09:00:00Z'),
+            attempt('cat', true, '2026-03-02T09:01:00Z'),
+            attempt('dog', true, '2026-03-02T09:02:00Z'),
+            attempt('hat', false, '2026-03-02T09:03:00Z'),
+            attempt('cat', true, '2026-03-03T09:00:00Z'),
+        ]);
+        expect(ledger.earned).toBe(3 * STARS.CORRECT_WORD);
+        expect(ledger.stars).toMatchObject({ words: 3, games: 0 });
+        expect(ledger.correctWords).toEqual(['cat', 'dog']);
+    });
+
+    it('counts game answers separately from flashcards', () => {
+        const ledger = replay([
+            attempt('cat', true, '2026-03-02T09:00:00Z'),
+            attempt('cat', true, '2026-03-02T09:01:00Z', { game: 'rhyme-match' }),
+            attempt('cat', true, '2026-03-02T09:02:00Z', { game: 'rhyme-match' }),
+            attempt('cat', true, '2026-03-02T09:03:00Z', { game: 'minimal-pairs' }),
+        ]);
+        expect(ledger.stars).toMatchObject({ words: 1, games: 2 });
+        expect(ledger.correctWords).toEqual(['cat']);
+    });
+
+    it('stops awarding stars at the daily cap and starts again the next day', () => {
+        const words = Array.from({ length: MAX_STARS_PER_DAY + 50 }, (_, i) => `word${i}`);
+        const ledger = replay(words.map(word => attempt(word, true, '2026-03-02T09:00:00Z')));
+        expect(ledger.earned).toBe(MAX_STARS_PER_DAY);
+        expect(ledger.today.stars).toBe(MAX_STARS_PER_DAY);
+
+        replay([attempt('cat', true, '2026-03-03T00:00:01Z')], ledger);
+        expect(ledger.earned).toBe(MAX_STARS_PER_DAY + 1);
+    });
+
+    it('dates attempts by when the server saved them, not the device clock', () => {
+        const ledger = replay([
+            attempt('cat', true, '2026-03-02T09:00:00Z', { timestamp: at('2026-03-01T09:00:00Z') }),
+            attempt('cat', true, '2026-03-02T09:05:00Z', { timestamp: at('2026-02-01T09:00:00Z') }),
+        ]);
+        expect(ledger.earned).toBe(1);
+        expect(ledger.streak).toMatchObject({ day: '2026-03-02', current: 1 });
+    });
+
+    it('tracks the practice streak across days', () => {
+        const ledger = replay([
+            attempt('cat', false, '2026-03-01T09:00:00Z'),
+            attempt('cat', false, '2026-03-02T09:00:00Z'),
+            attempt('cat', false, '2026-03-03T23:59:00Z'),
+        ]);
+        expect(ledger.streak).toMatchObject({ current: 3, longest: 3 });
+        expect(ledger.earned).toBe(0);
+
+        replay([attempt('cat', false, '2026-03-05T09:00:00Z')], ledger);
+        expect(ledger.streak).toMatchObject({ current: 1, longest: 3 });
+    });
+
+    it('reports when a word has climbed to the mastered box', () => {
+        const ledger = emptyLedger();
+        expect(applyAttempt(ledger, attempt('cat', true, '2026-03-01T09:00:00Z'))).toBe(false);
+        expect(applyAttempt(ledger, attempt('cat', true, '2026-03-02T09:00:00Z'))).toBe(false);
+        expect(applyAttempt(ledger, attempt('cat', true, '2026-03-04T09:00:00Z'))).toBe(true);
+        expect(ledger.boxes.cat.box).toBe(3);
+    });
+
+    it('does not move a word for a close attempt or an early review', () => {
+        const ledger = replay([
+            attempt('cat', true, '2026-03-01T09:00:00Z'),
+            attempt('cat', true, '2026-03-01T10:00:00Z'),
+            attempt('cat', false, '2026-03-01T11:00:00Z', { verdict: 'close' }),
+        ]);
+        expect(ledger.boxes.cat.box).toBe(1);
+
+        replay([attempt('cat', false, '2026-03-01T12:00:00Z')], ledger);
+        expect(ledger.boxes.cat.box).toBe(0);
+    });
+
+    it('ignores documents that are not attempts', () => {
+        const ledger = emptyLedger();
+        expect(applyAttempt(ledger, { word: 'cat', savedAt: at('2026-03-01T09:00:00Z') })).toBe(false);
+        expect(ledger).toEqual(emptyLedger());
+    });
+});
+
+describe('applyStory', () => {
+    const savedAt = at('2026-03-02T09:00:00Z');
+
+    it('earns nothing until the story is finished', () => {
+        const ledger = emptyLedger();
+        applyStory(ledger, 's1', { savedAt }, true);
+        expect(ledger.earned).toBe(0);
+        expect(ledger.storiesFinished).toBe(0);
+        expect(ledger.streak.current).toBe(1);
+    });
+
+    it('earns stars for finishing and for the comprehension score once', () => {
+        const ledger = emptyLedger();
+        applyStory(ledger, 's1', { savedAt, comprehension: { score: 0.6 } }, true);
+        expect(ledger.stars).toMatchObject({ stories: STARS.STORY_FINISHED, comprehension: 3 });
+
+        applyStory(ledger, 's1', { savedAt, comprehension: { score: 0.6 } }, true);
+        expect(ledger.earned).toBe(STARS.STORY_FINISHED + 3);
+        expect(ledger.storiesFinished).toBe(1);
+    });
+
+    it('earns only the difference for a better score later', () => {
+        const ledger = emptyLedger();
+        applyStory(ledger, 's1', { savedAt, readingRecords: [{}] }, true);
+        applyStory(ledger, 's1', { savedAt, readingRecords: [{}], comprehension: { score: 0.4 } }, false);
+        applyStory(ledger, 's1', { savedAt, readingRecords: [{}], comprehension: { score: 1 } }, false);
+        applyStory(ledger, 's1', { savedAt, readingRecords: [{}], comprehension: { score: 0.2 } }, false);
+        expect(ledger.storyStars.s1).toEqual({ story: STARS.STORY_FINISHED, comprehension: STARS.COMPREHENSION_MAX });
+        expect(ledger.earned).toBe(STARS.STORY_FINISHED + STARS.COMPREHENSION_MAX);
+    });
+
+    it('keeps story stars within the daily cap', () => {
+        const ledger = emptyLedger();
+        for (let i = 0; i < 20; i++) {
+            applyStory(ledger, `s${i}`, { savedAt, comprehension: { score: 1 } }, true);
+        }
+        expect(ledger.earned).toBe(MAX_STARS_PER_DAY);
+        expect(ledger.storiesFinished).toBe(20);
+    });
+});
+
+describe('badges', () => {
+    it('awards milestone badges once, with the time they were earned', () => {
+        const ledger = replay(Array.from({ length: 10 }, (_, i) => attempt(`word${i}`, true, `2026-03-0${1 + (i % 3)}T09:00:00Z`)));
+        applyStory(ledger, 's1', { savedAt: at('2026-03-03T10:00:00Z'), comprehension: { score: 1 } }, true);
+        awardBadges(ledger, false, 'first');
+        expect(Object.keys(ledger.badges).sort()).toEqual(['first-10-words', 'first-story', 'first-word', 'streak-3']);
+
+        awardBadges(ledger, true, 'second');
+        expect(ledger.badges['first-word']).toBe('first');
+        expect(ledger.badges['deck-mastered']).toBe('second');
+    });
+
+    it('counts a deck as mastered once every word in it is', () => {
+        const ledger = emptyLedger();
+        ledger.boxes = { cat: { box: 3 }, dog: { box: 4 }, hat: { box: 1 } };
+        expect(hasMasteredDeck(ledger, [['cat', 'hat'], []])).toBe(false);
+        expect(hasMasteredDeck(ledger, [['cat', 'hat'], ['cat', 'dog']])).toBe(true);
+    });
+});
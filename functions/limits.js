@@ -0,0 +1,55 @@
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { HttpsError } from 'firebase-functions/v2/https';
+import { logger } from 'firebase-functions';
+
+// Per-user limits on model calls. Counters live in `llmUsage/{uid}`, which
+// firestore.rules keeps out of reach of the client; only this function writes it.
+export const PER_MINUTE = 10;
+export const PER_DAY = 300;
+
+const MINUTE_MS = 60 * 1000;
+
+const utcDay = (millis) => new Date(millis).toISOString().slice(0, 10);
+
+// Counts one call against the user's limits, or throws resource-exhausted.
+export const checkRateLimit = async (uid, now = Date.now()) => {
+    const db = getFirestore();
+    const usageRef = db.collection('llmUsage').doc(uid);
+    await db.runTransaction(async (transaction) => {
+        const usage = (await transaction.get(usageRef)).data() || {};
+        const sameWindow = now - (usage.windowStart || 0) < MINUTE_MS;
+        const sameDay = usage.day === utcDay(now);
+        const windowCount = sameWindow ? usage.windowCount || 0 : 0;
+        const dayCount = sameDay ? usage.dayCount || 0 : 0;
+
+        if (windowCount >= PER_MINUTE) {
+            throw new HttpsError('resource-exhausted', 'Too many requests. Please wait a minute and try again.', { limit: 'minute' });
+        }
+        if (dayCount >= PER_DAY) {
+            throw new HttpsError('resource-exhausted', 'Daily limit reached. Please try again tomorrow.', { limit: 'day' });
+        }
+
+        transaction.set(usageRef, {
+            windowStart: sameWindow ? usage.windowStart : now,
+            windowCount: windowCount + 1,
+            day: utcDay(now),
+            dayCount: dayCount + 1,
+            totalCount: (usage.totalCount || 0) + 1,
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+    });
+};
+
+// Records one finished call ({ task, model, promptChars, responseChars, durationMs, ok, error }).
+// A failed log write never fails the call itself.
+export const logUsage = async (uid, call) => {
+    logger.info('llm call', { uid, ...call });
+    try {
+        await getFirestore().collection('llmUsage').doc(uid).collection('calls').add({
+            ...call,
+            timestamp: FieldValue.serverTimestamp(),
+        });
+    } catch (error) {
+        logger.error('Could not log LLM usage', { uid, error: error.message });
+    }
+};
@@ -0,0 +1,70 @@
+import { HttpsError } from 'firebase-functions/v2/https';
+
+// Gemini's responseSchema uses OpenAPI-style upper-case type names.
+const toGeminiSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = { ...schema, type: schema.type?.toUpperCase() };
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    return converted;
+};
+
+export const createGeminiModel = ({ apiKey, model = 'gemini-2.0-flash' }) => ({
+    name: model,
+    async complete({ prompt, schema }) {
+        if (!apiKey) throw new HttpsError('failed-precondition', 'The model API key is not configured.');
+        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify({
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: {
+                    responseMimeType: 'application/json',
+                    responseSchema: toGeminiSchema(schema),
+                },
+            }),
+        });
+        if (!response.ok) {
+            throw new HttpsError('unavailable', `Model request failed with status ${response.status}.`, { status: response.status });
+        }
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) throw new HttpsError('unavailable', 'The model returned no content.');
+        return text;
+    },
+});
+
+// Canned answers for the Functions emulator (LLM_STUB=true), so the proxy, its auth
+// check and its limits can be exercised without a key or network access.
+const STUB_RESPONSES = {
+    pronunciation: ({ spokenText = '', expectedWord = '' }) => ({
+        isCorrect: spokenText.toLowerCase().trim() === expectedWord.toLowerCase().trim(),
+        feedback: 'Stub feedback from the emulator.',
+        strugglingSyllables: [],
+    }),
+    story: () => ({
+        story: 'Meg has a pet cat named Dot. Dot likes to nap in the sun. One day Dot sees a red bug on a log. Dot hops off the mat and runs to the log. The bug flies up and lands on a big pot. Dot sits and looks at the pot. Meg laughs and picks Dot up. "You can not get the bug," says Meg. Dot purrs and naps on her lap. The bug sits on the pot and rests in the sun too. Then Meg and Dot go back in to eat. It was a fun day.',
+        questions: [
+            { id: 1, type: 'multiple-choice', skill: 'recall', question: 'What is the name of the cat?', options: ['Dot', 'Meg', 'Bug'], correctAnswer: 'Dot' },
+            { id: 2, type: 'true-false', skill: 'recall', question: 'The bug was blue.', correctAnswer: 'false' },
+            { id: 3, type: 'tap-word', skill: 'vocabulary', question: 'Tap the word "pot" in the story.', word: 'pot' },
+        ],
+        targetWordUses: [],
+    }),
+    comprehension: ({ answers = [] }) => ({
+        summary: 'Stub summary from the emulator.',
+        score: 100,
+        questionFeedbacks: answers.map((answer, index) => ({ id: answer.id ?? index + 1, verdict: 'correct', feedback: 'Stub feedback.' })),
+    }),
+};
+
+export const createStubModel = () => ({
+    name: 'stub',
+    async complete({ task, input }) {
+        return JSON.stringify(STUB_RESPONSES[task](input || {}));
+    },
+});
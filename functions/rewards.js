@@ -0,0 +1,103 @@
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import {
+    BUILT_IN_DECK_WORDS,
+    emptyLedger,
+    savedMillis,
+    applyAttempt,
+    applyStory,
+    hasMasteredDeck,
+    awardBadges,
+} from './ledger.js';
+
+// Stars and badges are awarded here, from the progress and stories the client
+// saves, into a `rewards/ledger` document only this code writes. The client reads
+// the ledger and records its spending in `rewards/state`, and firestore.rules checks
+// every purchase against the ledger's `earned`, so writing to Firestore directly can
+// no longer raise a balance past what the ledger awards (see ledger.js for how much
+// that is). The ledger is updated one saved document at a time.
+
+// The built-in decks and every deck saved for the app, as lists of words.
+const loadDeckWords = async (appId) => {
+    const decks = await getFirestore().collection(`artifacts/${appId}/decks`).get();
+    return [...BUILT_IN_DECK_WORDS, ...decks.docs.map(deck => (deck.data().words || []).map(word => word.text))];
+};
+
+// How much history a rebuilt ledger reads, in pages outside the transaction. Only a
+// reader's most recent documents count past the limit.
+const REBUILD_PAGE_SIZE = 500;
+const MAX_REBUILD_DOCS = 5000;
+
+// The most recent documents of one of a reader's collections, newest first.
+const readRecent = async (collectionRef) => {
+    const docs = [];
+    let page;
+    do {
+        let query = collectionRef.orderBy('timestamp', 'desc').limit(REBUILD_PAGE_SIZE);
+        if (docs.length) query = query.startAfter(docs[docs.length - 1]);
+        page = await query.get();
+        docs.push(...page.docs);
+    } while (page.size === REBUILD_PAGE_SIZE && docs.length < MAX_REBUILD_DOCS);
+    if (page.size === REBUILD_PAGE_SIZE) logger.warn(`Rebuilding from the latest ${docs.length} documents of ${collectionRef.path}`);
+    return docs;
+};
+
+// A reader without a ledger (one who practised before the ledger existed) gets one
+// built from their history, which already includes the document being handled.
+const rebuildLedger = async (childRef) => {
+    const [progress, stories] = await Promise.all([
+        readRecent(childRef.collection('progress')),
+        readRecent(childRef.collection('stories')),
+    ]);
+    const events = [
+        ...progress.map(doc => ({ at: savedMillis(doc.data()), apply: (ledger) => applyAttempt(ledger, doc.data()) })),
+        ...stories.map(doc => ({ at: savedMillis(doc.data()), apply: (ledger) => applyStory(ledger, doc.id, doc.data(), true) })),
+    ].sort((a, b) => a.at - b.at);
+    const ledger = emptyLedger();
+    events.forEach(event => event.apply(ledger));
+    return ledger;
+};
+
+/**
+ * Runs `apply(ledger)` for a reader in a transaction and saves the result, creating
+ * the ledger and the client's `rewards/state` document when they are missing.
+ * `apply` returns true when the deck badge should be checked.
+ */
+export const updateLedger = async ({ appId, userId, childId }, apply) => {
+    const db = getFirestore();
+    const childRef = db.doc(`artifacts/${appId}/users/${userId}/children/${childId}`);
+    const ledgerRef = childRef.collection('rewards').doc('ledger');
+    const stateRef = childRef.collection('rewards').doc('state');
+
+    // The history is read before the transaction, which then only holds the two
+    // rewards documents; if another trigger creates the ledger first, it is used.
+    let rebuilt = null;
+    if (!(await ledgerRef.get()).exists) {
+        logger.info(`Building the rewards ledger for ${childRef.path} from its history`);
+        rebuilt = await rebuildLedger(childRef);
+    }
+
+    await db.runTransaction(async (transaction) => {
+        const [ledgerDoc, stateDoc] = await Promise.all([transaction.get(ledgerRef), transaction.get(stateRef)]);
+        let ledger;
+        let checkDecks;
+        if (ledgerDoc.exists) {
+            ledger = { ...emptyLedger(), ...ledgerDoc.data() };
+            checkDecks = apply(ledger);
+        } else if (rebuilt) {
+            ledger = structuredClone(rebuilt);
+            checkDecks = true;
+        } else {
+            ledger = emptyLedger();
+            checkDecks = apply(ledger);
+        }
+        const deckMastered = Boolean(ledger.badges['deck-mastered'])
+            || (checkDecks && hasMasteredDeck(ledger, await loadDeckWords(appId)));
+        awardBadges(ledger, deckMastered, Timestamp.now());
+
+        transaction.set(ledgerRef, { ...ledger, updatedAt: FieldValue.serverTimestamp() });
+        if (!stateDoc.exists) {
+            transaction.set(stateRef, { spent: 0, owned: [], equipped: null, updatedAt: FieldValue.serverTimestamp() });
+        }
+    });
+};
@@ -0,0 +1,44 @@
+import React, { useEffect, useMemo } from 'react';
+
+const CONFETTI = ['⭐', '🎉', '✨', '🌟', '🎊'];
+const PIECES = 24;
+const DURATION_MS = 3500;
+
+// Full-screen confetti with a message, e.g. when a badge is earned. Calls `onDone`
+// once the animation has finished; tapping anywhere closes it early.
+const Celebration = ({ icon, title, message, onDone }) => {
+    const pieces = useMemo(() => Array.from({ length: PIECES }, (_, index) => ({
+        emoji: CONFETTI[index % CONFETTI.length],
+        left: Math.random() * 100,
+        delay: Math.random() * 0.8,
+        size: 1.5 + Math.random() * 1.5,
+    })), []);
+
+    useEffect(() => {
+        const timer = setTimeout(onDone, DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [onDone]);
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-hidden bg-black/20" onClick={onDone} role="status">
+            {pieces.map((piece, index) => (
+                <span
+                    key={index}
+                    className="absolute -top-12 animate-confetti-fall"
+                    style={{ left: `${piece.left}%`, animationDelay: `${piece.delay}s`, fontSize: `${piece.size}rem` }}
+                >
+                    {piece.emoji}
+                </span>
+            ))}
+            <div className="absolute inset-0 flex items-center justify-center">
+                <div className="bg-white rounded-3xl shadow-2xl px-10 py-8 text-center animate-pop-in">
+                    <div className="text-7xl mb-3">{icon}</div>
+                    <p className="text-3xl font-black text-purple-700">{title}</p>
+                    {message && <p className="text-lg text-gray-700 mt-2">{message}</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Celebration;
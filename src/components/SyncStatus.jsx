@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToSyncStatus, SYNC_STATUS } from '../services/sync';
+
+const STATUS_DISPLAY = {
+    [SYNC_STATUS.SYNCED]: { icon: 'fa-cloud', label: 'All saved', className: 'bg-green-100 text-green-800' },
+    [SYNC_STATUS.SYNCING]: { icon: 'fa-sync-alt fa-spin', label: 'Saving...', className: 'bg-blue-100 text-blue-800' },
+    [SYNC_STATUS.OFFLINE]: { icon: 'fa-wifi', label: 'Offline', className: 'bg-gray-200 text-gray-700' },
+    [SYNC_STATUS.OFFLINE_PENDING]: { icon: 'fa-save', label: 'Saved on this device', className: 'bg-yellow-100 text-yellow-800' },
+};
+
+// Small badge showing whether practice is saved to the cloud or waiting on this device.
+const SyncStatus = () => {
+    const [sync, setSync] = useState({ status: SYNC_STATUS.SYNCED, pendingWrites: 0 });
+
+    useEffect(() => subscribeToSyncStatus(setSync), []);
+
+    const display = STATUS_DISPLAY[sync.status];
+    return (
+        <div
+            className={`fixed top-3 right-3 z-40 px-3 py-1 rounded-full text-sm font-semibold shadow ${display.className}`}
+            role="status"
+            title={sync.pendingWrites ? `${sync.pendingWrites} change${sync.pendingWrites === 1 ? '' : 's'} waiting to sync` : undefined}
+        >
+            <i className={`fas ${display.icon} mr-1`}></i> {display.label}
+        </div>
+    );
+};
+
+export default SyncStatus;
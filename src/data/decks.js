@@ -0,0 +1,87 @@
+// Built-in decks used until a teacher saves decks to Firestore, one per language.
+// Also the shape reference for deck documents under `artifacts/{appId}/decks`.
+// A deck's `language` (English when missing) decides which readers practise it;
+// `glosses` on a word are its translations by home language, for bilingual mode.
+
+// Patterns without a `language` suit any deck.
+export const PHONICS_PATTERNS = [
+    { value: 'cvc', label: 'CVC (cat, dog)', language: 'en' },
+    { value: 'digraph-sh', label: 'Digraph "sh"', language: 'en' },
+    { value: 'digraph-ch', label: 'Digraph "ch"', language: 'en' },
+    { value: 'digraph-th', label: 'Digraph "th"', language: 'en' },
+    { value: 'blend', label: 'Consonant blends', language: 'en' },
+    { value: 'silent-e', label: 'Silent e', language: 'en' },
+    { value: 'r-controlled', label: 'R-controlled vowels', language: 'en' },
+    { value: 'open-syllable', label: 'Open syllables (ma, pe, so)', language: 'es' },
+    { value: 'digraph-ch-ll-rr', label: 'Digraphs "ch", "ll" and "rr"', language: 'es' },
+    { value: 'soft-c-g', label: 'Soft c and g (ce, ci, ge, gi)', language: 'es' },
+    { value: 'silent-u', label: 'Silent u (que, qui, gue, gui)', language: 'es' },
+    { value: 'consonant-cluster', label: 'Consonant clusters (bl, tr)', language: 'es' },
+    { value: 'multisyllable', label: 'Multisyllable words' },
+    { value: 'mixed', label: 'Mixed review' },
+];
+
+export const patternsFor = (language) => PHONICS_PATTERNS.filter(p => !p.language || p.language === language);
+
+export const GRADE_BANDS = [
+    { value: 'K', label: 'Kindergarten' },
+    { value: '1-2', label: '1st-2nd Grade' },
+    { value: '3+', label: '3rd Grade +' },
+];
+
+export const WORD_LEVELS = ['easy', 'medium', 'hard'];
+
+export const DEFAULT_DECK = {
+    id: 'starter',
+    name: 'Starter Words',
+    language: 'en',
+    pattern: 'mixed',
+    gradeBand: 'K',
+    builtIn: true,
+    words: [
+        { id: '1', text: 'cat', level: 'easy', sentence: 'The cat naps in the sun.', glosses: { es: 'gato', zh: '猫', vi: 'con mèo', ar: 'قطة', pt: 'gato', fr: 'chat' } },
+        { id: '2', text: 'dog', level: 'easy', sentence: 'My dog can dig.', glosses: { es: 'perro', zh: '狗', vi: 'con chó', ar: 'كلب', pt: 'cachorro', fr: 'chien' } },
+        { id: '3', text: 'run', level: 'easy', sentence: 'We run to the park.', glosses: { es: 'correr', zh: '跑', vi: 'chạy', ar: 'يركض', pt: 'correr', fr: 'courir' } },
+        { id: '4', text: 'jump', level: 'medium', sentence: 'The frog can jump high.', glosses: { es: 'saltar', zh: '跳', vi: 'nhảy', ar: 'يقفز', pt: 'pular', fr: 'sauter' } },
+        { id: '5', text: 'apple', level: 'medium', sentence: 'I ate a red apple.', glosses: { es: 'manzana', zh: '苹果', vi: 'quả táo', ar: 'تفاحة', pt: 'maçã', fr: 'pomme' } },
+        { id: '6', text: 'banana', level: 'medium', sentence: 'The monkey peels a banana.', glosses: { es: 'plátano', zh: '香蕉', vi: 'quả chuối', ar: 'موزة', pt: 'banana', fr: 'banane' } },
+        { id: '7', text: 'elephant', level: 'hard', sentence: 'The elephant has a long trunk.', glosses: { es: 'elefante', zh: '大象', vi: 'con voi', ar: 'فيل', pt: 'elefante', fr: 'éléphant' } },
+        { id: '8', text: 'telephone', level: 'hard', sentence: 'The telephone is ringing.', glosses: { es: 'teléfono', zh: '电话', vi: 'điện thoại', ar: 'هاتف', pt: 'telefone', fr: 'téléphone' } },
+        { id: '9', text: 'curious', level: 'hard', sentence: 'The curious cat looks in the box.', glosses: { es: 'curioso', zh: '好奇', vi: 'tò mò', ar: 'فضولي', pt: 'curioso', fr: 'curieux' } },
+    ],
+};
+
+export const SPANISH_STARTER_DECK = {
+    id: 'starter-es',
+    name: 'Primeras palabras',
+    language: 'es',
+    pattern: 'mixed',
+    gradeBand: 'K',
+    builtIn: true,
+    words: [
+        { id: '1', text: 'sol', level: 'easy', sentence: 'El sol brilla mucho.', glosses: { en: 'sun' } },
+        { id: '2', text: 'mar', level: 'easy', sentence: 'Nado en el mar.', glosses: { en: 'sea' } },
+        { id: '3', text: 'pan', level: 'easy', sentence: 'Como pan con queso.', glosses: { en: 'bread' } },
+        { id: '4', text: 'casa', level: 'medium', sentence: 'Mi casa es azul.', glosses: { en: 'house' } },
+        { id: '5', text: 'mesa', level: 'medium', sentence: 'El libro está en la mesa.', glosses: { en: 'table' } },
+        { id: '6', text: 'perro', level: 'medium', sentence: 'El perro corre en el parque.', glosses: { en: 'dog' } },
+        { id: '7', text: 'zapato', level: 'hard', sentence: 'Mi zapato es nuevo.', glosses: { en: 'shoe' } },
+        { id: '8', text: 'mariposa', level: 'hard', sentence: 'La mariposa vuela alto.', glosses: { en: 'butterfly' } },
+        { id: '9', text: 'chocolate', level: 'hard', sentence: 'Me gusta el chocolate.', glosses: { en: 'chocolate' } },
+    ],
+};
+
+export const BUILT_IN_DECKS = [DEFAULT_DECK, SPANISH_STARTER_DECK];
+
+export const deckLanguage = (deck) => deck?.language || 'en';
+
+// The built-in deck for a language, or the English one when it has none.
+export const defaultDeckFor = (language) => BUILT_IN_DECKS.find(d => deckLanguage(d) === language) || DEFAULT_DECK;
+
+export const createEmptyWord = () => ({
+    id: crypto.randomUUID(),
+    text: '',
+    level: 'easy',
+    sentence: '',
+    glosses: {},
+});
@@ -0,0 +1,42 @@
+// Feedback read to the child after a spoken attempt, per language. Feedback is in
+// the language the child is learning to read, like the words it talks about.
+
+export const FEEDBACK_MESSAGES = {
+    en: {
+        notCaught: (target) => `I didn't catch that. Try saying "${target}" again.`,
+        great: 'Great pronunciation!',
+        soundsLike: (heard, target) => `Great pronunciation! "${heard}" sounds just like "${target}".`,
+        positions: { start: 'at the start', middle: 'in the middle', end: 'at the end' },
+        vowelSound: (grapheme, where, wanted, heard) => `the "${grapheme}" ${where} makes a ${wanted} sound, not a ${heard}`,
+        soundedLike: (grapheme, where, heard) => `the "${grapheme}" sound ${where} sounded like "${heard}"`,
+        missing: (grapheme, where) => `the "${grapheme}" sound ${where} was missing`,
+        extra: (grapheme) => `there was an extra "${grapheme}" sound`,
+        soClose: 'So close!',
+        niceTry: 'Nice try!',
+        tryAgain: (opener, heard, hints, target) => `${opener} You said "${heard}". Listen carefully: ${hints.join(', and ')}. Try "${target}" again.`,
+        notSure: (target) => `That might have been "${target}", but I wasn't sure. Say it once more, nice and clear!`,
+        mightHaveBeen: (heard, target) => `Close! I heard "${heard}", but it might have been "${target}". Try again, one sound at a time.`,
+        replacementSummary: "Thanks for answering! Let's look back at the story together.",
+        replacementQuestionFeedback: "Let's check this answer together with a grown-up.",
+    },
+    es: {
+        notCaught: (target) => `No te escuché bien. Intenta decir "${target}" otra vez.`,
+        great: '¡Muy bien dicho!',
+        soundsLike: (heard, target) => `¡Muy bien dicho! "${heard}" suena igual que "${target}".`,
+        positions: { start: 'al principio', middle: 'en el medio', end: 'al final' },
+        vowelSound: (grapheme, where, wanted, heard) => `la "${grapheme}" ${where} suena como ${wanted}, no como ${heard}`,
+        soundedLike: (grapheme, where, heard) => `el sonido "${grapheme}" ${where} sonó como "${heard}"`,
+        missing: (grapheme, where) => `faltó el sonido "${grapheme}" ${where}`,
+        extra: (grapheme) => `sobró un sonido "${grapheme}"`,
+        soClose: '¡Casi!',
+        niceTry: '¡Buen intento!',
+        tryAgain: (opener, heard, hints, target) => `${opener} Dijiste "${heard}". Escucha bien: ${hints.join(' y ')}. Intenta decir "${target}" otra vez.`,
+        notSure: (target) => `Quizás dijiste "${target}", pero no estoy seguro. ¡Dilo una vez más, claro y despacio!`,
+        mightHaveBeen: (heard, target) => `¡Casi! Escuché "${heard}", pero quizás fue "${target}". Inténtalo otra vez, sonido por sonido.`,
+        replacementSummary: '¡Gracias por responder! Volvamos a mirar el cuento juntos.',
+        replacementQuestionFeedback: 'Revisemos esta respuesta junto con un adulto.',
+    },
+};
+
+// Messages for a language, falling back to English.
+export const feedbackMessages = (language) => FEEDBACK_MESSAGES[language] || FEEDBACK_MESSAGES.en;
@@ -0,0 +1,53 @@
+// Locales a child can learn to read in. The locale picks the speech recognizer and
+// voice, the phonics rules, the feedback language and the language stories are
+// written in. `accent` tunes the phonics rules to how words sound there:
+//   rhotic       English "r" after a vowel is said ("car" vs "cah")
+//   distinction  Spanish "z" and soft "c" sound like "th" rather than "s"
+
+export const LOCALES = [
+    { value: 'en-US', label: 'English (US)', language: 'en', accent: { rhotic: true } },
+    { value: 'en-GB', label: 'English (UK)', language: 'en', accent: { rhotic: false } },
+    { value: 'es-MX', label: 'Español (Latinoamérica)', language: 'es', accent: { distinction: false } },
+    { value: 'es-ES', label: 'Español (España)', language: 'es', accent: { distinction: true } },
+];
+
+export const DEFAULT_LOCALE = 'en-US';
+
+// Languages with decks and phonics rules; a deck is practised by children whose
+// locale has the same language.
+export const LANGUAGES = [
+    { value: 'en', label: 'English' },
+    { value: 'es', label: 'Spanish' },
+];
+
+// Home languages for bilingual mode. `voice` is the speech synthesis language used
+// to read a gloss aloud.
+export const HOME_LANGUAGES = [
+    { value: 'es', label: 'Spanish (Español)', voice: 'es-MX' },
+    { value: 'en', label: 'English', voice: 'en-US' },
+    { value: 'zh', label: 'Chinese (中文)', voice: 'zh-CN' },
+    { value: 'vi', label: 'Vietnamese (Tiếng Việt)', voice: 'vi-VN' },
+    { value: 'ar', label: 'Arabic (العربية)', voice: 'ar-SA' },
+    { value: 'pt', label: 'Portuguese (Português)', voice: 'pt-BR' },
+    { value: 'fr', label: 'French (Français)', voice: 'fr-FR' },
+];
+
+/**
+ * The LOCALES entry for a locale ("es-ES") or a bare language ("es"), falling back
+ * to the default locale for anything unknown.
+ */
+export const localeInfo = (locale) => LOCALES.find(l => l.value === locale)
+    || LOCALES.find(l => l.language === locale)
+    || LOCALES.find(l => l.value === DEFAULT_LOCALE);
+
+export const languageLabel = (language) =>
+    [...LANGUAGES, ...HOME_LANGUAGES].find(l => l.value === language)?.label || language;
+
+// A profile's locale; profiles made before locales existed read in US English.
+export const profileLocale = (profile) => profile?.locale || DEFAULT_LOCALE;
+
+// The home language whose glosses a profile sees in bilingual mode, or null.
+export const glossLanguage = (profile) => {
+    const home = profile?.homeLanguage;
+    return home && home !== localeInfo(profileLocale(profile)).language ? home : null;
+};
@@ -0,0 +1,27 @@
+// Options for child profiles. Reading levels match the Story Time levels.
+
+export const AVATARS = ['🦁', '🐻', '🐰', '🦊', '🐼', '🐸', '🦄', '🐙', '🐢', '🦋'];
+
+export const READING_LEVELS = [
+    { value: 'beginner', label: 'Beginner (Kindergarten)' },
+    { value: 'intermediate', label: 'Intermediate (1st-2nd Grade)' },
+    { value: 'advanced', label: 'Advanced (3rd Grade +)' },
+];
+
+// Whether a reader's flashcard attempts are kept after they have been played back.
+// Clips are always recorded for playback; saving them is up to the parent or teacher.
+export const RECORDING_MODES = [
+    { value: 'off', label: "Don't save (play back only)" },
+    { value: 'device', label: 'Save on this device' },
+    { value: 'cloud', label: 'Save to the account (cloud storage)' },
+];
+
+export const RECORDING_RETENTION_DAYS = [7, 30, 90];
+export const DEFAULT_RECORDING_RETENTION_DAYS = 30;
+
+// Other parents or teachers who can follow a reader's progress, by account ID.
+// Kept in sync with the `guardianIds` limit in firestore.rules.
+export const MAX_GUARDIANS = 10;
+
+// Account IDs as typed into the profile form, separated by commas, spaces or new lines.
+export const parseAccountIds = (text) => [...new Set(text.split(/[\s,]+/).filter(Boolean))];
@@ -0,0 +1,24 @@
+// Badges and shop items for the stars economy. Badges are awarded by the Cloud
+// Functions in functions/rewards.js and shop prices are repeated in firestore.rules,
+// which checks every purchase; keep all three in sync.
+
+export const BADGES = [
+    { id: 'first-word', icon: '🌱', label: 'First Word', description: 'Read your first word correctly.' },
+    { id: 'first-10-words', icon: '🔟', label: 'Ten Words', description: 'Read 10 different words correctly.' },
+    { id: 'deck-mastered', icon: '🏆', label: 'Deck Master', description: 'Master every word in a deck.' },
+    { id: 'streak-3', icon: '🔥', label: 'On a Roll', description: 'Practise 3 days in a row.' },
+    { id: 'streak-7', icon: '🌟', label: 'Super Streak', description: 'Practise 7 days in a row.' },
+    { id: 'first-story', icon: '📖', label: 'Story Finisher', description: 'Finish your first story.' },
+    { id: 'bookworm', icon: '🐛', label: 'Bookworm', description: 'Finish 10 stories.' },
+];
+
+// Avatar items. `emoji` is shown next to the child's avatar when equipped.
+export const SHOP_ITEMS = [
+    { id: 'cap', emoji: '🧢', label: 'Cap', price: 10 },
+    { id: 'bow', emoji: '🎀', label: 'Bow', price: 10 },
+    { id: 'sunglasses', emoji: '🕶️', label: 'Sunglasses', price: 20 },
+    { id: 'top-hat', emoji: '🎩', label: 'Top Hat', price: 30 },
+    { id: 'balloon', emoji: '🎈', label: 'Balloon', price: 30 },
+    { id: 'crown', emoji: '👑', label: 'Crown', price: 50 },
+    { id: 'rocket', emoji: '🚀', label: 'Rocket', price: 75 },
+];
@@ -0,0 +1,61 @@
+// Hand-written stories shown when generated stories keep failing validation, per
+// language. Each one passes the same checks as generated stories for its level.
+
+export const FALLBACK_STORIES = {
+    en: {
+        beginner: {
+            story: 'Sam has a red hat. He likes his hat a lot. One day Sam and his dog Pip go to the park. The sun is hot. Sam sits on the grass under a big tree. Pip runs to get a stick. Pip drops the stick by Sam. Sam tosses the stick far. Pip runs and runs! Then the wind picks up. It lifts Sam\'s hat off his head. The hat lands in the pond. Pip jumps in the pond. He swims to the hat and gets it. Pip brings the hat back to Sam. Sam hugs Pip. "Good dog!" says Sam. Sam and Pip walk home. They are wet, but they are glad. At home, Sam gets Pip a snack.',
+            questions: [
+                { id: 1, type: 'multiple-choice', question: "What is the name of Sam's dog?", options: ['Pip', 'Max', 'Sam'], correctAnswer: 'Pip' },
+                { id: 2, type: 'true-false', question: "Sam's hat landed in the pond.", correctAnswer: 'true' },
+                { id: 3, type: 'tap-word', question: 'Tap the word "stick" in the story.', word: 'stick' },
+            ],
+        },
+        intermediate: {
+            story: 'Mia wanted to grow a garden. She found a sunny spot by the fence and dug small holes in the soil. Her grandpa gave her a bag of bean seeds. Mia dropped one seed in each hole and gently covered them up. Every morning she watered the seeds with her green can. For a week, nothing happened. Mia felt sad. "Be patient," said Grandpa. "Seeds need time." The next day, Mia saw tiny green sprouts poking out of the ground! She clapped her hands. The plants grew taller and taller. They curled up the fence like ribbons. By summer, there were long beans hanging everywhere. Mia and Grandpa picked a big basket full. That night they cooked the beans for dinner. Mia said they were the best beans she had ever tasted.',
+            questions: [
+                { id: 1, type: 'multiple-choice', question: 'What did Mia want to grow?', options: ['A garden', 'A tree', 'A flower pot'], correctAnswer: 'A garden' },
+                { id: 2, question: 'What did Grandpa tell Mia when nothing happened?' },
+                { id: 3, type: 'sequence', question: 'Put these in order.', events: ['Mia planted the seeds.', 'Tiny sprouts came up.', 'Mia and Grandpa picked the beans.'] },
+                { id: 4, question: 'What did Mia and Grandpa do with the beans?' },
+            ],
+        },
+        advanced: {
+            story: 'Leo had always wondered where the river behind his school began. One Saturday, he packed a snack, a notebook and a small map, and set off with his older sister, Nora. They followed the river upstream, past the playground and the old stone bridge. The path became narrow and rocky. Nora pointed out animal tracks in the mud, and Leo sketched them in his notebook. After an hour, the river was no wider than a hallway. Soon it was just a trickle between mossy rocks. Finally, they reached a quiet spring bubbling out of the hillside. "This is where it starts," Nora said. Leo filled a page with notes about the spring, the plants and the tracks. On Monday, he shared his discoveries with his class, who decided to plan their own adventure.',
+            questions: [
+                { id: 1, question: 'What did Leo want to find out?' },
+                { id: 2, question: 'Who went with Leo on the walk?' },
+                { id: 3, question: 'What did Leo draw in his notebook?' },
+                { id: 4, question: 'Where did the river begin?' },
+            ],
+        },
+    },
+    es: {
+        beginner: {
+            story: 'Sol tiene un gato. El gato se llama Pepe. Pepe es gris y muy suave. Un día Sol va al parque con Pepe. Hace sol y hace calor. Sol se sienta bajo un árbol. Pepe ve una mariposa. La mariposa es roja. Pepe corre y salta. ¡La mariposa sube alto! Luego sopla el viento. El viento se lleva la gorra de Sol. La gorra cae en el lago. Pepe mira el agua. No le gusta el agua. Un pato nada hasta la gorra. El pato la lleva a la orilla. Sol toma su gorra. "¡Gracias, pato!", dice Sol. Sol y Pepe van a casa. En casa, Pepe toma su leche. Sol abraza a Pepe.',
+            questions: [
+                { id: 1, type: 'multiple-choice', question: '¿Cómo se llama el gato?', options: ['Pepe', 'Sol', 'Pato'], correctAnswer: 'Pepe' },
+                { id: 2, type: 'true-false', question: 'La gorra cae en el lago.', correctAnswer: 'true' },
+                { id: 3, type: 'tap-word', question: 'Toca la palabra "pato" en el cuento.', word: 'pato' },
+            ],
+        },
+        intermediate: {
+            story: 'Mía quería tener un huerto. Buscó un lugar con sol junto a la cerca y cavó hoyos pequeños en la tierra. Su abuelo le dio una bolsa de semillas de frijol. Mía puso una semilla en cada hoyo y las tapó con cuidado. Cada mañana las regaba con su regadera verde. Pasó una semana y no pasó nada. Mía estaba triste. "Ten paciencia", dijo el abuelo. "Las semillas necesitan tiempo." Al día siguiente, Mía vio brotes verdes que salían de la tierra. ¡Aplaudió de alegría! Las plantas crecieron más y más. Subieron por la cerca como cintas. En verano había frijoles largos por todas partes. Mía y su abuelo llenaron una canasta grande. Esa noche cocinaron los frijoles para la cena. Mía dijo que eran los mejores frijoles del mundo.',
+            questions: [
+                { id: 1, type: 'multiple-choice', question: '¿Qué quería tener Mía?', options: ['Un huerto', 'Un árbol', 'Una maceta'], correctAnswer: 'Un huerto' },
+                { id: 2, question: '¿Qué le dijo el abuelo a Mía cuando no pasaba nada?' },
+                { id: 3, type: 'sequence', question: 'Ordena lo que pasó.', events: ['Mía plantó las semillas.', 'Salieron brotes verdes.', 'Mía y su abuelo recogieron los frijoles.'] },
+                { id: 4, question: '¿Qué hicieron Mía y su abuelo con los frijoles?' },
+            ],
+        },
+        advanced: {
+            story: 'Leo siempre se había preguntado dónde nacía el río que pasaba detrás de su escuela. Un sábado preparó una merienda, un cuaderno y un mapa pequeño, y salió con su hermana mayor, Nora. Siguieron el río hacia arriba, más allá del parque y del viejo puente de piedra. El camino se volvió estrecho y lleno de rocas. Nora le señaló huellas de animales en el barro, y Leo las dibujó en su cuaderno. Después de una hora, el río no era más ancho que un pasillo. Pronto fue solo un hilo de agua entre piedras cubiertas de musgo. Por fin llegaron a un manantial tranquilo que brotaba de la colina. "Aquí empieza", dijo Nora. Leo llenó una página con notas sobre el manantial, las plantas y las huellas. El lunes compartió sus descubrimientos con su clase, y todos decidieron planear su propia aventura.',
+            questions: [
+                { id: 1, question: '¿Qué quería descubrir Leo?' },
+                { id: 2, question: '¿Quién fue con Leo a caminar?' },
+                { id: 3, question: '¿Qué dibujó Leo en su cuaderno?' },
+                { id: 4, question: '¿Dónde nacía el río?' },
+            ],
+        },
+    },
+};
@@ -0,0 +1,32 @@
+import React from 'react';
+import { useStore } from '../../store/useStore';
+import { accountPanelToggled } from '../../store';
+import { isGuest } from '../../services/auth';
+
+// Who is signed in, with a link that opens the account panel (see AccountSection).
+const AccountFooter = () => {
+    const [{ session }, dispatch] = useStore();
+    const { account } = session;
+
+    return (
+        <div className="mt-8 text-sm text-gray-600 text-center">
+            <p>
+                {isGuest(account)
+                    ? 'Guest account: progress is only kept in this browser.'
+                    : <>Signed in as <span className="font-semibold text-gray-800">{account?.email || account?.displayName}</span>.</>}
+                {' '}
+                <button onClick={() => dispatch(accountPanelToggled(true))} className="text-blue-500 hover:underline">
+                    {isGuest(account) ? 'Create an account or sign in' : 'Manage account'}
+                </button>
+            </p>
+            <p className="mt-2">
+                <a href="https://support.google.com/chrome/answer/2693767?hl=en" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
+                    Enable microphone in Chrome
+                </a>
+                {' '}if speech recognition is not working.
+            </p>
+        </div>
+    );
+};
+
+export default AccountFooter;
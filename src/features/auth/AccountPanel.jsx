@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { isGuest, registerWithEmail, signInWithEmail, signInWithGoogle, signOutUser, describeAuthError } from '../../services/auth';
+
+// Parent/teacher account controls: create an account (keeping guest data),
+// sign into an existing one, or sign out. Signed-in accounts also see their ID,
+// which other accounts add to a reader's profile to share it.
+const AccountPanel = ({ auth, user, onAccountChanged, onClose }) => {
+    const [mode, setMode] = useState('register'); // 'register' or 'signIn'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        setMessage('');
+        try {
+            await action();
+        } catch (authError) {
+            console.error("Account error:", authError);
+            setError(describeAuthError(authError));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleEmail = () => run(async () => {
+        if (mode === 'register') {
+            await registerWithEmail(auth, email.trim(), password);
+            onAccountChanged();
+            setMessage("Account created! Your readers' progress is saved to it.");
+        } else {
+            await signInWithEmail(auth, email.trim(), password);
+            setMessage('Signed in.');
+        }
+        setPassword('');
+    });
+
+    const handleGoogle = () => run(async () => {
+        const wasGuest = isGuest(user);
+        const { linked } = await signInWithGoogle(auth);
+        onAccountChanged();
+        if (linked) {
+            setMessage("Signed in with Google. Your readers' progress is saved to this account.");
+        } else if (wasGuest) {
+            setMessage('Signed in to your existing Google account. Progress from this guest session was not moved.');
+        } else {
+            setMessage('Signed in with Google.');
+        }
+    });
+
+    const handleSignOut = () => run(async () => {
+        await signOutUser(auth);
+        onClose();
+    });
+
+    return (
+        <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6 mb-8 text-left">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-blue-800">Grown-up Account</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+
+            {user && !isGuest(user) ? (
+                <>
+                    <p className="mb-4">Signed in as <span className="font-semibold">{user.email || user.displayName}</span>.</p>
+                    <p className="mb-4 text-sm text-gray-600">
+                        Your account ID is <code className="px-1 bg-gray-100 rounded select-all break-all">{user.uid}</code>.
+                        Give it to another parent or teacher so they can share a reader's progress with you.
+                    </p>
+                    <button
+                        onClick={handleSignOut}
+                        disabled={busy}
+                        className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full font-bold shadow-md hover:bg-gray-400 disabled:opacity-60"
+                    >
+                        Sign Out
+                    </button>
+                </>
+            ) : (
+                <>
+                    <p className="mb-4 text-gray-600">
+                        You are using a guest account. Create an account so your readers' progress is not lost if this browser's data is cleared.
+                    </p>
+                    <div className="flex mb-4">
+                        <button
+                            onClick={() => setMode('register')}
+                            className={`flex-1 py-2 rounded-l-full font-semibold ${mode === 'register' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                        >
+                            Create Account
+                        </button>
+                        <button
+                            onClick={() => setMode('signIn')}
+                            className={`flex-1 py-2 rounded-r-full font-semibold ${mode === 'signIn' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                        >
+                            Sign In
+                        </button>
+                    </div>
+                    {mode === 'signIn' && (
+                        <p className="mb-3 text-sm text-orange-600">
+                            Signing into an existing account switches to that account's readers. Progress from this guest session stays behind.
+                        </p>
+                    )}
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="Email"
+                        autoComplete="email"
+                        className="w-full mb-3 p-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                        className="w-full mb-4 p-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                    <button
+                        onClick={handleEmail}
+                        disabled={busy || !email || !password}
+                        className="w-full bg-blue-600 text-white py-2 rounded-full font-bold shadow-md hover:bg-blue-700 disabled:opacity-60 mb-3"
+                    >
+                        {mode === 'register' ? 'Create Account' : 'Sign In'}
+                    </button>
+                    <button
+                        onClick={handleGoogle}
+                        disabled={busy}
+                        className="w-full bg-white border-2 border-gray-300 text-gray-800 py-2 rounded-full font-bold shadow-sm hover:bg-gray-100 disabled:opacity-60"
+                    >
+                        <i className="fab fa-google mr-2"></i> Continue with Google
+                    </button>
+                </>
+            )}
+
+            {message && <p className="mt-4 text-green-700 font-semibold">{message}</p>}
+            {error && <p className="mt-4 text-red-600 font-semibold">{error}</p>}
+        </div>
+    );
+};
+
+export default AccountPanel;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { useStore } from '../../store/useStore';
+import { accountChanged, accountPanelToggled } from '../../store';
+import { toAccount } from '../../services/auth';
+import AccountPanel from './AccountPanel';
+
+// The account panel, while it is open.
+const AccountSection = () => {
+    const [{ session, ui }, dispatch] = useStore();
+    if (!ui.showAccount) return null;
+
+    return (
+        <AccountPanel
+            auth={session.auth}
+            user={session.account}
+            onAccountChanged={() => dispatch(accountChanged(toAccount(session.auth.currentUser)))}
+            onClose={() => dispatch(accountPanelToggled(false))}
+        />
+    );
+};
+
+export default AccountSection;
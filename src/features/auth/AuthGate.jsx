@@ -0,0 +1,70 @@
+import React, { useEffect } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { useStore } from '../../store/useStore';
+import { SESSION_STATUS, firebaseReady, firebaseFailed, signedIn, signedOut, authFailed } from '../../store';
+import { initFirebase } from '../../services/firebase';
+import { signInAsGuest, toAccount, describeAuthError } from '../../services/auth';
+
+// Starts Firebase and keeps the store's session in step with the signed-in user.
+// Children render only once someone (at least a guest) is signed in.
+const AuthGate = ({ children }) => {
+    const [{ session }, dispatch] = useStore();
+
+    useEffect(() => {
+        let firebase;
+        try {
+            firebase = initFirebase();
+        } catch (error) {
+            console.error("Error during Firebase initialization:", error);
+            dispatch(firebaseFailed(error.message));
+            return;
+        }
+        dispatch(firebaseReady(firebase));
+
+        return onAuthStateChanged(firebase.auth, async (user) => {
+            if (user) {
+                dispatch(signedIn(toAccount(user)));
+                return;
+            }
+
+            // No account yet (first visit or after signing out): continue as a guest.
+            // This listener fires again once the guest account exists.
+            dispatch(signedOut());
+            try {
+                await signInAsGuest(firebase.auth);
+            } catch (error) {
+                console.error("Firebase authentication error during anonymous sign-in:", error);
+                // Never fall back to a made-up ID: data written under it could not be found again
+                dispatch(authFailed(describeAuthError(error)));
+            }
+        });
+    }, [dispatch]);
+
+    if (session.status === SESSION_STATUS.LOADING) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+                <div className="text-xl text-gray-700">Loading application...</div>
+            </div>
+        );
+    }
+
+    if (session.status === SESSION_STATUS.FAILED || !session.userId) {
+        return (
+            <div className="min-h-screen flex flex-col items-center justify-center bg-gray-100 p-4">
+                <div className="text-xl text-red-500">{session.error || 'Authentication failed or not ready. Please refresh.'}</div>
+                {session.auth && (
+                    <button
+                        onClick={() => signInAsGuest(session.auth).catch(error => dispatch(authFailed(describeAuthError(error))))}
+                        className="mt-6 bg-blue-600 text-white px-6 py-2 rounded-full font-bold shadow-md hover:bg-blue-700"
+                    >
+                        Try Again
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    return children;
+};
+
+export default AuthGate;
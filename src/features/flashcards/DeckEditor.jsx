@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { GRADE_BANDS, WORD_LEVELS, createEmptyWord, deckLanguage, patternsFor } from '../../data/decks';
+import { LANGUAGES, HOME_LANGUAGES } from '../../data/locales';
+
+// Teacher-facing editor for a single deck. Works on a local draft and only
+// hands the result back through `onSave`, so nothing is written while typing.
+// New decks start in `language`; glosses are edited one home language at a time,
+// starting with `glossLanguage` when the reader has one.
+const DeckEditor = ({ deck, language = 'en', glossLanguage, onSave, onDelete, onCancel }) => {
+    const [draft, setDraft] = useState(() => {
+        const draftLanguage = deck ? deckLanguage(deck) : language;
+        return {
+            name: deck?.name || '',
+            language: draftLanguage,
+            pattern: deck?.pattern || patternsFor(draftLanguage)[0].value,
+            gradeBand: deck?.gradeBand || 'K',
+            words: deck?.words?.length ? deck.words.map(w => ({ ...w, glosses: { ...w.glosses } })) : [createEmptyWord()],
+        };
+    });
+    const glossChoices = HOME_LANGUAGES.filter(l => l.value !== draft.language);
+    const [glossTo, setGlossTo] = useState(() => (glossChoices.some(l => l.value === glossLanguage) ? glossLanguage : glossChoices[0].value));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const updateField = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    };
+
+    // Patterns are per language, so switching language drops one that no longer fits
+    const changeLanguage = (value) => {
+        const patterns = patternsFor(value);
+        setDraft(prev => ({
+            ...prev,
+            language: value,
+            pattern: patterns.some(p => p.value === prev.pattern) ? prev.pattern : patterns[0].value,
+        }));
+        if (glossTo === value) setGlossTo(HOME_LANGUAGES.find(l => l.value !== value).value);
+    };
+
+    const updateGloss = (wordId, value) => {
+        setDraft(prev => ({
+            ...prev,
+            words: prev.words.map(w => (w.id === wordId ? { ...w, glosses: { ...w.glosses, [glossTo]: value } } : w)),
+        }));
+    };
+
+    const updateWord = (wordId, field, value) => {
+        setDraft(prev => ({
+            ...prev,
+            words: prev.words.map(w => (w.id === wordId ? { ...w, [field]: value } : w)),
+        }));
+    };
+
+    const moveWord = (index, offset) => {
+        setDraft(prev => {
+            const target = index + offset;
+            if (target < 0 || target >= prev.words.length) return prev;
+            const words = [...prev.words];
+            [words[index], words[target]] = [words[target], words[index]];
+            return { ...prev, words };
+        });
+    };
+
+    const removeWord = (wordId) => {
+        setDraft(prev => ({ ...prev, words: prev.words.filter(w => w.id !== wordId) }));
+    };
+
+    const addWord = () => {
+        setDraft(prev => ({ ...prev, words: [...prev.words, createEmptyWord()] }));
+    };
+
+    const handleSave = async () => {
+        if (!draft.name.trim()) {
+            setError('Please give the deck a name.');
+            return;
+        }
+        if (!draft.words.some(w => w.text.trim())) {
+            setError('Add at least one word to the deck.');
+            return;
+        }
+        setError('');
+        setSaving(true);
+        try {
+            await onSave(draft);
+        } catch (saveError) {
+            console.error("Error saving deck:", saveError);
+            setError(`Could not save deck: ${saveError.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="mt-6 p-6 bg-gray-50 rounded-xl shadow-inner text-left">
+            <h3 className="text-2xl font-bold text-blue-700 mb-4">{deck ? 'Edit Deck' : 'New Deck'}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+                <label className="flex flex-col font-semibold">
+                    Deck name
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => updateField('name', e.target.value)}
+                        className="mt-1 p-2 border-2 border-blue-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-400"
+                        placeholder="e.g. Short a words"
+                    />
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Language
+                    <select
+                        value={draft.language}
+                        onChange={(e) => changeLanguage(e.target.value)}
+                        className="mt-1 p-2 border-2 border-blue-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    >
+                        {LANGUAGES.map(l => (
+                            <option key={l.value} value={l.value}>{l.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Phonics pattern
+                    <select
+                        value={draft.pattern}
+                        onChange={(e) => updateField('pattern', e.target.value)}
+                        className="mt-1 p-2 border-2 border-blue-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    >
+                        {patternsFor(draft.language).map(p => (
+                            <option key={p.value} value={p.value}>{p.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Grade band
+                    <select
+                        value={draft.gradeBand}
+                        onChange={(e) => updateField('gradeBand', e.target.value)}
+                        className="mt-1 p-2 border-2 border-blue-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    >
+                        {GRADE_BANDS.map(g => (
+                            <option key={g.value} value={g.value}>{g.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h4 className="text-xl font-bold text-blue-700">Words</h4>
+                <label className="ml-auto text-sm font-semibold">
+                    Translations in{' '}
+                    <select
+                        value={glossTo}
+                        onChange={(e) => setGlossTo(e.target.value)}
+                        className="p-1 border-2 border-gray-300 rounded-lg font-normal"
+                    >
+                        {glossChoices.map(l => (
+                            <option key={l.value} value={l.value}>{l.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            {draft.words.map((word, index) => (
+                <div key={word.id} className="flex flex-wrap items-center gap-2 mb-2">
+                    <input
+                        type="text"
+                        value={word.text}
+                        onChange={(e) => updateWord(word.id, 'text', e.target.value)}
+                        className="w-32 p-2 border-2 border-gray-300 rounded-lg"
+                        placeholder="word"
+                    />
+                    <select
+                        value={word.level}
+                        onChange={(e) => updateWord(word.id, 'level', e.target.value)}
+                        className="p-2 border-2 border-gray-300 rounded-lg"
+                    >
+                        {WORD_LEVELS.map(level => (
+                            <option key={level} value={level}>{level}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={word.sentence || ''}
+                        onChange={(e) => updateWord(word.id, 'sentence', e.target.value)}
+                        className="flex-1 min-w-[12rem] p-2 border-2 border-gray-300 rounded-lg"
+                        placeholder="Example sentence"
+                    />
+                    <input
+                        type="text"
+                        value={word.glosses?.[glossTo] || ''}
+                        onChange={(e) => updateGloss(word.id, e.target.value)}
+                        className="w-32 p-2 border-2 border-gray-300 rounded-lg"
+                        placeholder="translation"
+                        lang={glossTo}
+                    />
+                    <button onClick={() => moveWord(index, -1)} disabled={index === 0} className="px-2 py-1 rounded bg-gray-200 disabled:opacity-40" aria-label="Move up">
+                        <i className="fas fa-arrow-up"></i>
+                    </button>
+                    <button onClick={() => moveWord(index, 1)} disabled={index === draft.words.length - 1} className="px-2 py-1 rounded bg-gray-200 disabled:opacity-40" aria-label="Move down">
+                        <i className="fas fa-arrow-down"></i>
+                    </button>
+                    <button onClick={() => removeWord(word.id)} className="px-2 py-1 rounded bg-red-100 text-red-700" aria-label="Delete word">
+                        <i className="fas fa-trash"></i>
+                    </button>
+                </div>
+            ))}
+            <button onClick={addWord} className="mt-2 px-4 py-2 rounded-full bg-blue-100 text-blue-800 font-semibold hover:bg-blue-200">
+                <i className="fas fa-plus mr-2"></i> Add Word
+            </button>
+
+            {error && <p className="mt-4 text-red-600 font-semibold">{error}</p>}
+
+            <div className="mt-6 flex flex-wrap gap-3">
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="bg-blue-600 text-white px-6 py-2 rounded-full font-bold shadow-md hover:bg-blue-700 disabled:opacity-60"
+                >
+                    {saving ? 'Saving...' : 'Save Deck'}
+                </button>
+                <button onClick={onCancel} className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full font-bold shadow-md hover:bg-gray-400">
+                    Cancel
+                </button>
+                {deck && onDelete && (
+                    <button
+                        onClick={() => {
+                            if (window.confirm(`Delete the deck "${deck.name}"? This cannot be undone.`)) onDelete();
+                        }}
+                        className="ml-auto bg-red-500 text-white px-6 py-2 rounded-full font-bold shadow-md hover:bg-red-600"
+                    >
+                        Delete Deck
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DeckEditor;
@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useStore } from '../../store/useStore';
+import {
+    deckSelected,
+    wordChanged,
+    flashcardFeedback,
+    flashcardCleared,
+    listeningStarted,
+    listeningStopped,
+    speechHeard,
+    pronunciationAnalyzed,
+    soundingOut as soundingOutAction,
+    soundSpoken,
+} from '../../store';
+import { selectPractice, selectDecksFor } from '../../store/selectors';
+import { pickNextWordIndex } from '../../lib/scheduler';
+import { toSpeakableSounds } from '../../lib/phonemes';
+import { gradePronunciation, needsModelFeedback, MAX_ALTERNATIVES } from '../../lib/pronunciation';
+import { GAME_TYPES } from '../../lib/games';
+import { PHONICS_PATTERNS, defaultDeckFor } from '../../data/decks';
+import { HOME_LANGUAGES, glossLanguage } from '../../data/locales';
+import { createDeck, updateDeck, deleteDeck } from '../../services/decks';
+import {
+    createRecognizer,
+    isRecognitionSupported,
+    finalAlternatives,
+    speak,
+    speakSequence,
+    createClipRecorder,
+    isRecordingSupported,
+    SPEECH_ERROR_CODES,
+} from '../../services/speech';
+import { saveAttempt } from '../../services/practice';
+import { saveRecording, pruneRecordings } from '../../services/recordings';
+import { DEFAULT_RECORDING_RETENTION_DAYS } from '../../data/profiles';
+import { contentRejectionLogger } from '../../services/moderation';
+import { analyzePronunciationChecked } from '../../services/llm';
+import DeckEditor from './DeckEditor';
+import PhonicsBreakdown from './PhonicsBreakdown';
+
+// Flashcard practice for one reader: hear the word, sound it out, read it aloud and
+// get pronunciation feedback. Every attempt is saved to the reader's progress.
+// Listening, speaking and feedback follow the reader's locale; in bilingual mode the
+// word's gloss in their home language is shown under the card. Each attempt is also
+// recorded so the child can hear it after the model word; the profile's
+// `recordingMode` decides whether the clip is kept.
+const Flashcards = ({ child }) => {
+    const [state, dispatch] = useStore();
+    const { db, appId, userId } = state.session;
+    const { progress } = state.data;
+    const { currentWordIndex, feedback, speechResult, listening, analysis, soundingOut } = state.flashcards;
+    const { locale, language, deck, words, schedule, adaptiveLevel, levelWords, isAtLevel, dueWordCount } = selectPractice(state, child);
+    const decks = selectDecksFor(state, language);
+    const defaultDeck = defaultDeckFor(language);
+    const currentWord = words[currentWordIndex];
+    const homeLanguage = HOME_LANGUAGES.find(l => l.value === glossLanguage(child));
+    const gloss = homeLanguage && currentWord?.glosses?.[homeLanguage.value];
+
+    const [showBreakdown, setShowBreakdown] = useState(false);
+    const [editingDeck, setEditingDeck] = useState(null); // null, 'new', or the deck being edited
+
+    // --- Speech Recognition ---
+    // The recognizer is built once; it reads the latest handlers through this ref, so
+    // its callbacks always see the current word and reader.
+    const recognizerRef = useRef(null);
+    const handlersRef = useRef({});
+    const heardRef = useRef(false); // Whether the current listen produced a result or error
+    const recorderRef = useRef(null);
+    const audioRef = useRef(null); // The child's clip while it plays
+
+    const [attemptClip, setAttemptClip] = useState(null); // { word, url, ... } for the latest attempt
+
+    // Object URLs hold the clip in memory until revoked
+    useEffect(() => () => {
+        if (attemptClip) URL.revokeObjectURL(attemptClip.url);
+    }, [attemptClip]);
+
+    // Saved clips past the reader's retention period are removed when practice opens
+    const retentionDays = child?.recordingRetentionDays || DEFAULT_RECORDING_RETENTION_DAYS;
+    useEffect(() => {
+        if (!appId || !userId || !child?.id) return;
+        pruneRecordings(appId, userId, child.id, retentionDays).catch(error => {
+            console.warn("Could not prune old recordings:", error);
+        });
+    }, [appId, userId, child?.id, retentionDays]);
+
+    // Syllables this child has struggled with on the current word, for the breakdown view
+    const currentWordStruggles = [...new Set(progress
+        .filter(p => p.word === currentWord?.text)
+        .flatMap(p => p.strugglingSyllables || []))];
+
+    // --- Pronunciation Analysis: local phonemes, optional LLM explanation ---
+    // `alternatives` are the recognizer's guesses, best first: [{ transcript, confidence }].
+    // `clipRecorded` resolves with the recording of the attempt, or null.
+    const analyzePronunciation = async (alternatives, expectedWord, clipRecorded) => {
+        const spokenText = alternatives[0].transcript;
+        dispatch(flashcardFeedback('Analyzing pronunciation...'));
+        if (!db || !userId || !appId || !child) {
+            dispatch(flashcardFeedback('Error: Authentication, app ID or reader missing for analysis. Please refresh.'));
+            return;
+        }
+
+        // Local phoneme comparison gives instant feedback and works offline. Low
+        // confidence, or the word only among the lower-ranked guesses, is "close".
+        const localAnalysis = gradePronunciation(expectedWord, alternatives, locale);
+        dispatch(pronunciationAnalyzed(localAnalysis.feedback));
+
+        // Opted-in readers keep a copy of the clip, linked from the attempt. The clip
+        // is stored in the background, so the attempt is saved straight away.
+        const clip = await clipRecorded;
+        let recording = null;
+        if (clip) {
+            try {
+                const stored = saveRecording(appId, userId, child, clip);
+                if (stored) {
+                    recording = stored.recording;
+                    stored.saved.catch(error => console.warn("Could not save the recording:", error));
+                }
+            } catch (error) {
+                console.warn("Could not save the recording:", error);
+            }
+        }
+
+        saveAttempt(db, appId, userId, child.id, {
+            word: expectedWord,
+            level: words.find(w => w.text === expectedWord)?.level || null,
+            spoken: spokenText,
+            correct: localAnalysis.isCorrect,
+            verdict: localAnalysis.verdict,
+            confidence: localAnalysis.confidence,
+            alternatives: alternatives.slice(0, MAX_ALTERNATIVES).map(({ transcript, confidence }) => ({ transcript, confidence: confidence ?? null })),
+            strugglingSyllables: localAnalysis.strugglingSyllables,
+            feedbackSource: 'local',
+            game: GAME_TYPES.FLASHCARD,
+            ...(recording && { recording }),
+        }).catch(error => {
+            console.error("Firestore write error:", error);
+            dispatch(flashcardFeedback(`Error saving progress: ${error.message}.`));
+        });
+
+        // The model is only asked about a miss the local hints cannot explain, which
+        // keeps within the proxy's per-minute limit. Correctness stays local, and
+        // model feedback that disagrees with it is not shown.
+        if (!navigator.onLine || !needsModelFeedback(localAnalysis)) return;
+        try {
+            const onReject = contentRejectionLogger(db, appId, userId, child.id);
+            const llmFeedback = await analyzePronunciationChecked({ spokenText, expectedWord, locale, onReject });
+            if (llmFeedback.feedback && llmFeedback.isCorrect === localAnalysis.isCorrect) {
+                dispatch(pronunciationAnalyzed(llmFeedback.feedback));
+            }
+        } catch (error) {
+            console.warn("LLM pronunciation feedback unavailable, keeping local analysis:", error);
+        }
+    };
+
+    useEffect(() => {
+        handlersRef.current = {
+            onStart: () => {
+                heardRef.current = false;
+                dispatch(listeningStarted());
+            },
+            onResult: (results) => {
+                const alternatives = finalAlternatives(results);
+                if (!alternatives[0]?.transcript) return;
+                heardRef.current = true;
+                dispatch(speechHeard(alternatives[0].transcript));
+                // The attempt is over once the recognizer has a final result
+                const clipRecorded = recorderRef.current ? recorderRef.current.stop() : Promise.resolve(null);
+                if (currentWord) {
+                    const word = currentWord.text;
+                    clipRecorded.then(clip => clip && setAttemptClip({ ...clip, word, url: URL.createObjectURL(clip.blob) }));
+                    analyzePronunciation(alternatives, word, clipRecorded);
+                }
+            },
+            onError: (error) => {
+                console.error("Speech recognition error:", error);
+                heardRef.current = true;
+                dispatch(listeningStopped());
+                // Provide user-friendly feedback based on common errors
+                if (error.code === SPEECH_ERROR_CODES.NOT_ALLOWED) {
+                    dispatch(flashcardFeedback("Microphone access denied. Please allow microphone permissions in your browser settings."));
+                } else if (error.code === SPEECH_ERROR_CODES.NO_SPEECH) {
+                    dispatch(flashcardFeedback("No speech detected. Please try speaking louder or clearer."));
+                } else {
+                    dispatch(flashcardFeedback(`Speech recognition error: ${error.code}. Please try again.`));
+                }
+            },
+            onEnd: () => {
+                recorderRef.current?.cancel(); // Only a listen that ended without a result is still recording
+                dispatch(listeningStopped());
+                if (!heardRef.current) dispatch(flashcardFeedback('No speech detected or recognized. Please try again.'));
+            },
+        };
+    });
+
+    useEffect(() => {
+        if (!isRecognitionSupported()) {
+            console.warn("No speech engine available in this browser.");
+            dispatch(flashcardFeedback("Speech recognition not supported in your browser (Chrome recommended)."));
+            return;
+        }
+        const recognizer = createRecognizer(() => handlersRef.current, { lang: locale, maxAlternatives: MAX_ALTERNATIVES });
+        recognizerRef.current = recognizer;
+        const recorder = isRecordingSupported() ? createClipRecorder() : null;
+        recorderRef.current = recorder;
+        return () => {
+            handlersRef.current = {}; // Leaving the screen is not a failed attempt
+            recognizer.abort();
+            recorder?.cancel();
+            recognizerRef.current = null;
+            recorderRef.current = null;
+        };
+    }, [dispatch, locale]);
+
+    const startListening = () => {
+        if (!recognizerRef.current) {
+            dispatch(flashcardFeedback("Speech recognition not available. Please use a compatible browser like Chrome."));
+            return;
+        }
+        dispatch(flashcardCleared());
+        try {
+            recognizerRef.current.start();
+            recorderRef.current?.start().catch(error => {
+                console.warn("Could not record the attempt:", error);
+            });
+        } catch (error) {
+            console.error("Error starting speech recognition:", error);
+            dispatch(flashcardFeedback("Microphone access denied or already listening. Please ensure microphone permissions are granted and refresh."));
+        }
+    };
+
+    // --- Text-to-Speech ---
+    const speakWord = (text, lang = locale) => {
+        if (!speak(text, { lang })) {
+            console.warn("Speech Synthesis not available to speak the word.");
+            dispatch(flashcardFeedback("Speech Synthesis not available to hear the word."));
+        }
+    };
+
+    // Says each sound, then blends them: "c-a-t, cat". `active` is the sound being
+    // spoken, or the number of sounds once the whole word is being blended.
+    const speakSegmented = (text) => {
+        if (!text) return;
+        const sounds = toSpeakableSounds(text, locale);
+        const started = speakSequence([...sounds.map(sound => sound.say), text], {
+            lang: locale,
+            rateFor: (index) => (index < sounds.length ? 0.7 : 0.8), // Slow, clear sounds before the blend
+            onPart: (index) => dispatch(soundSpoken(index)),
+            onDone: () => dispatch(soundingOutAction(null)),
+        });
+        if (started) dispatch(soundingOutAction(sounds.map(sound => sound.grapheme)));
+        else dispatch(flashcardFeedback("Speech Synthesis not available to hear the word."));
+    };
+
+    // --- Hearing Themselves ---
+    const playClip = () => {
+        audioRef.current?.pause();
+        audioRef.current = new Audio(attemptClip.url);
+        audioRef.current.play().catch(error => {
+            console.warn("Could not play the recording:", error);
+            dispatch(flashcardFeedback("Your recording could not be played."));
+        });
+    };
+
+    // The model word first, then the child's attempt straight after, to compare
+    const compareWithModel = () => {
+        const started = speakSequence([attemptClip.word], { lang: locale, onDone: playClip });
+        if (!started) playClip();
+    };
+
+    // --- Spaced Repetition ---
+    const goToNextWord = () => {
+        dispatch(wordChanged(pickNextWordIndex(words, schedule, currentWordIndex, isAtLevel)));
+    };
+
+    // --- Deck Selection and Editing ---
+    const saveDeck = async (draft) => {
+        if (editingDeck === 'new') {
+            const newDeckId = await createDeck(db, appId, userId, draft);
+            dispatch(deckSelected(newDeckId));
+        } else {
+            await updateDeck(db, appId, editingDeck.id, draft);
+            dispatch(wordChanged(0));
+        }
+        setEditingDeck(null);
+    };
+
+    const removeDeck = async () => {
+        try {
+            await deleteDeck(db, appId, editingDeck.id);
+            setEditingDeck(null);
+            dispatch(deckSelected(defaultDeck.id));
+        } catch (error) {
+            console.error("Error deleting deck:", error);
+            dispatch(flashcardFeedback(`Could not delete deck: ${error.message}`));
+        }
+    };
+
+    return (
+        <div className="text-center">
+            <h2 className="text-3xl font-bold text-blue-700 mb-2">Phonics Flashcards</h2>
+            <p className="text-gray-600 text-md mb-6">
+                {levelWords.length > 0 && <span className="font-semibold capitalize">{adaptiveLevel.wordLevel} words &middot; </span>}
+                {dueWordCount > 0
+                    ? `${dueWordCount} word${dueWordCount === 1 ? '' : 's'} ready to review`
+                    : 'All caught up! Extra practice for today.'}
+            </p>
+            <div className="mb-6 flex flex-wrap items-center justify-center gap-3">
+                <label htmlFor="deckPicker" className="font-semibold text-lg">Deck:</label>
+                <select
+                    id="deckPicker"
+                    value={deck.id}
+                    onChange={(e) => dispatch(deckSelected(e.target.value))}
+                    className="p-3 border-2 border-blue-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                >
+                    {decks.length === 0 && <option value={defaultDeck.id}>{defaultDeck.name}</option>}
+                    {decks.map(d => (
+                        <option key={d.id} value={d.id}>
+                            {d.name} ({PHONICS_PATTERNS.find(p => p.value === d.pattern)?.label || d.pattern}, {d.gradeBand})
+                        </option>
+                    ))}
+                </select>
+                {!deck.builtIn && deck.createdBy === userId && (
+                    <button
+                        onClick={() => setEditingDeck(deck)}
+                        className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-blue-500 hover:text-white transition-all duration-200"
+                    >
+                        <i className="fas fa-edit mr-2"></i> Edit Deck
+                    </button>
+                )}
+                <button
+                    onClick={() => setEditingDeck('new')}
+                    className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-blue-500 hover:text-white transition-all duration-200"
+                >
+                    <i className="fas fa-plus mr-2"></i> New Deck
+                </button>
+            </div>
+            {editingDeck && (
+                <DeckEditor
+                    key={editingDeck === 'new' ? 'new' : editingDeck.id}
+                    deck={editingDeck === 'new' ? null : editingDeck}
+                    language={language}
+                    glossLanguage={homeLanguage?.value}
+                    onSave={saveDeck}
+                    onDelete={editingDeck === 'new' ? null : removeDeck}
+                    onCancel={() => setEditingDeck(null)}
+                />
+            )}
+            <div className="min-h-[150px] bg-blue-50 border-4 border-blue-300 rounded-3xl flex items-center justify-center p-6 shadow-inner mb-6 transition-all duration-300 transform hover:scale-100">
+                <p className="text-7xl md:text-8xl font-black text-blue-900 drop-shadow-lg select-none">
+                    {currentWord?.text || 'Loading...'}
+                </p>
+            </div>
+            {gloss && (
+                <p className="-mt-3 mb-6 text-2xl text-gray-600" lang={homeLanguage.value}>
+                    {homeLanguage.label}: <span className="font-semibold">{gloss}</span>
+                    <button
+                        onClick={() => speakWord(gloss, homeLanguage.voice)}
+                        className="ml-2 text-blue-500 hover:text-blue-700"
+                        aria-label={`Hear "${gloss}"`}
+                    >
+                        <i className="fas fa-volume-up"></i>
+                    </button>
+                </p>
+            )}
+            {showBreakdown && currentWord && (
+                <PhonicsBreakdown
+                    word={currentWord.text}
+                    locale={locale}
+                    strugglingSyllables={currentWordStruggles}
+                    onSpeakSound={speakWord}
+                />
+            )}
+            {soundingOut && (
+                <p className="-mt-3 mb-4 text-3xl font-bold text-blue-700" aria-live="polite">
+                    {soundingOut.graphemes.map((grapheme, index) => (
+                        <span key={index} className={index === soundingOut.active ? 'text-orange-500' : ''}>
+                            {index > 0 && '-'}{grapheme}
+                        </span>
+                    ))}
+                    <span className={soundingOut.active === soundingOut.graphemes.length ? 'text-orange-500' : ''}>, {currentWord?.text}</span>
+                </p>
+            )}
+            {currentWord?.sentence && (
+                <p className="-mt-3 mb-6 text-xl text-blue-800 italic">{currentWord.sentence}</p>
+            )}
+            <div className="flex flex-col md:flex-row justify-center items-center gap-4 mb-6">
+                <button
+                    onClick={() => speakWord(currentWord?.text)}
+                    className="bg-blue-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-blue-600 transition-all duration-300 transform hover:scale-105 flex items-center justify-center"
+                >
+                    <i className="fas fa-volume-up mr-2"></i> Hear Word
+                </button>
+                <button
+                    onClick={() => speakSegmented(currentWord?.text)}
+                    className="bg-blue-400 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-blue-500 transition-all duration-300 transform hover:scale-105 flex items-center justify-center"
+                >
+                    <i className="fas fa-puzzle-piece mr-2"></i> Sound It Out
+                </button>
+                <button
+                    onClick={() => setShowBreakdown(prev => !prev)}
+                    className={`px-6 py-3 rounded-full text-lg font-bold shadow-lg transition-all duration-300 transform hover:scale-105 flex items-center justify-center ${showBreakdown ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-purple-100 text-purple-800 hover:bg-purple-200'}`}
+                    aria-pressed={showBreakdown}
+                >
+                    <i className="fas fa-th-large mr-2"></i> {showBreakdown ? 'Hide Sounds' : 'Show Sounds'}
+                </button>
+                <button
+                    onClick={startListening}
+                    className={`bg-green-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-green-600 transition-all duration-300 transform hover:scale-105 flex items-center justify-center ${listening ? 'opacity-70 cursor-not-allowed' : ''}`}
+                    disabled={listening}
+                >
+                    {listening ? (
+                        <>
+                            <i className="fas fa-microphone-alt mr-2 animate-pulse"></i> Listening...
+                        </>
+                    ) : (
+                        <>
+                            <i className="fas fa-microphone mr-2"></i> Read Word
+                        </>
+                    )}
+                </button>
+                <button
+                    onClick={goToNextWord}
+                    className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-gray-400 transition-all duration-300 transform hover:scale-105 flex items-center justify-center"
+                >
+                    Next Word <i className="fas fa-arrow-right ml-2"></i>
+                </button>
+            </div>
+
+            {feedback && (
+                <p className="mt-4 p-3 bg-blue-50 rounded-lg text-blue-700 text-lg font-semibold shadow-inner">{feedback}</p>
+            )}
+            {speechResult && (
+                <p className="mt-2 text-gray-600 text-md">You said: "<span className="font-bold text-gray-800">{speechResult}</span>"</p>
+            )}
+            {attemptClip && attemptClip.word === currentWord?.text && !listening && (
+                <div className="mt-3 flex flex-wrap justify-center gap-3">
+                    <button
+                        onClick={compareWithModel}
+                        className="bg-teal-500 text-white px-5 py-2 rounded-full text-md font-bold shadow-md hover:bg-teal-600 transition-all duration-300 transform hover:scale-105"
+                    >
+                        <i className="fas fa-exchange-alt mr-2"></i> Hear Both
+                    </button>
+                    <button
+                        onClick={playClip}
+                        className="bg-teal-100 text-teal-800 px-5 py-2 rounded-full text-md font-bold shadow-md hover:bg-teal-200 transition-all duration-300 transform hover:scale-105"
+                    >
+                        <i className="fas fa-child mr-2"></i> My Voice
+                    </button>
+                </div>
+            )}
+            {analysis && (
+                <div className="mt-4 p-4 bg-blue-100 rounded-lg shadow-md text-left text-lg">
+                    <h4 className="font-bold text-blue-800">Analysis:</h4>
+                    <p className="whitespace-pre-wrap">{analysis}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Flashcards;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { toPhonicsBreakdown, UNIT_TYPES } from '../../lib/phonemes';
+
+const TYPE_STYLES = {
+    [UNIT_TYPES.VOWEL]: { className: 'bg-red-100 text-red-700 border-red-300', label: 'Vowel sound' },
+    [UNIT_TYPES.CONSONANT]: { className: 'bg-blue-100 text-blue-800 border-blue-300', label: 'Consonant' },
+    [UNIT_TYPES.BLEND]: { className: 'bg-green-100 text-green-800 border-green-300', label: 'Blend' },
+    [UNIT_TYPES.DIGRAPH]: { className: 'bg-purple-100 text-purple-800 border-purple-300', label: 'Digraph' },
+    [UNIT_TYPES.SILENT]: { className: 'bg-gray-100 text-gray-400 border-gray-300 border-dashed', label: 'Silent letter' },
+};
+
+// True when a syllable matches one the child has struggled with. LLM feedback may
+// split syllables differently, so containment either way counts.
+const isStruggling = (syllable, strugglingSyllables) => strugglingSyllables.some(s => {
+    const target = s.toLowerCase().replace(/[^\p{L}]/gu, '');
+    return target === syllable || (target.length > 1 && (syllable.includes(target) || target.includes(syllable)));
+});
+
+// Flashcard word split into colour-coded graphemes grouped by syllable. Tapping a
+// segment speaks its sound; syllables the child often struggles with are ringed.
+// `locale` picks the phonics rules the word is split with.
+const PhonicsBreakdown = ({ word, locale, strugglingSyllables, onSpeakSound }) => {
+    const units = toPhonicsBreakdown(word, locale);
+    const syllables = [];
+    units.forEach(unit => {
+        syllables[unit.syllable] = syllables[unit.syllable] || [];
+        syllables[unit.syllable].push(unit);
+    });
+
+    return (
+        <div className="mb-6">
+            <div className="flex flex-wrap justify-center items-center gap-3">
+                {syllables.filter(Boolean).map((syllableUnits, sIndex) => {
+                    const text = syllableUnits.map(u => u.grapheme).join('');
+                    const struggling = isStruggling(text, strugglingSyllables);
+                    return (
+                        <React.Fragment key={sIndex}>
+                            {sIndex > 0 && <span className="text-3xl text-gray-400 select-none">&middot;</span>}
+                            <div
+                                className={`flex gap-1 p-2 rounded-2xl ${struggling ? 'ring-4 ring-orange-400 bg-orange-50' : ''}`}
+                                title={struggling ? 'Tricky syllable: practise this one!' : undefined}
+                            >
+                                {syllableUnits.map((unit, uIndex) => (
+                                    <button
+                                        key={uIndex}
+                                        onClick={() => unit.say && onSpeakSound(unit.say)}
+                                        disabled={!unit.say}
+                                        className={`min-w-[3rem] px-3 py-2 text-4xl font-black rounded-xl border-2 shadow-sm transition-transform duration-150 hover:scale-110 ${TYPE_STYLES[unit.type].className}`}
+                                        aria-label={`${unit.grapheme}: ${TYPE_STYLES[unit.type].label}`}
+                                    >
+                                        {unit.grapheme}
+                                    </button>
+                                ))}
+                            </div>
+                        </React.Fragment>
+                    );
+                })}
+            </div>
+            <div className="mt-3 flex flex-wrap justify-center gap-3 text-sm">
+                {Object.entries(TYPE_STYLES).map(([type, style]) => (
+                    <span key={type} className={`px-2 py-0.5 rounded border ${style.className}`}>{style.label}</span>
+                ))}
+                {strugglingSyllables.length > 0 && (
+                    <span className="px-2 py-0.5 rounded ring-2 ring-orange-400 bg-orange-50">Tricky syllable</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PhonicsBreakdown;
@@ -0,0 +1,124 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { rootReducer, initialState, readerSelected, flashcardCleared, listeningStarted, listeningStopped, speechHeard, pronunciationAnalyzed, flashcardFeedback } from '../../store';
+import { createFakeEngine, setSpeechEngine, createRecognizer, finalAlternatives, SPEECH_ERROR_CODES } from '../../services/speech';
+import { gradePronunciation, PRONUNCIATION_VERDICTS, MAX_ALTERNATIVES } from '../../lib/pronunciation';
+import { buildSchedule } from '../../lib/scheduler';
+
+// The flashcard screen's listen -> grade -> save loop without a browser: a scripted
+// engine stands in for the microphone, the handlers do what Flashcards.jsx does with
+// the local grader, and attempts are collected instead of written to Firestore.
+const createFlashcardSession = ({ script, locale = 'en-US' }) => {
+    const engine = createFakeEngine({ script });
+    setSpeechEngine(engine);
+    const session = { state: rootReducer(initialState, readerSelected('c1')), saved: [] };
+    const dispatch = (action) => {
+        session.state = rootReducer(session.state, action);
+    };
+
+    let word = null;
+    let heard = false;
+    let ended = null;
+    const handlers = {
+        onStart: () => {
+            heard = false;
+            dispatch(listeningStarted());
+        },
+        onResult: (results) => {
+            const alternatives = finalAlternatives(results);
+            if (!alternatives[0]?.transcript) return;
+            heard = true;
+            dispatch(speechHeard(alternatives[0].transcript));
+            const analysis = gradePronunciation(word, alternatives, locale);
+            dispatch(pronunciationAnalyzed(analysis.feedback));
+            session.saved.push({
+                word,
+                spoken: alternatives[0].transcript,
+                correct: analysis.isCorrect,
+                verdict: analysis.verdict,
+                confidence: analysis.confidence,
+                alternatives: alternatives.slice(0, MAX_ALTERNATIVES),
+                strugglingSyllables: analysis.strugglingSyllables,
+                timestamp: Date.now() + session.saved.length,
+            });
+        },
+        onError: (error) => {
+            heard = true;
+            dispatch(listeningStopped());
+            if (error.code === SPEECH_ERROR_CODES.NO_SPEECH) dispatch(flashcardFeedback('No speech detected. Please try speaking louder or clearer.'));
+        },
+        onEnd: () => {
+            dispatch(listeningStopped());
+            if (!heard) dispatch(flashcardFeedback('No speech detected or recognized. Please try again.'));
+            ended();
+        },
+    };
+    const recognizer = createRecognizer(() => handlers, { lang: locale, maxAlternatives: MAX_ALTERNATIVES });
+
+    // Reads one card: resolves once the listen has ended
+    session.read = (cardWord) => new Promise(resolve => {
+        word = cardWord;
+        ended = resolve;
+        dispatch(flashcardCleared());
+        recognizer.start();
+    });
+    session.engine = engine;
+    return session;
+};
+
+describe('flashcard flow with the fake engine', () => {
+    afterEach(() => setSpeechEngine(null));
+
+    it('grades a clear read as correct and shows the feedback', async () => {
+        const session = createFlashcardSession({ script: ['cat'] });
+        await session.read('cat');
+
+        expect(session.state.flashcards).toMatchObject({ listening: false, speechResult: 'cat' });
+        expect(session.state.flashcards.feedback).toBe(session.state.flashcards.analysis);
+        expect(session.saved).toEqual([expect.objectContaining({ word: 'cat', correct: true, verdict: PRONUNCIATION_VERDICTS.CORRECT, confidence: 1 })]);
+    });
+
+    it('treats an unsure or lower-ranked match as close, not a miss', async () => {
+        const session = createFlashcardSession({
+            script: [
+                { transcript: 'cat', confidence: 0.3 },
+                { transcript: 'cap', confidence: 0.9, alternatives: [{ transcript: 'cat', confidence: 0.6 }] },
+            ],
+        });
+        await session.read('cat');
+        await session.read('cat');
+
+        expect(session.saved.map(attempt => [attempt.correct, attempt.verdict])).toEqual([
+            [false, PRONUNCIATION_VERDICTS.CLOSE],
+            [false, PRONUNCIATION_VERDICTS.CLOSE],
+        ]);
+        // Close attempts neither promote nor demote the word
+        expect(buildSchedule(session.saved).cat).toMatchObject({ box: 0, lapses: 0, attempts: 2 });
+    });
+
+    it('grades a different word as incorrect and counts a lapse', async () => {
+        const session = createFlashcardSession({ script: ['cat', 'dog'] });
+        await session.read('cat');
+        await session.read('cat');
+
+        expect(session.saved.map(attempt => attempt.verdict)).toEqual([PRONUNCIATION_VERDICTS.CORRECT, PRONUNCIATION_VERDICTS.INCORRECT]);
+        expect(session.state.flashcards.speechResult).toBe('dog');
+        expect(buildSchedule(session.saved).cat).toMatchObject({ box: 0, lapses: 1, attempts: 2 });
+    });
+
+    it('saves nothing when the child says nothing', async () => {
+        const session = createFlashcardSession({ script: [{ error: SPEECH_ERROR_CODES.NO_SPEECH }] });
+        await session.read('cat');
+        await session.read('cat'); // The script has run out: silence again
+
+        expect(session.saved).toEqual([]);
+        expect(session.engine.listens).toBe(2);
+        expect(session.state.flashcards).toMatchObject({ listening: false, speechResult: '', feedback: 'No speech detected. Please try speaking louder or clearer.' });
+    });
+
+    it('grades with the reader\'s locale', async () => {
+        const session = createFlashcardSession({ script: ['perro'], locale: 'es-MX' });
+        await session.read('perro');
+
+        expect(session.saved[0]).toMatchObject({ word: 'perro', correct: true });
+    });
+});
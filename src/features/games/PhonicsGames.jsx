@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import {
+    GAME_TYPES,
+    MATCH_MODES,
+    buildMinimalPairRound,
+    buildWordBuildingRound,
+    checkBuiltWord,
+    buildMatchRound,
+} from '../../lib/games';
+
+const GAMES = [
+    { value: GAME_TYPES.MINIMAL_PAIRS, label: 'Listen & Pick', icon: 'fa-headphones' },
+    { value: GAME_TYPES.WORD_BUILDING, label: 'Build a Word', icon: 'fa-puzzle-piece' },
+    { value: GAME_TYPES.RHYME_MATCH, label: 'Sound Match', icon: 'fa-music' },
+];
+
+const bigButtonClass = "px-6 py-4 rounded-2xl text-3xl font-black border-4 shadow-md transition-all duration-200 transform hover:scale-105";
+const actionButtonClass = "px-6 py-3 rounded-full text-lg font-bold shadow-lg transition-all duration-300 transform hover:scale-105";
+
+const Outcome = ({ correct, children }) => (
+    <p className={`mt-6 text-2xl font-bold ${correct ? 'text-green-600' : 'text-orange-600'}`}>
+        <i className={`fas ${correct ? 'fa-star' : 'fa-redo'} mr-2`}></i>
+        {children}
+    </p>
+);
+
+// "Did you hear ship or chip?" The child listens and taps the word they heard.
+const MinimalPairsGame = ({ words, locale, onSpeak, onResult }) => {
+    const [round, setRound] = useState(() => buildMinimalPairRound(words, locale));
+    const [choice, setChoice] = useState(null);
+
+    const choose = (option) => {
+        if (choice) return;
+        setChoice(option);
+        onResult({ game: GAME_TYPES.MINIMAL_PAIRS, word: round.target, answer: option, correct: option === round.target });
+    };
+
+    const next = () => {
+        const nextRound = buildMinimalPairRound(words, locale);
+        setRound(nextRound);
+        setChoice(null);
+        onSpeak(nextRound.target);
+    };
+
+    return (
+        <div>
+            <p className="text-xl mb-4">Listen carefully. Which word did you hear?</p>
+            <button onClick={() => onSpeak(round.target)} className={`${actionButtonClass} bg-blue-500 text-white hover:bg-blue-600 mb-6`}>
+                <i className="fas fa-volume-up mr-2"></i> Hear It
+            </button>
+            <div className="flex justify-center gap-6">
+                {round.options.map(option => {
+                    const state = !choice ? 'bg-white border-blue-300 hover:bg-blue-50'
+                        : option === round.target ? 'bg-green-100 border-green-500'
+                            : option === choice ? 'bg-orange-100 border-orange-400' : 'bg-white border-gray-200 opacity-60';
+                    return (
+                        <button key={option} onClick={() => choose(option)} className={`${bigButtonClass} ${state}`}>
+                            {option}
+                        </button>
+                    );
+                })}
+            </div>
+            {choice && (
+                <>
+                    <Outcome correct={choice === round.target}>
+                        {choice === round.target ? 'You heard it!' : `It was "${round.target}". Listen to both again!`}
+                    </Outcome>
+                    <button onClick={next} className={`${actionButtonClass} bg-orange-500 text-white hover:bg-orange-600 mt-4`}>
+                        Next <i className="fas fa-arrow-right ml-2"></i>
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Build the word from letter tiles: drag tiles into the slots, or tap them on a tablet.
+const WordBuildingGame = ({ words, locale, onSpeak, onResult }) => {
+    const [round, setRound] = useState(() => buildWordBuildingRound(words, locale));
+    const [placed, setPlaced] = useState([]); // Tile ids, in slot order
+    const [checked, setChecked] = useState(null); // null until checked, then true/false
+
+    const placedTiles = placed.map(id => round.tiles.find(tile => tile.id === id));
+    const spareTiles = round.tiles.filter(tile => !placed.includes(tile.id));
+
+    const place = (id) => {
+        if (checked !== null || placed.includes(id) || placed.length >= round.graphemes.length) return;
+        setPlaced([...placed, id]);
+    };
+
+    const remove = (id) => {
+        if (checked !== null) return;
+        setPlaced(placed.filter(placedId => placedId !== id));
+    };
+
+    const check = () => {
+        const correct = checkBuiltWord(round, placedTiles.map(tile => tile.grapheme));
+        setChecked(correct);
+        onResult({ game: GAME_TYPES.WORD_BUILDING, word: round.word, answer: placedTiles.map(tile => tile.grapheme).join(''), correct });
+        if (correct) onSpeak(round.word);
+    };
+
+    const next = () => {
+        setRound(buildWordBuildingRound(words, locale));
+        setPlaced([]);
+        setChecked(null);
+    };
+
+    const tileClass = "min-w-[3.5rem] px-3 py-2 text-3xl font-black rounded-xl border-2 shadow-sm bg-yellow-100 border-yellow-400 cursor-grab";
+
+    return (
+        <div>
+            <p className="text-xl mb-4">Listen, then build the word with the tiles.</p>
+            <button onClick={() => onSpeak(round.word)} className={`${actionButtonClass} bg-blue-500 text-white hover:bg-blue-600 mb-6`}>
+                <i className="fas fa-volume-up mr-2"></i> Hear the Word
+            </button>
+
+            <div
+                className="flex justify-center gap-2 mb-6 p-4 rounded-2xl bg-blue-50 min-h-[5rem]"
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => place(Number(e.dataTransfer.getData('text/plain')))}
+            >
+                {round.graphemes.map((_, index) => {
+                    const tile = placedTiles[index];
+                    return tile ? (
+                        <button key={index} onClick={() => remove(tile.id)} className={tileClass} aria-label={`Remove ${tile.grapheme}`}>
+                            {tile.grapheme}
+                        </button>
+                    ) : (
+                        <span key={index} className="min-w-[3.5rem] h-14 rounded-xl border-2 border-dashed border-blue-300"></span>
+                    );
+                })}
+            </div>
+
+            <div className="flex flex-wrap justify-center gap-2 mb-6">
+                {spareTiles.map(tile => (
+                    <button
+                        key={tile.id}
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', String(tile.id))}
+                        onClick={() => place(tile.id)}
+                        className={tileClass}
+                    >
+                        {tile.grapheme}
+                    </button>
+                ))}
+            </div>
+
+            {checked === null ? (
+                <button
+                    onClick={check}
+                    disabled={placed.length < round.graphemes.length}
+                    className={`${actionButtonClass} bg-green-500 text-white hover:bg-green-600 disabled:opacity-50`}
+                >
+                    <i className="fas fa-check mr-2"></i> Check
+                </button>
+            ) : (
+                <>
+                    <Outcome correct={checked}>
+                        {checked ? `You built "${round.word}"!` : `Almost! It is spelled ${round.graphemes.join(' - ')}.`}
+                    </Outcome>
+                    <button onClick={next} className={`${actionButtonClass} bg-orange-500 text-white hover:bg-orange-600 mt-4`}>
+                        Next <i className="fas fa-arrow-right ml-2"></i>
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Find the word that rhymes with (or starts like) the target word.
+const SoundMatchGame = ({ words, locale, onSpeak, onResult }) => {
+    const [mode, setMode] = useState(MATCH_MODES.RHYME);
+    const [round, setRound] = useState(() => buildMatchRound(words, MATCH_MODES.RHYME, locale));
+    const [choice, setChoice] = useState(null);
+
+    const newRound = (nextMode) => {
+        setMode(nextMode);
+        setRound(buildMatchRound(words, nextMode, locale));
+        setChoice(null);
+    };
+
+    const choose = (option) => {
+        if (choice) return;
+        setChoice(option);
+        onResult({ game: GAME_TYPES.RHYME_MATCH, word: round.target, answer: option, correct: option === round.answer, mode });
+    };
+
+    if (!round) return <p className="text-gray-600">Not enough words in this deck for this game yet.</p>;
+
+    return (
+        <div>
+            <div className="flex justify-center gap-3 mb-4">
+                {[{ value: MATCH_MODES.RHYME, label: 'Rhymes' }, { value: MATCH_MODES.ONSET, label: 'Same Start' }].map(option => (
+                    <button
+                        key={option.value}
+                        onClick={() => newRound(option.value)}
+                        className={`px-4 py-2 rounded-full font-semibold ${mode === option.value ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-purple-200'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+            <p className="text-xl mb-2">
+                {mode === MATCH_MODES.RHYME ? 'Which word rhymes with' : 'Which word starts with the same sound as'}
+            </p>
+            <button onClick={() => onSpeak(round.target)} className="text-5xl font-black text-purple-700 mb-6 hover:underline">
+                {round.target} <i className="fas fa-volume-up text-2xl"></i>
+            </button>
+            <div className="flex flex-wrap justify-center gap-4">
+                {round.options.map(option => {
+                    const state = !choice ? 'bg-white border-purple-300 hover:bg-purple-50'
+                        : option === round.answer ? 'bg-green-100 border-green-500'
+                            : option === choice ? 'bg-orange-100 border-orange-400' : 'bg-white border-gray-200 opacity-60';
+                    return (
+                        <button
+                            key={option}
+                            onClick={() => {
+                                onSpeak(option);
+                                choose(option);
+                            }}
+                            className={`${bigButtonClass} ${state}`}
+                        >
+                            {option}
+                        </button>
+                    );
+                })}
+            </div>
+            {choice && (
+                <>
+                    <Outcome correct={choice === round.answer}>
+                        {choice === round.answer
+                            ? `Yes! "${round.target}" and "${round.answer}" ${mode === MATCH_MODES.RHYME ? 'rhyme' : 'start the same'}.`
+                            : `Try listening again: "${round.target}" and "${round.answer}".`}
+                    </Outcome>
+                    <button onClick={() => newRound(mode)} className={`${actionButtonClass} bg-orange-500 text-white hover:bg-orange-600 mt-4`}>
+                        Next <i className="fas fa-arrow-right ml-2"></i>
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+const GAME_COMPONENTS = {
+    [GAME_TYPES.MINIMAL_PAIRS]: MinimalPairsGame,
+    [GAME_TYPES.WORD_BUILDING]: WordBuildingGame,
+    [GAME_TYPES.RHYME_MATCH]: SoundMatchGame,
+};
+
+// Games area built on the active deck. Every answer goes to `onResult` so it is saved
+// with the child's flashcard progress. `locale` picks the sound rules and word banks.
+const PhonicsGames = ({ words, deckId, locale, onSpeak, onResult }) => {
+    const [game, setGame] = useState(GAME_TYPES.MINIMAL_PAIRS);
+    const Game = GAME_COMPONENTS[game];
+
+    return (
+        <div className="text-center">
+            <h2 className="text-3xl font-bold text-green-700 mb-6">Phonics Games</h2>
+            <div className="flex flex-wrap justify-center gap-3 mb-8">
+                {GAMES.map(option => (
+                    <button
+                        key={option.value}
+                        onClick={() => setGame(option.value)}
+                        className={`px-5 py-2 rounded-full text-lg font-semibold transition-all duration-200 ${game === option.value ? 'bg-green-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-green-200'}`}
+                    >
+                        <i className={`fas ${option.icon} mr-2`}></i> {option.label}
+                    </button>
+                ))}
+            </div>
+            {/* A new deck starts a fresh round */}
+            <Game key={`${game}-${deckId}`} words={words} locale={locale} onSpeak={onSpeak} onResult={onResult} />
+        </div>
+    );
+};
+
+export default PhonicsGames;
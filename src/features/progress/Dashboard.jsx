@@ -0,0 +1,350 @@
+import React, { useState, useRef } from 'react';
+import { useStore } from '../../store/useStore';
+import { useReaderData } from '../../store/useFirestoreData';
+import { recordingUrl, deleteAllRecordings } from '../../services/recordings';
+import { READING_LEVELS, RECORDING_MODES } from '../../data/profiles';
+import { DAY, dayKey, startOfDay, toMillis } from '../../lib/dates';
+import {
+    filterByRange,
+    gradedAttempts,
+    dailyAccuracy,
+    mostMissedWords,
+    strugglingSyllableCounts,
+    practiceMinutesPerDay,
+    practiceStreaks,
+    comprehensionByLevel,
+    comprehensionBySkill,
+} from '../../lib/stats';
+import { VERDICTS } from '../../lib/questions';
+
+const RANGE_PRESETS = [
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' },
+    { value: '90', label: 'Last 90 days' },
+    { value: 'all', label: 'All time' },
+    { value: 'custom', label: 'Custom' },
+];
+
+// <input type="date"> values are local "YYYY-MM-DD" strings.
+const parseDateInput = (value, endOfDay) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return endOfDay ? date.getTime() + DAY - 1 : date.getTime();
+};
+
+const VERDICT_CLASSES = {
+    [VERDICTS.CORRECT]: 'bg-green-100 text-green-800',
+    [VERDICTS.PARTIAL]: 'bg-yellow-100 text-yellow-800',
+    [VERDICTS.INCORRECT]: 'bg-orange-100 text-orange-800',
+};
+
+const formatDay = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// Horizontal bar list used by every chart on the dashboard.
+const BarList = ({ rows, colorClass, emptyText }) => {
+    if (rows.length === 0) return <p className="text-gray-500">{emptyText}</p>;
+    const max = Math.max(...rows.map(r => r.value), 1);
+    return (
+        <div className="space-y-2">
+            {rows.map(row => (
+                <div key={row.key} className="flex items-center gap-3">
+                    <span className="w-24 shrink-0 text-right text-sm font-semibold">{row.label}</span>
+                    <div className="flex-1 bg-gray-100 rounded-full h-5 overflow-hidden">
+                        <div className={`${colorClass} h-5 rounded-full`} style={{ width: `${(row.value / max) * 100}%` }}></div>
+                    </div>
+                    <span className="w-16 shrink-0 text-sm text-gray-700">{row.display ?? row.value}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const StatCard = ({ label, value }) => (
+    <div className="bg-blue-50 rounded-xl p-4 shadow-inner text-center">
+        <div className="text-3xl font-black text-blue-800">{value}</div>
+        <div className="text-sm font-semibold text-gray-600">{label}</div>
+    </div>
+);
+
+const RECENT_RECORDINGS = 20;
+
+// Saved clips of flashcard attempts, newest first, with a control to delete them all.
+// Links stay on the progress documents, so clips that were deleted or expired show
+// as unavailable. Only the reader's own account (not a guardian's) can delete them.
+const VoiceRecordings = ({ appId, userId, child, attempts, canDelete }) => {
+    const [unavailable, setUnavailable] = useState([]); // Progress ids whose clip is gone
+    const [deleting, setDeleting] = useState(false);
+    const [message, setMessage] = useState('');
+    const audioRef = useRef(null);
+
+    const recorded = attempts
+        .filter(attempt => attempt.recording)
+        .sort((a, b) => toMillis(b.timestamp) - toMillis(a.timestamp))
+        .slice(0, RECENT_RECORDINGS);
+    const mode = RECORDING_MODES.find(m => m.value === (child.recordingMode || 'off'));
+
+    const play = async (attempt) => {
+        setMessage('');
+        try {
+            const url = await recordingUrl(appId, child.id, attempt.recording);
+            if (!url) {
+                setUnavailable(prev => [...prev, attempt.id]);
+                return;
+            }
+            audioRef.current?.pause();
+            audioRef.current = new Audio(url);
+            await audioRef.current.play();
+        } catch (playError) {
+            console.error("Error playing recording:", playError);
+            setMessage(`Could not play the recording: ${playError.message}`);
+        }
+    };
+
+    const deleteAll = async () => {
+        if (!window.confirm(`Delete all of ${child.name}'s saved recordings, on this device and in the cloud? This cannot be undone.`)) return;
+        setDeleting(true);
+        setMessage('');
+        try {
+            await deleteAllRecordings(appId, userId, child.id);
+            setUnavailable(recorded.map(attempt => attempt.id));
+            setMessage('All recordings deleted.');
+        } catch (deleteError) {
+            console.error("Error deleting recordings:", deleteError);
+            setMessage(`Could not delete every recording: ${deleteError.message}`);
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    return (
+        <section className="mt-8">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <h3 className="text-xl font-bold text-teal-700">Voice Recordings</h3>
+                {canDelete && (
+                    <button
+                        onClick={deleteAll}
+                        disabled={deleting}
+                        className="px-4 py-2 rounded-full bg-red-100 text-red-700 font-semibold hover:bg-red-200 disabled:opacity-60"
+                    >
+                        <i className="fas fa-trash mr-2"></i> {deleting ? 'Deleting...' : 'Delete All Recordings'}
+                    </button>
+                )}
+            </div>
+            <p className="mb-3 text-sm text-gray-600">
+                Saving: {mode.label}{child.recordingMode && child.recordingMode !== 'off' && `, kept for ${child.recordingRetentionDays} days`}.
+                {canDelete && ' Change this under Edit on the reader.'}
+            </p>
+            {message && <p className="mb-3 font-semibold text-teal-800">{message}</p>}
+            {recorded.length === 0 ? (
+                <p className="text-gray-500">No saved recordings in this range.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {recorded.map(attempt => (
+                        <li key={attempt.id} className="flex items-center gap-3 p-2 bg-teal-50 rounded-lg shadow-inner">
+                            <span className="w-24 shrink-0 text-sm text-gray-500">{new Date(toMillis(attempt.timestamp)).toLocaleDateString()}</span>
+                            <span className="flex-1 font-semibold">
+                                {attempt.word}
+                                <span className={`ml-2 text-sm font-normal ${attempt.correct ? 'text-green-700' : 'text-orange-700'}`}>
+                                    {attempt.verdict || (attempt.correct ? 'correct' : 'incorrect')}
+                                </span>
+                            </span>
+                            {unavailable.includes(attempt.id) ? (
+                                <span className="text-sm text-gray-500">No longer available</span>
+                            ) : (
+                                <button onClick={() => play(attempt)} className="px-3 py-1 rounded-full bg-teal-500 text-white hover:bg-teal-600" aria-label={`Play ${attempt.word}`}>
+                                    <i className="fas fa-play"></i>
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+// Parent/teacher view of one child's practice history. The reader's progress and
+// stories come from the store, loaded by the same listeners as the practice screens.
+// With an `ownerId` it shows a reader another account shares with this one, and
+// the reader list holds that account's shared readers.
+const Dashboard = ({ childId, ownerId = null, onSelectChild, onClose }) => {
+    const [state] = useStore();
+    const { appId } = state.session;
+    const userId = ownerId || state.session.userId;
+    const profiles = ownerId
+        ? (state.data.sharedProfiles || []).filter(p => p.ownerId === ownerId)
+        : state.data.profiles || [];
+    const child = profiles.find(p => p.id === childId);
+    // Until useReaderData has switched the store over, `data` still holds the previous reader
+    const loaded = state.data.childId === childId;
+    const progress = loaded ? state.data.progress : [];
+    const stories = loaded ? state.data.stories : [];
+    const [range, setRange] = useState('30');
+    const [customFrom, setCustomFrom] = useState('');
+    const [customTo, setCustomTo] = useState('');
+
+    useReaderData(childId, ownerId);
+
+    const now = Date.now();
+    const from = range === 'all' ? null
+        : range === 'custom' ? parseDateInput(customFrom, false)
+        : startOfDay(now) - (Number(range) - 1) * DAY;
+    const to = range === 'custom' ? parseDateInput(customTo, true) : null;
+
+    const rangedProgress = filterByRange(progress, from, to);
+    const rangedStories = filterByRange(stories, from, to);
+
+    const accuracyRows = dailyAccuracy(rangedProgress).map(d => ({
+        key: d.day,
+        label: formatDay(d.day),
+        value: Math.round(d.accuracy * 100),
+        display: `${Math.round(d.accuracy * 100)}% (${d.correct}/${d.attempts})`,
+    }));
+    const missedRows = mostMissedWords(rangedProgress).map(w => ({
+        key: w.word,
+        label: w.word,
+        value: w.misses,
+        display: `${w.misses} of ${w.attempts}`,
+    }));
+    const syllableRows = strugglingSyllableCounts(rangedProgress).map(s => ({ key: s.syllable, label: s.syllable, value: s.count }));
+    const minutesRows = practiceMinutesPerDay([...rangedProgress, ...rangedStories]).map(d => ({
+        key: d.day,
+        label: formatDay(d.day),
+        value: d.minutes,
+        display: `${d.minutes} min`,
+    }));
+    // Streaks look at all history: a date filter should not break a streak in progress
+    const streaks = practiceStreaks([...progress, ...stories], now);
+    const gradedProgress = gradedAttempts(rangedProgress);
+    const totalCorrect = gradedProgress.filter(p => p.correct).length;
+    const storiesByLevel = comprehensionByLevel(rangedStories);
+    const skillRows = comprehensionBySkill(rangedStories).map(s => ({
+        key: s.skill,
+        label: s.skill,
+        value: Math.round(s.score * 100),
+        display: `${Math.round(s.score * 100)}% (${s.correct}/${s.questions} correct)`,
+    }));
+
+    return (
+        <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-8 mb-8">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <h2 className="text-3xl font-bold text-blue-700">Progress Dashboard</h2>
+                <button onClick={onClose} className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300">
+                    <i className="fas fa-arrow-left mr-2"></i> {ownerId ? 'Back to Readers' : 'Back to Practice'}
+                </button>
+            </div>
+
+            <div className="mb-6 flex flex-wrap items-center gap-3">
+                <label htmlFor="dashboardChild" className="font-semibold">Reader:</label>
+                <select
+                    id="dashboardChild"
+                    value={childId}
+                    onChange={(e) => onSelectChild(e.target.value)}
+                    className="p-2 border-2 border-blue-300 rounded-lg"
+                >
+                    {profiles.map(p => (
+                        <option key={p.id} value={p.id}>{p.avatar} {p.name}</option>
+                    ))}
+                </select>
+                <label htmlFor="dashboardRange" className="ml-4 font-semibold">Dates:</label>
+                <select
+                    id="dashboardRange"
+                    value={range}
+                    onChange={(e) => setRange(e.target.value)}
+                    className="p-2 border-2 border-blue-300 rounded-lg"
+                >
+                    {RANGE_PRESETS.map(r => (
+                        <option key={r.value} value={r.value}>{r.label}</option>
+                    ))}
+                </select>
+                {range === 'custom' && (
+                    <>
+                        <input type="date" value={customFrom} max={customTo || dayKey(now)} onChange={(e) => setCustomFrom(e.target.value)} className="p-2 border-2 border-blue-300 rounded-lg" />
+                        <span>to</span>
+                        <input type="date" value={customTo} min={customFrom} max={dayKey(now)} onChange={(e) => setCustomTo(e.target.value)} className="p-2 border-2 border-blue-300 rounded-lg" />
+                    </>
+                )}
+            </div>
+
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                <StatCard label="Words practised" value={rangedProgress.length} />
+                <StatCard label="Accuracy" value={gradedProgress.length ? `${Math.round((totalCorrect / gradedProgress.length) * 100)}%` : '-'} />
+                <StatCard label="Current streak" value={`${streaks.current} day${streaks.current === 1 ? '' : 's'}`} />
+                <StatCard label="Longest streak" value={`${streaks.longest} day${streaks.longest === 1 ? '' : 's'}`} />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <section>
+                    <h3 className="text-xl font-bold text-blue-700 mb-3">Accuracy by Day</h3>
+                    <BarList rows={accuracyRows} colorClass="bg-green-400" emptyText="No flashcard practice in this range." />
+                </section>
+                <section>
+                    <h3 className="text-xl font-bold text-blue-700 mb-3">Practice Minutes</h3>
+                    <BarList rows={minutesRows} colorClass="bg-blue-400" emptyText="No practice in this range." />
+                </section>
+                <section>
+                    <h3 className="text-xl font-bold text-blue-700 mb-3">Most-Missed Words</h3>
+                    <BarList rows={missedRows} colorClass="bg-red-400" emptyText="No missed words. Great job!" />
+                </section>
+                <section>
+                    <h3 className="text-xl font-bold text-blue-700 mb-3">Tricky Syllables</h3>
+                    <BarList rows={syllableRows} colorClass="bg-orange-400" emptyText="No tricky syllables recorded." />
+                </section>
+            </div>
+
+            <section className="mt-8">
+                <h3 className="text-xl font-bold text-purple-700 mb-3">Story Comprehension</h3>
+                <div className="mb-6">
+                    <h4 className="font-bold text-lg mb-2">By Reading Skill</h4>
+                    <BarList rows={skillRows} colorClass="bg-purple-400" emptyText="No questions checked in this range." />
+                </div>
+                {Object.keys(storiesByLevel).length === 0 && <p className="text-gray-500">No stories in this range.</p>}
+                {READING_LEVELS.filter(level => storiesByLevel[level.value]).map(level => {
+                    const entry = storiesByLevel[level.value];
+                    return (
+                        <div key={level.value} className="mb-6">
+                            <h4 className="font-bold text-lg">
+                                {level.label}: {entry.total} stor{entry.total === 1 ? 'y' : 'ies'}, {entry.evaluated} checked
+                            </h4>
+                            <ul className="mt-2 space-y-2">
+                                {entry.stories.map(story => (
+                                    <li key={story.id} className="p-3 bg-purple-50 rounded-lg shadow-inner">
+                                        <div className="text-sm text-gray-500">{new Date(toMillis(story.timestamp)).toLocaleDateString()}</div>
+                                        <div className="truncate">{story.story}</div>
+                                        {story.comprehension ? (
+                                            <div className="mt-1 text-sm">
+                                                <p className="text-teal-800">{story.comprehension.summary}</p>
+                                                <ul className="mt-1 flex flex-wrap gap-2">
+                                                    {story.comprehension.results.map(result => (
+                                                        <li
+                                                            key={result.questionId}
+                                                            className={`px-2 py-0.5 rounded-full ${VERDICT_CLASSES[result.verdict]}`}
+                                                            title={`${result.question}${result.attempts > 1 ? ` (${result.attempts} tries)` : ''}`}
+                                                        >
+                                                            {result.skill}: {result.verdict}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        ) : story.comprehensionFeedback
+                                            ? <p className="mt-1 text-sm whitespace-pre-wrap text-teal-800">{story.comprehensionFeedback}</p>
+                                            : <p className="mt-1 text-sm text-gray-500">Questions not checked yet.</p>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    );
+                })}
+            </section>
+
+            {child && <VoiceRecordings key={child.id} appId={appId} userId={userId} child={child} attempts={rangedProgress} canDelete={!ownerId} />}
+        </div>
+    );
+};
+
+export default Dashboard;
@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import {
+    AVATARS,
+    READING_LEVELS,
+    RECORDING_MODES,
+    RECORDING_RETENTION_DAYS,
+    DEFAULT_RECORDING_RETENTION_DAYS,
+    MAX_GUARDIANS,
+    parseAccountIds,
+} from '../../data/profiles';
+import { LOCALES, DEFAULT_LOCALE, HOME_LANGUAGES, localeInfo } from '../../data/locales';
+
+// Form for adding or editing one child profile.
+const ProfileForm = ({ profile, onSave, onDelete, onCancel }) => {
+    const [draft, setDraft] = useState(() => ({
+        name: profile?.name || '',
+        avatar: profile?.avatar || AVATARS[0],
+        readingLevel: profile?.readingLevel || 'beginner',
+        locale: profile?.locale || DEFAULT_LOCALE,
+        homeLanguage: profile?.homeLanguage || '',
+        age: profile?.age ?? '',
+        recordingMode: profile?.recordingMode || 'off',
+        recordingRetentionDays: profile?.recordingRetentionDays || DEFAULT_RECORDING_RETENTION_DAYS,
+        guardianIds: (profile?.guardianIds || []).join(', '),
+    }));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSave = async () => {
+        if (!draft.name.trim()) {
+            setError("Please enter the reader's name.");
+            return;
+        }
+        const age = Number(draft.age);
+        if (draft.age !== '' && (!Number.isInteger(age) || age < 0 || age > 18)) {
+            setError('Please enter the age as a whole number of years.');
+            return;
+        }
+        if (parseAccountIds(draft.guardianIds).length > MAX_GUARDIANS) {
+            setError(`Progress can be shared with at most ${MAX_GUARDIANS} accounts.`);
+            return;
+        }
+        setError('');
+        setSaving(true);
+        try {
+            await onSave(draft);
+        } catch (saveError) {
+            console.error("Error saving profile:", saveError);
+            setError(`Could not save profile: ${saveError.message}`);
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Remove ${profile.name}'s profile?`)) return;
+        setError('');
+        setSaving(true);
+        try {
+            await onDelete();
+        } catch (deleteError) {
+            console.error("Error removing profile:", deleteError);
+            setError(`Could not remove profile: ${deleteError.message}`);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="mt-6 p-6 bg-gray-50 rounded-xl shadow-inner text-left">
+            <h3 className="text-2xl font-bold text-purple-700 mb-4">{profile ? `Edit ${profile.name}` : 'New Reader'}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <label className="flex flex-col font-semibold">
+                    Name
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    />
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Age
+                    <input
+                        type="number"
+                        min="3"
+                        max="12"
+                        value={draft.age}
+                        onChange={(e) => setDraft(prev => ({ ...prev, age: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    />
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Reading level
+                    <select
+                        value={draft.readingLevel}
+                        onChange={(e) => setDraft(prev => ({ ...prev, readingLevel: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    >
+                        {READING_LEVELS.map(level => (
+                            <option key={level.value} value={level.value}>{level.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <label className="flex flex-col font-semibold">
+                    Learning to read in
+                    <select
+                        value={draft.locale}
+                        onChange={(e) => setDraft(prev => ({ ...prev, locale: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    >
+                        {LOCALES.map(locale => (
+                            <option key={locale.value} value={locale.value}>{locale.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Home language (shows translations on flashcards)
+                    <select
+                        value={draft.homeLanguage}
+                        onChange={(e) => setDraft(prev => ({ ...prev, homeLanguage: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    >
+                        <option value="">None</option>
+                        {HOME_LANGUAGES.filter(language => language.value !== localeInfo(draft.locale).language).map(language => (
+                            <option key={language.value} value={language.value}>{language.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Voice recordings
+                    <select
+                        value={draft.recordingMode}
+                        onChange={(e) => setDraft(prev => ({ ...prev, recordingMode: e.target.value }))}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                    >
+                        {RECORDING_MODES.map(mode => (
+                            <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col font-semibold">
+                    Keep saved recordings for
+                    <select
+                        value={draft.recordingRetentionDays}
+                        onChange={(e) => setDraft(prev => ({ ...prev, recordingRetentionDays: Number(e.target.value) }))}
+                        disabled={draft.recordingMode === 'off'}
+                        className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400 disabled:opacity-60"
+                    >
+                        {RECORDING_RETENTION_DAYS.map(days => (
+                            <option key={days} value={days}>{days} days</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <label className="flex flex-col font-semibold mb-4">
+                Share progress with (account IDs of other parents or teachers, separated by commas)
+                <input
+                    type="text"
+                    value={draft.guardianIds}
+                    onChange={(e) => setDraft(prev => ({ ...prev, guardianIds: e.target.value }))}
+                    placeholder="They can find their ID under Manage account"
+                    className="mt-1 p-2 border-2 border-purple-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-purple-400"
+                />
+            </label>
+            <p className="font-semibold mb-2">Avatar</p>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {AVATARS.map(avatar => (
+                    <button
+                        key={avatar}
+                        onClick={() => setDraft(prev => ({ ...prev, avatar }))}
+                        className={`text-3xl w-14 h-14 rounded-full ${draft.avatar === avatar ? 'bg-purple-200 ring-4 ring-purple-400' : 'bg-white'}`}
+                        aria-label={`Choose avatar ${avatar}`}
+                    >
+                        {avatar}
+                    </button>
+                ))}
+            </div>
+
+            {error && <p className="mb-4 text-red-600 font-semibold">{error}</p>}
+
+            <div className="flex flex-wrap gap-3">
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="bg-purple-600 text-white px-6 py-2 rounded-full font-bold shadow-md hover:bg-purple-700 disabled:opacity-60"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button onClick={onCancel} className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full font-bold shadow-md hover:bg-gray-400">
+                    Cancel
+                </button>
+                {profile && (
+                    <button
+                        onClick={handleDelete}
+                        disabled={saving}
+                        className="ml-auto bg-red-500 text-white px-6 py-2 rounded-full font-bold shadow-md hover:bg-red-600 disabled:opacity-60"
+                    >
+                        Remove Reader
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// "Who's reading?" screen shown on launch: pick a child, or add and edit profiles.
+// Readers other accounts share with this one are listed below, opening their progress.
+const ProfilePicker = ({ profiles, sharedProfiles, onSelect, onOpenShared, onCreate, onUpdate, onDelete }) => {
+    const [editing, setEditing] = useState(profiles.length === 0 ? 'new' : null); // null, 'new', or a profile
+
+    const handleSave = async (draft) => {
+        if (editing === 'new') {
+            await onCreate(draft);
+        } else {
+            await onUpdate(editing.id, draft);
+        }
+        setEditing(null);
+    };
+
+    return (
+        <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-8 mb-8 text-center">
+            <h2 className="text-3xl font-bold text-purple-700 mb-6">Who's reading?</h2>
+            <div className="flex flex-wrap justify-center gap-6">
+                {profiles.map(profile => (
+                    <div key={profile.id} className="flex flex-col items-center">
+                        <button
+                            onClick={() => onSelect(profile.id)}
+                            className="w-28 h-28 rounded-full bg-purple-100 text-6xl shadow-md transition-all duration-300 transform hover:scale-110 hover:bg-purple-200"
+                        >
+                            {profile.avatar}
+                        </button>
+                        <span className="mt-2 text-lg font-semibold">{profile.name}</span>
+                        <button onClick={() => setEditing(profile)} className="text-sm text-gray-500 hover:text-purple-600">
+                            <i className="fas fa-edit mr-1"></i> Edit
+                        </button>
+                    </div>
+                ))}
+                <div className="flex flex-col items-center">
+                    <button
+                        onClick={() => setEditing('new')}
+                        className="w-28 h-28 rounded-full bg-gray-100 text-4xl text-gray-500 shadow-md transition-all duration-300 transform hover:scale-110 hover:bg-gray-200"
+                        aria-label="Add reader"
+                    >
+                        <i className="fas fa-plus"></i>
+                    </button>
+                    <span className="mt-2 text-lg font-semibold text-gray-600">Add Reader</span>
+                </div>
+            </div>
+
+            {sharedProfiles.length > 0 && (
+                <div className="mt-8 pt-6 border-t-2 border-gray-100">
+                    <h3 className="text-2xl font-bold text-teal-700 mb-1">Shared with you</h3>
+                    <p className="mb-4 text-gray-600">Follow the progress of readers another parent or teacher has shared.</p>
+                    <div className="flex flex-wrap justify-center gap-6">
+                        {sharedProfiles.map(profile => (
+                            <div key={`${profile.ownerId}/${profile.id}`} className="flex flex-col items-center">
+                                <button
+                                    onClick={() => onOpenShared(profile)}
+                                    className="w-20 h-20 rounded-full bg-teal-100 text-4xl shadow-md transition-all duration-300 transform hover:scale-110 hover:bg-teal-200"
+                                    aria-label={`View ${profile.name}'s progress`}
+                                >
+                                    {profile.avatar}
+                                </button>
+                                <span className="mt-2 font-semibold">{profile.name}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {editing && (
+                <ProfileForm
+                    key={editing === 'new' ? 'new' : editing.id}
+                    profile={editing === 'new' ? null : editing}
+                    onSave={handleSave}
+                    onDelete={async () => {
+                        await onDelete(editing.id);
+                        setEditing(null);
+                    }}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ProfilePicker;
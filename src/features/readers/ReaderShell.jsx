@@ -0,0 +1,178 @@
+import React, { useEffect, useRef } from 'react';
+import { useStore } from '../../store/useStore';
+import { celebrationStarted } from '../../store';
+import { selectChild, selectPractice, selectRewards } from '../../store/selectors';
+import { useReaderData } from '../../store/useFirestoreData';
+import { navigate } from '../../router/history';
+import { paths } from '../../router/routes';
+import Link from '../../router/Link';
+import { BADGES } from '../../data/rewards';
+import { buyItem, equipItem } from '../../services/rewards';
+import { saveAttempt } from '../../services/practice';
+import { speak } from '../../services/speech';
+import { trackWrite } from '../../services/sync';
+import Flashcards from '../flashcards/Flashcards';
+import StoryTime from '../stories/StoryTime';
+import PhonicsGames from '../games/PhonicsGames';
+import RewardShop from '../rewards/RewardShop';
+
+const TABS = [
+    { value: 'flashcards', label: 'Flashcards', activeClass: 'bg-blue-600 text-white shadow-md', hoverClass: 'hover:bg-blue-500' },
+    { value: 'stories', label: 'Story Time', activeClass: 'bg-purple-600 text-white shadow-md', hoverClass: 'hover:bg-purple-500' },
+    { value: 'games', label: 'Games', activeClass: 'bg-green-600 text-white shadow-md', hoverClass: 'hover:bg-green-500' },
+];
+
+// Everything a reader does once picked: the header with their avatar and stars, the
+// practice tabs and the reward shop. Rendered with key={childId}, so switching reader
+// starts from fresh component state.
+const ReaderShell = ({ childId, tab }) => {
+    const [state, dispatch] = useStore();
+    const { db, appId, userId } = state.session;
+    const { profiles, rewards } = state.data;
+    // Until useReaderData has switched the store over, `data` still holds the previous reader
+    const child = state.data.childId === childId ? selectChild(state, childId) : null;
+    const { locale, deck, words } = selectPractice(state, child);
+    const { stars, balance, streak, equippedItem } = selectRewards(state);
+
+    useReaderData(childId);
+    const seenBadgesRef = useRef(null); // Badge ids in the ledger when the reader loaded, plus any celebrated since
+
+    // A bookmarked reader that was deleted, or belongs to another account
+    useEffect(() => {
+        if (profiles && !profiles.some(p => p.id === childId)) navigate(paths.readers(), { replace: true });
+    }, [profiles, childId]);
+
+    // --- Badges ---
+    // Badges are awarded on the server after an attempt or story is saved, so new
+    // ones are celebrated when they show up in the ledger.
+    const badgeKey = child && rewards ? Object.keys(rewards.badges).join(',') : null;
+    useEffect(() => {
+        if (badgeKey === null) return;
+        const badgeIds = badgeKey ? badgeKey.split(',') : [];
+        if (!seenBadgesRef.current) {
+            seenBadgesRef.current = new Set(badgeIds);
+            return;
+        }
+        const newBadgeIds = badgeIds.filter(id => !seenBadgesRef.current.has(id));
+        if (newBadgeIds.length === 0) return;
+        newBadgeIds.forEach(id => seenBadgesRef.current.add(id));
+        const badge = BADGES.find(b => b.id === newBadgeIds[newBadgeIds.length - 1]);
+        if (!badge) return;
+        dispatch(celebrationStarted({
+            icon: badge.icon,
+            title: `New badge: ${badge.label}!`,
+            message: newBadgeIds.length > 1 ? `You earned ${newBadgeIds.length} new badges!` : badge.description,
+        }));
+    }, [badgeKey, dispatch]);
+
+    // --- Reward Shop ---
+    const buyShopItem = (item) => {
+        if (!rewards || rewards.owned.includes(item.id) || balance < item.price) return;
+        trackWrite(buyItem(db, appId, userId, childId, item)).catch(error => {
+            console.error("Error buying item:", error);
+        });
+        dispatch(celebrationStarted({ icon: item.emoji, title: `You got the ${item.label}!`, message: 'Tap Wear to put it on.' }));
+    };
+
+    const equipShopItem = (itemId) => {
+        trackWrite(equipItem(db, appId, userId, childId, itemId)).catch(error => {
+            console.error("Error equipping item:", error);
+        });
+    };
+
+    // --- Phonics Games ---
+    // Game answers are saved with flashcard attempts so they count toward the child's history
+    const saveGameResult = async ({ game, word, answer, correct, mode }) => {
+        try {
+            await saveAttempt(db, appId, userId, childId, {
+                word,
+                answer,
+                correct,
+                strugglingSyllables: [],
+                level: words.find(w => w.text === word)?.level || null,
+                feedbackSource: 'local',
+                game,
+                ...(mode && { gameMode: mode }),
+            });
+        } catch (error) {
+            console.error("Error saving game result:", error);
+        }
+    };
+
+    if (!child) return <div className="text-xl text-gray-700">Loading reader...</div>;
+
+    if (tab === 'rewards') {
+        return rewards ? (
+            <RewardShop
+                avatar={child.avatar}
+                stars={{ ...stars, balance }}
+                streak={streak}
+                rewards={rewards}
+                onBuy={buyShopItem}
+                onEquip={equipShopItem}
+                onClose={() => navigate(paths.reader(childId))}
+            />
+        ) : (
+            <div className="text-xl text-gray-700">Loading rewards...</div>
+        );
+    }
+
+    return (
+        <>
+            <div className="w-full max-w-4xl flex items-center justify-between mb-4">
+                <div className="flex items-center text-xl font-semibold">
+                    <span className="text-4xl mr-3">
+                        {child.avatar}{equippedItem && <span className="text-3xl">{equippedItem.emoji}</span>}
+                    </span>
+                    Reading with {child.name}
+                </div>
+                <div className="flex gap-2">
+                    <Link
+                        to={paths.reader(childId, 'rewards')}
+                        className="px-4 py-2 rounded-full bg-yellow-300 text-yellow-900 font-semibold shadow-md hover:bg-yellow-400 transition-all duration-200"
+                        title={`${streak.current} day streak`}
+                    >
+                        ⭐ {balance}{streak.current > 1 && <span className="ml-2">🔥 {streak.current}</span>}
+                    </Link>
+                    <Link
+                        to={paths.progress(childId)}
+                        className="px-4 py-2 rounded-full bg-white text-blue-700 font-semibold shadow-md hover:bg-blue-100 transition-all duration-200"
+                    >
+                        <i className="fas fa-chart-bar mr-2"></i> Progress
+                    </Link>
+                    <Link
+                        to={paths.readers()}
+                        className="px-4 py-2 rounded-full bg-white text-purple-700 font-semibold shadow-md hover:bg-purple-100 transition-all duration-200"
+                    >
+                        <i className="fas fa-user-friends mr-2"></i> Switch Reader
+                    </Link>
+                </div>
+            </div>
+            <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-8 mb-8">
+                <div className="flex justify-center mb-6">
+                    {TABS.map(option => (
+                        <Link
+                            key={option.value}
+                            to={paths.reader(childId, option.value)}
+                            className={`mx-2 px-8 py-3 rounded-full text-lg font-semibold transition-all duration-300 transform hover:scale-105 ${
+                                tab === option.value ? option.activeClass : `bg-gray-200 text-gray-700 hover:text-white ${option.hoverClass}`
+                            }`}
+                        >
+                            {option.label}
+                        </Link>
+                    ))}
+                </div>
+
+                {tab === 'games' ? (
+                    <PhonicsGames words={words} deckId={deck.id} locale={locale} onSpeak={(text) => speak(text, { lang: locale })} onResult={saveGameResult} />
+                ) : tab === 'stories' ? (
+                    <StoryTime child={child} />
+                ) : (
+                    <Flashcards child={child} />
+                )}
+            </div>
+        </>
+    );
+};
+
+export default ReaderShell;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { BADGES, SHOP_ITEMS } from '../../data/rewards';
+
+// The child's stars, streak and badges, and the shop where stars buy avatar items.
+// `stars` is { earned, balance, ...breakdown } from the rewards ledger; `rewards` is
+// the reader's rewards from services/rewards ({ owned, equipped, badges, ... }).
+// Purchases show up through the rewards listener, so they work offline too.
+const RewardShop = ({ avatar, stars, streak, rewards, onBuy, onEquip, onClose }) => {
+    const equippedItem = SHOP_ITEMS.find(item => item.id === rewards.equipped);
+
+    return (
+        <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-8 mb-8">
+            <div className="flex items-center justify-between mb-6">
+                <h2 className="text-3xl font-bold text-yellow-600">
+                    <i className="fas fa-star mr-2"></i> My Rewards
+                </h2>
+                <button
+                    onClick={onClose}
+                    className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition-all duration-200"
+                >
+                    <i className="fas fa-arrow-left mr-2"></i> Back
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8 text-center">
+                <div className="bg-yellow-50 rounded-xl p-4 shadow-inner">
+                    <div className="text-4xl font-black text-yellow-600">⭐ {stars.balance}</div>
+                    <div className="text-sm font-semibold text-gray-600">Stars to spend ({stars.earned} earned)</div>
+                </div>
+                <div className="bg-orange-50 rounded-xl p-4 shadow-inner">
+                    <div className="text-4xl font-black text-orange-600">🔥 {streak.current}</div>
+                    <div className="text-sm font-semibold text-gray-600">Day streak (best {streak.longest})</div>
+                </div>
+                <div className="bg-purple-50 rounded-xl p-4 shadow-inner">
+                    <div className="text-5xl">
+                        {avatar}{equippedItem && <span className="text-4xl">{equippedItem.emoji}</span>}
+                    </div>
+                    <div className="text-sm font-semibold text-gray-600">My look</div>
+                </div>
+            </div>
+
+            <p className="text-gray-600 mb-6">
+                Earn stars by reading words correctly, playing games, finishing stories and answering story questions.
+            </p>
+
+            <h3 className="text-2xl font-bold text-purple-700 mb-4">Badges</h3>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-8">
+                {BADGES.map(badge => {
+                    const earned = Boolean(rewards.badges[badge.id]);
+                    return (
+                        <div
+                            key={badge.id}
+                            className={`rounded-xl p-3 text-center border-2 ${earned ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50 border-gray-200 opacity-50 grayscale'}`}
+                            title={badge.description}
+                        >
+                            <div className="text-4xl">{badge.icon}</div>
+                            <div className="font-bold">{badge.label}</div>
+                            <div className="text-xs text-gray-600">{badge.description}</div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <h3 className="text-2xl font-bold text-green-700 mb-4">Avatar Shop</h3>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                {SHOP_ITEMS.map(item => {
+                    const owned = rewards.owned.includes(item.id);
+                    const equipped = rewards.equipped === item.id;
+                    return (
+                        <div key={item.id} className="rounded-xl p-4 text-center border-2 border-green-200 bg-green-50">
+                            <div className="text-5xl mb-2">{item.emoji}</div>
+                            <div className="font-bold mb-2">{item.label}</div>
+                            {owned ? (
+                                <button
+                                    onClick={() => onEquip(equipped ? null : item.id)}
+                                    className={`px-4 py-2 rounded-full font-semibold shadow transition-all duration-200 ${equipped ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-white text-purple-700 hover:bg-purple-100'}`}
+                                >
+                                    {equipped ? 'Take Off' : 'Wear'}
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => onBuy(item)}
+                                    disabled={stars.balance < item.price}
+                                    className="px-4 py-2 rounded-full bg-yellow-400 text-yellow-900 font-semibold shadow hover:bg-yellow-500 transition-all duration-200 disabled:opacity-50"
+                                >
+                                    ⭐ {item.price}
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default RewardShop;
@@ -0,0 +1,201 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { QUESTION_TYPES, VERDICTS, initialSequence, gradeQuestion } from '../../lib/questions';
+import { createRecognizer, finalTranscript, isRecognitionSupported, SPEECH_ERROR_CODES } from '../../services/speech';
+
+const VERDICT_DISPLAY = {
+    [VERDICTS.CORRECT]: { icon: 'fa-check-circle', label: 'Correct', className: 'bg-green-50 text-green-800 border-green-300' },
+    [VERDICTS.PARTIAL]: { icon: 'fa-adjust', label: 'Partly right', className: 'bg-yellow-50 text-yellow-800 border-yellow-300' },
+    [VERDICTS.INCORRECT]: { icon: 'fa-times-circle', label: 'Not this time', className: 'bg-orange-50 text-orange-800 border-orange-300' },
+};
+
+const choiceClass = (selected) => `px-4 py-2 rounded-full text-lg font-semibold border-2 shadow-sm transition-all duration-200 ${selected
+    ? 'bg-purple-500 text-white border-purple-500'
+    : 'bg-white text-gray-800 border-purple-300 hover:bg-purple-50'}`;
+
+// Dictates a free-text answer with speech recognition, one utterance at a time.
+const SpokenAnswerButton = ({ locale, onHeard }) => {
+    const [listening, setListening] = useState(false);
+    const [error, setError] = useState('');
+    const recognitionRef = useRef(null);
+
+    useEffect(() => () => recognitionRef.current?.abort(), []);
+
+    if (!isRecognitionSupported()) return null;
+
+    const listen = () => {
+        const recognition = createRecognizer(() => ({
+            onResult: (results) => {
+                const transcript = finalTranscript(results);
+                if (transcript) onHeard(transcript);
+            },
+            onError: (speechError) => {
+                if (speechError.code !== SPEECH_ERROR_CODES.NO_SPEECH) setError(`Could not hear that (${speechError.code}).`);
+            },
+            onEnd: () => setListening(false),
+        }), { lang: locale });
+        recognitionRef.current = recognition;
+        setError('');
+        try {
+            recognition.start();
+            setListening(true);
+        } catch (startError) {
+            console.error("Error starting spoken answer:", startError);
+            setError("Microphone access denied or already listening.");
+        }
+    };
+
+    return (
+        <span className="inline-flex items-center gap-2">
+            <button
+                type="button"
+                onClick={listen}
+                disabled={listening}
+                className="bg-green-500 text-white px-4 py-2 rounded-full font-semibold shadow-md hover:bg-green-600 transition-all duration-200 disabled:opacity-60"
+            >
+                <i className={`fas ${listening ? 'fa-ellipsis-h' : 'fa-microphone'} mr-2`}></i>
+                {listening ? 'Listening...' : 'Say My Answer'}
+            </button>
+            {error && <span className="text-red-600 text-sm">{error}</span>}
+        </span>
+    );
+};
+
+// One comprehension question, answered the way its type needs. Auto-graded types show
+// right away whether the answer was right; free text is graded later by the model.
+// Once checked, `result` ({ verdict, feedback }) is shown underneath with a retry button.
+const ComprehensionQuestion = ({ question, story, locale, answer, onAnswer, result, onRetry }) => {
+    const [checkedOrder, setCheckedOrder] = useState(false);
+    const storyWords = useMemo(() => story.match(/\S+/g) || [], [story]);
+
+    const showInstant = !result && (question.type === QUESTION_TYPES.SEQUENCE
+        ? checkedOrder
+        : question.type !== QUESTION_TYPES.FREE_TEXT && answer !== undefined);
+    const instant = showInstant ? gradeQuestion(question, answer, story) : null;
+
+    const renderInput = () => {
+        switch (question.type) {
+            case QUESTION_TYPES.MULTIPLE_CHOICE:
+                return (
+                    <div className="flex flex-wrap gap-3">
+                        {question.options.map(option => (
+                            <button key={option} type="button" onClick={() => onAnswer(option)} className={choiceClass(answer === option)}>
+                                {option}
+                            </button>
+                        ))}
+                    </div>
+                );
+            case QUESTION_TYPES.TRUE_FALSE:
+                return (
+                    <div className="flex gap-3">
+                        <button type="button" onClick={() => onAnswer('true')} className={choiceClass(answer === 'true')}>
+                            <i className="fas fa-thumbs-up mr-2"></i> True
+                        </button>
+                        <button type="button" onClick={() => onAnswer('false')} className={choiceClass(answer === 'false')}>
+                            <i className="fas fa-thumbs-down mr-2"></i> False
+                        </button>
+                    </div>
+                );
+            case QUESTION_TYPES.SEQUENCE: {
+                const order = answer || initialSequence(question);
+                const move = (index, offset) => {
+                    const next = [...order];
+                    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+                    setCheckedOrder(false);
+                    onAnswer(next);
+                };
+                return (
+                    <div>
+                        <ol className="space-y-2">
+                            {order.map((event, index) => (
+                                <li key={event} className="flex items-center gap-2 bg-white p-2 rounded-lg shadow-sm">
+                                    <span className="font-bold text-purple-600 w-6">{index + 1}.</span>
+                                    <span className="flex-1">{event}</span>
+                                    <button type="button" onClick={() => move(index, -1)} disabled={index === 0} className="px-2 text-purple-600 disabled:opacity-30" aria-label="Move earlier">
+                                        <i className="fas fa-arrow-up"></i>
+                                    </button>
+                                    <button type="button" onClick={() => move(index, 1)} disabled={index === order.length - 1} className="px-2 text-purple-600 disabled:opacity-30" aria-label="Move later">
+                                        <i className="fas fa-arrow-down"></i>
+                                    </button>
+                                </li>
+                            ))}
+                        </ol>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                if (!answer) onAnswer(order);
+                                setCheckedOrder(true);
+                            }}
+                            className="mt-2 bg-purple-500 text-white px-4 py-2 rounded-full font-semibold shadow-md hover:bg-purple-600 transition-all duration-200"
+                        >
+                            Check My Order
+                        </button>
+                    </div>
+                );
+            }
+            case QUESTION_TYPES.TAP_WORD:
+                return (
+                    <p className="text-lg leading-loose bg-white p-3 rounded-lg shadow-sm">
+                        {storyWords.map((word, index) => (
+                            <React.Fragment key={index}>
+                                <button
+                                    type="button"
+                                    onClick={() => onAnswer(index)}
+                                    className={`rounded px-0.5 hover:bg-yellow-200 ${answer === index ? 'bg-purple-500 text-white' : ''}`}
+                                >
+                                    {word}
+                                </button>{' '}
+                            </React.Fragment>
+                        ))}
+                    </p>
+                );
+            default:
+                return (
+                    <div>
+                        <textarea
+                            className="w-full p-3 border-2 border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            rows="3"
+                            value={answer || ''}
+                            onChange={(e) => onAnswer(e.target.value)}
+                            placeholder="Type your answer here, or say it..."
+                        ></textarea>
+                        <SpokenAnswerButton locale={locale} onHeard={(text) => onAnswer(answer ? `${answer} ${text}` : text)} />
+                    </div>
+                );
+        }
+    };
+
+    return (
+        <div className="mb-6 text-left">
+            <p className="text-lg font-semibold mb-2">{question.question}</p>
+            <div className={result ? 'pointer-events-none opacity-75' : ''}>
+                {renderInput()}
+            </div>
+            {instant && (
+                <p className={`mt-2 font-semibold ${instant.correct ? 'text-green-700' : 'text-orange-700'}`}>
+                    {instant.correct
+                        ? <><i className="fas fa-check-circle mr-1"></i> That's right!</>
+                        : <><i className="fas fa-redo mr-1"></i> Not quite. Try again!</>}
+                </p>
+            )}
+            {result && (
+                <div className={`mt-3 p-3 rounded-lg border-2 flex flex-wrap items-center gap-3 ${VERDICT_DISPLAY[result.verdict].className}`}>
+                    <span className="font-bold">
+                        <i className={`fas ${VERDICT_DISPLAY[result.verdict].icon} mr-1`}></i> {VERDICT_DISPLAY[result.verdict].label}
+                    </span>
+                    <span className="flex-1">{result.feedback}</span>
+                    {result.verdict !== VERDICTS.CORRECT && (
+                        <button
+                            type="button"
+                            onClick={onRetry}
+                            className="bg-white px-4 py-1 rounded-full font-semibold shadow hover:bg-gray-100 transition-all duration-200"
+                        >
+                            <i className="fas fa-redo mr-1"></i> Try Again
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ComprehensionQuestion;
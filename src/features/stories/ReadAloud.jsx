@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { tokenizeStory, tokenizeTranscript, alignReading, summarizeReading, WORD_STATUS } from '../../lib/readingRecord';
+import { createRecognizer, finalTranscript, SPEECH_ERROR_CODES } from '../../services/speech';
+
+const STATUS_CLASSES = {
+    [WORD_STATUS.PENDING]: '',
+    [WORD_STATUS.CORRECT]: 'text-green-700',
+    [WORD_STATUS.SUBSTITUTED]: 'text-red-600 underline decoration-wavy',
+    [WORD_STATUS.SKIPPED]: 'text-gray-400 line-through',
+    [WORD_STATUS.SELF_CORRECTED]: 'text-blue-600',
+};
+
+// Continuous read-aloud for a story: highlights the word the child is on, aligns the
+// live transcript to the story and reports a running record when the child is done.
+const ReadAloud = ({ story, locale, onFinish, onCancel }) => {
+    const storyWords = useMemo(() => tokenizeStory(story, locale), [story, locale]);
+    const [transcript, setTranscript] = useState('');
+    const [listening, setListening] = useState(false);
+    const [error, setError] = useState('');
+    const [summary, setSummary] = useState(null);
+
+    const recognitionRef = useRef(null);
+    const finalTextRef = useRef(''); // Final results from earlier recognition sessions
+    const sessionFinalRef = useRef(''); // Final results from the current session
+    const activeRef = useRef(false); // True while the child is reading, so `onend` restarts
+    const startedAtRef = useRef(0);
+
+    // Stop listening if the component goes away mid-read
+    useEffect(() => () => {
+        activeRef.current = false;
+        recognitionRef.current?.abort();
+    }, []);
+
+    const alignment = alignReading(storyWords, tokenizeTranscript(transcript, locale), locale);
+
+    const startReading = () => {
+        const recognition = createRecognizer(() => handlers, { lang: locale, continuous: true, interimResults: true });
+        if (!recognition) {
+            setError("Speech recognition not supported in your browser (Chrome recommended).");
+            return;
+        }
+
+        const handlers = {
+            onResult: (results) => {
+                const sessionFinal = finalTranscript(results);
+                const interim = results.filter(result => !result.isFinal).map(result => result.alternatives[0]?.transcript || '').join(' ');
+                sessionFinalRef.current = sessionFinal ? ` ${sessionFinal}` : '';
+                setTranscript(`${finalTextRef.current}${sessionFinalRef.current} ${interim}`);
+            },
+            onError: (speechError) => {
+                if (speechError.code === SPEECH_ERROR_CODES.NO_SPEECH) return;
+                console.error("Read-aloud recognition error:", speechError);
+                activeRef.current = false;
+                setListening(false);
+                setError(speechError.code === SPEECH_ERROR_CODES.NOT_ALLOWED
+                    ? "Microphone access denied. Please allow microphone permissions in your browser settings."
+                    : `Speech recognition error: ${speechError.code}. Please try again.`);
+            },
+            // Engines end continuous recognition after a pause; keep going until the child is done
+            onEnd: () => {
+                // Each session's results start empty, so bank what this one heard
+                finalTextRef.current += sessionFinalRef.current;
+                sessionFinalRef.current = '';
+                if (activeRef.current) {
+                    try {
+                        recognition.start();
+                    } catch (restartError) {
+                        console.error("Could not restart read-aloud recognition:", restartError);
+                        activeRef.current = false;
+                        setListening(false);
+                    }
+                } else {
+                    setListening(false);
+                }
+            },
+        };
+
+        recognitionRef.current = recognition;
+        finalTextRef.current = '';
+        sessionFinalRef.current = '';
+        activeRef.current = true;
+        startedAtRef.current = Date.now();
+        setTranscript('');
+        setSummary(null);
+        setError('');
+        setListening(true);
+        try {
+            recognition.start();
+        } catch (startError) {
+            console.error("Error starting read-aloud recognition:", startError);
+            activeRef.current = false;
+            setListening(false);
+            setError("Microphone access denied or already listening. Please ensure microphone permissions are granted and refresh.");
+        }
+    };
+
+    const finishReading = () => {
+        activeRef.current = false;
+        recognitionRef.current?.stop();
+        setListening(false);
+        const result = summarizeReading(storyWords, alignment, Date.now() - startedAtRef.current);
+        setSummary(result);
+        onFinish({ ...result, transcript: transcript.trim(), readAt: new Date(startedAtRef.current) });
+    };
+
+    return (
+        <div className="mt-6 p-4 bg-yellow-50 rounded-xl shadow-inner text-left">
+            <p className="text-xl leading-loose mb-4">
+                {storyWords.map((word, index) => {
+                    const isCurrent = listening && index === alignment.position;
+                    return (
+                        <span
+                            key={index}
+                            className={`${STATUS_CLASSES[alignment.words[index].status]} ${isCurrent ? 'bg-yellow-300 rounded px-1' : ''}`}
+                        >
+                            {word.text}{' '}
+                        </span>
+                    );
+                })}
+            </p>
+
+            <div className="flex flex-wrap justify-center gap-3">
+                {!listening ? (
+                    <button
+                        onClick={startReading}
+                        className="bg-green-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-green-600 transition-all duration-300 transform hover:scale-105"
+                    >
+                        <i className="fas fa-microphone mr-2"></i> {summary ? 'Read Again' : 'Start Reading'}
+                    </button>
+                ) : (
+                    <button
+                        onClick={finishReading}
+                        className="bg-orange-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-orange-600 transition-all duration-300 transform hover:scale-105"
+                    >
+                        <i className="fas fa-flag-checkered mr-2"></i> I'm Done
+                    </button>
+                )}
+                <button
+                    onClick={onCancel}
+                    className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:bg-gray-400 transition-all duration-300"
+                >
+                    Close
+                </button>
+            </div>
+
+            {error && <p className="mt-4 text-red-600 font-semibold">{error}</p>}
+
+            {summary && (
+                <div className="mt-6 p-4 bg-white rounded-lg shadow-md">
+                    <h4 className="font-bold text-orange-700 text-lg mb-2">Reading Report</h4>
+                    <p>You read {summary.wordsRead} of {summary.totalWords} words in {summary.durationSeconds} seconds.</p>
+                    <p><span className="font-semibold">{summary.wcpm}</span> words correct per minute, {summary.accuracy}% accuracy.</p>
+                    {summary.selfCorrected.length > 0 && (
+                        <p className="text-blue-700">Great fixing! You corrected yourself on: {summary.selfCorrected.map(w => w.expected).join(', ')}.</p>
+                    )}
+                    {summary.substituted.length > 0 && (
+                        <p className="text-red-700">Words to practise: {summary.substituted.map(w => `${w.expected} (you said "${w.said}")`).join(', ')}.</p>
+                    )}
+                    {summary.skipped.length > 0 && (
+                        <p className="text-gray-600">Skipped: {summary.skipped.join(', ')}.</p>
+                    )}
+                    {summary.inserted.length > 0 && (
+                        <p className="text-gray-600">Extra words: {summary.inserted.join(', ')}.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReadAloud;
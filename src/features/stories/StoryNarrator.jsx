@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { splitSentences, wordAtChar } from '../../lib/narration';
+import { localeInfo } from '../../data/locales';
+
+const SPEEDS = [
+    { value: 0.6, label: 'Slow' },
+    { value: 0.8, label: 'Steady' },
+    { value: 1, label: 'Normal' },
+];
+
+// Reads a story aloud one sentence at a time, highlighting each word as it is spoken.
+// Speaking per sentence lets the child step back and forth and pause without losing their place.
+// `targets` ([{ positions }]) marks the practice words the story was written around.
+// Voices are offered for the language of `locale`, the locale's own accent first.
+const StoryNarrator = ({ story, locale, targets = [] }) => {
+    const synth = 'speechSynthesis' in window ? window.speechSynthesis : null;
+    const sentences = useMemo(() => splitSentences(story), [story]);
+    const targetPositions = useMemo(() => new Set(targets.flatMap(t => t.positions)), [targets]);
+    const [sentenceIndex, setSentenceIndex] = useState(0);
+    const [wordIndex, setWordIndex] = useState(-1);
+    const [playing, setPlaying] = useState(false);
+    const [rate, setRate] = useState(0.8);
+    const [voices, setVoices] = useState([]);
+    const [voiceName, setVoiceName] = useState('');
+
+    // Every utterance gets a token; events from cancelled utterances are ignored
+    const tokenRef = useRef(0);
+
+    useEffect(() => {
+        if (!synth) return;
+        const { value, language } = localeInfo(locale);
+        const loadVoices = () => {
+            const matching = synth.getVoices().filter(voice => voice.lang.replace('_', '-').startsWith(language));
+            const sameAccent = (voice) => voice.lang.replace('_', '-') === value;
+            setVoices([...matching.filter(sameAccent), ...matching.filter(voice => !sameAccent(voice))]);
+        };
+        loadVoices();
+        synth.addEventListener('voiceschanged', loadVoices);
+        return () => {
+            synth.removeEventListener('voiceschanged', loadVoices);
+            tokenRef.current += 1;
+            synth.cancel();
+        };
+    }, [synth, locale]);
+
+    const speakSentence = (index) => {
+        if (!synth || !sentences[index]) return;
+        tokenRef.current += 1;
+        const token = tokenRef.current;
+        synth.cancel();
+
+        const sentence = sentences[index];
+        const utterance = new SpeechSynthesisUtterance(sentence.text);
+        utterance.lang = localeInfo(locale).value;
+        utterance.rate = rate;
+        const voice = voices.find(v => v.name === voiceName);
+        if (voice) utterance.voice = voice;
+
+        utterance.onstart = () => {
+            if (token === tokenRef.current) setWordIndex(sentence.words[0]?.index ?? -1);
+        };
+        utterance.onboundary = (event) => {
+            if (token !== tokenRef.current || event.name !== 'word') return;
+            setWordIndex(wordAtChar(sentence, event.charIndex).index);
+        };
+        utterance.onend = () => {
+            if (token !== tokenRef.current) return;
+            if (index + 1 < sentences.length) {
+                setSentenceIndex(index + 1);
+                speakSentence(index + 1);
+            } else {
+                setPlaying(false);
+                setWordIndex(-1);
+                setSentenceIndex(0);
+            }
+        };
+
+        setSentenceIndex(index);
+        setPlaying(true);
+        synth.speak(utterance);
+    };
+
+    // Pausing cancels the utterance and resumes from the start of the sentence,
+    // which works the same in every browser (speechSynthesis.pause() does not).
+    const pause = () => {
+        tokenRef.current += 1;
+        synth.cancel();
+        setPlaying(false);
+    };
+
+    const stop = () => {
+        pause();
+        setSentenceIndex(0);
+        setWordIndex(-1);
+    };
+
+    const step = (offset) => {
+        const target = Math.min(Math.max(sentenceIndex + offset, 0), sentences.length - 1);
+        if (playing) {
+            speakSentence(target);
+        } else {
+            setSentenceIndex(target);
+            setWordIndex(sentences[target].words[0]?.index ?? -1);
+        }
+    };
+
+    const controlClass = "bg-purple-500 text-white w-12 h-12 rounded-full shadow-md hover:bg-purple-600 transition-all duration-200 disabled:opacity-40";
+
+    return (
+        <div>
+            <p className="text-lg leading-relaxed mb-4">
+                {sentences.map((sentence, sIndex) => (
+                    <span key={sIndex} className={sIndex === sentenceIndex && (playing || wordIndex >= 0) ? 'bg-purple-50 rounded' : ''}>
+                        {sentence.words.map(word => (
+                            <span
+                                key={word.index}
+                                className={`${word.index === wordIndex ? 'bg-yellow-300 rounded px-0.5 transition-colors duration-150' : ''} ${targetPositions.has(word.index) ? 'font-bold text-pink-600 underline decoration-pink-300' : ''}`}
+                            >
+                                {word.text}{' '}
+                            </span>
+                        ))}
+                    </span>
+                ))}
+            </p>
+
+            {synth ? (
+                <div className="mt-4 flex flex-wrap items-center justify-center gap-3">
+                    <button onClick={() => step(-1)} disabled={sentenceIndex === 0} className={controlClass} aria-label="Previous sentence">
+                        <i className="fas fa-step-backward"></i>
+                    </button>
+                    {playing ? (
+                        <button onClick={pause} className={controlClass} aria-label="Pause">
+                            <i className="fas fa-pause"></i>
+                        </button>
+                    ) : (
+                        <button onClick={() => speakSentence(sentenceIndex)} className={controlClass} aria-label="Listen to story">
+                            <i className="fas fa-play"></i>
+                        </button>
+                    )}
+                    <button onClick={stop} className={controlClass} aria-label="Stop">
+                        <i className="fas fa-stop"></i>
+                    </button>
+                    <button onClick={() => step(1)} disabled={sentenceIndex >= sentences.length - 1} className={controlClass} aria-label="Next sentence">
+                        <i className="fas fa-step-forward"></i>
+                    </button>
+                    <select
+                        value={rate}
+                        onChange={(e) => setRate(Number(e.target.value))}
+                        className="p-2 border-2 border-purple-300 rounded-lg"
+                        aria-label="Reading speed"
+                    >
+                        {SPEEDS.map(speed => (
+                            <option key={speed.value} value={speed.value}>{speed.label}</option>
+                        ))}
+                    </select>
+                    {voices.length > 0 && (
+                        <select
+                            value={voiceName}
+                            onChange={(e) => setVoiceName(e.target.value)}
+                            className="p-2 border-2 border-purple-300 rounded-lg max-w-[12rem]"
+                            aria-label="Voice"
+                        >
+                            <option value="">Default voice</option>
+                            {voices.map(voice => (
+                                <option key={voice.name} value={voice.name}>{voice.name}</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+            ) : (
+                <p className="text-gray-600 text-sm">Speech Synthesis not available to read the story aloud.</p>
+            )}
+        </div>
+    );
+};
+
+export default StoryNarrator;
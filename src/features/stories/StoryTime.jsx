@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useStore } from '../../store/useStore';
+import {
+    storyLevelChosen,
+    storyRequested,
+    storyLoaded,
+    storyFailed,
+    answerChanged,
+    questionsGraded,
+    comprehensionFeedback,
+    questionRetried,
+    readingFeedback,
+    mergeResults,
+} from '../../store';
+import { selectPractice } from '../../store/selectors';
+import { pickStoryTargets, locateTargetWords } from '../../lib/storyTargets';
+import { normalizeQuestion, isAutoGraded, isAnswered, gradeQuestion, describeAnswer, VERDICTS, VERDICT_SCORES } from '../../lib/questions';
+import { READING_LEVELS } from '../../data/profiles';
+import { FALLBACK_STORIES } from '../../data/stories';
+import { localeInfo } from '../../data/locales';
+import { generateCheckedStory, evaluateComprehensionChecked } from '../../services/llm';
+import { contentRejectionLogger } from '../../services/moderation';
+import { takeLibraryStory, fillLibrary, PREFETCH_DELAY_MS } from '../../services/storyLibrary';
+import { createStory, saveComprehension, addReadingRecord } from '../../services/practice';
+import StoryNarrator from './StoryNarrator';
+import ReadAloud from './ReadAloud';
+import ComprehensionQuestion from './ComprehensionQuestion';
+
+// Story Time for one reader: a story built around the words they are practising,
+// read to them or by them, then comprehension questions about it.
+const StoryTime = ({ child }) => {
+    const [state, dispatch] = useStore();
+    const { db, appId, userId } = state.session;
+    const { progress } = state.data;
+    const { loading, story, storyId, questions, targetUses, answers, results, feedback, readingFeedback: readingSummary } = state.stories;
+    const { locale, deck, adaptiveLevel, storyLevel } = selectPractice(state, child);
+
+    const [readingAloud, setReadingAloud] = useState(false);
+
+    const onReject = contentRejectionLogger(db, appId, userId, child.id);
+    const generate = (level, targets, maxAttempts) => generateCheckedStory({ level, targets, locale, maxAttempts, onReject });
+
+    // Build stories around the words this child is practising and missing
+    const currentTargets = () => pickStoryTargets({ deck, progress, wordLevel: adaptiveLevel.wordLevel });
+
+    // --- Story Library (offline Story Time) ---
+    // Adds to this reader's on-device library for the current level in the background,
+    // once Story Time has been open a while so it does not compete with the child's own
+    // request. The latest targets are read through a ref so new progress does not restart it.
+    const fillRef = useRef(null);
+    useEffect(() => {
+        fillRef.current = () => fillLibrary({ appId, childId: child.id, locale, level: storyLevel, targets: currentTargets(), generate });
+    });
+
+    useEffect(() => {
+        const timer = setTimeout(() => fillRef.current(), PREFETCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [appId, child.id, locale, storyLevel]);
+
+    // A fresh story when online; otherwise (or if generation fails) one from the
+    // library, and a built-in story when the library is empty.
+    const fetchStory = async (targets) => {
+        if (navigator.onLine) {
+            try {
+                return await generate(storyLevel, targets);
+            } catch (error) {
+                const cached = takeLibraryStory(appId, child.id, locale, storyLevel);
+                if (!cached) throw error;
+                console.warn("Story generation failed, using a saved story:", error);
+                return cached;
+            }
+        }
+        const fallbacks = FALLBACK_STORIES[localeInfo(locale).language] || FALLBACK_STORIES.en;
+        return takeLibraryStory(appId, child.id, locale, storyLevel)
+            || { ...(fallbacks[storyLevel] || fallbacks.beginner), validation: { fallback: true } };
+    };
+
+    // --- LLM Interaction for Story Generation ---
+    const generateStory = async () => {
+        setReadingAloud(false);
+        dispatch(storyRequested());
+
+        try {
+            const freshTargets = currentTargets();
+            const parsedContent = await fetchStory(freshTargets);
+            // Library stories were written for the targets at the time they were fetched
+            const targets = parsedContent.targets || freshTargets;
+            // Where the targets appear is checked against the text rather than taken from the model
+            const uses = locateTargetWords(parsedContent.story, targets.words);
+            const normalized = parsedContent.questions.map(q => normalizeQuestion(q, parsedContent.story));
+
+            const { storyId: newStoryId, saved } = createStory(db, appId, userId, child.id, {
+                level: storyLevel,
+                locale,
+                story: parsedContent.story,
+                questions: normalized,
+                targets: { ...targets, uses },
+                validation: parsedContent.validation,
+            });
+            saved.catch(error => console.error("Error saving story:", error));
+            dispatch(storyLoaded({ story: parsedContent.story, storyId: newStoryId, questions: normalized, targetUses: uses }));
+        } catch (error) {
+            console.error("Error generating story:", error);
+            dispatch(storyFailed(`Error generating story: ${error.message}. Please check your LLM settings and network connection.`));
+        }
+    };
+
+    // --- Comprehension Scoring ---
+    // Answered questions without a result (or being retried) are graded; questions the
+    // child has not answered yet are left for later. Every result is saved as
+    // structured fields on the story document that is on screen.
+    const evaluateComprehension = async () => {
+        if (!db || !userId || !appId || !storyId || questions.length === 0) {
+            dispatch(comprehensionFeedback('Please generate a story and answer questions first, or app ID/authentication is missing.'));
+            return;
+        }
+        const pending = questions.filter(q => (!results[q.id] || results[q.id].retrying) && isAnswered(q, answers[q.id]));
+        if (pending.length === 0) {
+            dispatch(comprehensionFeedback('Answer a question first, then check it.'));
+            return;
+        }
+        dispatch(comprehensionFeedback('Checking answers...'));
+
+        // Multiple choice, true/false, sequencing and tap-a-word are graded here;
+        // only free-text answers need the model
+        const graded = {};
+        pending.filter(isAutoGraded).forEach(q => {
+            const result = gradeQuestion(q, answers[q.id], story);
+            graded[q.id] = {
+                verdict: result.verdict,
+                score: result.score,
+                feedback: result.correct ? 'Correct!' : `The answer was: ${describeAnswer(q)}.`,
+            };
+        });
+
+        let modelSummary = '';
+        let modelError = '';
+        const freeTextQuestions = pending.filter(q => !isAutoGraded(q));
+        if (freeTextQuestions.length > 0) {
+            try {
+                const answersList = freeTextQuestions.map(q => ({
+                    id: q.id,
+                    question: q.question,
+                    answer: answers[q.id],
+                }));
+                const parsedFeedback = await evaluateComprehensionChecked({ story, answers: answersList, locale, onReject });
+                modelSummary = parsedFeedback.summary;
+                freeTextQuestions.forEach(q => {
+                    const qf = parsedFeedback.questionFeedbacks.find(f => f.id === q.id);
+                    const verdict = Object.values(VERDICTS).includes(qf?.verdict) ? qf.verdict : VERDICTS.PARTIAL;
+                    graded[q.id] = { verdict, score: VERDICT_SCORES[verdict], feedback: qf?.feedback || '' };
+                });
+            } catch (error) {
+                // Auto-graded results still count; free-text answers can be checked again later
+                console.error("Error evaluating comprehension:", error);
+                modelError = `Could not check the written answers: ${error.message}. Please check your LLM settings and network connection.`;
+            }
+        }
+
+        dispatch(questionsGraded(graded));
+        const merged = mergeResults(results, graded);
+
+        const answered = questions.filter(q => merged[q.id] && !merged[q.id].retrying);
+        const correctCount = answered.filter(q => merged[q.id].verdict === VERDICTS.CORRECT).length;
+        const score = answered.length ? answered.reduce((sum, q) => sum + merged[q.id].score, 0) / answered.length : null;
+        const summary = [`You got ${correctCount} of ${answered.length} right!`, modelSummary].filter(Boolean).join(' ');
+        dispatch(comprehensionFeedback(modelError ? `${summary}\n${modelError}` : summary));
+        if (answered.length === 0) return;
+
+        try {
+            await saveComprehension(db, appId, userId, child.id, storyId, {
+                summary,
+                score,
+                results: answered.map(q => ({
+                    questionId: q.id,
+                    question: q.question,
+                    type: q.type,
+                    skill: q.skill,
+                    answer: answers[q.id] ?? null,
+                    verdict: merged[q.id].verdict,
+                    score: merged[q.id].score,
+                    feedback: merged[q.id].feedback,
+                    attempts: merged[q.id].attempts,
+                })),
+            });
+        } catch (error) {
+            console.error("Error saving comprehension results:", error);
+            dispatch(comprehensionFeedback(`${summary}\nCould not save your answers: ${error.message}`));
+        }
+    };
+
+    // --- Read-Aloud Running Record ---
+    const saveReadingRecord = async (record) => {
+        const selfCorrections = record.selfCorrected.length;
+        dispatch(readingFeedback(`You read ${record.wcpm} words correct per minute with ${record.accuracy}% accuracy${selfCorrections ? ` and fixed ${selfCorrections} word${selfCorrections === 1 ? '' : 's'} yourself` : ''}!`));
+        if (!db || !userId || !appId || !storyId) {
+            console.warn("Reading record not saved: story or reader missing.");
+            return;
+        }
+        try {
+            await addReadingRecord(db, appId, userId, child.id, storyId, record);
+        } catch (error) {
+            console.error("Error saving reading record:", error);
+            dispatch(readingFeedback(`Could not save your reading: ${error.message}`));
+        }
+    };
+
+    return (
+        <div className="text-center">
+            <h2 className="text-3xl font-bold text-purple-700 mb-6">Story Time Adventures!</h2>
+            <div className="mb-6 flex flex-wrap items-center justify-center gap-4">
+                <label htmlFor="storyLevel" className="font-semibold text-lg">Reading Level:</label>
+                <select
+                    id="storyLevel"
+                    value={storyLevel}
+                    onChange={(e) => dispatch(storyLevelChosen(e.target.value))}
+                    className="p-3 border-2 border-purple-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-400"
+                >
+                    {READING_LEVELS.map(level => (
+                        <option key={level.value} value={level.value}>
+                            {level.label}{level.value === adaptiveLevel.storyLevel ? ' (recommended)' : ''}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    onClick={generateStory}
+                    className="bg-gradient-to-r from-purple-500 to-pink-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:from-purple-600 hover:to-pink-600 transition-all duration-300 transform hover:scale-105"
+                    disabled={loading}
+                >
+                    {loading ? 'Generating...' : 'Generate Story'}
+                </button>
+            </div>
+
+            {story && (
+                <div className="mt-8 bg-gray-50 p-6 rounded-xl shadow-inner text-left">
+                    <h3 className="text-2xl font-bold text-purple-600 mb-4">Your Story:</h3>
+                    {!readingAloud && <StoryNarrator key={story} story={story} locale={locale} targets={targetUses} />}
+                    {targetUses.length > 0 && (
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                            <span className="font-semibold text-gray-700">Practice words:</span>
+                            {targetUses.map(use => (
+                                <span
+                                    key={use.word}
+                                    className={`px-2 py-0.5 rounded-full ${use.count > 0 ? 'bg-pink-100 text-pink-700 font-semibold' : 'bg-gray-100 text-gray-400'}`}
+                                    title={use.count > 0 ? `Used ${use.count} time${use.count === 1 ? '' : 's'}` : 'Not in this story'}
+                                >
+                                    {use.word} &times;{use.count}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    {readingAloud ? (
+                        <ReadAloud
+                            key={story}
+                            story={story}
+                            locale={locale}
+                            onFinish={saveReadingRecord}
+                            onCancel={() => setReadingAloud(false)}
+                        />
+                    ) : (
+                        <div className="mt-4 flex justify-center">
+                            <button
+                                onClick={() => setReadingAloud(true)}
+                                className="bg-green-500 text-white px-5 py-2 rounded-full text-md font-semibold shadow-md hover:bg-green-600 transition-all duration-200"
+                            >
+                                <i className="fas fa-microphone mr-2"></i> Read It Aloud
+                            </button>
+                        </div>
+                    )}
+                    {readingSummary && (
+                        <p className="mt-4 text-orange-600 text-lg font-semibold">{readingSummary}</p>
+                    )}
+
+                    {questions.length > 0 && (
+                        <div className="mt-8 pt-6 border-t-2 border-purple-200">
+                            <h3 className="text-2xl font-bold text-purple-600 mb-4">Comprehension Questions:</h3>
+                            {questions.map(q => (
+                                <ComprehensionQuestion
+                                    key={`${storyId}-${q.id}-${results[q.id]?.attempts || 0}${results[q.id]?.retrying ? '-retry' : ''}`}
+                                    question={q}
+                                    story={story}
+                                    locale={locale}
+                                    answer={answers[q.id]}
+                                    onAnswer={(value) => dispatch(answerChanged(q.id, value))}
+                                    result={results[q.id]?.retrying ? null : results[q.id]}
+                                    onRetry={() => dispatch(questionRetried(q.id))}
+                                />
+                            ))}
+                            <button
+                                onClick={evaluateComprehension}
+                                className="bg-gradient-to-r from-teal-500 to-cyan-500 text-white px-6 py-3 rounded-full text-lg font-bold shadow-lg hover:from-teal-600 hover:to-cyan-600 transition-all duration-300 transform hover:scale-105 mt-4"
+                                disabled={Object.keys(answers).length === 0 || questions.every(q => results[q.id] && !results[q.id].retrying)}
+                            >
+                                Check Understanding
+                            </button>
+                            {feedback && (
+                                <div className="mt-6 p-4 bg-teal-50 rounded-lg shadow-inner text-left text-lg">
+                                    <h4 className="font-bold text-teal-700">Feedback:</h4>
+                                    <p className="whitespace-pre-wrap">{feedback}</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StoryTime;
@@ -0,0 +1,89 @@
+import { toMillis, dayKey } from './dates';
+import { WORD_LEVELS } from '../data/decks';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+// Adaptive difficulty: replays a child's flashcard attempts and comprehension scores
+// to estimate which level they are working at. Like the scheduler, the estimate is
+// derived from history every time, so nothing extra is stored.
+
+// Word levels (see data/decks) line up index for index with story reading levels
+export const STORY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// How many recent attempts at the current level are judged, and how many are needed first.
+const WINDOW_SIZE = 20;
+const MIN_ATTEMPTS = 10;
+const PROMOTE_ACCURACY = 0.85;
+const DEMOTE_ACCURACY = 0.6;
+// Comprehension scores (0-1) from the most recent stories at the current level.
+const STORY_WINDOW = 3;
+const PROMOTE_COMPREHENSION = 0.7;
+const DEMOTE_COMPREHENSION = 0.4;
+// Demotion needs evidence from at least this many different days, so one bad day is not enough.
+const DEMOTE_MIN_DAYS = 2;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const storyLevelIndex = (storyLevel) => Math.max(0, STORY_LEVELS.indexOf(storyLevel));
+
+/**
+ * Estimates the child's level from their history.
+ * `wordLevels` maps word text to 'easy' | 'medium' | 'hard' for attempts saved before
+ * progress documents recorded a level. `startLevel` is the index to start from
+ * (usually the reading level on the child's profile).
+ * Returns { level, wordLevel, storyLevel, accuracy, attempts, changes }.
+ */
+export const estimateLevel = ({ progress, stories, wordLevels = {}, startLevel = 0 }) => {
+    const events = [
+        ...progress
+            // A "close" attempt says nothing either way about the child's level
+            .filter(p => typeof p.correct === 'boolean' && p.verdict !== PRONUNCIATION_VERDICTS.CLOSE)
+            .map(p => ({ kind: 'word', at: toMillis(p.timestamp), correct: p.correct, level: WORD_LEVELS.indexOf(p.level || wordLevels[p.word]) })),
+        ...stories
+            .filter(s => typeof s.comprehension?.score === 'number')
+            .map(s => ({ kind: 'story', at: toMillis(s.evaluatedAt || s.timestamp), score: s.comprehension.score, level: storyLevelIndex(s.level) })),
+    ].sort((a, b) => a.at - b.at);
+
+    let level = startLevel;
+    let attempts = [];
+    let scores = [];
+    const changes = [];
+
+    const changeLevel = (to, at, reason) => {
+        changes.push({ from: level, to, at, reason });
+        level = to;
+        attempts = [];
+        scores = [];
+    };
+
+    events.forEach(event => {
+        // Only work at the current level says anything about moving from it
+        if (event.level !== level) return;
+        if (event.kind === 'word') {
+            attempts = [...attempts, { correct: event.correct, day: dayKey(event.at) }].slice(-WINDOW_SIZE);
+        } else {
+            scores = [...scores, event.score].slice(-STORY_WINDOW);
+        }
+        if (attempts.length < MIN_ATTEMPTS) return;
+
+        const accuracy = attempts.filter(a => a.correct).length / attempts.length;
+        const comprehension = scores.length ? average(scores) : null;
+        const days = new Set(attempts.map(a => a.day)).size;
+
+        if (accuracy >= PROMOTE_ACCURACY && (comprehension === null || comprehension >= PROMOTE_COMPREHENSION)
+            && level < WORD_LEVELS.length - 1) {
+            changeLevel(level + 1, event.at, 'promoted');
+        } else if ((accuracy < DEMOTE_ACCURACY || (scores.length >= 2 && comprehension < DEMOTE_COMPREHENSION))
+            && days >= DEMOTE_MIN_DAYS && level > 0) {
+            changeLevel(level - 1, event.at, 'demoted');
+        }
+    });
+
+    return {
+        level,
+        wordLevel: WORD_LEVELS[level],
+        storyLevel: STORY_LEVELS[level],
+        accuracy: attempts.length ? attempts.filter(a => a.correct).length / attempts.length : null,
+        attempts: attempts.length,
+        changes,
+    };
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { estimateLevel, storyLevelIndex, STORY_LEVELS } from './adaptive';
+import { MINUTE, DAY } from './dates';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+// The thresholds are module-private, so the numbers below spell them out: judged over
+// the last 20 attempts once there are 10, promoted at 85% accuracy (and 70%
+// comprehension), demoted below 60% (or 40% comprehension) seen on 2 different days.
+
+const START = new Date(2026, 2, 2, 9).getTime();
+
+// `pattern` is a string of 1s (correct) and 0s (missed), one attempt a minute.
+const attempts = (pattern, level = 'easy', { day = 0 } = {}) => [...pattern].map((mark, i) => ({
+    word: `word${i}`,
+    level,
+    correct: mark === '1',
+    timestamp: START + day * DAY + i * MINUTE,
+}));
+
+const story = (score, level = 'beginner', at = START) => ({ level, comprehension: { score }, timestamp: at });
+
+const estimate = (progress, { stories = [], startLevel = 0, wordLevels } = {}) => estimateLevel({ progress, stories, startLevel, wordLevels });
+
+describe('estimateLevel', () => {
+    it('waits for ten attempts before moving a reader', () => {
+        expect(estimate(attempts('111111111'))).toMatchObject({ level: 0, attempts: 9, accuracy: 1, changes: [] });
+        expect(estimate(attempts('1111111111'))).toMatchObject({ level: 1, wordLevel: 'medium', storyLevel: 'intermediate' });
+    });
+
+    it('promotes at 85% accuracy but not just below it', () => {
+        // 16 of 19 is 84%; the twentieth read makes 17 of 20
+        expect(estimate(attempts('0001111111111111111')).level).toBe(0);
+        const promoted = estimate(attempts('00011111111111111111'));
+        expect(promoted.changes).toEqual([{ from: 0, to: 1, at: START + 19 * MINUTE, reason: 'promoted' }]);
+        expect(promoted).toMatchObject({ attempts: 0, accuracy: null });
+    });
+
+    it('holds the level anywhere between the demotion and promotion thresholds', () => {
+        const steady = [...attempts('1011011011', 'medium'), ...attempts('1101101101', 'medium', { day: 1 })];
+        expect(estimate(steady, { startLevel: 1 })).toMatchObject({ level: 1, accuracy: 0.7, changes: [] });
+    });
+
+    it('does not demote at exactly 60% accuracy', () => {
+        const progress = [...attempts('11100', 'medium'), ...attempts('11100', 'medium', { day: 1 })];
+        expect(estimate(progress, { startLevel: 1 }).level).toBe(1);
+    });
+
+    it('needs two different days of low accuracy to demote', () => {
+        expect(estimate(attempts('0000000000', 'medium'), { startLevel: 1 }).level).toBe(1);
+        const demoted = estimate([...attempts('00000', 'medium'), ...attempts('00000', 'medium', { day: 1 })], { startLevel: 1 });
+        expect(demoted).toMatchObject({ level: 0, changes: [{ from: 1, to: 0, reason: 'demoted' }] });
+    });
+
+    it('holds back promotion until comprehension reaches 70%', () => {
+        expect(estimate(attempts('1111111111'), { stories: [story(0.6, 'beginner', START - DAY)] }).level).toBe(0);
+        expect(estimate(attempts('1111111111'), { stories: [story(0.7, 'beginner', START - DAY)] }).level).toBe(1);
+    });
+
+    it('demotes on two or more low comprehension scores even when the words go well', () => {
+        const progress = [...attempts('11111', 'medium'), ...attempts('11011', 'medium', { day: 1 })];
+        const low = [story(0.2, 'intermediate', START - 2 * DAY), story(0.3, 'intermediate', START - DAY)];
+        expect(estimate(progress, { startLevel: 1, stories: low.slice(1) }).level).toBe(1);
+        expect(estimate(progress, { startLevel: 1, stories: low }).level).toBe(0);
+    });
+
+    it('only judges work at the current level', () => {
+        expect(estimate(attempts('1111111111', 'hard')).level).toBe(0);
+        expect(estimate(attempts('0000000000', 'easy'), { startLevel: 1 }).level).toBe(1);
+    });
+
+    it('ignores close attempts and looks up the level of older attempts by word', () => {
+        const close = attempts('1111111111').map(a => ({ ...a, correct: false, verdict: PRONUNCIATION_VERDICTS.CLOSE }));
+        expect(estimate(close)).toMatchObject({ level: 0, attempts: 0 });
+
+        const unlabelled = attempts('1111111111').map(a => ({ ...a, level: undefined }));
+        const wordLevels = Object.fromEntries(unlabelled.map(a => [a.word, 'easy']));
+        expect(estimate(unlabelled).level).toBe(0);
+        expect(estimate(unlabelled, { wordLevels }).level).toBe(1);
+    });
+
+    it('stays within the first and last levels', () => {
+        expect(estimate(attempts('1111111111', 'hard'), { startLevel: 2 }).level).toBe(2);
+        expect(estimate([...attempts('00000'), ...attempts('00000', 'easy', { day: 1 })]).level).toBe(0);
+    });
+});
+
+describe('storyLevelIndex', () => {
+    it('maps story levels to word levels, defaulting to the first', () => {
+        expect(STORY_LEVELS.map(storyLevelIndex)).toEqual([0, 1, 2]);
+        expect(storyLevelIndex(undefined)).toBe(0);
+    });
+});
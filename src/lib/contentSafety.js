@@ -0,0 +1,162 @@
+import { normalizeWord, toGraphemeUnits, toSyllables } from './phonemes';
+
+// Checks model output before a child sees it. Everything here is local and
+// deterministic; callers decide whether to retry, replace or drop a failing output.
+
+// Per language: words that never belong in a story or feedback for young children,
+// and topics that are upsetting or need an adult's framing. `endings` are the
+// simple word endings a term may carry ("kills", "killed").
+const SAFETY_TERMS = {
+    en: {
+        blocked: [
+            'damn', 'hell', 'crap', 'stupid', 'idiot', 'dumb', 'shut up', 'hate', 'ugly',
+            'sexy', 'sex', 'naked', 'drunk', 'beer', 'wine', 'cigarette', 'drugs', 'gun',
+        ],
+        topics: {
+            violence: ['kill', 'murder', 'blood', 'stab', 'weapon', 'knife', 'fight', 'punch', 'war', 'bomb'],
+            death: ['dead', 'death', 'die', 'dying', 'funeral', 'grave'],
+            fear: ['monster', 'ghost', 'nightmare', 'scream', 'horror', 'kidnap'],
+            harm: ['hurt yourself', 'poison', 'suicide', 'abuse'],
+            romance: ['kiss', 'kissing', 'girlfriend', 'boyfriend', 'romance'],
+        },
+        endings: ['s', 'es', 'd', 'ed', 'ing'],
+    },
+    es: {
+        blocked: [
+            'mierda', 'maldito', 'estúpido', 'idiota', 'tonto', 'cállate', 'odio', 'feo',
+            'sexy', 'sexo', 'desnudo', 'borracho', 'cerveza', 'cigarro', 'drogas', 'pistola',
+        ],
+        topics: {
+            violence: ['matar', 'asesinar', 'asesino', 'sangre', 'apuñalar', 'arma', 'cuchillo', 'pelea', 'golpear', 'guerra', 'bomba'],
+            death: ['muerto', 'muerte', 'morir', 'murió', 'funeral', 'tumba'],
+            fear: ['monstruo', 'fantasma', 'pesadilla', 'gritar', 'terror', 'secuestro'],
+            harm: ['hacerte daño', 'veneno', 'suicidio', 'abuso'],
+            romance: ['beso', 'besar', 'novia', 'novio', 'romance'],
+        },
+        endings: ['s', 'es', 'a', 'as', 'os', 'on', 'ó', 'ando', 'aron'],
+    },
+};
+const safetyTermsFor = (language) => SAFETY_TERMS[language] || SAFETY_TERMS.en;
+
+export const ISSUE_CODES = {
+    BLOCKED_WORD: 'blocked-word',
+    SENSITIVE_TOPIC: 'sensitive-topic',
+    TOO_SHORT: 'too-short',
+    TOO_LONG: 'too-long',
+    READING_LEVEL: 'reading-level',
+    QUESTION_COUNT: 'question-count',
+};
+
+// The story prompt asks for 100-150 words; allow a little slack either side.
+const STORY_WORDS = { min: 80, max: 180 };
+const STORY_QUESTIONS = { min: 3, max: 4 };
+// Highest reading grade accepted at each story level.
+const MAX_GRADE = { beginner: 2.5, intermediate: 4, advanced: 7 };
+// Feedback is read to the child, so it must stay short.
+const MAX_FEEDBACK_WORDS = 60;
+
+const wordsOf = (text) => (text.match(/[\p{L}0-9']+/gu) || []).map(w => normalizeWord(w)).filter(Boolean);
+
+const countSyllables = (word, language) => Math.max(1, toSyllables(toGraphemeUnits(word, language)).length);
+
+const sentencesOf = (text) => Math.max(1, (text.match(/[.!?]+/g) || []).length);
+
+/**
+ * Flesch-Kincaid grade level of `text`, using the phonics rules for syllable counts.
+ * Returns 0 for empty text.
+ */
+export const fleschKincaidGrade = (text) => {
+    const words = wordsOf(text);
+    if (words.length === 0) return 0;
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word, 'en'), 0);
+    return 0.39 * (words.length / sentencesOf(text)) + 11.8 * (syllables / words.length) - 15.59;
+};
+
+/**
+ * Crawford grade level of Spanish `text`, a formula fitted to primary-school
+ * Spanish readers. Returns 0 for empty text.
+ */
+export const crawfordGrade = (text) => {
+    const words = wordsOf(text);
+    if (words.length === 0) return 0;
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word, 'es'), 0);
+    const per100 = (count) => (count / words.length) * 100;
+    return -0.205 * per100(sentencesOf(text)) + 0.049 * per100(syllables) - 3.407;
+};
+
+// Grade level with the formula for the text's language.
+export const readingGrade = (text, language = 'en') => (language === 'es' ? crawfordGrade(text) : fleschKincaidGrade(text));
+
+// Matches whole words and phrases with simple endings ("kills", "killed"), so
+// "skill" does not trip "kill" and "warm" does not trip "war".
+const containsTerm = (text, term, endings) => new RegExp(
+    `(?<!\\p{L})${term.replace(/\s+/g, '\\s+')}(${endings.join('|')})?(?!\\p{L})`,
+    'iu',
+).test(text);
+
+/**
+ * Blocklist and sensitive-topic checks for any text shown to a child, in `language`.
+ * Returns [{ code, message }] (empty when the text is fine).
+ */
+export const checkTextSafety = (text, language = 'en') => {
+    const { blocked: blockedWords, topics, endings } = safetyTermsFor(language);
+    const issues = [];
+    const blocked = blockedWords.filter(word => containsTerm(text, word, endings));
+    if (blocked.length) {
+        issues.push({ code: ISSUE_CODES.BLOCKED_WORD, message: `Contains blocked words: ${blocked.join(', ')}.` });
+    }
+    Object.entries(topics).forEach(([topic, terms]) => {
+        const found = terms.filter(term => containsTerm(text, term, endings));
+        if (found.length) {
+            issues.push({ code: ISSUE_CODES.SENSITIVE_TOPIC, message: `Touches on ${topic}: ${found.join(', ')}.` });
+        }
+    });
+    return issues;
+};
+
+/**
+ * Validates a generated { story, questions } for a story level, written in `language`.
+ * Returns { ok, issues, metrics: { words, grade, questions } }.
+ */
+export const validateStory = ({ story, questions }, level, language = 'en') => {
+    const text = story || '';
+    const questionList = Array.isArray(questions) ? questions : [];
+    const metrics = {
+        words: wordsOf(text).length,
+        grade: Math.round(readingGrade(text, language) * 10) / 10,
+        questions: questionList.length,
+    };
+
+    const issues = [
+        ...checkTextSafety(text, language),
+        ...questionList.flatMap(q => checkTextSafety([q.question, ...(q.options || []), ...(q.events || [])].filter(Boolean).join('. '), language)),
+    ];
+    if (metrics.words < STORY_WORDS.min) {
+        issues.push({ code: ISSUE_CODES.TOO_SHORT, message: `Story has ${metrics.words} words (at least ${STORY_WORDS.min} expected).` });
+    }
+    if (metrics.words > STORY_WORDS.max) {
+        issues.push({ code: ISSUE_CODES.TOO_LONG, message: `Story has ${metrics.words} words (at most ${STORY_WORDS.max} expected).` });
+    }
+    const maxGrade = MAX_GRADE[level] ?? MAX_GRADE.advanced;
+    if (metrics.grade > maxGrade) {
+        issues.push({ code: ISSUE_CODES.READING_LEVEL, message: `Reading grade ${metrics.grade} is above ${maxGrade} for ${level}.` });
+    }
+    if (metrics.questions < STORY_QUESTIONS.min || metrics.questions > STORY_QUESTIONS.max || questionList.some(q => !q.question?.trim())) {
+        issues.push({ code: ISSUE_CODES.QUESTION_COUNT, message: `Expected ${STORY_QUESTIONS.min}-${STORY_QUESTIONS.max} questions, got ${metrics.questions}.` });
+    }
+
+    return { ok: issues.length === 0, issues, metrics };
+};
+
+/**
+ * Validates a piece of feedback (pronunciation or comprehension) in `language` before it is shown.
+ * Returns { ok, issues }.
+ */
+export const validateFeedback = (text, language = 'en') => {
+    const issues = checkTextSafety(text || '', language);
+    const words = wordsOf(text || '').length;
+    if (words > MAX_FEEDBACK_WORDS) {
+        issues.push({ code: ISSUE_CODES.TOO_LONG, message: `Feedback has ${words} words (at most ${MAX_FEEDBACK_WORDS} expected).` });
+    }
+    return { ok: issues.length === 0, issues };
+};
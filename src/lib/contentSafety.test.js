@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { checkTextSafety, validateStory, validateFeedback, readingGrade, fleschKincaidGrade, crawfordGrade, ISSUE_CODES } from './contentSafety';
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+const QUESTIONS = [{ question: 'Who has a cat?' }, { question: 'What colour is the cat?' }, { question: 'Where does the cat sit?' }];
+// 96 short words in short sentences
+const EASY_STORY = 'Sam has a red cat. The cat can sit on a mat. '.repeat(8);
+// Reads at about grade 4.8
+const HARDER_STORY = 'Maria found a butterfly. It was resting on the garden fence. '.repeat(9);
+
+describe('checkTextSafety', () => {
+    it('passes ordinary text', () => {
+        expect(checkTextSafety('The happy dog ran to the park with his ball.')).toEqual([]);
+    });
+
+    it('flags blocked words and phrases, whatever the case and spacing', () => {
+        expect(checkTextSafety('You are STUPID. Shut   up!')).toEqual([
+            { code: ISSUE_CODES.BLOCKED_WORD, message: 'Contains blocked words: stupid, shut up.' },
+        ]);
+    });
+
+    it('names each sensitive topic a text touches on', () => {
+        expect(checkTextSafety('The ghost killed the knight and he was dead.')).toEqual([
+            { code: ISSUE_CODES.SENSITIVE_TOPIC, message: 'Touches on violence: kill.' },
+            { code: ISSUE_CODES.SENSITIVE_TOPIC, message: 'Touches on death: dead.' },
+            { code: ISSUE_CODES.SENSITIVE_TOPIC, message: 'Touches on fear: ghost.' },
+        ]);
+    });
+
+    it('matches simple endings but not terms inside longer words', () => {
+        expect(codes(checkTextSafety('Two monsters were fighting.'))).toEqual([ISSUE_CODES.SENSITIVE_TOPIC, ISSUE_CODES.SENSITIVE_TOPIC]);
+        expect(checkTextSafety('A skilled artist painted a warm, grassy hill in the hello sunshine.')).toEqual([]);
+    });
+
+    it('uses the word list for the text\'s language', () => {
+        expect(checkTextSafety('El asesino tenía un cuchillo.', 'es')).toEqual([
+            { code: ISSUE_CODES.SENSITIVE_TOPIC, message: 'Touches on violence: asesino, cuchillo.' },
+        ]);
+        expect(codes(checkTextSafety('Los monstruos gritaron.', 'es'))).toEqual([ISSUE_CODES.SENSITIVE_TOPIC]);
+        expect(checkTextSafety('El gato es feo.', 'en')).toEqual([]);
+        expect(codes(checkTextSafety('El gato es feo.', 'es'))).toEqual([ISSUE_CODES.BLOCKED_WORD]);
+    });
+
+    it('falls back to English for other languages', () => {
+        expect(codes(checkTextSafety('You idiot.', 'fr'))).toEqual([ISSUE_CODES.BLOCKED_WORD]);
+    });
+});
+
+describe('reading grade', () => {
+    it('rates short words in short sentences as easy reading', () => {
+        expect(fleschKincaidGrade('The cat sat.')).toBeLessThan(0);
+        expect(readingGrade(HARDER_STORY)).toBeGreaterThan(readingGrade(EASY_STORY));
+    });
+
+    it('uses the Spanish formula for Spanish text', () => {
+        expect(readingGrade('El gato come.', 'es')).toBe(crawfordGrade('El gato come.'));
+        expect(readingGrade('', 'es')).toBe(0);
+        expect(fleschKincaidGrade('')).toBe(0);
+    });
+});
+
+describe('validateStory', () => {
+    it('accepts a clean story of the right length, level and question count', () => {
+        expect(validateStory({ story: EASY_STORY, questions: QUESTIONS }, 'beginner')).toEqual({
+            ok: true,
+            issues: [],
+            metrics: { words: 96, grade: -1.4, questions: 3 },
+        });
+    });
+
+    it('rejects stories that are too short or too long', () => {
+        expect(codes(validateStory({ story: 'Sam has a cat.', questions: QUESTIONS }, 'beginner').issues)).toEqual([ISSUE_CODES.TOO_SHORT]);
+        expect(codes(validateStory({ story: EASY_STORY.repeat(2), questions: QUESTIONS }, 'beginner').issues)).toEqual([ISSUE_CODES.TOO_LONG]);
+    });
+
+    it('holds each level to its own reading grade', () => {
+        const story = { story: HARDER_STORY, questions: QUESTIONS };
+        expect(codes(validateStory(story, 'beginner').issues)).toEqual([ISSUE_CODES.READING_LEVEL]);
+        expect(validateStory(story, 'intermediate').issues).toEqual([
+            { code: ISSUE_CODES.READING_LEVEL, message: 'Reading grade 4.8 is above 4 for intermediate.' },
+        ]);
+        expect(validateStory(story, 'advanced').ok).toBe(true);
+    });
+
+    it('expects three or four questions, none of them blank', () => {
+        expect(codes(validateStory({ story: EASY_STORY, questions: QUESTIONS.slice(0, 2) }, 'beginner').issues)).toEqual([ISSUE_CODES.QUESTION_COUNT]);
+        expect(codes(validateStory({ story: EASY_STORY, questions: [...QUESTIONS, { question: ' ' }] }, 'beginner').issues)).toEqual([ISSUE_CODES.QUESTION_COUNT]);
+        expect(validateStory({ story: EASY_STORY, questions: null }, 'beginner').metrics.questions).toBe(0);
+    });
+
+    it('checks the questions and their options for safety too', () => {
+        const questions = [...QUESTIONS.slice(0, 2), { question: 'Which one?', options: ['a cat', 'a gun'] }];
+        expect(codes(validateStory({ story: EASY_STORY, questions }, 'beginner').issues)).toEqual([ISSUE_CODES.BLOCKED_WORD]);
+    });
+});
+
+describe('validateFeedback', () => {
+    it('keeps feedback short and safe', () => {
+        expect(validateFeedback('Great job! Try "cat" again.')).toEqual({ ok: true, issues: [] });
+        expect(codes(validateFeedback('word '.repeat(61)).issues)).toEqual([ISSUE_CODES.TOO_LONG]);
+        expect(codes(validateFeedback('That was dumb.').issues)).toEqual([ISSUE_CODES.BLOCKED_WORD]);
+        expect(validateFeedback(null).ok).toBe(true);
+    });
+});
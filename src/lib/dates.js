@@ -0,0 +1,28 @@
+// Date helpers shared by the scheduler and the progress dashboard.
+
+export const MINUTE = 60 * 1000;
+export const DAY = 24 * 60 * MINUTE;
+
+// Firestore returns Timestamps, fresh local writes may still be Dates.
+export const toMillis = (timestamp) => {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    if (timestamp instanceof Date) return timestamp.getTime();
+    if (typeof timestamp === 'number') return timestamp;
+    return new Date(timestamp).getTime() || 0;
+};
+
+// Local calendar day as "YYYY-MM-DD", so a day means the family's day, not UTC's.
+export const dayKey = (millis) => {
+    const date = new Date(millis);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Start of the local day `millis` falls on.
+export const startOfDay = (millis) => {
+    const date = new Date(millis);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+};
@@ -0,0 +1,155 @@
+import { normalizeWord, toGraphemeUnits, toPhonemes, alignPhonemes, isVowelPhoneme } from './phonemes';
+import { localeInfo } from '../data/locales';
+
+// Round builders and checks for the phonics mini-games. Rounds are built from the
+// active deck, topped up with small built-in word banks in the reader's language when
+// a deck has too few words that fit a game. `random` is injectable so rounds can be
+// reproduced.
+
+// Stored as `game` on each progress document; flashcard practice is 'flashcard'.
+export const GAME_TYPES = {
+    FLASHCARD: 'flashcard',
+    MINIMAL_PAIRS: 'minimal-pairs',
+    WORD_BUILDING: 'word-building',
+    RHYME_MATCH: 'rhyme-match',
+};
+
+// Words one sound apart, for the listening game when the deck has no pairs of its own.
+// Spanish pairs avoid "s"/"z" contrasts, which only Spain keeps apart.
+const MINIMAL_PAIR_BANKS = {
+    en: [
+        ['ship', 'chip'], ['cat', 'cap'], ['thin', 'fin'], ['bed', 'bad'], ['pin', 'pen'],
+        ['sit', 'seat'], ['fan', 'van'], ['dog', 'dig'], ['bug', 'rug'], ['shop', 'chop'],
+        ['three', 'free'], ['lock', 'rock'], ['cut', 'cot'], ['hat', 'hot'], ['sun', 'bun'],
+    ],
+    es: [
+        ['perro', 'pero'], ['pato', 'gato'], ['mesa', 'masa'], ['casa', 'cama'], ['sol', 'col'],
+        ['luna', 'cuna'], ['peso', 'beso'], ['dedo', 'dado'], ['mano', 'mono'], ['toro', 'loro'],
+        ['pala', 'bala'], ['carro', 'caro'], ['pelo', 'palo'], ['foca', 'boca'], ['rana', 'lana'],
+    ],
+};
+
+// Extra words for rhyme and onset matching.
+const RHYME_BANKS = {
+    en: [
+        'cat', 'hat', 'bat', 'mat', 'dog', 'log', 'frog', 'fish', 'dish', 'wish',
+        'sun', 'run', 'fun', 'bed', 'red', 'ship', 'chip', 'lip', 'cake', 'lake',
+        'bike', 'kite', 'ball', 'tall', 'star', 'car', 'moon', 'spoon', 'tree', 'bee',
+    ],
+    es: [
+        'gato', 'pato', 'plato', 'zapato', 'luna', 'cuna', 'sol', 'col', 'mano', 'enano',
+        'mesa', 'fresa', 'casa', 'masa', 'ratón', 'botón', 'camión', 'flor', 'tambor', 'perro',
+        'cerro', 'pan', 'tucán', 'rana', 'lana', 'bota', 'pelota', 'gota', 'dedo', 'miedo',
+    ],
+};
+
+// Letters added to the word-building tiles as distractors.
+const DISTRACTOR_LETTERS = {
+    en: 'abcdefghilmnoprstu'.split(''),
+    es: 'abcdefilmnñoprstu'.split(''),
+};
+
+const bankFor = (banks, locale) => banks[localeInfo(locale).language] || banks.en;
+
+const shuffle = (items, random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+const deckWordList = (words, locale) =>
+    [...new Set(words.map(w => normalizeWord(w.text, locale)).filter(w => w && !w.includes(' ')))];
+
+// True when two words differ by exactly one substituted sound ("ship"/"chip").
+export const isMinimalPair = (a, b, locale) => {
+    const pa = toPhonemes(a, locale);
+    const pb = toPhonemes(b, locale);
+    return a !== b && pa.length === pb.length && alignPhonemes(pa, pb).distance === 1;
+};
+
+/**
+ * A listening round: { target, options } where the child hears `target` and picks
+ * it from two words one sound apart. Prefers pairs within the deck.
+ */
+export const buildMinimalPairRound = (words, locale, random = Math.random) => {
+    const deckWords = deckWordList(words, locale);
+    const deckPairs = deckWords.flatMap((a, i) => deckWords.slice(i + 1).filter(b => isMinimalPair(a, b, locale)).map(b => [a, b]));
+    // Bank pairs that include a deck word keep the game close to what the child is practising
+    const bank = bankFor(MINIMAL_PAIR_BANKS, locale);
+    const relatedBankPairs = bank.filter(pair => pair.some(w => deckWords.includes(w)));
+    const pairs = deckPairs.length ? deckPairs : relatedBankPairs.length ? relatedBankPairs : bank;
+    const pair = pick(pairs, random);
+    return { target: pick(pair, random), options: shuffle(pair, random) };
+};
+
+/**
+ * A word-building round: { word, graphemes, tiles } where `graphemes` is the word's
+ * spelling split into sound units and `tiles` are those units plus distractors, shuffled.
+ */
+export const buildWordBuildingRound = (words, locale, random = Math.random) => {
+    const candidates = deckWordList(words, locale).filter(w => toGraphemeUnits(w, locale).length >= 2);
+    const word = pick(candidates.length ? candidates : bankFor(RHYME_BANKS, locale), random);
+    const graphemes = toGraphemeUnits(word, locale).map(unit => unit.grapheme);
+    const distractors = shuffle(bankFor(DISTRACTOR_LETTERS, locale).filter(letter => !graphemes.includes(letter)), random).slice(0, 2);
+    const tiles = shuffle([...graphemes, ...distractors], random).map((grapheme, id) => ({ id, grapheme }));
+    return { word, graphemes, tiles };
+};
+
+// True when the placed tiles spell the word sound by sound.
+export const checkBuiltWord = (round, placedGraphemes) =>
+    placedGraphemes.length === round.graphemes.length && placedGraphemes.join('') === round.graphemes.join('');
+
+// Sounds from the last vowel on ("at" in "cat") and before the first one ("c").
+// Spanish words rhyme from the stressed vowel instead ("-ato" in "za-pa-to").
+export const rimeOf = (word, locale) => {
+    const units = toGraphemeUnits(word, locale);
+    const phonemes = units.flatMap(unit => unit.phonemes);
+    const stressed = units.findIndex(unit => unit.stressed);
+    if (stressed === -1) {
+        const lastVowel = phonemes.map(isVowelPhoneme).lastIndexOf(true);
+        return lastVowel === -1 ? '' : phonemes.slice(lastVowel).join(' ');
+    }
+    // Skip the glide of a stressed diphthong ("-ón" in "ca-mión")
+    const unitStart = units.slice(0, stressed).reduce((count, unit) => count + unit.phonemes.length, 0);
+    const vowel = phonemes.findIndex((p, i) => i >= unitStart && isVowelPhoneme(p));
+    return phonemes.slice(vowel).join(' ');
+};
+
+export const onsetOf = (word, locale) => {
+    const phonemes = toPhonemes(word, locale);
+    const firstVowel = phonemes.findIndex(isVowelPhoneme);
+    return phonemes.slice(0, firstVowel === -1 ? phonemes.length : firstVowel).join(' ');
+};
+
+export const MATCH_MODES = {
+    RHYME: 'rhyme', // Same ending sound
+    ONSET: 'onset', // Same starting sound
+};
+
+/**
+ * A matching round: { mode, target, options, answer }. Exactly one option shares the
+ * target's rime (or onset); the others do not. Returns null when no round can be built.
+ */
+export const buildMatchRound = (words, mode = MATCH_MODES.RHYME, locale, random = Math.random) => {
+    const keyOf = (word) => (mode === MATCH_MODES.RHYME ? rimeOf : onsetOf)(word, locale);
+    const pool = [...new Set([...deckWordList(words, locale), ...bankFor(RHYME_BANKS, locale)])].filter(w => keyOf(w));
+    const deckWords = deckWordList(words, locale).filter(w => keyOf(w));
+
+    // Try deck words first as the target, then anything in the pool
+    const targets = [...shuffle(deckWords, random), ...shuffle(pool, random)];
+    for (const target of targets) {
+        const key = keyOf(target);
+        const matches = pool.filter(w => w !== target && keyOf(w) === key);
+        const others = pool.filter(w => keyOf(w) !== key);
+        if (matches.length && others.length >= 2) {
+            const answer = pick(matches, random);
+            return { mode, target, answer, options: shuffle([answer, ...shuffle(others, random).slice(0, 2)], random) };
+        }
+    }
+    return null;
+};
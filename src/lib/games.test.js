@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+    isMinimalPair,
+    buildMinimalPairRound,
+    buildWordBuildingRound,
+    checkBuiltWord,
+    rimeOf,
+    onsetOf,
+    buildMatchRound,
+    MATCH_MODES,
+} from './games';
+
+// Small seeded generator so every round below can be replayed.
+const seeded = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+const deck = (...texts) => texts.map(text => ({ text }));
+
+describe('sound keys', () => {
+    it('takes the rime from the last vowel and the onset before the first', () => {
+        expect(rimeOf('cat')).toBe(rimeOf('hat'));
+        expect(rimeOf('cat')).not.toBe(rimeOf('cap'));
+        expect(onsetOf('ship')).toBe('SH');
+        expect(onsetOf('frog')).toBe('F R');
+    });
+
+    it('rhymes Spanish words from the stressed vowel', () => {
+        expect(rimeOf('zapato', 'es-MX')).toBe(rimeOf('gato', 'es-MX'));
+        expect(rimeOf('camión', 'es-MX')).toBe(rimeOf('botón', 'es-MX'));
+        expect(rimeOf('mesa', 'es-MX')).not.toBe(rimeOf('casa', 'es-MX'));
+    });
+});
+
+describe('buildMatchRound', () => {
+    const cases = [
+        [MATCH_MODES.RHYME, 'en-US', deck('cat', 'hat', 'dog', 'sun')],
+        [MATCH_MODES.ONSET, 'en-US', deck('ship', 'shop', 'cat')],
+        [MATCH_MODES.RHYME, 'es-MX', deck('gato', 'pato', 'luna')],
+        [MATCH_MODES.ONSET, 'es-MX', deck('mesa', 'mano')],
+        [MATCH_MODES.RHYME, 'en-US', []],
+    ];
+
+    it.each(cases)('has exactly one %s match among three options (%s)', (mode, locale, words) => {
+        const keyOf = (word) => (mode === MATCH_MODES.RHYME ? rimeOf : onsetOf)(word, locale);
+        for (let seed = 1; seed <= 50; seed++) {
+            const round = buildMatchRound(words, mode, locale, seeded(seed));
+            expect(round.mode).toBe(mode);
+            expect(round.options).toHaveLength(3);
+            expect(new Set(round.options).size).toBe(3);
+            expect(round.options).toContain(round.answer);
+            expect(round.options).not.toContain(round.target);
+            expect(round.options.filter(option => keyOf(option) === keyOf(round.target))).toEqual([round.answer]);
+        }
+    });
+
+    it('picks the target from the deck when a deck word has a match', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            expect(['cat', 'hat']).toContain(buildMatchRound(deck('cat', 'hat'), MATCH_MODES.RHYME, 'en-US', seeded(seed)).target);
+        }
+    });
+
+    it('builds the same round from the same random sequence', () => {
+        const words = deck('cat', 'hat', 'dog');
+        expect(buildMatchRound(words, MATCH_MODES.RHYME, 'en-US', seeded(7))).toEqual(buildMatchRound(words, MATCH_MODES.RHYME, 'en-US', seeded(7)));
+    });
+});
+
+describe('minimal pairs', () => {
+    it('pairs words exactly one substituted sound apart', () => {
+        expect(isMinimalPair('ship', 'chip')).toBe(true);
+        expect(isMinimalPair('cat', 'dog')).toBe(false);
+        expect(isMinimalPair('cat', 'cats')).toBe(false);
+        expect(isMinimalPair('cat', 'cat')).toBe(false);
+    });
+
+    it('prefers pairs within the deck, then bank pairs with a deck word', () => {
+        for (let seed = 1; seed <= 20; seed++) {
+            const round = buildMinimalPairRound(deck('ship', 'chip', 'dog'), 'en-US', seeded(seed));
+            expect([...round.options].sort()).toEqual(['chip', 'ship']);
+            expect(round.options).toContain(round.target);
+            expect([...buildMinimalPairRound(deck('fan'), 'en-US', seeded(seed)).options].sort()).toEqual(['fan', 'van']);
+        }
+    });
+
+    it('falls back to the bank for the reader\'s language', () => {
+        const round = buildMinimalPairRound([], 'es-MX', seeded(3));
+        expect(round.options).toHaveLength(2);
+        expect(isMinimalPair(...round.options, 'es-MX')).toBe(true);
+    });
+});
+
+describe('word building', () => {
+    it('splits the word into sound tiles and adds two distractor letters', () => {
+        const round = buildWordBuildingRound(deck('ship', 'a'), 'en-US', seeded(5));
+        expect(round).toMatchObject({ word: 'ship', graphemes: ['sh', 'i', 'p'] });
+        expect(round.tiles).toHaveLength(5);
+        expect(round.tiles.map(tile => tile.id)).toEqual([0, 1, 2, 3, 4]);
+        const distractors = round.tiles.map(tile => tile.grapheme).filter(grapheme => !round.graphemes.includes(grapheme));
+        expect(distractors).toHaveLength(2);
+    });
+
+    it('accepts the word only when it is spelled sound by sound', () => {
+        const round = { graphemes: ['sh', 'i', 'p'] };
+        expect(checkBuiltWord(round, ['sh', 'i', 'p'])).toBe(true);
+        expect(checkBuiltWord(round, ['s', 'h', 'i', 'p'])).toBe(false);
+        expect(checkBuiltWord(round, ['sh', 'i'])).toBe(false);
+    });
+});
@@ -0,0 +1,29 @@
+// Splits story text for the narration player: one utterance per sentence, with
+// each word's character range so `onboundary` events can be mapped to a word.
+
+/**
+ * Returns [{ text, words: [{ text, start, end, index }] }]. `start`/`end` are offsets
+ * into the sentence text (what the utterance reports); `index` numbers words across
+ * the whole story.
+ */
+export const splitSentences = (text) => {
+    const sentences = (text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+
+    let wordIndex = 0;
+    return sentences.map(sentence => {
+        const words = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(sentence)) !== null) {
+            words.push({ text: match[0], start: match.index, end: match.index + match[0].length, index: wordIndex });
+            wordIndex += 1;
+        }
+        return { text: sentence, words };
+    });
+};
+
+// Finds the word a boundary event's `charIndex` falls in (or the next word after it).
+export const wordAtChar = (sentence, charIndex) =>
+    sentence.words.find(word => charIndex < word.end) || sentence.words[sentence.words.length - 1];
@@ -0,0 +1,580 @@
+import { localeInfo } from '../data/locales';
+import { feedbackMessages } from '../data/feedback';
+
+// Offline grapheme-to-phoneme conversion for early-reader words.
+// Words are broken into grapheme units ("sh", "ee", "a", silent "e"), each with the
+// ARPAbet phonemes it makes and the syllable it belongs to. Irregular words come
+// from a small dictionary; everything else goes through phonics rules.
+// Every function takes an optional `locale` ("en-GB", "es-MX", or just "es") that
+// picks the language's rules and accent; the default is US English.
+
+const VOWEL_LETTERS = 'aeiou';
+
+// Dictionary entries are "grapheme:PHONEMES" units separated by spaces, with "|"
+// between syllables. Multi-phoneme units join phonemes with "+"; silent units
+// have nothing after the colon.
+const DICTIONARY = {
+    apple: 'a:AE pp:P | le:AH+L',
+    banana: 'b:B a:AH | n:N a:AE | n:N a:AH',
+    elephant: 'e:EH | l:L e:AH | ph:F a:AH n:N t:T',
+    telephone: 't:T e:EH | l:L e:AH | ph:F o:OW n:N e:',
+    curious: 'c:K u:Y+UH | r:R i:IY | ou:AH s:S',
+    dog: 'd:D o:AO g:G',
+    one: 'o:W+AH n:N e:',
+    won: 'w:W o:AH n:N',
+    two: 't:T wo:UW',
+    to: 't:T o:UW',
+    too: 't:T oo:UW',
+    the: 'th:DH e:AH',
+    of: 'o:AH f:V',
+    was: 'w:W a:AH s:Z',
+    said: 's:S ai:EH d:D',
+    you: 'y:Y ou:UW',
+    eight: 'eigh:EY t:T',
+    ate: 'a:EY t:T e:',
+    four: 'f:F our:AO+R',
+    for: 'f:F or:AO+R',
+    know: 'kn:N ow:OW',
+    no: 'n:N o:OW',
+    write: 'wr:R i:AY t:T e:',
+    right: 'r:R igh:AY t:T',
+    their: 'th:DH eir:EH+R',
+    there: 'th:DH ere:EH+R',
+    hear: 'h:HH ear:IH+R',
+    here: 'h:HH ere:IH+R',
+    pear: 'p:P ear:EH+R',
+    pair: 'p:P air:EH+R',
+    sea: 's:S ea:IY',
+    see: 's:S ee:IY',
+};
+
+// Speech recognizers often return digits for number words.
+const NUMBER_WORDS = {
+    0: 'zero', 1: 'one', 2: 'two', 3: 'three', 4: 'four', 5: 'five',
+    6: 'six', 7: 'seven', 8: 'eight', 9: 'nine', 10: 'ten',
+};
+
+// Multi-letter graphemes, longest first so "tch" wins over "ch".
+const GRAPHEME_RULES = [
+    ['eigh', ['EY']], ['tch', ['CH']], ['dge', ['JH']], ['igh', ['AY']],
+    ['air', ['EH', 'R']], ['ear', ['IH', 'R']],
+    ['sh', ['SH']], ['ch', ['CH']], ['th', ['TH']], ['ph', ['F']], ['wh', ['W']],
+    ['ck', ['K']], ['ng', ['NG']], ['qu', ['K', 'W']],
+    ['ee', ['IY']], ['ea', ['IY']], ['oa', ['OW']], ['ai', ['EY']], ['ay', ['EY']],
+    ['oo', ['UW']], ['ou', ['AW']], ['ow', ['OW']], ['oi', ['OY']], ['oy', ['OY']],
+    ['ew', ['UW']], ['au', ['AO']], ['aw', ['AO']], ['ie', ['IY']],
+    ['ar', ['AA', 'R']], ['or', ['AO', 'R']], ['er', ['ER']], ['ir', ['ER']], ['ur', ['ER']],
+];
+
+const SHORT_VOWELS = { a: ['AE'], e: ['EH'], i: ['IH'], o: ['AA'], u: ['AH'] };
+const LONG_VOWELS = { a: ['EY'], e: ['IY'], i: ['AY'], o: ['OW'], u: ['UW'] };
+
+const CONSONANTS = {
+    b: ['B'], c: ['K'], d: ['D'], f: ['F'], g: ['G'], h: ['HH'], j: ['JH'], k: ['K'],
+    l: ['L'], m: ['M'], n: ['N'], p: ['P'], r: ['R'], s: ['S'], t: ['T'], v: ['V'],
+    w: ['W'], x: ['K', 'S'], y: ['Y'], z: ['Z'],
+};
+
+// Kid-friendly names for vowel sounds, used when a vowel letter was read with the wrong sound.
+const VOWEL_NAMES = {
+    AE: 'short a', EY: 'long a', EH: 'short e', IY: 'long e', IH: 'short i', AY: 'long i',
+    AA: 'short o', OW: 'long o', AH: 'short u', UW: 'long u', ER: '"er"', AO: '"aw"',
+};
+
+// Spanish spelling is regular, so the dictionary only needs words the rules can't
+// tell apart from a consonant ("y" on its own is a vowel).
+const SPANISH_DICTIONARY = {
+    y: 'y:IY',
+};
+
+const SPANISH_NUMBER_WORDS = {
+    0: 'cero', 1: 'uno', 2: 'dos', 3: 'tres', 4: 'cuatro', 5: 'cinco',
+    6: 'seis', 7: 'siete', 8: 'ocho', 9: 'nueve', 10: 'diez',
+};
+
+// Spanish multi-letter graphemes, including the diphthongs that share one syllable.
+// An accent on the "i" or "u" splits a diphthong ("dí-a"), so those are not listed;
+// one on the other vowel does not ("can-ción").
+const SPANISH_GRAPHEME_RULES = [
+    ['ch', ['CH']], ['ll', ['Y']], ['rr', ['RR']],
+    ['ai', ['AA', 'Y']], ['au', ['AA', 'W']], ['ei', ['EH', 'Y']], ['eu', ['EH', 'W']], ['oi', ['OW', 'Y']],
+    ['ái', ['AA', 'Y']], ['áu', ['AA', 'W']], ['éi', ['EH', 'Y']], ['éu', ['EH', 'W']], ['ói', ['OW', 'Y']],
+    ['ia', ['Y', 'AA']], ['ie', ['Y', 'EH']], ['io', ['Y', 'OW']], ['iu', ['Y', 'UW']],
+    ['iá', ['Y', 'AA']], ['ié', ['Y', 'EH']], ['ió', ['Y', 'OW']],
+    ['ua', ['W', 'AA']], ['ue', ['W', 'EH']], ['uo', ['W', 'OW']], ['ui', ['W', 'IY']],
+    ['uá', ['W', 'AA']], ['ué', ['W', 'EH']], ['uó', ['W', 'OW']],
+];
+
+const SPANISH_VOWELS = {
+    a: ['AA'], á: ['AA'], e: ['EH'], é: ['EH'], i: ['IY'], í: ['IY'],
+    o: ['OW'], ó: ['OW'], u: ['UW'], ú: ['UW'], ü: ['UW'],
+};
+
+const SPANISH_CONSONANTS = {
+    b: ['B'], c: ['K'], d: ['D'], f: ['F'], g: ['G'], h: [], j: ['HH'], k: ['K'],
+    l: ['L'], m: ['M'], n: ['N'], ñ: ['NY'], p: ['P'], r: ['R'], s: ['S'], t: ['T'],
+    v: ['B'], w: ['W'], x: ['K', 'S'], y: ['Y'], z: ['S'],
+};
+
+// Consonant pairs that start a Spanish syllable together: "li-bro", "ha-blar".
+const SPANISH_ONSETS = new Set(['bl', 'br', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'kl', 'kr', 'pl', 'pr', 'tr']);
+
+const VOWEL_PHONEMES = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+
+export const isVowelPhoneme = (phoneme) => VOWEL_PHONEMES.has(phoneme);
+
+const isVowelUnit = (unit) => unit.phonemes.some(p => VOWEL_PHONEMES.has(p));
+
+const parseDictionaryEntry = (entry) => {
+    const units = [];
+    let syllable = 0;
+    entry.split(' ').forEach(token => {
+        if (token === '|') {
+            syllable += 1;
+            return;
+        }
+        const [grapheme, phonemes] = token.split(':');
+        units.push({ grapheme, phonemes: phonemes ? phonemes.split('+') : [], syllable });
+    });
+    return units;
+};
+
+// Rule-based split of an English word into grapheme units, before syllables are assigned.
+const englishUnits = (word) => {
+    const units = [];
+    let i = 0;
+    while (i < word.length) {
+        const rest = word.slice(i);
+        const letter = word[i];
+
+        // Silent e at the end of a word (but keep "be", "me", "the" style words voiced)
+        if (letter === 'e' && i === word.length - 1 && units.some(isVowelUnit)) {
+            units.push({ grapheme: 'e', phonemes: [] });
+            i += 1;
+            continue;
+        }
+        // Consonant + "le" at the end makes its own syllable: "ta-ble"
+        if (rest === 'le' && i > 0 && !VOWEL_LETTERS.includes(word[i - 1])) {
+            units.push({ grapheme: 'le', phonemes: ['AH', 'L'] });
+            break;
+        }
+        // Initial silent letters
+        if (i === 0 && (rest.startsWith('kn') || rest.startsWith('wr'))) {
+            units.push({ grapheme: rest.slice(0, 2), phonemes: [rest[1] === 'n' ? 'N' : 'R'] });
+            i += 2;
+            continue;
+        }
+
+        const rule = GRAPHEME_RULES.find(([grapheme]) => rest.startsWith(grapheme));
+        if (rule) {
+            units.push({ grapheme: rule[0], phonemes: [...rule[1]] });
+            i += rule[0].length;
+            continue;
+        }
+
+        if (VOWEL_LETTERS.includes(letter)) {
+            // Silent-e pattern: vowel, one consonant, final e ("cake", "kite")
+            const silentE = i === word.length - 3 && word[word.length - 1] === 'e' && !VOWEL_LETTERS.includes(word[i + 1]);
+            // An open syllable at the end of a short word is long: "go", "me", "hi"
+            const openEnd = i === word.length - 1 && !units.some(isVowelUnit);
+            units.push({ grapheme: letter, phonemes: [...(silentE || openEnd ? LONG_VOWELS : SHORT_VOWELS)[letter]] });
+            i += 1;
+            continue;
+        }
+
+        if (letter === 'y') {
+            if (i === 0) {
+                units.push({ grapheme: 'y', phonemes: ['Y'] });
+            } else {
+                // "my" and "fly" have a long i; "happy" ends in a long e
+                const hasVowelBefore = units.some(isVowelUnit);
+                units.push({ grapheme: 'y', phonemes: [hasVowelBefore ? 'IY' : 'AY'] });
+            }
+            i += 1;
+            continue;
+        }
+
+        // Soft c and g before e, i, y
+        const next = word[i + 1];
+        if (letter === 'c' && next && 'eiy'.includes(next)) {
+            units.push({ grapheme: 'c', phonemes: ['S'] });
+            i += 1;
+            continue;
+        }
+
+        // Doubled consonants make one sound: "bell", "kiss"
+        const grapheme = next === letter ? letter + letter : letter;
+        units.push({ grapheme, phonemes: [...(CONSONANTS[letter] || [])] });
+        i += grapheme.length;
+    }
+    return units;
+};
+
+// Without a rhotic accent an "r" after a vowel is only said when a vowel follows:
+// "car" ends on the vowel, so "sore" sounds like "saw", but "carry" keeps its "r".
+const dropNonRhoticR = (units) => units.map((unit, index) => {
+    const nextSounding = units.slice(index + 1).find(u => u.phonemes.length > 0);
+    if (nextSounding && isVowelPhoneme(nextSounding.phonemes[0])) return unit;
+    const phonemes = unit.phonemes.filter((phoneme, i) => {
+        const before = i > 0 ? unit.phonemes[i - 1] : units[index - 1]?.phonemes.at(-1);
+        return phoneme !== 'R' || !isVowelPhoneme(before);
+    });
+    return phonemes.length === unit.phonemes.length ? unit : { ...unit, phonemes };
+});
+
+// Rule-based split of a Spanish word into grapheme units. `distinction` is the
+// accent of most of Spain, where "z" and "c" before "e" or "i" sound like "th".
+const spanishUnits = (word, { distinction }) => {
+    const units = [];
+    let i = 0;
+    while (i < word.length) {
+        const rest = word.slice(i);
+        const letter = word[i];
+        const next = word[i + 1];
+        const beforeFrontVowel = Boolean(next) && 'eéií'.includes(next);
+
+        // The "u" in "que", "qui", "gue" and "gui" is silent; "güe" says it
+        if ((letter === 'q' || letter === 'g') && next === 'u' && word[i + 2] && 'eéií'.includes(word[i + 2])) {
+            units.push({ grapheme: rest.slice(0, 2), phonemes: [letter === 'q' ? 'K' : 'G'] });
+            i += 2;
+            continue;
+        }
+        if (rest.startsWith('gü')) {
+            units.push({ grapheme: 'gü', phonemes: ['G', 'W'] });
+            i += 2;
+            continue;
+        }
+
+        const rule = SPANISH_GRAPHEME_RULES.find(([grapheme]) => rest.startsWith(grapheme));
+        if (rule) {
+            units.push({ grapheme: rule[0], phonemes: [...rule[1]] });
+            i += rule[0].length;
+            continue;
+        }
+
+        if (SPANISH_VOWELS[letter]) {
+            units.push({ grapheme: letter, phonemes: [...SPANISH_VOWELS[letter]] });
+        } else if ((letter === 'c' && beforeFrontVowel) || letter === 'z') {
+            units.push({ grapheme: letter, phonemes: [distinction ? 'TH' : 'S'] });
+        } else if (letter === 'g' && beforeFrontVowel) {
+            units.push({ grapheme: letter, phonemes: ['HH'] });
+        } else if (letter === 'r' && (i === 0 || 'lns'.includes(word[i - 1]))) {
+            // A single "r" is trilled at the start of a word and after "l", "n" or "s"
+            units.push({ grapheme: letter, phonemes: ['RR'] });
+        } else {
+            units.push({ grapheme: letter, phonemes: [...(SPANISH_CONSONANTS[letter] || [])] });
+        }
+        i += 1;
+    }
+    return units;
+};
+
+// Spanish stress falls on the accented vowel, otherwise on the next-to-last syllable
+// of words ending in a vowel, "n" or "s" and on the last syllable of the rest.
+const markSpanishStress = (units, word) => {
+    const vowels = units.filter(isVowelUnit);
+    if (vowels.length === 0) return units;
+    const accented = vowels.find(unit => /[áéíóú]/.test(unit.grapheme));
+    const nextToLast = vowels.length > 1 && /[aeiouns]$/.test(word);
+    (accented || vowels[vowels.length - (nextToLast ? 2 : 1)]).stressed = true;
+    return units;
+};
+
+// A doubled consonant between vowels spells one sound but is split across the
+// syllable break (rab-bit): the first letter keeps the sound, the second is silent.
+const splitDoubledConsonants = (units) => units.flatMap((unit, index) => {
+    const doubled = unit.grapheme.length === 2 && unit.grapheme[0] === unit.grapheme[1] && !isVowelUnit(unit);
+    const betweenVowels = index > 0 && isVowelUnit(units[index - 1]) && units[index + 1] && isVowelUnit(units[index + 1]);
+    if (!doubled || !betweenVowels) return [unit];
+    return [{ ...unit, grapheme: unit.grapheme[0] }, { grapheme: unit.grapheme[1], phonemes: [] }];
+});
+
+// How many of the consonant units between two vowels stay with the first syllable.
+// English keeps one of two or more (rab-bit, jum-ping); Spanish keeps all but the
+// last, or the last two when they start a syllable together (hom-bre, li-bro).
+const englishCoda = (consonants) => (consonants.length <= 1 ? 0 : 1);
+const spanishCoda = (consonants) => {
+    if (consonants.length <= 1) return 0;
+    const lastTwo = consonants.slice(-2).map(unit => unit.grapheme).join('');
+    return consonants.length - (SPANISH_ONSETS.has(lastTwo) ? 2 : 1);
+};
+
+// Assigns syllable numbers: one vowel sound per syllable, a single consonant between
+// vowels starts the next syllable (ba-by), and longer runs are split by `codaOf`.
+const assignSyllables = (units, codaOf = englishCoda) => {
+    const vowelIndexes = units.map((u, index) => (isVowelUnit(u) ? index : -1)).filter(index => index >= 0);
+    let syllable = 0;
+    let nextBoundary = -1;
+
+    units.forEach((unit, index) => {
+        if (index === nextBoundary) syllable += 1;
+        unit.syllable = syllable;
+        const position = vowelIndexes.indexOf(index);
+        if (position === -1 || position === vowelIndexes.length - 1) return;
+
+        const nextVowel = vowelIndexes[position + 1];
+        nextBoundary = index + 1 + codaOf(units.slice(index + 1, nextVowel));
+    });
+    return units;
+};
+
+// Spellings a speech synthesizer reads as (roughly) the isolated sound,
+// since speaking the letter itself says its name ("c" -> "see").
+const SPEAKABLE_SOUNDS = {
+    AA: 'ah', AE: 'aa', AH: 'uh', AO: 'aw', AW: 'ow', AY: 'eye', EH: 'eh', ER: 'er', EY: 'ay',
+    IH: 'ih', IY: 'ee', OW: 'oh', OY: 'oy', UH: 'uh', UW: 'oo',
+    B: 'buh', CH: 'chuh', D: 'duh', DH: 'thuh', F: 'fff', G: 'guh', HH: 'huh', JH: 'juh',
+    K: 'kuh', L: 'lll', M: 'mmm', N: 'nnn', NG: 'ng', P: 'puh', R: 'rrr', S: 'sss',
+    SH: 'shh', T: 'tuh', TH: 'thh', V: 'vvv', W: 'wuh', Y: 'yuh', Z: 'zzz',
+};
+
+// The same for a Spanish voice, which reads single vowels as their sound.
+const SPANISH_SPEAKABLE_SOUNDS = {
+    AA: 'a', EH: 'e', IY: 'i', OW: 'o', UW: 'u',
+    B: 'be', CH: 'che', D: 'de', F: 'fff', G: 'gue', HH: 'je', K: 'ka', L: 'lll', M: 'mmm',
+    N: 'nnn', NY: 'ñe', P: 'pe', R: 're', RR: 'rrr', S: 'sss', T: 'te', TH: 'ce', W: 'u', Y: 'ye',
+};
+
+// Rules for each language in LOCALES. `toUnits` splits a word the dictionary does not
+// know and `finish` applies the accent to either. Spanish vowel letters keep one
+// sound, so there are no vowel names for "wrong vowel sound" hints.
+const LANGUAGE_RULES = {
+    en: {
+        dictionary: DICTIONARY,
+        numberWords: NUMBER_WORDS,
+        toUnits: (word) => assignSyllables(splitDoubledConsonants(englishUnits(word))),
+        finish: (units, word, accent) => (accent.rhotic ? units : dropNonRhoticR(units)),
+        speakableSounds: SPEAKABLE_SOUNDS,
+        vowelNames: VOWEL_NAMES,
+    },
+    es: {
+        dictionary: SPANISH_DICTIONARY,
+        numberWords: SPANISH_NUMBER_WORDS,
+        toUnits: (word, accent) => assignSyllables(spanishUnits(word, accent), spanishCoda),
+        finish: (units, word) => markSpanishStress(units, word),
+        speakableSounds: SPANISH_SPEAKABLE_SOUNDS,
+        vowelNames: {},
+    },
+};
+
+const rulesFor = (locale) => {
+    const { language, accent } = localeInfo(locale);
+    return { language, accent, ...LANGUAGE_RULES[language] };
+};
+
+// Strips punctuation, lower-cases and spells out digits. Accented letters are kept.
+export const normalizeWord = (text, locale) => {
+    const cleaned = (text || '').normalize('NFC').toLowerCase().replace(/[^\p{L}0-9'\s-]/gu, '').replace(/'/g, '').trim();
+    return rulesFor(locale).numberWords[cleaned] || cleaned;
+};
+
+/**
+ * Converts a word to grapheme units: [{ grapheme, phonemes, syllable }]. Spanish
+ * units also mark the stressed vowel with `stressed: true`.
+ * Returns an empty array for empty input.
+ */
+export const toGraphemeUnits = (text, locale) => {
+    const rules = rulesFor(locale);
+    const word = normalizeWord(text, locale).replace(/[\s-]/g, '');
+    if (!word) return [];
+    const units = rules.dictionary[word]
+        ? parseDictionaryEntry(rules.dictionary[word])
+        : rules.toUnits(word, rules.accent);
+    return rules.finish(units, word, rules.accent);
+};
+
+export const toPhonemes = (text, locale) => toGraphemeUnits(text, locale).flatMap(unit => unit.phonemes);
+
+const sayUnit = (unit, sounds) => unit.phonemes.map(p => sounds[p] || p.toLowerCase()).join(' ');
+
+// The sounds of a word for "sound it out" playback: [{ grapheme, say }], skipping silent letters.
+export const toSpeakableSounds = (text, locale) => {
+    const sounds = rulesFor(locale).speakableSounds;
+    return toGraphemeUnits(text, locale)
+        .filter(unit => unit.phonemes.length > 0)
+        .map(unit => ({ grapheme: unit.grapheme, say: sayUnit(unit, sounds) }));
+};
+
+export const UNIT_TYPES = {
+    VOWEL: 'vowel',
+    CONSONANT: 'consonant',
+    BLEND: 'blend',
+    DIGRAPH: 'digraph',
+    SILENT: 'silent',
+};
+
+const isSingleConsonant = (unit) => unit.phonemes.length > 0 && !isVowelUnit(unit) && unit.grapheme.length === 1;
+
+// Several letters spelling one consonant sound ("sh", "ck", "kn"); doubled letters don't count.
+const isDigraph = (unit) => unit.phonemes.length === 1 && !isVowelUnit(unit)
+    && unit.grapheme.length > 1 && unit.grapheme[0] !== unit.grapheme[1];
+
+/**
+ * Grapheme units labelled for display: [{ grapheme, phonemes, syllable, type, say }].
+ * Adjacent single consonants in the same syllable ("st", "mp") are a blend.
+ */
+export const toPhonicsBreakdown = (text, locale) => {
+    const sounds = rulesFor(locale).speakableSounds;
+    const units = toGraphemeUnits(text, locale);
+    return units.map((unit, index) => {
+        let type = UNIT_TYPES.CONSONANT;
+        if (unit.phonemes.length === 0) type = UNIT_TYPES.SILENT;
+        else if (isVowelUnit(unit)) type = UNIT_TYPES.VOWEL;
+        else if (isDigraph(unit)) type = UNIT_TYPES.DIGRAPH;
+        else if (isSingleConsonant(unit)) {
+            const neighbours = [units[index - 1], units[index + 1]]
+                .filter(n => n && n.syllable === unit.syllable);
+            if (neighbours.some(isSingleConsonant)) type = UNIT_TYPES.BLEND;
+        }
+        return { ...unit, type, say: sayUnit(unit, sounds) };
+    });
+};
+
+// Splits grapheme units into syllable strings: "elephant" -> ["e", "le", "phant"].
+export const toSyllables = (units) => {
+    const syllables = [];
+    units.forEach(unit => {
+        syllables[unit.syllable] = (syllables[unit.syllable] || '') + unit.grapheme;
+    });
+    return syllables.filter(Boolean);
+};
+
+/**
+ * Levenshtein alignment of two phoneme sequences. Returns the edit operations in order:
+ * { op: 'match' | 'sub' | 'del' | 'ins', expectedIndex, spokenIndex }.
+ */
+export const alignPhonemes = (expected, spoken) => {
+    const rows = expected.length + 1;
+    const cols = spoken.length + 1;
+    const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+    for (let i = 0; i < rows; i++) cost[i][0] = i;
+    for (let j = 0; j < cols; j++) cost[0][j] = j;
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const same = expected[i - 1] === spoken[j - 1];
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + (same ? 0 : 1),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1,
+            );
+        }
+    }
+
+    const ops = [];
+    let i = expected.length;
+    let j = spoken.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (expected[i - 1] === spoken[j - 1] ? 0 : 1)) {
+            ops.push({ op: expected[i - 1] === spoken[j - 1] ? 'match' : 'sub', expectedIndex: i - 1, spokenIndex: j - 1 });
+            i -= 1;
+            j -= 1;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            ops.push({ op: 'del', expectedIndex: i - 1, spokenIndex: null });
+            i -= 1;
+        } else {
+            ops.push({ op: 'ins', expectedIndex: null, spokenIndex: j - 1 });
+            j -= 1;
+        }
+    }
+    return { ops: ops.reverse(), distance: cost[expected.length][spoken.length] };
+};
+
+// Flattens units to phonemes while remembering which unit each phoneme came from.
+const flattenUnits = (units) => {
+    const phonemes = [];
+    const unitIndex = [];
+    units.forEach((unit, index) => {
+        unit.phonemes.forEach(p => {
+            phonemes.push(p);
+            unitIndex.push(index);
+        });
+    });
+    return { phonemes, unitIndex };
+};
+
+const describePosition = (index, total) => {
+    if (index === 0) return 'start';
+    if (index >= total - 1) return 'end';
+    return 'middle';
+};
+
+// Recognizers may hear several words ("the cat") or split one ("ele phant");
+// use whichever candidate sounds closest to the expected word.
+const closestSpokenWord = (spokenText, expectedPhonemes, locale) => {
+    const parts = normalizeWord(spokenText, locale).split(/[\s-]+/).filter(Boolean);
+    const candidates = [...new Set([...parts, parts.join('')])].filter(Boolean);
+    let best = { word: '', units: [], distance: Infinity };
+    candidates.forEach(word => {
+        const units = toGraphemeUnits(word, locale);
+        const { distance } = alignPhonemes(expectedPhonemes, flattenUnits(units).phonemes);
+        if (distance < best.distance) best = { word, units, distance };
+    });
+    return best;
+};
+
+/**
+ * Compares what the recognizer heard with the expected word, sound by sound, with
+ * the rules and accent of `locale`; feedback is in the locale's language.
+ * Returns the same shape as the LLM analysis: { isCorrect, feedback, strugglingSyllables },
+ * plus `distance` (phoneme edits) and `heard` (the spoken word that was compared).
+ */
+export const comparePronunciation = (expectedWord, spokenText, locale) => {
+    const { language, vowelNames } = rulesFor(locale);
+    const messages = feedbackMessages(language);
+    const expectedUnits = toGraphemeUnits(expectedWord, locale);
+    const expected = flattenUnits(expectedUnits);
+    const spokenWord = closestSpokenWord(spokenText, expected.phonemes, locale);
+    const spoken = flattenUnits(spokenWord.units);
+    const target = normalizeWord(expectedWord, locale);
+
+    // A word with no letters to sound out ("!!") has nothing to compare against
+    if (expectedUnits.length === 0) {
+        return { isCorrect: false, feedback: '', strugglingSyllables: [], distance: Infinity, heard: spokenWord.word };
+    }
+    if (!spokenWord.word) {
+        return { isCorrect: false, feedback: messages.notCaught(target), strugglingSyllables: [], distance: Infinity, heard: '' };
+    }
+
+    const { ops, distance } = alignPhonemes(expected.phonemes, spoken.phonemes);
+    if (distance === 0) {
+        const feedback = spokenWord.word === target ? messages.great : messages.soundsLike(spokenWord.word, target);
+        return { isCorrect: true, feedback, strugglingSyllables: [], distance, heard: spokenWord.word };
+    }
+
+    // Attribute each error to a unit of the expected word; insertions go to the
+    // unit just before them (or the first unit when the extra sound leads).
+    const syllables = toSyllables(expectedUnits);
+    const errorUnits = new Set();
+    let lastExpectedUnit = 0;
+    const hints = [];
+    ops.forEach(({ op, expectedIndex, spokenIndex }) => {
+        if (expectedIndex !== null) lastExpectedUnit = expected.unitIndex[expectedIndex];
+        if (op === 'match') return;
+        errorUnits.add(lastExpectedUnit);
+
+        const unit = expectedUnits[lastExpectedUnit];
+        const where = messages.positions[describePosition(lastExpectedUnit, expectedUnits.length)];
+        if (op === 'sub') {
+            const heardUnit = spokenWord.units[spoken.unitIndex[spokenIndex]];
+            const wanted = vowelNames[expected.phonemes[expectedIndex]];
+            const heard = vowelNames[spoken.phonemes[spokenIndex]];
+            if (heardUnit.grapheme === unit.grapheme && wanted && heard) {
+                hints.push(messages.vowelSound(unit.grapheme, where, wanted, heard));
+            } else {
+                hints.push(messages.soundedLike(unit.grapheme, where, heardUnit.grapheme));
+            }
+        } else if (op === 'del') {
+            hints.push(messages.missing(unit.grapheme, where));
+        } else {
+            const extraUnit = spokenWord.units[spoken.unitIndex[spokenIndex]];
+            hints.push(messages.extra(extraUnit.grapheme));
+        }
+    });
+
+    const strugglingSyllables = [...new Set([...errorUnits].map(index => syllables[expectedUnits[index].syllable]))].filter(Boolean);
+    const uniqueHints = [...new Set(hints)].slice(0, 2);
+    const opener = distance === 1 ? messages.soClose : messages.niceTry;
+    const feedback = messages.tryAgain(opener, spokenWord.word, uniqueHints, target);
+
+    return { isCorrect: false, feedback, strugglingSyllables, distance, heard: spokenWord.word };
+};
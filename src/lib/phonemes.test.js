@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { toPhonemes, toGraphemeUnits, toSyllables, alignPhonemes, comparePronunciation, normalizeWord } from './phonemes';
+
+const syllablesOf = (word, locale) => toSyllables(toGraphemeUnits(word, locale));
+
+describe('English rules', () => {
+    it('sounds out regular words with short, long and silent-e vowels', () => {
+        expect(toPhonemes('cat')).toEqual(['K', 'AE', 'T']);
+        expect(toPhonemes('cake')).toEqual(['K', 'EY', 'K']);
+        expect(toPhonemes('ship')).toEqual(['SH', 'IH', 'P']);
+        expect(toPhonemes('go')).toEqual(['G', 'OW']);
+    });
+
+    it('spells out digits and takes irregular words from the dictionary', () => {
+        expect(normalizeWord('2')).toBe('two');
+        expect(toPhonemes('two')).toEqual(['T', 'UW']);
+        expect(toPhonemes('to')).toEqual(toPhonemes('two'));
+    });
+
+    it('splits doubled consonants and consonant runs across the syllable break', () => {
+        expect(syllablesOf('rabbit')).toEqual(['rab', 'bit']);
+        expect(syllablesOf('jumping')).toEqual(['jum', 'ping']);
+        expect(syllablesOf('baby')).toEqual(['ba', 'by']);
+    });
+
+    it('keeps the sound of a split doubled consonant on its first letter', () => {
+        expect(toPhonemes('rabbit')).toEqual(['R', 'AE', 'B', 'IH', 'T']);
+    });
+
+    it('drops an "r" after a vowel for a non-rhotic accent', () => {
+        expect(toPhonemes('car', 'en-US')).toEqual(['K', 'AA', 'R']);
+        expect(toPhonemes('car', 'en-GB')).toEqual(['K', 'AA']);
+    });
+});
+
+describe('Spanish rules', () => {
+    it('splits syllables the Spanish way', () => {
+        expect(syllablesOf('libro', 'es')).toEqual(['li', 'bro']);
+        expect(syllablesOf('hombre', 'es')).toEqual(['hom', 'bre']);
+        expect(syllablesOf('mariposa', 'es')).toEqual(['ma', 'ri', 'po', 'sa']);
+    });
+
+    it('keeps the "u" of "que" silent and spells out digits in Spanish', () => {
+        expect(toPhonemes('queso', 'es')).toEqual(['K', 'EH', 'S', 'OW']);
+        expect(normalizeWord('2', 'es')).toBe('dos');
+    });
+
+    it('only tells "caza" from "casa" with the distinction accent', () => {
+        expect(toPhonemes('caza', 'es-MX')).toEqual(toPhonemes('casa', 'es-MX'));
+        expect(toPhonemes('caza', 'es-ES')).not.toEqual(toPhonemes('casa', 'es-ES'));
+    });
+});
+
+describe('alignPhonemes', () => {
+    it('lines up matches, substitutions, deletions and insertions', () => {
+        expect(alignPhonemes(['K', 'AE', 'T'], ['K', 'AE', 'P'])).toEqual({
+            ops: [
+                { op: 'match', expectedIndex: 0, spokenIndex: 0 },
+                { op: 'match', expectedIndex: 1, spokenIndex: 1 },
+                { op: 'sub', expectedIndex: 2, spokenIndex: 2 },
+            ],
+            distance: 1,
+        });
+        expect(alignPhonemes(['K', 'AE', 'T'], ['K', 'T']).ops.map(o => o.op)).toEqual(['match', 'del', 'match']);
+        expect(alignPhonemes(['K', 'AE', 'T'], ['K', 'AE', 'T', 'S']).ops.map(o => o.op)).toEqual(['match', 'match', 'match', 'ins']);
+        expect(alignPhonemes([], []).distance).toBe(0);
+    });
+});
+
+describe('comparePronunciation', () => {
+    it('accepts the word itself', () => {
+        expect(comparePronunciation('cat', 'cat')).toMatchObject({ isCorrect: true, feedback: 'Great pronunciation!', distance: 0, heard: 'cat' });
+    });
+
+    it('points at the sound that was wrong', () => {
+        const result = comparePronunciation('cat', 'cap');
+        expect(result).toMatchObject({ isCorrect: false, distance: 1, heard: 'cap', strugglingSyllables: ['cat'] });
+        expect(result.feedback).toBe('So close! You said "cap". Listen carefully: the "t" sound at the end sounded like "p". Try "cat" again.');
+    });
+
+    it('accepts words and digits that sound the same', () => {
+        expect(comparePronunciation('two', 'to')).toMatchObject({ isCorrect: true, feedback: 'Great pronunciation! "to" sounds just like "two".' });
+        expect(comparePronunciation('two', '2')).toMatchObject({ isCorrect: true, feedback: 'Great pronunciation!', heard: 'two' });
+    });
+
+    it('names the syllable a mistake was in', () => {
+        expect(comparePronunciation('jumping', 'jumpin').strugglingSyllables).toEqual(['ping']);
+    });
+
+    it('picks the closest of several heard words', () => {
+        expect(comparePronunciation('cat', 'the cat')).toMatchObject({ isCorrect: true, heard: 'cat' });
+    });
+
+    it('asks for another try when nothing was heard', () => {
+        expect(comparePronunciation('cat', '')).toMatchObject({ isCorrect: false, feedback: 'I didn\'t catch that. Try saying "cat" again.', heard: '' });
+    });
+
+    it('gives a neutral result for a word with no letters to sound out', () => {
+        expect(() => comparePronunciation('!!', 'cat')).not.toThrow();
+        expect(comparePronunciation('!!', 'cat')).toEqual({ isCorrect: false, feedback: '', strugglingSyllables: [], distance: Infinity, heard: 'cat' });
+    });
+});
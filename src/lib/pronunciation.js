@@ -0,0 +1,75 @@
+import { comparePronunciation, normalizeWord } from './phonemes';
+import { localeInfo } from '../data/locales';
+import { feedbackMessages } from '../data/feedback';
+
+// Grades a spoken attempt from everything the recognizer offered, not just its top
+// guess. Recognizers tend to "autocorrect" a child's attempt to the nearest real
+// word, so a shaky match is not treated as a clean pass.
+
+export const PRONUNCIATION_VERDICTS = {
+    CORRECT: 'correct',
+    CLOSE: 'close', // Possibly right, but not clearly enough: try again
+    INCORRECT: 'incorrect',
+};
+
+// Below this the recognizer was guessing. Some browsers report 0 (or nothing) for
+// every alternative; that means "unknown" and is never held against the child.
+export const LOW_CONFIDENCE = 0.5;
+
+export const MAX_ALTERNATIVES = 5;
+
+// Up to this many sound differences, the local hints say what went wrong; past it
+// the child said something else altogether and the model may explain it better.
+export const MAX_EXPLAINED_DISTANCE = 2;
+
+const hasConfidence = (alternative) => typeof alternative.confidence === 'number' && alternative.confidence > 0;
+
+/**
+ * `alternatives` are the recognizer's n-best guesses, best first: [{ transcript, confidence }].
+ * `locale` picks the phonics rules and feedback language, as for comparePronunciation.
+ * Returns the comparePronunciation result for the top guess plus
+ *   verdict      one of PRONUNCIATION_VERDICTS; isCorrect is true only for CORRECT
+ *   confidence   the top guess's confidence, or null when the engine gave none
+ *   matchedRank  index of the first guess that sounds like the word, or -1
+ */
+export const gradePronunciation = (expectedWord, alternatives, locale) => {
+    const guesses = alternatives.filter(alternative => alternative.transcript?.trim()).slice(0, MAX_ALTERNATIVES);
+    const top = guesses[0] || { transcript: '' };
+    const result = comparePronunciation(expectedWord, top.transcript, locale);
+    const confidence = hasConfidence(top) ? top.confidence : null;
+    const matchedRank = guesses.findIndex(guess => comparePronunciation(expectedWord, guess.transcript, locale).isCorrect);
+    const target = normalizeWord(expectedWord, locale);
+    const messages = feedbackMessages(localeInfo(locale).language);
+
+    if (matchedRank === 0 && confidence !== null && confidence < LOW_CONFIDENCE) {
+        return {
+            ...result,
+            isCorrect: false,
+            verdict: PRONUNCIATION_VERDICTS.CLOSE,
+            feedback: messages.notSure(target),
+            confidence,
+            matchedRank,
+        };
+    }
+    if (matchedRank > 0) {
+        return {
+            ...result,
+            isCorrect: false,
+            verdict: PRONUNCIATION_VERDICTS.CLOSE,
+            feedback: messages.mightHaveBeen(result.heard, target),
+            confidence,
+            matchedRank,
+        };
+    }
+    return {
+        ...result,
+        verdict: result.isCorrect ? PRONUNCIATION_VERDICTS.CORRECT : PRONUNCIATION_VERDICTS.INCORRECT,
+        confidence,
+        matchedRank,
+    };
+};
+
+// Whether a graded attempt is worth asking the model about: only an incorrect one
+// that was heard, but too different from the word for the local hints to explain.
+export const needsModelFeedback = (grade) => grade.verdict === PRONUNCIATION_VERDICTS.INCORRECT
+    && Boolean(grade.heard) && grade.distance > MAX_EXPLAINED_DISTANCE;
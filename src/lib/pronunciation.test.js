@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { gradePronunciation, needsModelFeedback, PRONUNCIATION_VERDICTS, LOW_CONFIDENCE, MAX_ALTERNATIVES } from './pronunciation';
+
+const guesses = (...pairs) => pairs.map(([transcript, confidence]) => ({ transcript, confidence }));
+
+describe('gradePronunciation', () => {
+    it('passes a confident top guess that sounds like the word', () => {
+        expect(gradePronunciation('cat', guesses(['cat', 0.9]))).toMatchObject({
+            isCorrect: true,
+            verdict: PRONUNCIATION_VERDICTS.CORRECT,
+            confidence: 0.9,
+            matchedRank: 0,
+            feedback: 'Great pronunciation!',
+        });
+    });
+
+    it('treats a missing or zero confidence as unknown, not low', () => {
+        expect(gradePronunciation('cat', guesses(['cat', 0]))).toMatchObject({ verdict: PRONUNCIATION_VERDICTS.CORRECT, confidence: null });
+        expect(gradePronunciation('cat', [{ transcript: 'cat' }])).toMatchObject({ verdict: PRONUNCIATION_VERDICTS.CORRECT, confidence: null });
+    });
+
+    it('calls a low-confidence match close and asks for another try', () => {
+        expect(gradePronunciation('cat', guesses(['cat', LOW_CONFIDENCE - 0.1]))).toMatchObject({
+            isCorrect: false,
+            verdict: PRONUNCIATION_VERDICTS.CLOSE,
+            matchedRank: 0,
+            feedback: 'That might have been "cat", but I wasn\'t sure. Say it once more, nice and clear!',
+        });
+    });
+
+    it('calls it close when the word is only among the lower-ranked guesses', () => {
+        expect(gradePronunciation('cat', guesses(['cap', 0.8], ['cat', 0.6]))).toMatchObject({
+            isCorrect: false,
+            verdict: PRONUNCIATION_VERDICTS.CLOSE,
+            matchedRank: 1,
+            heard: 'cap',
+            feedback: 'Close! I heard "cap", but it might have been "cat". Try again, one sound at a time.',
+        });
+    });
+
+    it('marks a miss incorrect with the sound-by-sound hints', () => {
+        const grade = gradePronunciation('cat', guesses(['cap', 0.9], ['cup', 0.5]));
+        expect(grade).toMatchObject({ isCorrect: false, verdict: PRONUNCIATION_VERDICTS.INCORRECT, matchedRank: -1, distance: 1 });
+        expect(grade.feedback).toContain('the "t" sound at the end sounded like "p"');
+    });
+
+    it('only looks at the first few guesses, skipping blank ones', () => {
+        const tooFar = [...new Array(MAX_ALTERNATIVES).fill(['cap', 0.5]), ['cat', 0.4]];
+        expect(gradePronunciation('cat', guesses(...tooFar)).matchedRank).toBe(-1);
+        expect(gradePronunciation('cat', guesses(['  ', 0.9], ['cat', 0.9]))).toMatchObject({ verdict: PRONUNCIATION_VERDICTS.CORRECT, matchedRank: 0 });
+    });
+
+    it('asks again when nothing was heard', () => {
+        expect(gradePronunciation('cat', [])).toMatchObject({
+            verdict: PRONUNCIATION_VERDICTS.INCORRECT,
+            heard: '',
+            feedback: 'I didn\'t catch that. Try saying "cat" again.',
+        });
+    });
+
+    it('gives feedback in the locale\'s language', () => {
+        expect(gradePronunciation('casa', guesses(['casa', 0.2]), 'es-MX').feedback)
+            .toBe('Quizás dijiste "casa", pero no estoy seguro. ¡Dilo una vez más, claro y despacio!');
+        expect(gradePronunciation('caza', guesses(['casa', 0.9]), 'es-MX').verdict).toBe(PRONUNCIATION_VERDICTS.CORRECT);
+        expect(gradePronunciation('caza', guesses(['casa', 0.9]), 'es-ES').verdict).toBe(PRONUNCIATION_VERDICTS.INCORRECT);
+    });
+});
+
+describe('needsModelFeedback', () => {
+    it('only asks the model about misses too different for the local hints', () => {
+        expect(needsModelFeedback(gradePronunciation('cat', guesses(['cap', 0.9])))).toBe(false);
+        expect(needsModelFeedback(gradePronunciation('elephant', guesses(['telescope', 0.9])))).toBe(true);
+        expect(needsModelFeedback(gradePronunciation('cat', guesses(['cat', 0.9])))).toBe(false);
+        expect(needsModelFeedback(gradePronunciation('cat', guesses(['cat', 0.2], ['dog', 0.9])))).toBe(false);
+        expect(needsModelFeedback(gradePronunciation('cat', []))).toBe(false);
+    });
+});
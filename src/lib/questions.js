@@ -0,0 +1,157 @@
+import { normalizeWord } from './phonemes';
+
+// Comprehension question types. Everything except free text is graded locally, so
+// pre-writers get instant answers and only free text needs the model.
+
+export const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'multiple-choice',
+    TRUE_FALSE: 'true-false',
+    SEQUENCE: 'sequence', // Put events from the story in order
+    TAP_WORD: 'tap-word', // Tap a word in the story
+    FREE_TEXT: 'free-text',
+};
+
+// How a question was answered, and what each verdict is worth in the overall score.
+export const VERDICTS = {
+    CORRECT: 'correct',
+    PARTIAL: 'partial',
+    INCORRECT: 'incorrect',
+};
+
+export const VERDICT_SCORES = {
+    [VERDICTS.CORRECT]: 1,
+    [VERDICTS.PARTIAL]: 0.5,
+    [VERDICTS.INCORRECT]: 0,
+};
+
+// The reading skill a question checks.
+export const SKILLS = ['recall', 'inference', 'vocabulary', 'sequence'];
+
+const DEFAULT_SKILLS = {
+    [QUESTION_TYPES.SEQUENCE]: 'sequence',
+    [QUESTION_TYPES.TAP_WORD]: 'vocabulary',
+};
+
+export const verdictForScore = (score) => {
+    if (score >= 1) return VERDICTS.CORRECT;
+    return score > 0 ? VERDICTS.PARTIAL : VERDICTS.INCORRECT;
+};
+
+export const isAutoGraded = (question) => question.type !== QUESTION_TYPES.FREE_TEXT;
+
+// Whether the child has given an answer to grade: a tapped word is its index, free
+// text must not be blank, and a sequence counts once it has been moved or checked.
+export const isAnswered = (question, answer) => {
+    if (question.type === QUESTION_TYPES.TAP_WORD) return typeof answer === 'number';
+    if (typeof answer === 'string') return answer.trim() !== '';
+    return answer !== undefined && answer !== null;
+};
+
+const storyTokens = (story) => (story.match(/\S+/g) || []).map(raw => normalizeWord(raw).replace(/[\s-]/g, ''));
+
+const asFreeText = (question) => ({ id: question.id, type: QUESTION_TYPES.FREE_TEXT, question: question.question });
+
+const normalizeShape = (question, story) => {
+    const options = (question.options || []).filter(Boolean);
+    switch (question.type) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE:
+            return options.length >= 2 && options.includes(question.correctAnswer)
+                ? { id: question.id, type: question.type, question: question.question, options, correctAnswer: question.correctAnswer }
+                : asFreeText(question);
+        case QUESTION_TYPES.TRUE_FALSE: {
+            const answer = String(question.correctAnswer).toLowerCase();
+            return answer === 'true' || answer === 'false'
+                ? { id: question.id, type: question.type, question: question.question, correctAnswer: answer }
+                : asFreeText(question);
+        }
+        case QUESTION_TYPES.SEQUENCE: {
+            const events = (question.events || []).filter(Boolean);
+            return events.length >= 2
+                ? { id: question.id, type: question.type, question: question.question, events }
+                : asFreeText(question);
+        }
+        case QUESTION_TYPES.TAP_WORD: {
+            const word = normalizeWord(question.word || '');
+            return word && storyTokens(story).includes(word)
+                ? { id: question.id, type: question.type, question: question.question, word }
+                : asFreeText(question);
+        }
+        default:
+            return asFreeText(question);
+    }
+};
+
+/**
+ * Cleans a question from the model (or an older saved story) into one of the
+ * supported shapes, tagged with a `skill`. Questions without a usable answer key
+ * become free text.
+ *   multiple-choice: { options, correctAnswer }   (correctAnswer is one of options)
+ *   true-false:      { correctAnswer }            ('true' or 'false')
+ *   sequence:        { events }                   (in story order)
+ *   tap-word:        { word }                     (must appear in the story)
+ */
+export const normalizeQuestion = (question, story) => {
+    const shape = normalizeShape(question, story);
+    return { ...shape, skill: SKILLS.includes(question.skill) ? question.skill : DEFAULT_SKILLS[shape.type] || 'recall' };
+};
+
+// Deterministic shuffle (seeded by the question id) so the starting order of a
+// sequencing question stays the same across renders and when it is graded.
+export const initialSequence = (question) => {
+    const order = [...question.events];
+    let seed = (Number(question.id) || 1) * 9301 + 49297;
+    for (let i = order.length - 1; i > 0; i--) {
+        seed = (seed * 9301 + 49297) % 233280;
+        const j = Math.floor((seed / 233280) * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    // Never start already solved
+    return order.every((event, index) => event === question.events[index]) ? order.reverse() : order;
+};
+
+const scoreAnswer = (question, answer, story) => {
+    switch (question.type) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE:
+        case QUESTION_TYPES.TRUE_FALSE: {
+            const correct = answer === question.correctAnswer;
+            return { correct, score: correct ? 1 : 0 };
+        }
+        case QUESTION_TYPES.SEQUENCE: {
+            const order = answer || initialSequence(question);
+            const inPlace = order.filter((event, index) => event === question.events[index]).length;
+            return { correct: inPlace === question.events.length, score: inPlace / question.events.length };
+        }
+        case QUESTION_TYPES.TAP_WORD: {
+            const correct = typeof answer === 'number' && storyTokens(story)[answer] === question.word;
+            return { correct, score: correct ? 1 : 0 };
+        }
+        default:
+            return { correct: false, score: 0 };
+    }
+};
+
+/**
+ * Grades an auto-graded question. `answer` is the chosen option, 'true'/'false',
+ * the ordered events or the index of the tapped story word.
+ * Returns { correct, score, verdict } with score between 0 and 1 (sequencing earns part marks).
+ */
+export const gradeQuestion = (question, answer, story) => {
+    const result = scoreAnswer(question, answer, story);
+    return { ...result, verdict: verdictForScore(result.score) };
+};
+
+// The right answer written out for feedback.
+export const describeAnswer = (question) => {
+    switch (question.type) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE:
+            return question.correctAnswer;
+        case QUESTION_TYPES.TRUE_FALSE:
+            return question.correctAnswer === 'true' ? 'True' : 'False';
+        case QUESTION_TYPES.SEQUENCE:
+            return question.events.join(', then ');
+        case QUESTION_TYPES.TAP_WORD:
+            return question.word;
+        default:
+            return '';
+    }
+};
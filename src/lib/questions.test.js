@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+    QUESTION_TYPES,
+    VERDICTS,
+    verdictForScore,
+    isAutoGraded,
+    isAnswered,
+    normalizeQuestion,
+    initialSequence,
+    gradeQuestion,
+    describeAnswer,
+} from './questions';
+
+const STORY = 'Sam has a red hat. Sam runs to the park.';
+
+const multipleChoice = { id: 1, type: QUESTION_TYPES.MULTIPLE_CHOICE, question: 'What colour is the hat?', options: ['red', 'blue'], correctAnswer: 'red' };
+const sequence = { id: 2, type: QUESTION_TYPES.SEQUENCE, question: 'What happened first?', events: ['Sam got a hat', 'Sam ran', 'Sam played'] };
+const tapWord = { id: 3, type: QUESTION_TYPES.TAP_WORD, question: 'Tap the colour.', word: 'red' };
+
+describe('normalizeQuestion', () => {
+    it('keeps well-formed questions and tags their skill', () => {
+        expect(normalizeQuestion({ ...multipleChoice, skill: 'inference', extra: 'dropped' }, STORY)).toEqual({ ...multipleChoice, skill: 'inference' });
+        expect(normalizeQuestion({ ...sequence, events: [...sequence.events, ''] }, STORY)).toEqual({ ...sequence, skill: 'sequence' });
+        expect(normalizeQuestion({ ...tapWord, word: 'Red' }, STORY)).toEqual({ ...tapWord, skill: 'vocabulary' });
+    });
+
+    it('reads true-false answers in any case', () => {
+        expect(normalizeQuestion({ id: 4, type: QUESTION_TYPES.TRUE_FALSE, question: 'Sam has a hat.', correctAnswer: true }, STORY))
+            .toMatchObject({ type: QUESTION_TYPES.TRUE_FALSE, correctAnswer: 'true', skill: 'recall' });
+        expect(normalizeQuestion({ id: 4, type: QUESTION_TYPES.TRUE_FALSE, question: 'Sam has a cat.', correctAnswer: 'FALSE' }, STORY).correctAnswer).toBe('false');
+    });
+
+    it('turns questions without a usable answer key into free text', () => {
+        const freeText = (question) => normalizeQuestion(question, STORY).type;
+        expect(freeText({ ...multipleChoice, correctAnswer: 'green' })).toBe(QUESTION_TYPES.FREE_TEXT);
+        expect(freeText({ ...multipleChoice, options: ['red'] })).toBe(QUESTION_TYPES.FREE_TEXT);
+        expect(freeText({ id: 4, type: QUESTION_TYPES.TRUE_FALSE, question: 'Is it?', correctAnswer: 'maybe' })).toBe(QUESTION_TYPES.FREE_TEXT);
+        expect(freeText({ ...sequence, events: ['Sam ran'] })).toBe(QUESTION_TYPES.FREE_TEXT);
+        expect(freeText({ ...tapWord, word: 'blue' })).toBe(QUESTION_TYPES.FREE_TEXT);
+        expect(normalizeQuestion({ id: 5, question: 'Why did Sam run?', skill: 'guessing' }, STORY))
+            .toEqual({ id: 5, type: QUESTION_TYPES.FREE_TEXT, question: 'Why did Sam run?', skill: 'recall' });
+    });
+});
+
+describe('initialSequence', () => {
+    it('shuffles the same way every time and never starts solved', () => {
+        expect(initialSequence(sequence)).toEqual(initialSequence({ ...sequence }));
+        expect(initialSequence(sequence)).not.toEqual(sequence.events);
+        expect([...initialSequence(sequence)].sort()).toEqual([...sequence.events].sort());
+        for (let id = 1; id <= 20; id++) {
+            expect(initialSequence({ ...sequence, id, events: ['a', 'b'] })).toEqual(['b', 'a']);
+        }
+    });
+});
+
+describe('gradeQuestion', () => {
+    it('grades choices and true-false by exact answer', () => {
+        expect(gradeQuestion(multipleChoice, 'red', STORY)).toEqual({ correct: true, score: 1, verdict: VERDICTS.CORRECT });
+        expect(gradeQuestion(multipleChoice, 'blue', STORY)).toEqual({ correct: false, score: 0, verdict: VERDICTS.INCORRECT });
+        expect(gradeQuestion({ type: QUESTION_TYPES.TRUE_FALSE, correctAnswer: 'false' }, 'false', STORY).correct).toBe(true);
+    });
+
+    it('gives part marks for events in the right place', () => {
+        expect(gradeQuestion(sequence, sequence.events, STORY)).toEqual({ correct: true, score: 1, verdict: VERDICTS.CORRECT });
+        expect(gradeQuestion(sequence, ['Sam got a hat', 'Sam played', 'Sam ran'], STORY))
+            .toEqual({ correct: false, score: 1 / 3, verdict: VERDICTS.PARTIAL });
+        // An untouched sequence is graded in its starting order
+        expect(gradeQuestion(sequence, undefined, STORY)).toEqual(gradeQuestion(sequence, initialSequence(sequence), STORY));
+    });
+
+    it('checks a tapped word by its position in the story', () => {
+        expect(gradeQuestion(tapWord, 3, STORY).correct).toBe(true);
+        expect(gradeQuestion(tapWord, 4, STORY).correct).toBe(false);
+        expect(gradeQuestion(tapWord, 'red', STORY).correct).toBe(false);
+    });
+});
+
+describe('isAnswered', () => {
+    it('needs a tapped word index for tap-word questions', () => {
+        expect(isAnswered(tapWord, 0)).toBe(true);
+        expect(isAnswered(tapWord, undefined)).toBe(false);
+        expect(isAnswered(tapWord, 'red')).toBe(false);
+    });
+
+    it('does not count blank text or a missing answer', () => {
+        const freeText = { type: QUESTION_TYPES.FREE_TEXT };
+        expect(isAnswered(freeText, 'He ran')).toBe(true);
+        expect(isAnswered(freeText, '   ')).toBe(false);
+        expect(isAnswered(multipleChoice, undefined)).toBe(false);
+        expect(isAnswered(multipleChoice, null)).toBe(false);
+        expect(isAnswered(sequence, sequence.events)).toBe(true);
+    });
+});
+
+describe('verdicts and answers', () => {
+    it('turns scores into verdicts', () => {
+        expect([1, 0.5, 0.01, 0].map(verdictForScore)).toEqual([VERDICTS.CORRECT, VERDICTS.PARTIAL, VERDICTS.PARTIAL, VERDICTS.INCORRECT]);
+    });
+
+    it('leaves only free text for the model', () => {
+        expect(isAutoGraded(multipleChoice)).toBe(true);
+        expect(isAutoGraded({ type: QUESTION_TYPES.FREE_TEXT })).toBe(false);
+    });
+
+    it('writes out the right answer', () => {
+        expect(describeAnswer(multipleChoice)).toBe('red');
+        expect(describeAnswer({ type: QUESTION_TYPES.TRUE_FALSE, correctAnswer: 'true' })).toBe('True');
+        expect(describeAnswer(sequence)).toBe('Sam got a hat, then Sam ran, then Sam played');
+        expect(describeAnswer(tapWord)).toBe('red');
+        expect(describeAnswer({ type: QUESTION_TYPES.FREE_TEXT })).toBe('');
+    });
+});
@@ -0,0 +1,144 @@
+import { normalizeWord, toPhonemes, alignPhonemes } from './phonemes';
+
+// Running-record scoring for a child reading a story aloud. The recognizer's
+// transcript is aligned to the story word by word; story words after the
+// child's current position stay "pending" so the record can be shown live.
+// `locale` picks the phonics rules words are compared with, as in phonemes.js.
+
+export const WORD_STATUS = {
+    PENDING: 'pending',
+    CORRECT: 'correct',
+    SUBSTITUTED: 'substituted',
+    SKIPPED: 'skipped',
+    SELF_CORRECTED: 'self-corrected',
+};
+
+// Splits story text into words, keeping the original text (with punctuation) for display.
+export const tokenizeStory = (text, locale) => (text.match(/\S+/g) || [])
+    .map(raw => ({ text: raw, norm: normalizeWord(raw, locale).replace(/[\s-]/g, '') }))
+    .filter(word => word.norm);
+
+export const tokenizeTranscript = (text, locale) => (text.match(/\S+/g) || [])
+    .map(raw => normalizeWord(raw, locale).replace(/[\s-]/g, ''))
+    .filter(Boolean);
+
+const phonemeCache = new Map();
+const phonemesOf = (word, locale) => {
+    const key = `${locale}:${word}`;
+    if (!phonemeCache.has(key)) phonemeCache.set(key, toPhonemes(word, locale));
+    return phonemeCache.get(key);
+};
+
+// Same word, or a homophone the recognizer spelled differently ("too" for "two").
+const wordsMatch = (expected, spoken, locale) => {
+    if (expected === spoken) return true;
+    const a = phonemesOf(expected, locale);
+    const b = phonemesOf(spoken, locale);
+    return a.length > 0 && a.join(' ') === b.join(' ');
+};
+
+// A near miss ("cap" for "cat") that the child then fixed counts as a self-correction.
+const soundsClose = (expected, spoken, locale) => {
+    const a = phonemesOf(expected, locale);
+    return alignPhonemes(a, phonemesOf(spoken, locale)).distance <= Math.max(1, Math.floor(a.length / 2));
+};
+
+/**
+ * Aligns the transcript to the start of the story (the rest of the story is free),
+ * returning one entry per story word: { status, said } plus `position`, the index of
+ * the next story word to read, and `insertions`, extra words that were not in the story.
+ */
+export const alignReading = (storyWords, transcriptWords, locale) => {
+    const n = storyWords.length;
+    const m = transcriptWords.length;
+    const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = 0; i <= n; i++) cost[i][0] = i;
+    for (let j = 0; j <= m; j++) cost[0][j] = j;
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const same = wordsMatch(storyWords[i - 1].norm, transcriptWords[j - 1], locale);
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + (same ? 0 : 1),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1,
+            );
+        }
+    }
+
+    // The child has read up to the story word where the whole transcript fits best;
+    // ties go to the furthest word, since the child did say something there
+    let position = 0;
+    for (let i = 1; i <= n; i++) {
+        if (cost[i][m] <= cost[position][m]) position = i;
+    }
+
+    const words = storyWords.map(() => ({ status: WORD_STATUS.PENDING, said: null }));
+    const insertions = []; // { afterIndex, said }
+    let i = position;
+    let j = m;
+    while (i > 0 || j > 0) {
+        const same = i > 0 && j > 0 && wordsMatch(storyWords[i - 1].norm, transcriptWords[j - 1], locale);
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+            words[i - 1] = { status: same ? WORD_STATUS.CORRECT : WORD_STATUS.SUBSTITUTED, said: transcriptWords[j - 1] };
+            i -= 1;
+            j -= 1;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            words[i - 1] = { status: WORD_STATUS.SKIPPED, said: null };
+            i -= 1;
+        } else {
+            insertions.unshift({ afterIndex: i - 1, said: transcriptWords[j - 1] });
+            j -= 1;
+        }
+    }
+
+    // An extra word just before a correct word that sounds like it, or a repeat of
+    // the previous word, is a self-correction or repetition rather than an error.
+    const remainingInsertions = insertions.filter(({ afterIndex, said }) => {
+        const nextIndex = afterIndex + 1;
+        const next = storyWords[nextIndex];
+        const previous = storyWords[afterIndex];
+        if ((next && wordsMatch(next.norm, said, locale)) || (previous && wordsMatch(previous.norm, said, locale))) {
+            return false;
+        }
+        if (words[nextIndex]?.status === WORD_STATUS.CORRECT && soundsClose(next.norm, said, locale)) {
+            words[nextIndex] = { status: WORD_STATUS.SELF_CORRECTED, said };
+            return false;
+        }
+        return true;
+    });
+
+    return { words, position, insertions: remainingInsertions };
+};
+
+/**
+ * Summarizes an alignment as a running record. Self-corrections and repetitions are
+ * not errors; substitutions, skipped words and inserted words are.
+ */
+export const summarizeReading = (storyWords, alignment, elapsedMillis) => {
+    const read = alignment.words.slice(0, alignment.position);
+    const pick = (status) => read
+        .map((word, index) => ({ ...word, expected: storyWords[index].norm }))
+        .filter(word => word.status === status);
+
+    const correct = pick(WORD_STATUS.CORRECT).length + pick(WORD_STATUS.SELF_CORRECTED).length;
+    const substituted = pick(WORD_STATUS.SUBSTITUTED).map(w => ({ expected: w.expected, said: w.said }));
+    const skipped = pick(WORD_STATUS.SKIPPED).map(w => w.expected);
+    const selfCorrected = pick(WORD_STATUS.SELF_CORRECTED).map(w => ({ expected: w.expected, said: w.said }));
+    const inserted = alignment.insertions.map(w => w.said);
+    const errors = substituted.length + skipped.length + inserted.length;
+    const minutes = elapsedMillis / 60000;
+
+    return {
+        wordsRead: alignment.position,
+        totalWords: storyWords.length,
+        correct,
+        errors,
+        accuracy: alignment.position ? Math.max(0, Math.round(((alignment.position - errors) / alignment.position) * 100)) : 0,
+        wcpm: minutes > 0 ? Math.round(correct / minutes) : 0,
+        durationSeconds: Math.round(elapsedMillis / 1000),
+        substituted,
+        skipped,
+        selfCorrected,
+        inserted,
+    };
+};
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { tokenizeStory, tokenizeTranscript, alignReading, summarizeReading, WORD_STATUS } from './readingRecord';
+
+const STORY = tokenizeStory('The cat sat on the mat.');
+
+const read = (transcript, storyWords = STORY, locale) => alignReading(storyWords, tokenizeTranscript(transcript, locale), locale);
+
+const statuses = (alignment) => alignment.words.map(word => word.status);
+
+describe('tokenizing', () => {
+    it('keeps the story text for display and compares normalized words', () => {
+        expect(STORY.map(word => word.text)).toEqual(['The', 'cat', 'sat', 'on', 'the', 'mat.']);
+        expect(STORY.map(word => word.norm)).toEqual(['the', 'cat', 'sat', 'on', 'the', 'mat']);
+    });
+
+    it('spells out digits and joins hyphenated words in the transcript', () => {
+        expect(tokenizeTranscript('I have 2 well-known cats!')).toEqual(['i', 'have', 'two', 'wellknown', 'cats']);
+        expect(tokenizeTranscript('  ')).toEqual([]);
+    });
+});
+
+describe('alignReading', () => {
+    it('leaves the rest of the story pending while the child reads', () => {
+        const alignment = read('the cat sat');
+        expect(alignment.position).toBe(3);
+        expect(statuses(alignment)).toEqual(['correct', 'correct', 'correct', 'pending', 'pending', 'pending']);
+        expect(read('').position).toBe(0);
+    });
+
+    it('marks substituted, skipped and inserted words', () => {
+        expect(read('the dog sat on the big mat')).toMatchObject({
+            position: 6,
+            words: [{}, { status: WORD_STATUS.SUBSTITUTED, said: 'dog' }, {}, {}, {}, { status: WORD_STATUS.CORRECT }],
+            insertions: [{ afterIndex: 4, said: 'big' }],
+        });
+        expect(statuses(read('the cat on the mat'))[2]).toBe(WORD_STATUS.SKIPPED);
+    });
+
+    it('treats a near miss the child fixed as a self-correction', () => {
+        const alignment = read('the cap cat sat on');
+        expect(alignment.words[1]).toEqual({ status: WORD_STATUS.SELF_CORRECTED, said: 'cap' });
+        expect(alignment.insertions).toEqual([]);
+    });
+
+    it('does not count a repeated word as an error', () => {
+        const alignment = read('the the cat sat');
+        expect(statuses(alignment).slice(0, 3)).toEqual(['correct', 'correct', 'correct']);
+        expect(alignment.insertions).toEqual([]);
+    });
+
+    it('accepts homophones and digits the recognizer spelled differently', () => {
+        const story = tokenizeStory('I have two cats.');
+        expect(statuses(read('I have too cats', story))).toEqual(['correct', 'correct', 'correct', 'correct']);
+        expect(statuses(read('I have 2 cats', story))).toEqual(['correct', 'correct', 'correct', 'correct']);
+    });
+});
+
+describe('summarizeReading', () => {
+    it('scores accuracy and words correct per minute over the words read so far', () => {
+        expect(summarizeReading(STORY, read('the dog sat on the big mat'), 30000)).toEqual({
+            wordsRead: 6,
+            totalWords: 6,
+            correct: 5,
+            errors: 2,
+            accuracy: 67,
+            wcpm: 10,
+            durationSeconds: 30,
+            substituted: [{ expected: 'cat', said: 'dog' }],
+            skipped: [],
+            selfCorrected: [],
+            inserted: ['big'],
+        });
+    });
+
+    it('counts self-corrections as correct and not as errors', () => {
+        expect(summarizeReading(STORY, read('the cap cat sat on'), 60000)).toMatchObject({
+            wordsRead: 4,
+            correct: 4,
+            errors: 0,
+            accuracy: 100,
+            wcpm: 4,
+            selfCorrected: [{ expected: 'cat', said: 'cap' }],
+        });
+    });
+
+    it('lists skipped words by their story word', () => {
+        expect(summarizeReading(STORY, read('the cat on the mat'), 30000)).toMatchObject({ skipped: ['sat'], errors: 1, accuracy: 83 });
+    });
+
+    it('scores nothing before the child has read or while no time has passed', () => {
+        expect(summarizeReading(STORY, read(''), 0)).toMatchObject({ wordsRead: 0, accuracy: 0, wcpm: 0 });
+    });
+});
@@ -0,0 +1,95 @@
+import { MINUTE, DAY, toMillis } from './dates';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+// Leitner-box spaced repetition scheduler for flashcard words.
+// The schedule is rebuilt from the full `progress` history every time it changes,
+// so no extra scheduling state needs to be stored in Firestore.
+
+// Review interval for each box. Box 0 holds new or missed words, which come back
+// after a short pause in the same session; later boxes spread review over days.
+export const BOX_INTERVALS = [
+    5 * MINUTE,
+    1 * DAY,
+    2 * DAY,
+    4 * DAY,
+    8 * DAY,
+    16 * DAY,
+];
+
+export const MAX_BOX = BOX_INTERVALS.length - 1;
+
+/**
+ * Replays every attempt in `progress` and returns the Leitner state of each word,
+ * keyed by word text: { box, due, lastSeen, attempts, lapses }.
+ * A correct answer only promotes a word when it was due, so repeating a word
+ * several times in one sitting does not skip it ahead by several days. A "close"
+ * attempt (the recognizer was unsure) is neither a pass nor a lapse: the word keeps
+ * its box and due time.
+ */
+export const buildSchedule = (progress) => {
+    const schedule = {};
+    const attempts = progress
+        .filter(p => p.word && typeof p.correct === 'boolean')
+        .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+
+    attempts.forEach(p => {
+        const at = toMillis(p.timestamp);
+        const entry = schedule[p.word] || { box: 0, due: 0, lastSeen: 0, attempts: 0, lapses: 0 };
+        const struggled = (p.strugglingSyllables || []).length > 0;
+
+        if (p.verdict === PRONUNCIATION_VERDICTS.CLOSE) {
+            entry.lastSeen = at;
+            entry.attempts += 1;
+            schedule[p.word] = entry;
+            return;
+        }
+
+        if (!p.correct) {
+            entry.box = 0;
+            entry.lapses += 1;
+        } else if (at >= entry.due) {
+            // A correct read that still flagged hard syllables is not promoted.
+            entry.box = struggled ? entry.box : Math.min(entry.box + 1, MAX_BOX);
+        }
+
+        entry.due = at + BOX_INTERVALS[entry.box];
+        entry.lastSeen = at;
+        entry.attempts += 1;
+        schedule[p.word] = entry;
+    });
+
+    return schedule;
+};
+
+/**
+ * Picks the index in `words` to practise next. Words that have never been tried are
+ * due immediately; otherwise the word that has been due the longest wins. When nothing
+ * is due yet the soonest upcoming word is served so practice can continue.
+ * The current word is skipped whenever another word is available, and words failing
+ * `isEligible` (e.g. outside the child's current level) are only picked when no
+ * word passes it.
+ */
+export const pickNextWordIndex = (words, schedule, currentIndex = -1, isEligible = () => true) => {
+    if (words.length <= 1) return 0;
+
+    let bestIndex = -1;
+    let bestDue = Infinity;
+    words.forEach((word, index) => {
+        if (index === currentIndex || !isEligible(word)) return;
+        const due = schedule[word.text]?.due ?? 0;
+        if (due < bestDue) {
+            bestDue = due;
+            bestIndex = index;
+        }
+    });
+
+    if (bestIndex !== -1) return bestIndex;
+
+    // Only the current word is eligible (or none is): stay on the next eligible word
+    const order = words.map((word, offset) => (currentIndex + 1 + offset) % words.length);
+    return order.find(index => isEligible(words[index])) ?? order[0];
+};
+
+// Number of words in `words` that are due for review at `now`.
+export const countDueWords = (words, schedule, now = Date.now()) =>
+    words.filter(word => (schedule[word.text]?.due ?? 0) <= now).length;
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { buildSchedule, pickNextWordIndex, countDueWords, BOX_INTERVALS, MAX_BOX } from './scheduler';
+import { MINUTE, DAY } from './dates';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+const START = Date.parse('2026-03-02T09:00:00Z');
+
+const attempt = (word, correct, at, extra = {}) => ({ word, correct, timestamp: START + at, ...extra });
+
+const words = (...texts) => texts.map(text => ({ text }));
+
+describe('buildSchedule', () => {
+    it('promotes a word one box for each correct read once it is due', () => {
+        const schedule = buildSchedule([
+            attempt('cat', true, 0),
+            attempt('cat', true, 1 * DAY),
+            attempt('cat', true, 3 * DAY),
+        ]);
+        expect(schedule.cat).toEqual({ box: 3, due: START + 3 * DAY + BOX_INTERVALS[3], lastSeen: START + 3 * DAY, attempts: 3, lapses: 0 });
+    });
+
+    it('does not skip ahead for repeats before the word is due', () => {
+        const schedule = buildSchedule([
+            attempt('cat', true, 0),
+            attempt('cat', true, 1 * MINUTE),
+            attempt('cat', true, 2 * MINUTE),
+        ]);
+        expect(schedule.cat.box).toBe(1);
+        expect(schedule.cat.due).toBe(START + 2 * MINUTE + BOX_INTERVALS[1]);
+    });
+
+    it('sends a missed word back to the first box and counts the lapse', () => {
+        const schedule = buildSchedule([
+            attempt('cat', true, 0),
+            attempt('cat', true, 1 * DAY),
+            attempt('cat', false, 3 * DAY),
+        ]);
+        expect(schedule.cat).toMatchObject({ box: 0, due: START + 3 * DAY + BOX_INTERVALS[0], lapses: 1, attempts: 3 });
+    });
+
+    it('keeps the box of a correct read that still flagged hard syllables', () => {
+        const schedule = buildSchedule([
+            attempt('rabbit', true, 0),
+            attempt('rabbit', true, 1 * DAY, { strugglingSyllables: ['bit'] }),
+        ]);
+        expect(schedule.rabbit.box).toBe(1);
+    });
+
+    it('leaves the box and due time alone for a close attempt', () => {
+        const schedule = buildSchedule([
+            attempt('cat', true, 0),
+            attempt('cat', false, 1 * DAY, { verdict: PRONUNCIATION_VERDICTS.CLOSE }),
+        ]);
+        expect(schedule.cat).toMatchObject({ box: 1, due: START + BOX_INTERVALS[1], lastSeen: START + 1 * DAY, attempts: 2, lapses: 0 });
+    });
+
+    it('replays attempts in time order and never goes past the last box', () => {
+        const history = Array.from({ length: MAX_BOX + 3 }, (_, i) => attempt('cat', true, i * 20 * DAY)).reverse();
+        expect(buildSchedule(history).cat.box).toBe(MAX_BOX);
+    });
+
+    it('ignores entries that are not flashcard attempts', () => {
+        expect(buildSchedule([{ word: 'cat', timestamp: START }, { correct: true, timestamp: START }])).toEqual({});
+    });
+});
+
+describe('pickNextWordIndex', () => {
+    const schedule = {
+        cat: { due: START + 2 * DAY },
+        dog: { due: START + 1 * DAY },
+        hat: { due: START + 3 * DAY },
+    };
+
+    it('serves untried words first, then the word due soonest', () => {
+        expect(pickNextWordIndex(words('cat', 'dog', 'sun'), schedule)).toBe(2);
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule)).toBe(1);
+    });
+
+    it('skips the current word while another is available', () => {
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule, 1)).toBe(0);
+        expect(pickNextWordIndex(words('cat'), schedule, 0)).toBe(0);
+    });
+
+    it('only picks eligible words', () => {
+        const isEligible = word => word.text !== 'dog';
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule, -1, isEligible)).toBe(0);
+    });
+
+    it('falls back to the next eligible word, not the next word', () => {
+        const isEligible = word => word.text !== 'dog';
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule, 0, word => word.text === 'cat')).toBe(0);
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule, 2, word => word.text === 'hat')).toBe(2);
+        expect(pickNextWordIndex(words('cat', 'dog'), schedule, 0, isEligible)).toBe(0);
+        expect(pickNextWordIndex(words('cat', 'dog', 'hat'), schedule, 0, () => false)).toBe(1);
+    });
+});
+
+describe('countDueWords', () => {
+    it('counts untried words and words whose review time has come', () => {
+        const schedule = { cat: { due: START }, dog: { due: START + DAY } };
+        expect(countDueWords(words('cat', 'dog', 'sun'), schedule, START)).toBe(2);
+        expect(countDueWords(words('cat', 'dog', 'sun'), schedule, START + DAY)).toBe(3);
+    });
+});
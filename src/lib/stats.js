@@ -0,0 +1,142 @@
+import { MINUTE, DAY, toMillis, dayKey, startOfDay } from './dates';
+import { VERDICTS } from './questions';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+// Aggregations behind the progress dashboard. All functions take plain arrays of
+// `progress` / `stories` documents and never touch Firestore.
+
+// Attempts further apart than this start a new practice session.
+const SESSION_GAP = 5 * MINUTE;
+// Time credited to the last attempt of a session, which has no following gap.
+const LAST_ATTEMPT_CREDIT = 0.5 * MINUTE;
+
+// Keeps items whose timestamp falls in [from, to] (either bound may be null).
+export const filterByRange = (items, from, to) => items.filter(item => {
+    const at = toMillis(item.timestamp);
+    return (from == null || at >= from) && (to == null || at <= to);
+});
+
+// Attempts that were graded right or wrong. A "close" attempt (the recognizer was
+// unsure) is neither, just as the scheduler leaves it out.
+export const gradedAttempts = (progress) => progress.filter(p => p.verdict !== PRONUNCIATION_VERDICTS.CLOSE);
+
+const sortedByTime = (items) => [...items].sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+
+// [{ day, attempts, correct, accuracy }] for each day with attempts, oldest first.
+export const dailyAccuracy = (progress) => {
+    const days = new Map();
+    sortedByTime(gradedAttempts(progress)).forEach(p => {
+        const key = dayKey(toMillis(p.timestamp));
+        const entry = days.get(key) || { day: key, attempts: 0, correct: 0 };
+        entry.attempts += 1;
+        if (p.correct) entry.correct += 1;
+        days.set(key, entry);
+    });
+    return [...days.values()].map(d => ({ ...d, accuracy: d.correct / d.attempts }));
+};
+
+// [{ word, misses, attempts }] sorted by misses, most-missed first.
+export const mostMissedWords = (progress, limit = 10) => {
+    const words = new Map();
+    gradedAttempts(progress).forEach(p => {
+        const entry = words.get(p.word) || { word: p.word, misses: 0, attempts: 0 };
+        entry.attempts += 1;
+        if (p.correct === false) entry.misses += 1;
+        words.set(p.word, entry);
+    });
+    return [...words.values()]
+        .filter(w => w.misses > 0)
+        .sort((a, b) => b.misses - a.misses || a.word.localeCompare(b.word))
+        .slice(0, limit);
+};
+
+// [{ syllable, count }] for syllables listed in `strugglingSyllables`, most frequent first.
+export const strugglingSyllableCounts = (progress, limit = 10) => {
+    const counts = new Map();
+    gradedAttempts(progress).forEach(p => {
+        (p.strugglingSyllables || []).forEach(syllable => {
+            const key = syllable.toLowerCase();
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+    return [...counts.entries()]
+        .map(([syllable, count]) => ({ syllable, count }))
+        .sort((a, b) => b.count - a.count || a.syllable.localeCompare(b.syllable))
+        .slice(0, limit);
+};
+
+// [{ day, minutes }] estimated from the gaps between attempts, oldest first.
+export const practiceMinutesPerDay = (items) => {
+    const days = new Map();
+    const sorted = sortedByTime(items);
+    sorted.forEach((item, index) => {
+        const at = toMillis(item.timestamp);
+        const next = sorted[index + 1] ? toMillis(sorted[index + 1].timestamp) : Infinity;
+        const gap = next - at;
+        const credit = gap <= SESSION_GAP ? gap : LAST_ATTEMPT_CREDIT;
+        const key = dayKey(at);
+        days.set(key, (days.get(key) || 0) + credit);
+    });
+    return [...days.entries()].map(([day, millis]) => ({ day, minutes: Math.round(millis / MINUTE) }));
+};
+
+/**
+ * Practice streaks in consecutive local days. `current` counts back from today,
+ * or from yesterday if there has been no practice yet today.
+ */
+export const practiceStreaks = (items, now = Date.now()) => {
+    const days = new Set(items.map(item => startOfDay(toMillis(item.timestamp))));
+    const sortedDays = [...days].sort((a, b) => a - b);
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    sortedDays.forEach(day => {
+        // Compare calendar days, not exact 24h gaps, so DST changes do not break a streak
+        run = previous !== null && dayKey(previous + DAY + DAY / 2) === dayKey(day) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    let current = 0;
+    let cursor = startOfDay(now);
+    if (!days.has(cursor)) cursor = startOfDay(cursor - DAY / 2);
+    while (days.has(cursor)) {
+        current += 1;
+        cursor = startOfDay(cursor - DAY / 2);
+    }
+
+    return { current, longest, practiceDays: days.size };
+};
+
+// Groups stories by level: { [level]: { total, evaluated, stories: [...newest first] } }.
+export const comprehensionByLevel = (stories) => {
+    const levels = {};
+    sortedByTime(stories).reverse().forEach(story => {
+        const level = story.level || 'unknown';
+        levels[level] = levels[level] || { total: 0, evaluated: 0, stories: [] };
+        levels[level].total += 1;
+        if (story.comprehension || story.comprehensionFeedback) levels[level].evaluated += 1;
+        levels[level].stories.push(story);
+    });
+    return levels;
+};
+
+// [{ skill, questions, correct, partial, score }] across checked questions, by reading skill.
+export const comprehensionBySkill = (stories) => {
+    const skills = new Map();
+    stories.forEach(story => {
+        (story.comprehension?.results || []).forEach(result => {
+            const skill = result.skill || 'recall';
+            const entry = skills.get(skill) || { skill, questions: 0, correct: 0, partial: 0, total: 0 };
+            entry.questions += 1;
+            if (result.verdict === VERDICTS.CORRECT) entry.correct += 1;
+            if (result.verdict === VERDICTS.PARTIAL) entry.partial += 1;
+            entry.total += result.score || 0;
+            skills.set(skill, entry);
+        });
+    });
+    return [...skills.values()]
+        .map(({ total, ...entry }) => ({ ...entry, score: total / entry.questions }))
+        .sort((a, b) => a.skill.localeCompare(b.skill));
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+    filterByRange,
+    gradedAttempts,
+    dailyAccuracy,
+    mostMissedWords,
+    strugglingSyllableCounts,
+    practiceMinutesPerDay,
+    practiceStreaks,
+    comprehensionByLevel,
+    comprehensionBySkill,
+} from './stats';
+import { MINUTE } from './dates';
+import { VERDICTS } from './questions';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+// Days are the family's local days, so times are built in local time.
+const at = (day, hour = 9, minute = 0) => new Date(2026, 2, day, hour, minute).getTime();
+
+const attempt = (word, correct, timestamp, extra = {}) => ({ word, correct, timestamp, ...extra });
+
+describe('filterByRange', () => {
+    it('keeps items inside the bounds, either of which may be open', () => {
+        const items = [{ timestamp: at(1) }, { timestamp: at(2) }, { timestamp: at(3) }];
+        expect(filterByRange(items, at(2), at(3))).toEqual(items.slice(1));
+        expect(filterByRange(items, null, at(1))).toEqual(items.slice(0, 1));
+        expect(filterByRange(items, null, null)).toEqual(items);
+    });
+
+    it('reads Firestore Timestamps as well as dates and numbers', () => {
+        const items = [{ timestamp: { toMillis: () => at(2) } }, { timestamp: new Date(at(2)) }, { timestamp: at(4) }];
+        expect(filterByRange(items, at(1), at(3))).toHaveLength(2);
+    });
+});
+
+describe('dailyAccuracy', () => {
+    it('groups graded attempts by day, oldest first, leaving out close ones', () => {
+        const progress = [
+            attempt('dog', true, at(3)),
+            attempt('cat', true, at(2)),
+            attempt('cat', false, at(2, 10)),
+            attempt('cat', false, at(2, 11), { verdict: PRONUNCIATION_VERDICTS.CLOSE }),
+        ];
+        expect(gradedAttempts(progress)).toHaveLength(3);
+        expect(dailyAccuracy(progress)).toEqual([
+            { day: '2026-03-02', attempts: 2, correct: 1, accuracy: 0.5 },
+            { day: '2026-03-03', attempts: 1, correct: 1, accuracy: 1 },
+        ]);
+    });
+});
+
+describe('mostMissedWords', () => {
+    it('lists missed words by misses, then alphabetically, up to the limit', () => {
+        const progress = [
+            attempt('hat', false, at(1)),
+            attempt('cat', false, at(1)),
+            attempt('cat', false, at(2)),
+            attempt('cat', true, at(3)),
+            attempt('bat', false, at(1)),
+            attempt('dog', true, at(1)),
+        ];
+        expect(mostMissedWords(progress)).toEqual([
+            { word: 'cat', misses: 2, attempts: 3 },
+            { word: 'bat', misses: 1, attempts: 1 },
+            { word: 'hat', misses: 1, attempts: 1 },
+        ]);
+        expect(mostMissedWords(progress, 1).map(w => w.word)).toEqual(['cat']);
+    });
+});
+
+describe('strugglingSyllableCounts', () => {
+    it('counts syllables regardless of case, most frequent first', () => {
+        const progress = [
+            attempt('rabbit', false, at(1), { strugglingSyllables: ['bit'] }),
+            attempt('rabbit', true, at(2), { strugglingSyllables: ['BIT', 'rab'] }),
+            attempt('jumping', false, at(2), { strugglingSyllables: ['ping'], verdict: PRONUNCIATION_VERDICTS.CLOSE }),
+        ];
+        expect(strugglingSyllableCounts(progress)).toEqual([
+            { syllable: 'bit', count: 2 },
+            { syllable: 'rab', count: 1 },
+        ]);
+    });
+});
+
+describe('practiceMinutesPerDay', () => {
+    it('adds up the gaps within a session and a short credit for its last attempt', () => {
+        const items = [
+            { timestamp: at(2, 9, 0) },
+            { timestamp: at(2, 9, 2) },
+            { timestamp: at(2, 9, 4) },
+            { timestamp: at(2, 15, 0) },
+            { timestamp: at(3, 9, 0) },
+        ];
+        // 4 minutes of gaps plus half a minute for the last attempt of each session
+        expect(practiceMinutesPerDay(items)).toEqual([
+            { day: '2026-03-02', minutes: 5 },
+            { day: '2026-03-03', minutes: 1 },
+        ]);
+    });
+
+    it('does not count a long pause as practice', () => {
+        const items = [{ timestamp: at(2, 9, 0) }, { timestamp: at(2, 9, 0) + 6 * MINUTE }];
+        expect(practiceMinutesPerDay(items)).toEqual([{ day: '2026-03-02', minutes: 1 }]);
+    });
+});
+
+describe('practiceStreaks', () => {
+    const days = (...list) => list.map(day => ({ timestamp: at(day) }));
+
+    it('counts the current run back from today and the longest run ever', () => {
+        const items = days(1, 2, 3, 5, 6, 6);
+        expect(practiceStreaks(items, at(6, 20))).toEqual({ current: 2, longest: 3, practiceDays: 5 });
+    });
+
+    it('keeps the streak alive until the end of today', () => {
+        expect(practiceStreaks(days(5, 6), at(7, 8)).current).toBe(2);
+        expect(practiceStreaks(days(5, 6), at(8, 8)).current).toBe(0);
+    });
+
+    it('carries a streak across a daylight saving change', () => {
+        // Clocks change on 8 March in the US and 29 March in the EU
+        expect(practiceStreaks(days(7, 8, 9, 28, 29, 30), at(30, 20))).toMatchObject({ current: 3, longest: 3 });
+    });
+});
+
+describe('comprehensionByLevel', () => {
+    it('groups stories by level, newest first, and counts the checked ones', () => {
+        const stories = [
+            { id: 's1', level: 'beginner', timestamp: at(1), comprehension: { results: [] } },
+            { id: 's2', level: 'beginner', timestamp: at(2) },
+            { id: 's3', timestamp: at(3), comprehensionFeedback: 'Well done' },
+        ];
+        const levels = comprehensionByLevel(stories);
+        expect(levels.beginner).toMatchObject({ total: 2, evaluated: 1 });
+        expect(levels.beginner.stories.map(s => s.id)).toEqual(['s2', 's1']);
+        expect(levels.unknown).toMatchObject({ total: 1, evaluated: 1 });
+    });
+});
+
+describe('comprehensionBySkill', () => {
+    it('averages question scores by reading skill, treating unlabelled ones as recall', () => {
+        const stories = [
+            { comprehension: { results: [
+                { skill: 'inference', verdict: VERDICTS.CORRECT, score: 1 },
+                { skill: 'inference', verdict: VERDICTS.PARTIAL, score: 0.5 },
+                { verdict: VERDICTS.INCORRECT, score: 0 },
+            ] } },
+            { comprehension: { results: [{ skill: 'recall', verdict: VERDICTS.CORRECT, score: 1 }] } },
+            { comprehensionFeedback: 'Older stories have no results' },
+        ];
+        expect(comprehensionBySkill(stories)).toEqual([
+            { skill: 'inference', questions: 2, correct: 1, partial: 1, score: 0.75 },
+            { skill: 'recall', questions: 2, correct: 1, partial: 0, score: 0.5 },
+        ]);
+    });
+});
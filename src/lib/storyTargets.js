@@ -0,0 +1,54 @@
+import { DAY } from './dates';
+import { normalizeWord } from './phonemes';
+import { filterByRange, gradedAttempts, mostMissedWords, strugglingSyllableCounts } from './stats';
+
+// Chooses the words a generated story should practise and finds where they ended up
+// in the story text, so the story view can highlight them.
+
+const MAX_TARGET_WORDS = 5;
+const MAX_TARGET_SYLLABLES = 3;
+// Only misses from this far back count as "recent".
+const RECENT_WINDOW = 14 * DAY;
+// How many times the story should use each target word.
+export const TARGET_REPETITIONS = 2;
+
+/**
+ * Builds the story inputs for a child: the deck's phonics pattern, their recently
+ * missed words (topped up with deck words at `wordLevel`) and the syllables they
+ * struggle with most. Returns { pattern, words, syllables, repetitions }.
+ */
+export const pickStoryTargets = ({ deck, progress, wordLevel, now = Date.now() }) => {
+    // "Close" attempts are not misses, so they do not make a word a target
+    const recent = filterByRange(gradedAttempts(progress), now - RECENT_WINDOW, null);
+    const missed = mostMissedWords(recent, MAX_TARGET_WORDS).map(w => w.word);
+    const deckWords = (deck.words || [])
+        .filter(w => !wordLevel || w.level === wordLevel)
+        .map(w => w.text);
+    const words = [...new Set([...missed, ...deckWords].map(w => normalizeWord(w)).filter(Boolean))]
+        .slice(0, MAX_TARGET_WORDS);
+
+    return {
+        pattern: deck.pattern || 'mixed',
+        words,
+        syllables: strugglingSyllableCounts(recent, MAX_TARGET_SYLLABLES).map(s => s.syllable),
+        repetitions: TARGET_REPETITIONS,
+    };
+};
+
+// Plurals count as a use of the word ("hats" for "hat").
+const matchesTarget = (word, target) => word === target || word === `${target}s` || word === `${target}es`;
+
+/**
+ * Finds each target word in the story. `positions` are indexes into the story's
+ * whitespace-separated words, the same numbering the narration player uses.
+ * Returns [{ word, count, positions }] in target order, including unused targets.
+ */
+export const locateTargetWords = (story, targets) => {
+    const storyWords = (story.match(/\S+/g) || []).map(raw => normalizeWord(raw).replace(/[\s-]/g, ''));
+    return targets.map(target => {
+        const positions = storyWords
+            .map((word, index) => (matchesTarget(word, target) ? index : -1))
+            .filter(index => index >= 0);
+        return { word: target, count: positions.length, positions };
+    });
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { pickStoryTargets, locateTargetWords, TARGET_REPETITIONS } from './storyTargets';
+import { DAY } from './dates';
+import { PRONUNCIATION_VERDICTS } from './pronunciation';
+
+const NOW = Date.parse('2026-03-20T09:00:00Z');
+
+const miss = (word, daysAgo, extra = {}) => ({ word, correct: false, timestamp: NOW - daysAgo * DAY, ...extra });
+
+const DECK = {
+    pattern: 'cvc',
+    words: [
+        { text: 'cat', level: 'easy' },
+        { text: 'Dog', level: 'easy' },
+        { text: 'rabbit', level: 'medium' },
+        { text: 'hat', level: 'easy' },
+    ],
+};
+
+describe('pickStoryTargets', () => {
+    it('puts recent misses first and tops up with deck words at the reader\'s level', () => {
+        const progress = [miss('sun', 1), miss('sun', 2), miss('hat', 3, { strugglingSyllables: ['at'] })];
+        expect(pickStoryTargets({ deck: DECK, progress, wordLevel: 'easy', now: NOW })).toEqual({
+            pattern: 'cvc',
+            words: ['sun', 'hat', 'cat', 'dog'],
+            syllables: ['at'],
+            repetitions: TARGET_REPETITIONS,
+        });
+    });
+
+    it('forgets misses from more than two weeks ago and close attempts', () => {
+        const progress = [miss('sun', 15), miss('fox', 1, { verdict: PRONUNCIATION_VERDICTS.CLOSE })];
+        expect(pickStoryTargets({ deck: DECK, progress, wordLevel: 'medium', now: NOW }).words).toEqual(['rabbit']);
+    });
+
+    it('takes at most five words and three syllables', () => {
+        const progress = ['a1', 'b2', 'c3', 'd4', 'e5', 'f6'].map((syllable, i) => miss(`word${i}`, 1, { strugglingSyllables: [syllable] }));
+        const targets = pickStoryTargets({ deck: DECK, progress, now: NOW });
+        expect(targets.words).toHaveLength(5);
+        expect(targets.syllables).toHaveLength(3);
+    });
+
+    it('uses every deck word without a level and a mixed pattern without one', () => {
+        expect(pickStoryTargets({ deck: { words: DECK.words }, progress: [], now: NOW })).toMatchObject({
+            pattern: 'mixed',
+            words: ['cat', 'dog', 'rabbit', 'hat'],
+        });
+        expect(pickStoryTargets({ deck: {}, progress: [], now: NOW }).words).toEqual([]);
+    });
+});
+
+describe('locateTargetWords', () => {
+    it('finds each target by word position, counting plurals and ignoring case and punctuation', () => {
+        const story = 'The cat saw two hats. "Cats!" said the dog. A catch.';
+        expect(locateTargetWords(story, ['cat', 'hat', 'fox'])).toEqual([
+            { word: 'cat', count: 2, positions: [1, 5] },
+            { word: 'hat', count: 1, positions: [4] },
+            { word: 'fox', count: 0, positions: [] },
+        ]);
+    });
+
+    it('counts "es" plurals and digits spelled out', () => {
+        expect(locateTargetWords('Two boxes and 2 more', ['box', 'two'])).toEqual([
+            { word: 'box', count: 1, positions: [1] },
+            { word: 'two', count: 2, positions: [0, 3] },
+        ]);
+    });
+});
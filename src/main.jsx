@@ -1,5 +1,6 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import '@fortawesome/fontawesome-free/css/all.min.css'
 import './index.css'
 import App from './App.jsx'
 
@@ -8,3 +9,12 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// The service worker caches the app shell and built assets so the app opens offline.
+// Only production builds register it; in development it would serve stale modules.
+// It precaches the whole build on install, so registering before `load` is fine.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.error('Service worker registration failed:', error)
+  })
+}
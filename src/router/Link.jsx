@@ -0,0 +1,20 @@
+import React from 'react';
+import { navigate } from './history';
+
+// In-app link: a real <a href> (so it can be opened in a new tab) that navigates
+// without reloading the page on a plain click.
+const Link = ({ to, children, ...props }) => {
+    const handleClick = (event) => {
+        if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+        event.preventDefault();
+        navigate(to);
+    };
+
+    return (
+        <a href={to} onClick={handleClick} {...props}>
+            {children}
+        </a>
+    );
+};
+
+export default Link;
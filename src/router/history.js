@@ -0,0 +1,22 @@
+// Thin wrapper over the History API. pushState does not fire popstate, so
+// navigate() announces its own changes with a custom event.
+const NAVIGATE_EVENT = 'phonics:navigate';
+
+export const navigate = (path, { replace = false } = {}) => {
+    if (path === window.location.pathname) return;
+    if (replace) window.history.replaceState(null, '', path);
+    else window.history.pushState(null, '', path);
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// Calls `onChange` after every navigation (links, back/forward). Returns the unsubscribe function.
+export const subscribeToLocation = (onChange) => {
+    window.addEventListener('popstate', onChange);
+    window.addEventListener(NAVIGATE_EVENT, onChange);
+    return () => {
+        window.removeEventListener('popstate', onChange);
+        window.removeEventListener(NAVIGATE_EVENT, onChange);
+    };
+};
+
+export const currentPath = () => window.location.pathname;
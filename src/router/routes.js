@@ -0,0 +1,41 @@
+// URL routes. Firebase Hosting (and the Vite dev server) serve index.html for every
+// path, so any of these can be bookmarked or reloaded.
+//   /                          pick a reader
+//   /readers/:childId/:tab     practise as a reader (tab is one of READER_TABS)
+//   /progress/:childId?        parent/teacher dashboard
+//   /shared/:ownerId/:childId  dashboard for a reader another account shares
+
+export const ROUTES = {
+    READERS: 'readers',
+    READER: 'reader',
+    PROGRESS: 'progress',
+    SHARED_PROGRESS: 'shared-progress',
+    NOT_FOUND: 'not-found',
+};
+
+export const READER_TABS = ['flashcards', 'stories', 'games', 'rewards'];
+
+export const paths = {
+    readers: () => '/',
+    reader: (childId, tab = 'flashcards') => `/readers/${encodeURIComponent(childId)}/${tab}`,
+    progress: (childId) => (childId ? `/progress/${encodeURIComponent(childId)}` : '/progress'),
+    sharedProgress: (ownerId, childId) => `/shared/${encodeURIComponent(ownerId)}/${encodeURIComponent(childId)}`,
+};
+
+// Turns a pathname into { name, params }.
+export const matchRoute = (pathname) => {
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts.length === 0) return { name: ROUTES.READERS, params: {} };
+
+    if (parts[0] === 'readers' && (parts.length === 2 || parts.length === 3)) {
+        const tab = parts[2] || READER_TABS[0];
+        if (READER_TABS.includes(tab)) return { name: ROUTES.READER, params: { childId: parts[1], tab } };
+    }
+    if (parts[0] === 'progress' && parts.length <= 2) {
+        return { name: ROUTES.PROGRESS, params: { childId: parts[1] || null } };
+    }
+    if (parts[0] === 'shared' && parts.length === 3) {
+        return { name: ROUTES.SHARED_PROGRESS, params: { ownerId: parts[1], childId: parts[2] } };
+    }
+    return { name: ROUTES.NOT_FOUND, params: {} };
+};
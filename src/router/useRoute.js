@@ -0,0 +1,9 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { subscribeToLocation, currentPath } from './history';
+import { matchRoute } from './routes';
+
+// The route for the current URL, re-rendering on every navigation.
+export const useRoute = () => {
+    const pathname = useSyncExternalStore(subscribeToLocation, currentPath);
+    return useMemo(() => matchRoute(pathname), [pathname]);
+};
@@ -0,0 +1,89 @@
+import {
+    signInAnonymously,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    signInWithPopup,
+    signInWithCredential,
+    linkWithCredential,
+    linkWithPopup,
+    signOut,
+    EmailAuthProvider,
+    GoogleAuthProvider,
+} from 'firebase/auth';
+
+// Guests get an anonymous account so a child can start practising right away.
+// Creating an account while signed in as a guest links the credential to the
+// same uid, so the guest's profiles, progress and stories carry over.
+
+export const signInAsGuest = (auth) => signInAnonymously(auth);
+
+export const isGuest = (user) => !!user?.isAnonymous;
+
+// Plain snapshot of the user for React state. Linking keeps the same User object,
+// so storing the object itself would not re-render after an upgrade.
+export const toAccount = (user) => (user
+    ? { uid: user.uid, isAnonymous: user.isAnonymous, email: user.email, displayName: user.displayName }
+    : null);
+
+// Creates a permanent email/password account, upgrading the guest account if there is one.
+export const registerWithEmail = async (auth, email, password) => {
+    if (isGuest(auth.currentUser)) {
+        const credential = EmailAuthProvider.credential(email, password);
+        return linkWithCredential(auth.currentUser, credential);
+    }
+    return createUserWithEmailAndPassword(auth, email, password);
+};
+
+// Signs into an existing email/password account. Any guest data stays with the guest uid.
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email, password);
+
+/**
+ * Google sign-in. A guest is upgraded in place; if that Google account already
+ * belongs to another user, we sign into that user instead and report
+ * `linked: false` so the UI can say the guest data was not merged.
+ */
+export const signInWithGoogle = async (auth) => {
+    const provider = new GoogleAuthProvider();
+    if (!isGuest(auth.currentUser)) {
+        const result = await signInWithPopup(auth, provider);
+        return { user: result.user, linked: false };
+    }
+    try {
+        const result = await linkWithPopup(auth.currentUser, provider);
+        return { user: result.user, linked: true };
+    } catch (error) {
+        if (error.code !== 'auth/credential-already-in-use') throw error;
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        const result = await signInWithCredential(auth, credential);
+        return { user: result.user, linked: false };
+    }
+};
+
+export const signOutUser = (auth) => signOut(auth);
+
+// Turns Firebase Auth error codes into messages a parent or teacher can act on.
+export const describeAuthError = (error) => {
+    switch (error?.code) {
+        case 'auth/operation-not-allowed':
+            return "This sign-in method is not enabled in your Firebase project. Please enable it in Firebase Console -> Authentication -> Sign-in method.";
+        case 'auth/configuration-not-found':
+            return "Firebase authentication configuration not found. Check your .env.local and Firebase project settings carefully.";
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return "That email and password don't match an account.";
+        case 'auth/email-already-in-use':
+        case 'auth/credential-already-in-use':
+            return "An account with this email already exists. Sign in instead.";
+        case 'auth/weak-password':
+            return "Please choose a password with at least 6 characters.";
+        case 'auth/invalid-email':
+            return "Please enter a valid email address.";
+        case 'auth/popup-closed-by-user':
+            return "The sign-in window was closed before finishing.";
+        case 'auth/network-request-failed':
+            return "Network error. Please check your connection and try again.";
+        default:
+            return `Authentication error: ${error?.message}.`;
+    }
+};
@@ -0,0 +1,57 @@
+import { collection, doc, onSnapshot, addDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+
+// Decks are shared by everyone using the app, so they live next to `users`
+// rather than under a single user's path.
+const decksPath = (appId) => `artifacts/${appId}/decks`;
+
+// Listens to all decks, sorted by name. Returns the unsubscribe function.
+export const subscribeToDecks = (db, appId, onChange, onError) => {
+    return onSnapshot(collection(db, decksPath(appId)), (snapshot) => {
+        const decks = [];
+        snapshot.forEach(deckDoc => {
+            decks.push({ id: deckDoc.id, ...deckDoc.data() });
+        });
+        decks.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        onChange(decks);
+    }, onError);
+};
+
+// Empty translations are dropped rather than saved as "".
+const cleanGlosses = (glosses = {}) => Object.fromEntries(Object.entries(glosses)
+    .map(([language, gloss]) => [language, (gloss || '').trim()])
+    .filter(([, gloss]) => gloss));
+
+// Words are stored as an ordered array on the deck document, so saving the
+// array is how words are added, edited, reordered and removed.
+const cleanWords = (words) => words
+    .map(w => ({ ...w, text: w.text.trim().toLowerCase(), sentence: (w.sentence || '').trim(), glosses: cleanGlosses(w.glosses) }))
+    .filter(w => w.text);
+
+export const createDeck = async (db, appId, userId, deck) => {
+    const deckRef = await addDoc(collection(db, decksPath(appId)), {
+        name: deck.name.trim(),
+        language: deck.language || 'en',
+        pattern: deck.pattern,
+        gradeBand: deck.gradeBand,
+        words: cleanWords(deck.words || []),
+        createdBy: userId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+    });
+    return deckRef.id;
+};
+
+export const updateDeck = async (db, appId, deckId, deck) => {
+    await updateDoc(doc(db, decksPath(appId), deckId), {
+        name: deck.name.trim(),
+        language: deck.language || 'en',
+        pattern: deck.pattern,
+        gradeBand: deck.gradeBand,
+        words: cleanWords(deck.words),
+        updatedAt: new Date(),
+    });
+};
+
+export const deleteDeck = async (db, appId, deckId) => {
+    await deleteDoc(doc(db, decksPath(appId), deckId));
+};
@@ -0,0 +1,53 @@
+import { initializeApp } from 'firebase/app';
+import { initializeAppCheck, ReCaptchaV3Provider } from 'firebase/app-check';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+
+let firebase = null;
+
+/**
+ * Starts Firebase from VITE_FIREBASE_CONFIG (the web app's config as JSON) and
+ * returns { app, db, auth, appId }. Later calls return the same instances, since
+ * Firestore and Auth can only be set up once per page.
+ */
+export const initFirebase = (env = import.meta.env) => {
+    if (firebase) return firebase;
+
+    let config;
+    try {
+        if (!env.VITE_FIREBASE_CONFIG) {
+            throw new Error("VITE_FIREBASE_CONFIG environment variable is not defined or is empty.");
+        }
+        config = JSON.parse(env.VITE_FIREBASE_CONFIG);
+    } catch (parseError) {
+        console.error("Error parsing VITE_FIREBASE_CONFIG JSON:", parseError);
+        throw new Error("Firebase config is malformed. Please check your .env.local file.", { cause: parseError });
+    }
+
+    const app = initializeApp(config);
+    // The `llm` Cloud Function only answers calls carrying an App Check token. Local
+    // development registers a debug token (VITE_APP_CHECK_DEBUG_TOKEN) in the console.
+    if (env.VITE_RECAPTCHA_SITE_KEY) {
+        if (env.VITE_APP_CHECK_DEBUG_TOKEN) self.FIREBASE_APPCHECK_DEBUG_TOKEN = env.VITE_APP_CHECK_DEBUG_TOKEN;
+        initializeAppCheck(app, { provider: new ReCaptchaV3Provider(env.VITE_RECAPTCHA_SITE_KEY), isTokenAutoRefreshEnabled: true });
+    }
+    // Keep a local copy of Firestore so practice works (and writes queue) while offline
+    const db = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+    const auth = getAuth(app);
+
+    // Local emulators for development and tests (`firebase emulators:start`)
+    if (env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+        connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+        connectFirestoreEmulator(db, '127.0.0.1', 8080);
+        connectFunctionsEmulator(getFunctions(app), '127.0.0.1', 5001);
+        connectStorageEmulator(getStorage(app), '127.0.0.1', 9199);
+    }
+
+    // projectId is the unique identifier for the app's data in Firestore
+    firebase = { app, db, auth, appId: config.projectId || 'default-phonics-app' };
+    return firebase;
+};
@@ -0,0 +1,63 @@
+import { analyzePronunciationWithLlm, generateStoryWithLlm, evaluateComprehensionWithLlm } from './tasks';
+import { validateStory, validateFeedback } from '../../lib/contentSafety';
+import { FALLBACK_STORIES } from '../../data/stories';
+import { localeInfo } from '../../data/locales';
+import { feedbackMessages } from '../../data/feedback';
+
+// Task wrappers that validate model output before it reaches a child. Failing
+// output is reported through `onReject({ task, attempt, issues, output })` and then
+// retried or replaced, so callers only ever see output that passed the checks.
+// Output is checked against the rules for the language of `locale`.
+
+const MAX_STORY_ATTEMPTS = 3;
+
+// Returns the story result plus `validation: { words, grade, questions, attempts, fallback }`.
+// `maxAttempts` lowers how many generations a background caller may spend.
+export const generateCheckedStory = async ({ level, targets, locale, maxAttempts = MAX_STORY_ATTEMPTS, onReject = () => {} }) => {
+    const { language } = localeInfo(locale);
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const result = await generateStoryWithLlm({ level, targets, locale });
+        const { ok, issues, metrics } = validateStory(result, level, language);
+        if (ok) return { ...result, validation: { ...metrics, attempts: attempt, fallback: false } };
+        onReject({ task: 'story', attempt, issues, output: result });
+    }
+
+    const stories = FALLBACK_STORIES[language] || FALLBACK_STORIES.en;
+    const fallback = stories[level] || stories.beginner;
+    return {
+        ...fallback,
+        targetWordUses: [],
+        validation: { ...validateStory(fallback, level, language).metrics, attempts: maxAttempts, fallback: true },
+    };
+};
+
+// Rejected feedback comes back empty, so the caller keeps its local analysis.
+export const analyzePronunciationChecked = async ({ spokenText, expectedWord, locale, onReject = () => {} }) => {
+    const result = await analyzePronunciationWithLlm({ spokenText, expectedWord, locale });
+    const { ok, issues } = validateFeedback(result.feedback, localeInfo(locale).language);
+    if (ok) return result;
+    onReject({ task: 'pronunciation', attempt: 1, issues, output: result });
+    return { ...result, feedback: '' };
+};
+
+// Rejected pieces of feedback are replaced one by one; the score is kept.
+export const evaluateComprehensionChecked = async ({ story, answers, locale, onReject = () => {} }) => {
+    const { language } = localeInfo(locale);
+    const messages = feedbackMessages(language);
+    const result = await evaluateComprehensionWithLlm({ story, answers, locale });
+    const issues = [];
+    const check = (text, replacement) => {
+        const validation = validateFeedback(text, language);
+        if (validation.ok) return text;
+        issues.push(...validation.issues);
+        return replacement;
+    };
+
+    const checked = {
+        ...result,
+        summary: check(result.summary, messages.replacementSummary),
+        questionFeedbacks: (result.questionFeedbacks || []).map(qf => ({ ...qf, feedback: check(qf.feedback, messages.replacementQuestionFeedback) })),
+    };
+    if (issues.length) onReject({ task: 'comprehension', attempt: 1, issues, output: result });
+    return checked;
+};
@@ -0,0 +1,49 @@
+import { LlmError, LLM_ERROR_CODES } from './errors';
+import { createGeminiBackend } from './gemini';
+import { createOpenAiBackend } from './openai';
+import { createFixtureBackend } from './fixture';
+import { createProxyBackend } from './proxy';
+
+// A backend only has to turn { task, prompt, schema, input } into response text.
+// The client owns JSON parsing so every backend reports bad output the same way.
+export const createLlmClient = (backend) => ({
+    backend: backend.name,
+    async generateJson(request) {
+        const text = await backend.complete(request);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new LlmError(LLM_ERROR_CODES.PARSE, 'LLM response was not valid JSON.', { cause: error, raw: text });
+        }
+    },
+});
+
+// Picks the backend from VITE_LLM_BACKEND: "proxy" (default), "gemini", "openai" or "fixture".
+// "gemini" calls the API straight from the browser and puts the key in the bundle,
+// so it is only for local development.
+export const createBackendFromEnv = (env = import.meta.env) => {
+    switch (env.VITE_LLM_BACKEND || 'proxy') {
+        case 'proxy':
+            return createProxyBackend();
+        case 'gemini':
+            return createGeminiBackend({ apiKey: env.VITE_GEMINI_API_KEY, model: env.VITE_LLM_MODEL });
+        case 'openai':
+            return createOpenAiBackend({ baseUrl: env.VITE_LLM_BASE_URL, model: env.VITE_LLM_MODEL, apiKey: env.VITE_LLM_API_KEY });
+        case 'fixture':
+            return createFixtureBackend();
+        default:
+            throw new LlmError(LLM_ERROR_CODES.CONFIG, `Unknown LLM backend "${env.VITE_LLM_BACKEND}".`);
+    }
+};
+
+let defaultClient = null;
+
+export const getLlmClient = () => {
+    if (!defaultClient) defaultClient = createLlmClient(createBackendFromEnv());
+    return defaultClient;
+};
+
+// Lets tests or dev tools swap the backend at runtime.
+export const setLlmClient = (client) => {
+    defaultClient = client;
+};
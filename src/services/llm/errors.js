@@ -0,0 +1,20 @@
+// Every failure from the LLM layer is an LlmError so callers can branch on `code`
+// instead of string-matching messages.
+export const LLM_ERROR_CODES = {
+    CONFIG: 'config',     // backend missing or misconfigured (e.g. no API key)
+    NETWORK: 'network',   // fetch itself failed
+    HTTP: 'http',         // backend answered with a non-2xx status
+    EMPTY: 'empty',       // backend answered but returned no text
+    PARSE: 'parse',       // text was returned but is not valid JSON
+    QUOTA: 'quota',       // the proxy's per-user rate limit or daily quota was reached
+};
+
+export class LlmError extends Error {
+    constructor(code, message, { cause, status, raw } = {}) {
+        super(message, { cause });
+        this.name = 'LlmError';
+        this.code = code;
+        this.status = status;
+        this.raw = raw; // unparsed response text, when there was one
+    }
+}
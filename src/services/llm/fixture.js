@@ -0,0 +1,47 @@
+import { LlmError, LLM_ERROR_CODES } from './errors';
+
+// Deterministic stand-in for a real model, for offline development and tests.
+// Each fixture receives the task's structured `input` and returns the parsed
+// result the real model would be asked for.
+export const DEFAULT_FIXTURES = {
+    pronunciation: ({ spokenText, expectedWord }) => {
+        const isCorrect = spokenText.toLowerCase().trim() === expectedWord.toLowerCase().trim();
+        return {
+            isCorrect,
+            feedback: isCorrect
+                ? 'Great pronunciation!'
+                : `You said "${spokenText}". Try again and say "${expectedWord}" slowly, one sound at a time.`,
+            strugglingSyllables: [],
+        };
+    },
+    story: ({ level, targets }) => ({
+        story: `Sam has a red hat. Sam and his dog Pip go to the park. The sun is hot, so Sam sits under a big tree. Pip runs to get a stick. Pip drops the stick at Sam's feet. Sam throws it far. Pip runs and runs! Then a gust of wind takes Sam's hat. The hat lands in the pond. Pip jumps in the pond and gets the hat. Sam hugs Pip. "Good dog!" says Sam. They walk home, wet and happy.${targets.words.map(word => ` Sam said "${word}."`.repeat(targets.repetitions)).join('')} (${level} fixture story)`,
+        questions: [
+            { id: 1, type: 'multiple-choice', question: "What is the name of Sam's dog?", options: ['Pip', 'Max', 'Sam'], correctAnswer: 'Pip' },
+            { id: 2, type: 'true-false', question: 'Sam and Pip went to the beach.', correctAnswer: 'false' },
+            { id: 3, type: 'sequence', question: 'Put these in order.', events: ['Pip gets the stick.', "The wind takes Sam's hat.", 'Pip jumps in the pond.'] },
+            { id: 4, type: 'tap-word', question: 'Tap the word "pond" in the story.', word: 'pond' },
+        ],
+        targetWordUses: targets.words.map(word => ({ word, count: targets.repetitions })),
+    }),
+    comprehension: ({ answers }) => ({
+        summary: 'Nice work reading the story! Keep looking back at the story to find details.',
+        score: answers.length ? Math.round((answers.filter(a => a.answer.trim()).length / answers.length) * 100) : 0,
+        questionFeedbacks: answers.map((a, index) => ({
+            id: a.id ?? index + 1,
+            verdict: a.answer.trim() ? 'correct' : 'incorrect',
+            feedback: a.answer.trim() ? 'Thanks for your answer.' : 'This question was left blank.',
+        })),
+    }),
+};
+
+export const createFixtureBackend = ({ fixtures = DEFAULT_FIXTURES } = {}) => ({
+    name: 'fixture',
+    async complete({ task, input }) {
+        const fixture = fixtures[task];
+        if (!fixture) {
+            throw new LlmError(LLM_ERROR_CODES.CONFIG, `No fixture registered for task "${task}".`);
+        }
+        return JSON.stringify(fixture(input));
+    },
+});
@@ -0,0 +1,52 @@
+import { LlmError, LLM_ERROR_CODES } from './errors';
+
+// Gemini's responseSchema uses OpenAPI-style upper-case type names.
+const toGeminiSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = { ...schema, type: schema.type?.toUpperCase() };
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    return converted;
+};
+
+export const createGeminiBackend = ({ apiKey, model = 'gemini-2.0-flash' }) => ({
+    name: 'gemini',
+    async complete({ prompt, schema }) {
+        if (!apiKey) {
+            throw new LlmError(LLM_ERROR_CODES.CONFIG, 'Gemini API key is missing. Set VITE_GEMINI_API_KEY.');
+        }
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const payload = {
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: toGeminiSchema(schema),
+            },
+        };
+
+        let response;
+        try {
+            response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+        } catch (error) {
+            throw new LlmError(LLM_ERROR_CODES.NETWORK, `Could not reach Gemini: ${error.message}`, { cause: error });
+        }
+        if (!response.ok) {
+            throw new LlmError(LLM_ERROR_CODES.HTTP, `Gemini request failed with status ${response.status}.`, { status: response.status });
+        }
+
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            throw new LlmError(LLM_ERROR_CODES.EMPTY, 'Gemini returned no content.');
+        }
+        return text;
+    },
+});
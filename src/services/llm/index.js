@@ -0,0 +1,8 @@
+export { LlmError, LLM_ERROR_CODES } from './errors';
+export { createLlmClient, createBackendFromEnv, getLlmClient, setLlmClient } from './client';
+export { createGeminiBackend } from './gemini';
+export { createOpenAiBackend } from './openai';
+export { createFixtureBackend, DEFAULT_FIXTURES } from './fixture';
+export { createProxyBackend } from './proxy';
+export { analyzePronunciationWithLlm, generateStoryWithLlm, evaluateComprehensionWithLlm } from './tasks';
+export { generateCheckedStory, analyzePronunciationChecked, evaluateComprehensionChecked } from './checked';
@@ -0,0 +1,40 @@
+import { LlmError, LLM_ERROR_CODES } from './errors';
+
+// Any server that speaks the OpenAI chat-completions API, e.g. a local Ollama
+// (`http://localhost:11434/v1`), LM Studio or a hosted OpenAI-compatible endpoint.
+export const createOpenAiBackend = ({ baseUrl = 'http://localhost:11434/v1', model = 'llama3.1', apiKey }) => ({
+    name: 'openai',
+    async complete({ task, prompt, schema }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const payload = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: task || 'response', schema },
+            },
+        };
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+            });
+        } catch (error) {
+            throw new LlmError(LLM_ERROR_CODES.NETWORK, `Could not reach ${baseUrl}: ${error.message}`, { cause: error });
+        }
+        if (!response.ok) {
+            throw new LlmError(LLM_ERROR_CODES.HTTP, `LLM request failed with status ${response.status}.`, { status: response.status });
+        }
+
+        const result = await response.json();
+        const text = result.choices?.[0]?.message?.content;
+        if (!text) {
+            throw new LlmError(LLM_ERROR_CODES.EMPTY, 'LLM returned no content.');
+        }
+        return text;
+    },
+});
@@ -0,0 +1,39 @@
+import { getApp } from 'firebase/app';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { LlmError, LLM_ERROR_CODES } from './errors';
+
+// Callable error codes from the `llm` Cloud Function (functions/index.js).
+const ERROR_CODES = {
+    'functions/resource-exhausted': LLM_ERROR_CODES.QUOTA,
+    'functions/unauthenticated': LLM_ERROR_CODES.CONFIG,
+    'functions/permission-denied': LLM_ERROR_CODES.CONFIG,
+    'functions/failed-precondition': LLM_ERROR_CODES.CONFIG,
+    'functions/unavailable': LLM_ERROR_CODES.NETWORK,
+    'functions/deadline-exceeded': LLM_ERROR_CODES.NETWORK,
+};
+
+// Sends each request to the app's `llm` Cloud Function, which holds the model key,
+// checks the caller's Firebase ID token and App Check token, applies per-user limits
+// and builds the prompt from `input` itself, so the prompt and schema are not sent.
+// The Firebase app must already be initialized (App.jsx does this before any LLM call).
+export const createProxyBackend = () => {
+    let callLlm = null;
+    return {
+        name: 'proxy',
+        async complete({ task, input }) {
+            if (!callLlm) callLlm = httpsCallable(getFunctions(getApp()), 'llm', { timeout: 60000 });
+            let result;
+            try {
+                result = await callLlm({ task, input });
+            } catch (error) {
+                const code = ERROR_CODES[error.code] || LLM_ERROR_CODES.HTTP;
+                throw new LlmError(code, error.message || 'The LLM proxy request failed.', { cause: error });
+            }
+            const text = result.data?.text;
+            if (!text) {
+                throw new LlmError(LLM_ERROR_CODES.EMPTY, 'The LLM proxy returned no content.');
+            }
+            return text;
+        },
+    };
+};
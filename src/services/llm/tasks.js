@@ -0,0 +1,19 @@
+import { getLlmClient } from './client';
+import { buildTask } from '../../../shared/prompts.js';
+
+// The app's three LLM tasks. Prompts and schemas are built from each task's `input`
+// by shared/prompts.js, which the `llm` Cloud Function also uses; the proxy backend
+// only sends the task and input, and the function builds the prompt itself.
+
+const runTask = (task, input) => getLlmClient().generateJson({ task, input, ...buildTask(task, input) });
+
+export const analyzePronunciationWithLlm = ({ spokenText, expectedWord, locale }) =>
+    runTask('pronunciation', { spokenText, expectedWord, locale });
+
+// `targets` is { pattern, words, syllables, repetitions } from pickStoryTargets.
+export const generateStoryWithLlm = ({ level, targets, locale }) =>
+    runTask('story', { level, targets, locale });
+
+// `answers` is [{ id, question, answer }] for each comprehension question.
+export const evaluateComprehensionWithLlm = ({ story, answers, locale }) =>
+    runTask('comprehension', { story, answers, locale });
@@ -0,0 +1,34 @@
+import { collection, addDoc } from 'firebase/firestore';
+
+// Model output that failed the content checks is kept under the account that saw
+// it, so a parent or teacher (or the app's maintainers) can review what was blocked.
+const rejectionsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/contentRejections`;
+
+// Kept in sync with the `contentRejections` limits in firestore.rules.
+export const MAX_REJECTED_OUTPUT_CHARS = 4000;
+const MAX_ISSUES = 20;
+
+// Model output can be any shape and size, so it is saved as JSON cut to a length
+// firestore.rules can check.
+const outputSnippet = (output) => (JSON.stringify(output ?? null) || '').slice(0, MAX_REJECTED_OUTPUT_CHARS);
+
+// `rejection` is { task, attempt, issues, output } from the checked LLM tasks.
+export const logContentRejection = (db, appId, userId, childId, rejection) => {
+    console.warn(`Rejected ${rejection.task} output (attempt ${rejection.attempt}):`, rejection.issues);
+    return addDoc(collection(db, rejectionsPath(appId, userId)), {
+        task: rejection.task,
+        attempt: rejection.attempt,
+        issues: rejection.issues.slice(0, MAX_ISSUES),
+        output: outputSnippet(rejection.output),
+        childId: childId || null,
+        timestamp: new Date(),
+    });
+};
+
+// An `onReject` handler for the checked LLM tasks that logs for the given reader.
+export const contentRejectionLogger = (db, appId, userId, childId) => (rejection) => {
+    if (!db || !userId || !appId) return;
+    logContentRejection(db, appId, userId, childId, rejection).catch(error => {
+        console.error("Error logging rejected content:", error);
+    });
+};
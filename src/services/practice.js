@@ -0,0 +1,48 @@
+import { collection, doc, addDoc, setDoc, updateDoc, arrayUnion, serverTimestamp } from 'firebase/firestore';
+import { childCollectionPath } from './profiles';
+import { trackWrite } from './sync';
+
+// Writes for a reader's practice history: one `progress` document per attempt and
+// one `stories` document per story read. Every write is tracked by the sync badge.
+
+const childDoc = (db, appId, userId, childId, name, id) => doc(db, childCollectionPath(appId, userId, childId, name), id);
+
+// Saves one flashcard or game attempt ({ word, correct, level, game, ... }).
+export const saveAttempt = (db, appId, userId, childId, attempt) => {
+    return trackWrite(addDoc(collection(db, childCollectionPath(appId, userId, childId, 'progress')), {
+        ...attempt,
+        timestamp: new Date(), // When the child practised, even if saved offline
+        savedAt: serverTimestamp(), // When the server received it (required by firestore.rules)
+    }));
+};
+
+/**
+ * Saves a story the child is about to read. The ID is assigned locally so the story
+ * can be used before the write reaches the server. Returns { storyId, saved }.
+ */
+export const createStory = (db, appId, userId, childId, story) => {
+    const storyRef = doc(collection(db, childCollectionPath(appId, userId, childId, 'stories')));
+    const saved = trackWrite(setDoc(storyRef, {
+        ...story,
+        timestamp: new Date(),
+        savedAt: serverTimestamp(),
+    }));
+    return { storyId: storyRef.id, saved };
+};
+
+// firestore.rules rejects a longer comprehension summary, which includes the model's text.
+const MAX_SUMMARY_CHARS = 1000;
+
+// `comprehension` is { summary, score, results } for every question answered so far.
+export const saveComprehension = (db, appId, userId, childId, storyId, comprehension) => {
+    return trackWrite(updateDoc(childDoc(db, appId, userId, childId, 'stories', storyId), {
+        comprehension: { ...comprehension, summary: comprehension.summary.slice(0, MAX_SUMMARY_CHARS) },
+        evaluatedAt: new Date(),
+    }));
+};
+
+export const addReadingRecord = (db, appId, userId, childId, storyId, record) => {
+    return trackWrite(updateDoc(childDoc(db, appId, userId, childId, 'stories', storyId), {
+        readingRecords: arrayUnion(record),
+    }));
+};
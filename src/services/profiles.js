@@ -0,0 +1,81 @@
+import { collection, collectionGroup, query, where, doc, onSnapshot, addDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { glossLanguage } from '../data/locales';
+import { DEFAULT_RECORDING_RETENTION_DAYS, parseAccountIds } from '../data/profiles';
+
+// Child profiles belong to the signed-in parent or teacher account. Each child's
+// `progress` and `stories` live under their own profile document. Accounts listed
+// in a profile's `guardianIds` can read it and its history too (firestore.rules).
+const profilesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/children`;
+
+// Path to one of a child's subcollections, e.g. childCollectionPath(appId, userId, childId, 'progress').
+export const childCollectionPath = (appId, userId, childId, name) =>
+    `${profilesPath(appId, userId)}/${childId}/${name}`;
+
+// Listens to one of a child's subcollections ('progress' or 'stories'). Returns the unsubscribe function.
+export const subscribeToChildCollection = (db, appId, userId, childId, name, onChange, onError) => {
+    return onSnapshot(collection(db, childCollectionPath(appId, userId, childId, name)), (snapshot) => {
+        const items = [];
+        snapshot.forEach(itemDoc => {
+            items.push({ id: itemDoc.id, ...itemDoc.data() });
+        });
+        onChange(items);
+    }, onError);
+};
+
+// Listens to the account's child profiles in creation order. Returns the unsubscribe function.
+export const subscribeToProfiles = (db, appId, userId, onChange, onError) => {
+    return onSnapshot(collection(db, profilesPath(appId, userId)), (snapshot) => {
+        const profiles = [];
+        snapshot.forEach(profileDoc => {
+            profiles.push({ id: profileDoc.id, ...profileDoc.data() });
+        });
+        profiles.sort((a, b) => (a.createdAt?.toMillis?.() ?? 0) - (b.createdAt?.toMillis?.() ?? 0));
+        onChange(profiles);
+    }, onError);
+};
+
+// Readers that other accounts have shared with this one, across every owner. Each
+// profile also carries the `ownerId` its history lives under. Returns the unsubscribe function.
+export const subscribeToSharedProfiles = (db, appId, userId, onChange, onError) => {
+    const shared = query(collectionGroup(db, 'children'), where('guardianIds', 'array-contains', userId));
+    return onSnapshot(shared, (snapshot) => {
+        const profiles = [];
+        snapshot.forEach(profileDoc => {
+            // artifacts/{appId}/users/{ownerId}/children/{childId}
+            const [, profileAppId, , ownerId] = profileDoc.ref.path.split('/');
+            if (profileAppId === appId) profiles.push({ id: profileDoc.id, ownerId, ...profileDoc.data() });
+        });
+        profiles.sort((a, b) => a.name.localeCompare(b.name));
+        onChange(profiles);
+    }, onError);
+};
+
+const profileFields = (profile) => ({
+    name: profile.name.trim(),
+    avatar: profile.avatar,
+    readingLevel: profile.readingLevel,
+    locale: profile.locale,
+    // Bilingual mode is only for a home language other than the one being read
+    homeLanguage: glossLanguage(profile),
+    age: Number.parseInt(profile.age, 10) || null, // firestore.rules only takes whole years
+    recordingMode: profile.recordingMode || 'off',
+    recordingRetentionDays: Number(profile.recordingRetentionDays) || DEFAULT_RECORDING_RETENTION_DAYS,
+    guardianIds: parseAccountIds(profile.guardianIds || ''),
+});
+
+export const createProfile = async (db, appId, userId, profile) => {
+    const profileRef = await addDoc(collection(db, profilesPath(appId, userId)), {
+        ...profileFields(profile),
+        createdAt: new Date(),
+    });
+    return profileRef.id;
+};
+
+export const updateProfile = async (db, appId, userId, childId, profile) => {
+    await updateDoc(doc(db, profilesPath(appId, userId), childId), profileFields(profile));
+};
+
+// Removes the profile document only; Firestore does not cascade to subcollections.
+export const deleteProfile = async (db, appId, userId, childId) => {
+    await deleteDoc(doc(db, profilesPath(appId, userId), childId));
+};
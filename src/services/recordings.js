@@ -0,0 +1,132 @@
+import { getApp } from 'firebase/app';
+import { getStorage, ref, uploadBytes, getDownloadURL, listAll, deleteObject } from 'firebase/storage';
+import { DAY } from '../lib/dates';
+import { childCollectionPath } from './profiles';
+
+// Saved copies of a reader's flashcard attempts, for parents and teachers who opt in
+// (the profile's `recordingMode`). Clips are kept either in this browser's
+// localStorage or in Cloud Storage next to the reader's Firestore data, and the
+// attempt's `progress` document links to them as { location, path, mimeType, durationMs }.
+// Clips older than the profile's `recordingRetentionDays` are pruned; progress
+// documents never change, so a link may outlive its clip (or name one that failed
+// to save).
+
+export const RECORDING_LOCATIONS = {
+    DEVICE: 'device',
+    CLOUD: 'cloud',
+};
+
+// localStorage holds about 5 MB per site; a few seconds of Opus is a few kilobytes.
+export const MAX_DEVICE_RECORDINGS = 50;
+
+const deviceKey = (appId, childId) => `phonics-recordings:${appId}:${childId}`;
+
+const cloudFolder = (appId, userId, childId) => childCollectionPath(appId, userId, childId, 'recordings');
+
+const storage = () => getStorage(getApp());
+
+// Clip ids start with the time they were recorded, so old clips can be found by name alone.
+const newClipId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const clipTime = (id) => Number.parseInt(id, 10) || 0;
+
+const readDeviceClips = (key) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable recordings:", error);
+        return [];
+    }
+};
+
+const toDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const saveOnDevice = async (key, entry, blob) => {
+    const stored = { ...entry, dataUrl: await toDataUrl(blob) };
+    // The oldest clips make room once the reader has the most this device keeps
+    localStorage.setItem(key, JSON.stringify([...readDeviceClips(key), stored].slice(-MAX_DEVICE_RECORDINGS)));
+};
+
+/**
+ * Saves a clip ({ blob, mimeType, durationMs } from the clip recorder) where the
+ * profile's `recordingMode` says. The link is known before the clip is stored, so
+ * the attempt can be saved without waiting for the upload. Returns
+ * { recording, saved }, where `recording` is the link to store on the attempt and
+ * `saved` settles once the clip is stored, or null when the reader's clips are not
+ * saved (or cannot be right now).
+ */
+export const saveRecording = (appId, userId, child, clip) => {
+    const location = child.recordingMode;
+    const id = newClipId();
+    const details = { mimeType: clip.mimeType, durationMs: clip.durationMs };
+
+    if (location === RECORDING_LOCATIONS.DEVICE) {
+        const saved = saveOnDevice(deviceKey(appId, child.id), { id, ...details }, clip.blob);
+        return { recording: { location, path: id, ...details }, saved };
+    }
+
+    if (location === RECORDING_LOCATIONS.CLOUD) {
+        // Uploads are not queued offline like Firestore writes, so the clip is skipped
+        if (!navigator.onLine) return null;
+        const path = `${cloudFolder(appId, userId, child.id)}/${id}`;
+        const saved = uploadBytes(ref(storage(), path), clip.blob, { contentType: clip.mimeType });
+        return { recording: { location, path, ...details }, saved };
+    }
+
+    return null;
+};
+
+// A playable URL for a saved clip, or null when it has been deleted or pruned.
+export const recordingUrl = async (appId, childId, recording) => {
+    if (recording.location === RECORDING_LOCATIONS.DEVICE) {
+        return readDeviceClips(deviceKey(appId, childId)).find(entry => entry.id === recording.path)?.dataUrl || null;
+    }
+    try {
+        return await getDownloadURL(ref(storage(), recording.path));
+    } catch (error) {
+        if (error.code === 'storage/object-not-found') return null;
+        throw error;
+    }
+};
+
+// Readers whose cloud clips have been pruned since the app loaded. Retention is in
+// days, so listing the Storage folder once a session is enough.
+const cloudPruned = new Set();
+
+/**
+ * Deletes a reader's clips recorded more than `retentionDays` ago, on this device
+ * and in Cloud Storage. The cloud is checked too when the reader no longer saves
+ * there, so switching recording off still lets old clips expire, but only once a
+ * session per reader.
+ */
+export const pruneRecordings = async (appId, userId, childId, retentionDays) => {
+    const cutoff = Date.now() - retentionDays * DAY;
+    const key = deviceKey(appId, childId);
+    const deviceClips = readDeviceClips(key);
+    const kept = deviceClips.filter(entry => clipTime(entry.id) >= cutoff);
+    if (kept.length < deviceClips.length) localStorage.setItem(key, JSON.stringify(kept));
+
+    const folder = cloudFolder(appId, userId, childId);
+    if (!navigator.onLine || cloudPruned.has(folder)) return;
+    cloudPruned.add(folder);
+    try {
+        const { items } = await listAll(ref(storage(), folder));
+        await Promise.all(items.filter(item => clipTime(item.name) < cutoff).map(item => deleteObject(item)));
+    } catch (error) {
+        cloudPruned.delete(folder); // Try again next time practice opens
+        throw error;
+    }
+};
+
+// Deletes every clip saved for a reader, wherever it was saved.
+export const deleteAllRecordings = async (appId, userId, childId) => {
+    localStorage.removeItem(deviceKey(appId, childId));
+    const { items } = await listAll(ref(storage(), cloudFolder(appId, userId, childId)));
+    await Promise.all(items.map(item => deleteObject(item)));
+};
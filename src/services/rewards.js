@@ -0,0 +1,58 @@
+import { doc, onSnapshot, updateDoc, increment, arrayUnion } from 'firebase/firestore';
+import { childCollectionPath } from './profiles';
+
+// A child's rewards are two documents. `ledger` holds the stars and badges earned,
+// which Cloud Functions award from saved progress and stories (functions/rewards.js);
+// clients can only read it. `state` records shop purchases, and firestore.rules
+// only lets `spent` go up by the price of the item being bought, up to what was earned.
+// Both are created by the functions when the child first practises.
+const rewardsDoc = (db, appId, userId, childId, docId = 'state') =>
+    doc(db, childCollectionPath(appId, userId, childId, 'rewards'), docId);
+
+export const EMPTY_STARS = { earned: 0, words: 0, games: 0, stories: 0, comprehension: 0 };
+
+export const EMPTY_REWARDS = { stars: EMPTY_STARS, badges: {}, spent: 0, owned: [], equipped: null };
+
+// Listens to the child's ledger and purchases, calling `onChange` with them merged
+// once both have loaded. A child who has not practised yet has neither document.
+// Returns the unsubscribe function.
+export const subscribeToRewards = (db, appId, userId, childId, onChange, onError) => {
+    let ledger;
+    let state;
+    const emit = () => {
+        if (ledger === undefined || state === undefined) return;
+        onChange({
+            stars: ledger ? { ...ledger.stars, earned: ledger.earned } : EMPTY_STARS,
+            badges: ledger?.badges || {},
+            spent: state?.spent || 0,
+            owned: state?.owned || [],
+            equipped: state?.equipped || null,
+        });
+    };
+    const unsubscribeLedger = onSnapshot(rewardsDoc(db, appId, userId, childId, 'ledger'), (snapshot) => {
+        ledger = snapshot.exists() ? snapshot.data() : null;
+        emit();
+    }, onError);
+    const unsubscribeState = onSnapshot(rewardsDoc(db, appId, userId, childId), (snapshot) => {
+        state = snapshot.exists() ? snapshot.data() : null;
+        emit();
+    }, onError);
+    return () => {
+        unsubscribeLedger();
+        unsubscribeState();
+    };
+};
+
+// Buys a shop item ({ id, price }). The caller checks the balance first.
+export const buyItem = (db, appId, userId, childId, item) => {
+    return updateDoc(rewardsDoc(db, appId, userId, childId), {
+        owned: arrayUnion(item.id),
+        spent: increment(item.price),
+        updatedAt: new Date(),
+    });
+};
+
+// Wears an owned item next to the avatar, or nothing when `itemId` is null.
+export const equipItem = (db, appId, userId, childId, itemId) => {
+    return updateDoc(rewardsDoc(db, appId, userId, childId), { equipped: itemId, updatedAt: new Date() });
+};
@@ -0,0 +1,74 @@
+import { createWebSpeechEngine } from './webSpeech';
+import { createVoskEngine } from './vosk';
+import { createFakeEngine } from './fake';
+import { SpeechError, SPEECH_ERROR_CODES } from './errors';
+
+// An engine only has to say whether it can run here and build recognizers:
+//   engine.createRecognizer(getHandlers, { lang, continuous, interimResults, maxAlternatives })
+//     -> { start(), stop(), abort() }
+// `getHandlers()` is called for every event, so callers can hand in their latest
+// { onStart, onResult, onError, onEnd } without rebuilding the recognizer.
+//   onResult(results)  every result of the current listen so far, as
+//                      [{ isFinal, alternatives: [{ transcript, confidence }] }], best first
+//   onError(error)     a SpeechError; onEnd() always follows
+// start() throws a SpeechError (BUSY) when already listening; stop() ends with what
+// was heard so far and abort() ends without reporting anything.
+
+// Picks the engine from VITE_SPEECH_ENGINE: "auto" (default), "web", "vosk" or "fake".
+// "auto" uses the browser's recognizer where there is one and the on-device model
+// (if VITE_VOSK_MODEL_URL is set) elsewhere, e.g. in Firefox.
+export const createEngineFromEnv = (env = import.meta.env) => {
+    const web = createWebSpeechEngine();
+    const vosk = createVoskEngine({ modelUrl: env.VITE_VOSK_MODEL_URL });
+    switch (env.VITE_SPEECH_ENGINE || 'auto') {
+        case 'auto':
+            return web.isSupported() ? web : vosk;
+        case 'web':
+            return web;
+        case 'vosk':
+            return vosk;
+        case 'fake':
+            return createFakeEngine();
+        default:
+            throw new SpeechError(SPEECH_ERROR_CODES.NOT_SUPPORTED, `Unknown speech engine "${env.VITE_SPEECH_ENGINE}".`);
+    }
+};
+
+let defaultEngine = null;
+
+export const getSpeechEngine = () => {
+    if (!defaultEngine) defaultEngine = createEngineFromEnv();
+    return defaultEngine;
+};
+
+// Lets tests or dev tools swap the engine at runtime (e.g. a scripted fake).
+export const setSpeechEngine = (engine) => {
+    defaultEngine = engine;
+};
+
+export const isRecognitionSupported = () => getSpeechEngine().isSupported();
+
+// A recognizer from the current engine, or null when it cannot run in this browser.
+export const createRecognizer = (getHandlers, options) => {
+    const engine = getSpeechEngine();
+    return engine.isSupported() ? engine.createRecognizer(getHandlers, options) : null;
+};
+
+// The top transcript of every final result, joined.
+export const finalTranscript = (results) => results
+    .filter(result => result.isFinal)
+    .map(result => result.alternatives[0]?.transcript || '')
+    .join(' ')
+    .trim();
+
+// The n-best alternatives for a single-utterance listen. When the engine split the
+// utterance into several final results, their top guesses are joined into one
+// alternative with the lowest of their confidences.
+export const finalAlternatives = (results) => {
+    const finals = results.filter(result => result.isFinal && result.alternatives.length > 0);
+    if (finals.length <= 1) return finals[0]?.alternatives || [];
+    return [{
+        transcript: finalTranscript(finals),
+        confidence: Math.min(...finals.map(result => result.alternatives[0].confidence ?? 0)),
+    }];
+};
@@ -0,0 +1,20 @@
+// Every recognition failure reaches `onError` as a SpeechError, whichever engine
+// produced it, so callers branch on `code`. The codes follow the Web Speech API's.
+export const SPEECH_ERROR_CODES = {
+    NOT_SUPPORTED: 'not-supported', // no engine can run in this browser
+    NOT_ALLOWED: 'not-allowed',     // microphone permission denied
+    NO_SPEECH: 'no-speech',         // listened, but nothing was said
+    AUDIO_CAPTURE: 'audio-capture', // no microphone, or it could not be opened
+    NETWORK: 'network',             // the cloud recognizer could not be reached
+    MODEL: 'model',                 // the on-device model failed to load or run
+    BUSY: 'busy',                   // start() while already listening
+    UNKNOWN: 'unknown',
+};
+
+export class SpeechError extends Error {
+    constructor(code, message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'SpeechError';
+        this.code = code;
+    }
+}
@@ -0,0 +1,93 @@
+import { SpeechError, SPEECH_ERROR_CODES } from './errors';
+
+// Scripted stand-in for a microphone, for tests and headless runs. Each start()
+// plays the next entry of the script, asynchronously like a real engine:
+//   'cat'                                   heard "cat" with full confidence
+//   { transcript, confidence, alternatives, interim }
+//                                           n-best alternatives after the top one, and
+//                                           interim transcripts sent before the final one
+//   { error: 'no-speech' }                  fails with that SPEECH_ERROR_CODES value
+//   ['the cat', 'sat down']                 several final results in one (continuous) listen
+// An empty script behaves like a child who says nothing.
+
+const toResult = (entry) => {
+    const { transcript, confidence = 1, alternatives = [] } = typeof entry === 'string' ? { transcript: entry } : entry;
+    return { isFinal: true, alternatives: [{ transcript, confidence }, ...alternatives] };
+};
+
+// The events one script entry produces, in order
+const toEvents = (entry, { interimResults, maxAlternatives }) => {
+    if (entry === undefined) return [{ error: SPEECH_ERROR_CODES.NO_SPEECH }];
+    if (entry.error) return [{ error: entry.error }];
+
+    const events = [];
+    const finals = [];
+    (Array.isArray(entry) ? entry : [entry]).forEach(utterance => {
+        if (interimResults) {
+            (utterance.interim || []).forEach(transcript => {
+                events.push({ results: [...finals, { isFinal: false, alternatives: [{ transcript, confidence: 0 }] }] });
+            });
+        }
+        const result = toResult(utterance);
+        finals.push({ ...result, alternatives: result.alternatives.slice(0, maxAlternatives) });
+        events.push({ results: [...finals] });
+    });
+    return events;
+};
+
+export const createFakeEngine = ({ script = [], supported = true, delayMs = 0 } = {}) => {
+    const queue = [...script];
+    const engine = {
+        name: 'fake',
+        isSupported: () => supported,
+        // Queues more entries for later listens
+        say: (...entries) => queue.push(...entries),
+        listens: 0, // How many times start() was called
+        createRecognizer(getHandlers, { interimResults = false, maxAlternatives = 1 } = {}) {
+            let timer = null;
+            let pending = null; // Events still to play for the listen in progress
+
+            const finish = () => {
+                clearTimeout(timer);
+                pending = null;
+                getHandlers().onEnd?.();
+            };
+
+            const emit = (event) => {
+                if (event.start) getHandlers().onStart?.();
+                else if (event.error) getHandlers().onError?.(new SpeechError(event.error, `Scripted speech error: ${event.error}`));
+                else getHandlers().onResult?.(event.results);
+            };
+
+            const playNext = () => {
+                if (!pending) return;
+                if (pending.length === 0) {
+                    finish();
+                    return;
+                }
+                emit(pending.shift());
+                timer = setTimeout(playNext, delayMs);
+            };
+
+            return {
+                start: () => {
+                    if (pending) throw new SpeechError(SPEECH_ERROR_CODES.BUSY, 'Speech recognition is already listening.');
+                    engine.listens += 1;
+                    pending = [{ start: true }, ...toEvents(queue.shift(), { interimResults, maxAlternatives })];
+                    timer = setTimeout(playNext, delayMs);
+                },
+                // Delivers the rest of the entry at once, then ends
+                stop: () => {
+                    if (!pending) return;
+                    clearTimeout(timer);
+                    pending.splice(0).forEach(emit);
+                    finish();
+                },
+                abort: () => {
+                    if (pending) finish();
+                },
+            };
+        },
+    };
+    return engine;
+};
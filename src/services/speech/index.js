@@ -0,0 +1,7 @@
+export { SpeechError, SPEECH_ERROR_CODES } from './errors';
+export { createEngineFromEnv, getSpeechEngine, setSpeechEngine, isRecognitionSupported, createRecognizer, finalTranscript, finalAlternatives } from './engine';
+export { createWebSpeechEngine } from './webSpeech';
+export { createVoskEngine } from './vosk';
+export { createFakeEngine } from './fake';
+export { isSynthesisSupported, speak, speakSequence } from './synthesis';
+export { isRecordingSupported, createClipRecorder, MAX_CLIP_MS } from './recorder';
@@ -0,0 +1,76 @@
+// Records the microphone while a recognizer listens, so a child can hear their own
+// attempt next to the model pronunciation. The recorder opens its own microphone
+// stream; browsers share the microphone between it and the recognizer.
+
+// Longest clip kept, in case the recognizer never reports the end of the attempt.
+export const MAX_CLIP_MS = 10000;
+
+export const isRecordingSupported = () => typeof MediaRecorder === 'function'
+    && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Opus in WebM where the browser has it (Chrome, Firefox, Edge), otherwise its default (MP4 in Safari).
+const pickMimeType = () =>
+    ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4'].find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+const finishClip = async (clip) => {
+    const opened = await clip.ready.then(() => true, () => false);
+    if (!opened) return null; // start() has already reported why
+    const { recorder, stream } = clip;
+    clearTimeout(clip.timer);
+    if (recorder.state !== 'inactive') recorder.stop();
+    await clip.stopped;
+    stream.getTracks().forEach(track => track.stop());
+    if (clip.chunks.length === 0) return null;
+    const mimeType = recorder.mimeType || clip.chunks[0].type;
+    return {
+        blob: new Blob(clip.chunks, { type: mimeType }),
+        mimeType,
+        durationMs: clip.endedAt - clip.startedAt,
+    };
+};
+
+/**
+ * Records one clip at a time. start() opens the microphone and resolves once
+ * recording has begun; stop() resolves with { blob, mimeType, durationMs }, or null
+ * when nothing was recorded; cancel() throws the clip away. The microphone is
+ * released after every clip, so the browser's recording indicator goes off.
+ */
+export const createClipRecorder = () => {
+    let current = null; // The clip being recorded
+
+    return {
+        start() {
+            if (current) finishClip(current);
+            const clip = { chunks: [] };
+            clip.ready = navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 } })
+                .then(stream => {
+                    const mimeType = pickMimeType();
+                    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+                    recorder.ondataavailable = (event) => {
+                        if (event.data.size > 0) clip.chunks.push(event.data);
+                    };
+                    clip.stopped = new Promise(resolve => {
+                        recorder.onstop = () => {
+                            clip.endedAt = Date.now();
+                            resolve();
+                        };
+                    });
+                    Object.assign(clip, { stream, recorder, startedAt: Date.now() });
+                    recorder.start();
+                    clip.timer = setTimeout(() => recorder.state !== 'inactive' && recorder.stop(), MAX_CLIP_MS);
+                });
+            current = clip;
+            return clip.ready;
+        },
+        stop() {
+            const clip = current;
+            current = null;
+            return clip ? finishClip(clip) : Promise.resolve(null);
+        },
+        cancel() {
+            const clip = current;
+            current = null;
+            if (clip) finishClip(clip);
+        },
+    };
+};
@@ -0,0 +1,32 @@
+// Text-to-speech with the browser's speechSynthesis.
+
+export const isSynthesisSupported = () => 'speechSynthesis' in window;
+
+// Says `text` aloud. Returns false when the browser cannot speak.
+export const speak = (text, { lang = 'en-US', rate } = {}) => {
+    if (!isSynthesisSupported() || !text) return false;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    if (rate) utterance.rate = rate;
+    window.speechSynthesis.speak(utterance);
+    return true;
+};
+
+/**
+ * Says `parts` one after another, cancelling anything already playing.
+ * `rateFor(index)` sets each part's speed; `onPart(index)` fires as each part starts
+ * and `onDone()` after the last. Returns false when the browser cannot speak.
+ */
+export const speakSequence = (parts, { lang = 'en-US', rateFor = () => 1, onPart, onDone } = {}) => {
+    if (!isSynthesisSupported() || parts.length === 0) return false;
+    window.speechSynthesis.cancel();
+    parts.forEach((part, index) => {
+        const utterance = new SpeechSynthesisUtterance(part);
+        utterance.lang = lang;
+        utterance.rate = rateFor(index);
+        if (onPart) utterance.onstart = () => onPart(index);
+        if (onDone && index === parts.length - 1) utterance.onend = onDone;
+        window.speechSynthesis.speak(utterance);
+    });
+    return true;
+};
@@ -0,0 +1,142 @@
+import { SpeechError, SPEECH_ERROR_CODES } from './errors';
+
+// On-device recognition with Vosk (Kaldi compiled to WASM). vosk-browser runs the
+// model in its own Web Worker, so audio never leaves the device and recognition
+// works offline once the model has been downloaded. The library and model are only
+// fetched the first time someone listens.
+
+const NO_SPEECH_TIMEOUT_MS = 8000; // About as long as the Web Speech API waits
+
+const models = new Map(); // modelUrl -> Promise<Model>, shared by every recognizer
+
+const loadModel = (modelUrl) => {
+    if (!models.has(modelUrl)) {
+        const loading = import('vosk-browser')
+            .then(Vosk => Vosk.createModel(modelUrl))
+            .catch(error => {
+                models.delete(modelUrl); // Let the next attempt retry
+                throw error;
+            });
+        models.set(modelUrl, loading);
+    }
+    return models.get(modelUrl);
+};
+
+// Vosk scores each word; the utterance's confidence is the average.
+const toResult = ({ text, result = [] }) => ({
+    isFinal: true,
+    alternatives: [{
+        transcript: text,
+        confidence: result.length ? result.reduce((sum, word) => sum + word.conf, 0) / result.length : 0,
+    }],
+});
+
+const toSpeechError = (error) => {
+    if (error instanceof SpeechError) return error;
+    if (error?.name === 'NotAllowedError' || error?.name === 'SecurityError') {
+        return new SpeechError(SPEECH_ERROR_CODES.NOT_ALLOWED, 'Microphone access denied.', { cause: error });
+    }
+    if (error?.name === 'NotFoundError' || error?.name === 'NotReadableError') {
+        return new SpeechError(SPEECH_ERROR_CODES.AUDIO_CAPTURE, 'No microphone could be opened.', { cause: error });
+    }
+    return new SpeechError(SPEECH_ERROR_CODES.MODEL, `On-device speech model failed: ${error?.message || error}`, { cause: error });
+};
+
+/**
+ * `modelUrl` points at a Vosk model archive (.tar.gz or .zip), e.g. one of the small
+ * models from https://alphacephei.com/vosk/models served next to the app. Vosk
+ * models are per language: a `{lang}` placeholder in the URL is replaced with the
+ * recognizer's `lang` in lower case ("en-us", "es-mx"), otherwise every locale
+ * shares the one model.
+ */
+export const createVoskEngine = ({ modelUrl } = {}) => ({
+    name: 'vosk',
+    isSupported: () => Boolean(modelUrl)
+        && typeof WebAssembly === 'object'
+        && typeof Worker === 'function'
+        && Boolean(navigator.mediaDevices?.getUserMedia),
+    createRecognizer(getHandlers, { lang = 'en-US', continuous = false, interimResults = false } = {}) {
+        const langModelUrl = modelUrl.replace('{lang}', lang.toLowerCase());
+        let session = null; // The listen in progress
+
+        const end = (current, error) => {
+            if (session !== current) return;
+            session = null;
+            clearTimeout(current.silenceTimer);
+            current.release?.();
+            if (error) getHandlers().onError?.(toSpeechError(error));
+            getHandlers().onEnd?.();
+        };
+
+        const listen = async (current) => {
+            const [model, stream] = await Promise.all([
+                loadModel(langModelUrl),
+                navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 } }),
+            ]);
+            const audioContext = new AudioContext();
+            const recognizer = new model.KaldiRecognizer(audioContext.sampleRate);
+            recognizer.setWords(true); // Per-word confidence
+            const source = audioContext.createMediaStreamSource(stream);
+            const processor = audioContext.createScriptProcessor(4096, 1, 1);
+            current.release = () => {
+                processor.disconnect();
+                source.disconnect();
+                stream.getTracks().forEach(track => track.stop());
+                audioContext.close();
+                recognizer.remove();
+            };
+            if (session !== current) {
+                current.release(); // Stopped while the model or microphone was loading
+                return;
+            }
+
+            recognizer.on('partialresult', ({ result }) => {
+                if (!result.partial) return;
+                clearTimeout(current.silenceTimer);
+                if (interimResults) {
+                    getHandlers().onResult?.([...current.results, { isFinal: false, alternatives: [{ transcript: result.partial, confidence: 0 }] }]);
+                }
+            });
+            recognizer.on('result', ({ result }) => {
+                if (result.text) {
+                    current.results.push(toResult(result));
+                    getHandlers().onResult?.([...current.results]);
+                }
+                if (current.stopping || (!continuous && result.text)) end(current);
+            });
+            recognizer.on('error', ({ error }) => end(current, new SpeechError(SPEECH_ERROR_CODES.MODEL, error)));
+
+            processor.onaudioprocess = (event) => recognizer.acceptWaveform(event.inputBuffer);
+            source.connect(processor);
+            processor.connect(audioContext.destination); // Chrome only processes audio that reaches the output
+            current.recognizer = recognizer;
+            current.silenceTimer = setTimeout(
+                () => end(current, new SpeechError(SPEECH_ERROR_CODES.NO_SPEECH, 'No speech detected.')),
+                NO_SPEECH_TIMEOUT_MS,
+            );
+            getHandlers().onStart?.();
+        };
+
+        return {
+            start: () => {
+                if (session) throw new SpeechError(SPEECH_ERROR_CODES.BUSY, 'Speech recognition is already listening.');
+                const current = { results: [], stopping: false };
+                session = current;
+                listen(current).catch(error => end(current, error));
+            },
+            // Returns what was said so far, then ends
+            stop: () => {
+                if (!session) return;
+                if (!session.recognizer) {
+                    end(session);
+                    return;
+                }
+                session.stopping = true;
+                session.recognizer.retrieveFinalResult();
+            },
+            abort: () => {
+                if (session) end(session);
+            },
+        };
+    },
+});
@@ -0,0 +1,59 @@
+import { SpeechError, SPEECH_ERROR_CODES } from './errors';
+
+// The browser's own recognizer (Chrome, Edge, Safari). Audio is sent to the browser
+// vendor's servers, so it needs a connection.
+
+const RecognitionClass = () => window.SpeechRecognition || window.webkitSpeechRecognition;
+
+const ERROR_CODES = {
+    'not-allowed': SPEECH_ERROR_CODES.NOT_ALLOWED,
+    'service-not-allowed': SPEECH_ERROR_CODES.NOT_ALLOWED,
+    'no-speech': SPEECH_ERROR_CODES.NO_SPEECH,
+    'audio-capture': SPEECH_ERROR_CODES.AUDIO_CAPTURE,
+    network: SPEECH_ERROR_CODES.NETWORK,
+};
+
+const toResults = (event) => Array.from(event.results, result => ({
+    isFinal: result.isFinal,
+    alternatives: Array.from(result, alternative => ({ transcript: alternative.transcript, confidence: alternative.confidence })),
+}));
+
+export const createWebSpeechEngine = () => ({
+    name: 'web',
+    isSupported: () => Boolean(RecognitionClass()),
+    createRecognizer(getHandlers, { lang = 'en-US', continuous = false, interimResults = false, maxAlternatives = 1 } = {}) {
+        const Recognition = RecognitionClass();
+        const recognition = new Recognition();
+        recognition.continuous = continuous;
+        recognition.interimResults = interimResults;
+        recognition.maxAlternatives = maxAlternatives;
+        recognition.lang = lang;
+        let aborting = false; // abort() ends quietly instead of reporting an 'aborted' error
+
+        recognition.onstart = () => getHandlers().onStart?.();
+        recognition.onresult = (event) => getHandlers().onResult?.(toResults(event));
+        recognition.onerror = (event) => {
+            if (event.error === 'aborted' && aborting) return;
+            getHandlers().onError?.(new SpeechError(ERROR_CODES[event.error] || SPEECH_ERROR_CODES.UNKNOWN, `Speech recognition error: ${event.error}`));
+        };
+        recognition.onend = () => {
+            aborting = false;
+            getHandlers().onEnd?.();
+        };
+
+        return {
+            start: () => {
+                try {
+                    recognition.start();
+                } catch (error) {
+                    throw new SpeechError(SPEECH_ERROR_CODES.BUSY, 'Speech recognition is already listening.', { cause: error });
+                }
+            },
+            stop: () => recognition.stop(),
+            abort: () => {
+                aborting = true;
+                recognition.abort();
+            },
+        };
+    },
+});
@@ -0,0 +1,83 @@
+import { LLM_ERROR_CODES } from './llm';
+
+// Generated stories kept on the device so Story Time still works without a
+// connection. Each reader has a small library per locale and reading level in
+// localStorage; stories are taken out of the library when served, so none repeats.
+
+export const LIBRARY_SIZE = 3;
+
+const libraryKey = (appId, childId, locale, level) => `phonics-story-library:${appId}:${childId}:${locale}:${level}`;
+
+const readLibrary = (key) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable story library:", error);
+        return [];
+    }
+};
+
+// Number of stories waiting in the library for this reader, locale and level.
+export const countLibraryStories = (appId, childId, locale, level) => readLibrary(libraryKey(appId, childId, locale, level)).length;
+
+// Adds a checked story ({ story, questions, targets, validation }) unless the library is full.
+export const addLibraryStory = (appId, childId, locale, level, entry) => {
+    const key = libraryKey(appId, childId, locale, level);
+    const library = readLibrary(key);
+    if (library.length >= LIBRARY_SIZE) return false;
+    try {
+        localStorage.setItem(key, JSON.stringify([...library, entry]));
+        return true;
+    } catch (error) {
+        console.warn("Could not save story to the library:", error);
+        return false;
+    }
+};
+
+// Removes and returns the oldest story in the library, or null when it is empty.
+export const takeLibraryStory = (appId, childId, locale, level) => {
+    const key = libraryKey(appId, childId, locale, level);
+    const [first, ...rest] = readLibrary(key);
+    if (!first) return null;
+    localStorage.setItem(key, JSON.stringify(rest));
+    return first;
+};
+
+// Pre-fetching shares the LLM proxy's per-user rate limit with the stories a child
+// asks for, so it is kept small: one single-attempt story per page load, started
+// once Story Time has been open for a while, and none once the limit has been hit.
+// The library fills up over several sessions instead.
+export const PREFETCH_DELAY_MS = 30000;
+const MAX_PREFETCHES_PER_SESSION = 1;
+
+let prefetches = 0;
+let filling = false; // One top-up at a time, even if Story Time is opened again meanwhile
+let rateLimited = false;
+
+/**
+ * Adds one story to a reader's library for one locale and level while online.
+ * `generate(level, targets, maxAttempts)` is the checked story generator for that
+ * locale; it is passed in so the library does not depend on a particular LLM backend.
+ */
+export const fillLibrary = async ({ appId, childId, locale, level, targets, generate }) => {
+    if (filling || rateLimited || prefetches >= MAX_PREFETCHES_PER_SESSION || !navigator.onLine || !appId || !childId) return;
+    if (countLibraryStories(appId, childId, locale, level) >= LIBRARY_SIZE) return;
+    filling = true;
+    prefetches += 1;
+    try {
+        const result = await generate(level, targets, 1);
+        if (result.validation.fallback) return; // Built-in stories are always available anyway
+        addLibraryStory(appId, childId, locale, level, {
+            story: result.story,
+            questions: result.questions,
+            targets,
+            validation: result.validation,
+        });
+    } catch (error) {
+        if (error.code === LLM_ERROR_CODES.QUOTA) rateLimited = true;
+        console.warn("Stopped pre-fetching stories:", error);
+    } finally {
+        filling = false;
+    }
+};
@@ -0,0 +1,49 @@
+// Tracks whether the device is online and whether Firestore writes are still waiting
+// for the server. With offline persistence, writes are applied locally right away and
+// their promises resolve once the server acknowledges them, possibly much later.
+
+export const SYNC_STATUS = {
+    SYNCED: 'synced', // Online, nothing waiting
+    SYNCING: 'syncing', // Online, writes on their way to the server
+    OFFLINE: 'offline', // Offline, nothing waiting
+    OFFLINE_PENDING: 'offline-pending', // Offline, writes saved on this device
+};
+
+let pendingWrites = 0;
+const listeners = new Set();
+
+const currentStatus = () => {
+    const online = navigator.onLine;
+    if (pendingWrites > 0) return online ? SYNC_STATUS.SYNCING : SYNC_STATUS.OFFLINE_PENDING;
+    return online ? SYNC_STATUS.SYNCED : SYNC_STATUS.OFFLINE;
+};
+
+const notify = () => {
+    const status = { status: currentStatus(), pendingWrites, online: navigator.onLine };
+    listeners.forEach(listener => listener(status));
+};
+
+// Wraps a Firestore write promise so it counts as pending until the server has it.
+export const trackWrite = (writePromise) => {
+    pendingWrites += 1;
+    notify();
+    return writePromise.finally(() => {
+        pendingWrites -= 1;
+        notify();
+    });
+};
+
+// Calls `onChange({ status, pendingWrites, online })` now and on every change. Returns the unsubscribe function.
+export const subscribeToSyncStatus = (onChange) => {
+    listeners.add(onChange);
+    window.addEventListener('online', notify);
+    window.addEventListener('offline', notify);
+    onChange({ status: currentStatus(), pendingWrites, online: navigator.onLine });
+    return () => {
+        listeners.delete(onChange);
+        if (listeners.size === 0) {
+            window.removeEventListener('online', notify);
+            window.removeEventListener('offline', notify);
+        }
+    };
+};
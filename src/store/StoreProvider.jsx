@@ -0,0 +1,10 @@
+import React, { useReducer } from 'react';
+import { rootReducer, initialState } from './index';
+import { StoreContext } from './useStore';
+
+const StoreProvider = ({ children, initial = initialState }) => {
+    const store = useReducer(rootReducer, initial);
+    return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+};
+
+export default StoreProvider;
@@ -0,0 +1,94 @@
+// Every action the store understands. Slices (session, data, flashcards, stories,
+// ui) each handle the types they care about; a few, such as READER_SELECTED, reset
+// more than one slice.
+
+export const ACTIONS = {
+    // Session
+    FIREBASE_READY: 'session/firebaseReady',
+    FIREBASE_FAILED: 'session/firebaseFailed',
+    SIGNED_IN: 'session/signedIn',
+    SIGNED_OUT: 'session/signedOut',
+    AUTH_FAILED: 'session/authFailed',
+    ACCOUNT_CHANGED: 'session/accountChanged',
+    // Firestore data
+    PROFILES_LOADED: 'data/profilesLoaded',
+    SHARED_PROFILES_LOADED: 'data/sharedProfilesLoaded',
+    DECKS_LOADED: 'data/decksLoaded',
+    READER_SELECTED: 'data/readerSelected',
+    PROGRESS_LOADED: 'data/progressLoaded',
+    STORIES_LOADED: 'data/storiesLoaded',
+    REWARDS_LOADED: 'data/rewardsLoaded',
+    // Flashcards
+    DECK_SELECTED: 'flashcards/deckSelected',
+    WORD_CHANGED: 'flashcards/wordChanged',
+    FLASHCARD_FEEDBACK: 'flashcards/feedback',
+    FLASHCARD_CLEARED: 'flashcards/cleared',
+    LISTENING_STARTED: 'flashcards/listeningStarted',
+    LISTENING_STOPPED: 'flashcards/listeningStopped',
+    SPEECH_HEARD: 'flashcards/speechHeard',
+    PRONUNCIATION_ANALYZED: 'flashcards/pronunciationAnalyzed',
+    SOUNDING_OUT: 'flashcards/soundingOut',
+    SOUND_SPOKEN: 'flashcards/soundSpoken',
+    // Story Time
+    STORY_LEVEL_CHOSEN: 'stories/levelChosen',
+    STORY_REQUESTED: 'stories/requested',
+    STORY_LOADED: 'stories/loaded',
+    STORY_FAILED: 'stories/failed',
+    ANSWER_CHANGED: 'stories/answerChanged',
+    QUESTIONS_GRADED: 'stories/questionsGraded',
+    COMPREHENSION_FEEDBACK: 'stories/comprehensionFeedback',
+    QUESTION_RETRIED: 'stories/questionRetried',
+    READING_FEEDBACK: 'stories/readingFeedback',
+    // UI
+    CELEBRATION_STARTED: 'ui/celebrationStarted',
+    CELEBRATION_ENDED: 'ui/celebrationEnded',
+    ACCOUNT_PANEL_TOGGLED: 'ui/accountPanelToggled',
+};
+
+// --- Session ---
+export const firebaseReady = ({ db, auth, appId }) => ({ type: ACTIONS.FIREBASE_READY, db, auth, appId });
+export const firebaseFailed = (error) => ({ type: ACTIONS.FIREBASE_FAILED, error });
+export const signedIn = (account) => ({ type: ACTIONS.SIGNED_IN, account });
+export const signedOut = () => ({ type: ACTIONS.SIGNED_OUT });
+export const authFailed = (error) => ({ type: ACTIONS.AUTH_FAILED, error });
+export const accountChanged = (account) => ({ type: ACTIONS.ACCOUNT_CHANGED, account });
+
+// --- Firestore data ---
+export const profilesLoaded = (profiles) => ({ type: ACTIONS.PROFILES_LOADED, profiles });
+export const sharedProfilesLoaded = (profiles) => ({ type: ACTIONS.SHARED_PROFILES_LOADED, profiles });
+export const decksLoaded = (decks) => ({ type: ACTIONS.DECKS_LOADED, decks });
+export const readerSelected = (childId) => ({ type: ACTIONS.READER_SELECTED, childId });
+export const progressLoaded = (progress) => ({ type: ACTIONS.PROGRESS_LOADED, progress });
+export const storiesLoaded = (stories) => ({ type: ACTIONS.STORIES_LOADED, stories });
+export const rewardsLoaded = (rewards) => ({ type: ACTIONS.REWARDS_LOADED, rewards });
+
+// --- Flashcards ---
+export const deckSelected = (deckId) => ({ type: ACTIONS.DECK_SELECTED, deckId });
+export const wordChanged = (index) => ({ type: ACTIONS.WORD_CHANGED, index });
+export const flashcardFeedback = (feedback) => ({ type: ACTIONS.FLASHCARD_FEEDBACK, feedback });
+export const flashcardCleared = () => ({ type: ACTIONS.FLASHCARD_CLEARED });
+export const listeningStarted = () => ({ type: ACTIONS.LISTENING_STARTED });
+export const listeningStopped = () => ({ type: ACTIONS.LISTENING_STOPPED });
+export const speechHeard = (transcript) => ({ type: ACTIONS.SPEECH_HEARD, transcript });
+// `analysis` is shown in the Analysis box and also becomes the feedback line
+export const pronunciationAnalyzed = (analysis) => ({ type: ACTIONS.PRONUNCIATION_ANALYZED, analysis });
+// `graphemes` while "Sound It Out" plays, null when it stops
+export const soundingOut = (graphemes) => ({ type: ACTIONS.SOUNDING_OUT, graphemes });
+export const soundSpoken = (index) => ({ type: ACTIONS.SOUND_SPOKEN, index });
+
+// --- Story Time ---
+export const storyLevelChosen = (level) => ({ type: ACTIONS.STORY_LEVEL_CHOSEN, level });
+export const storyRequested = () => ({ type: ACTIONS.STORY_REQUESTED });
+export const storyLoaded = ({ story, storyId, questions, targetUses }) => ({ type: ACTIONS.STORY_LOADED, story, storyId, questions, targetUses });
+export const storyFailed = (message) => ({ type: ACTIONS.STORY_FAILED, message });
+export const answerChanged = (questionId, answer) => ({ type: ACTIONS.ANSWER_CHANGED, questionId, answer });
+// `graded` is { [questionId]: { verdict, score, feedback } } for the questions just checked
+export const questionsGraded = (graded) => ({ type: ACTIONS.QUESTIONS_GRADED, graded });
+export const comprehensionFeedback = (feedback) => ({ type: ACTIONS.COMPREHENSION_FEEDBACK, feedback });
+export const questionRetried = (questionId) => ({ type: ACTIONS.QUESTION_RETRIED, questionId });
+export const readingFeedback = (feedback) => ({ type: ACTIONS.READING_FEEDBACK, feedback });
+
+// --- UI ---
+export const celebrationStarted = ({ icon, title, message }) => ({ type: ACTIONS.CELEBRATION_STARTED, celebration: { icon, title, message } });
+export const celebrationEnded = () => ({ type: ACTIONS.CELEBRATION_ENDED });
+export const accountPanelToggled = (open) => ({ type: ACTIONS.ACCOUNT_PANEL_TOGGLED, open });
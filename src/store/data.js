@@ -0,0 +1,39 @@
+import { ACTIONS } from './actions';
+
+// Latest Firestore snapshots: the account's readers, readers other accounts share
+// with it and the shared decks, plus the history of the reader being viewed.
+export const dataInitialState = {
+    profiles: null, // null until loaded
+    sharedProfiles: null, // Other accounts' readers, each with its `ownerId`; null until loaded
+    decks: [], // Teacher-authored decks
+    childId: null, // Reader whose progress, stories and rewards are loaded
+    progress: [],
+    stories: [],
+    rewards: null, // Shop purchases and badges; null until loaded
+};
+
+export const dataReducer = (state = dataInitialState, action) => {
+    switch (action.type) {
+        case ACTIONS.SIGNED_IN:
+        case ACTIONS.SIGNED_OUT:
+            // A different account means a different set of readers
+            return { ...dataInitialState, decks: state.decks };
+        case ACTIONS.PROFILES_LOADED:
+            return { ...state, profiles: action.profiles };
+        case ACTIONS.SHARED_PROFILES_LOADED:
+            return { ...state, sharedProfiles: action.profiles };
+        case ACTIONS.DECKS_LOADED:
+            return { ...state, decks: action.decks };
+        case ACTIONS.READER_SELECTED:
+            // Never show one child's history to another
+            return { ...state, childId: action.childId, progress: [], stories: [], rewards: null };
+        case ACTIONS.PROGRESS_LOADED:
+            return { ...state, progress: action.progress };
+        case ACTIONS.STORIES_LOADED:
+            return { ...state, stories: action.stories };
+        case ACTIONS.REWARDS_LOADED:
+            return { ...state, rewards: action.rewards };
+        default:
+            return state;
+    }
+};
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { dataReducer, dataInitialState } from './data';
+import { signedOut, decksLoaded, profilesLoaded, sharedProfilesLoaded, readerSelected, progressLoaded, storiesLoaded, rewardsLoaded } from './actions';
+
+describe('dataReducer', () => {
+    it('stores each snapshot as it loads', () => {
+        let state = dataReducer(dataInitialState, profilesLoaded([{ id: 'c1' }]));
+        state = dataReducer(state, sharedProfilesLoaded([{ id: 'c9', ownerId: 'u2' }]));
+        state = dataReducer(state, readerSelected('c1'));
+        state = dataReducer(state, progressLoaded([{ word: 'cat', correct: true }]));
+        state = dataReducer(state, storiesLoaded([{ id: 's1' }]));
+        state = dataReducer(state, rewardsLoaded({ spent: 0, owned: [] }));
+        expect(state).toEqual({
+            profiles: [{ id: 'c1' }],
+            sharedProfiles: [{ id: 'c9', ownerId: 'u2' }],
+            decks: [],
+            childId: 'c1',
+            progress: [{ word: 'cat', correct: true }],
+            stories: [{ id: 's1' }],
+            rewards: { spent: 0, owned: [] },
+        });
+    });
+
+    it('drops the previous reader\'s history when a reader is selected', () => {
+        const state = { ...dataInitialState, childId: 'c1', progress: [{ word: 'cat' }], stories: [{ id: 's1' }], rewards: { spent: 5 } };
+        expect(dataReducer(state, readerSelected('c2'))).toEqual({ ...dataInitialState, childId: 'c2' });
+    });
+
+    it('keeps the shared decks when the account changes', () => {
+        const state = dataReducer({ ...dataInitialState, profiles: [{ id: 'c1' }], sharedProfiles: [{ id: 'c9' }] }, decksLoaded([{ id: 'd1' }]));
+        expect(dataReducer(state, signedOut())).toEqual({ ...dataInitialState, decks: [{ id: 'd1' }] });
+    });
+});
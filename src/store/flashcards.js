@@ -0,0 +1,44 @@
+import { ACTIONS } from './actions';
+import { DEFAULT_DECK } from '../data/decks';
+
+// The flashcard on screen and what the child last said about it.
+export const flashcardsInitialState = {
+    selectedDeckId: DEFAULT_DECK.id,
+    currentWordIndex: 0,
+    feedback: '',
+    speechResult: '',
+    listening: false,
+    analysis: '',
+    soundingOut: null, // { graphemes, active } while "Sound It Out" plays
+};
+
+const cleared = { feedback: '', speechResult: '', analysis: '', soundingOut: null };
+
+export const flashcardsReducer = (state = flashcardsInitialState, action) => {
+    switch (action.type) {
+        case ACTIONS.DECK_SELECTED:
+            return { ...state, ...cleared, selectedDeckId: action.deckId, currentWordIndex: 0 };
+        case ACTIONS.READER_SELECTED:
+            return { ...state, ...cleared, currentWordIndex: 0 };
+        case ACTIONS.WORD_CHANGED:
+            return { ...state, ...cleared, currentWordIndex: action.index };
+        case ACTIONS.FLASHCARD_CLEARED:
+            return { ...state, ...cleared };
+        case ACTIONS.FLASHCARD_FEEDBACK:
+            return { ...state, feedback: action.feedback };
+        case ACTIONS.LISTENING_STARTED:
+            return { ...state, listening: true, speechResult: '', analysis: '', feedback: 'Listening...' };
+        case ACTIONS.LISTENING_STOPPED:
+            return { ...state, listening: false };
+        case ACTIONS.SPEECH_HEARD:
+            return { ...state, listening: false, speechResult: action.transcript };
+        case ACTIONS.PRONUNCIATION_ANALYZED:
+            return { ...state, analysis: action.analysis, feedback: action.analysis };
+        case ACTIONS.SOUNDING_OUT:
+            return { ...state, soundingOut: action.graphemes ? { graphemes: action.graphemes, active: -1 } : null };
+        case ACTIONS.SOUND_SPOKEN:
+            return state.soundingOut ? { ...state, soundingOut: { ...state.soundingOut, active: action.index } } : state;
+        default:
+            return state;
+    }
+};
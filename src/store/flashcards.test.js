@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { flashcardsReducer, flashcardsInitialState } from './flashcards';
+import {
+    deckSelected,
+    wordChanged,
+    listeningStarted,
+    speechHeard,
+    pronunciationAnalyzed,
+    soundingOut,
+    soundSpoken,
+    flashcardCleared,
+} from './actions';
+
+const replay = (actions, state = flashcardsInitialState) => actions.reduce(flashcardsReducer, state);
+
+describe('flashcardsReducer', () => {
+    it('follows one attempt from listening to feedback', () => {
+        const listening = replay([listeningStarted()]);
+        expect(listening).toMatchObject({ listening: true, feedback: 'Listening...', speechResult: '' });
+
+        const done = replay([speechHeard('cat'), pronunciationAnalyzed('Great job!')], listening);
+        expect(done).toMatchObject({ listening: false, speechResult: 'cat', analysis: 'Great job!', feedback: 'Great job!' });
+    });
+
+    it('clears the last attempt when the word or deck changes', () => {
+        const attempted = replay([wordChanged(2), speechHeard('cat'), pronunciationAnalyzed('Great job!')]);
+        expect(flashcardsReducer(attempted, wordChanged(3))).toMatchObject({ currentWordIndex: 3, speechResult: '', analysis: '', feedback: '' });
+        expect(flashcardsReducer(attempted, deckSelected('d1'))).toMatchObject({ selectedDeckId: 'd1', currentWordIndex: 0, speechResult: '' });
+        expect(flashcardsReducer(attempted, flashcardCleared())).toMatchObject({ currentWordIndex: 2, speechResult: '', feedback: '' });
+    });
+
+    it('highlights each sound while "Sound It Out" plays', () => {
+        const playing = replay([soundingOut(['c', 'a', 't']), soundSpoken(1)]);
+        expect(playing.soundingOut).toEqual({ graphemes: ['c', 'a', 't'], active: 1 });
+        expect(flashcardsReducer(playing, soundingOut(null)).soundingOut).toBeNull();
+        expect(flashcardsReducer(flashcardsInitialState, soundSpoken(1))).toBe(flashcardsInitialState);
+    });
+});
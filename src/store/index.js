@@ -0,0 +1,37 @@
+import { sessionReducer, sessionInitialState } from './session';
+import { dataReducer, dataInitialState } from './data';
+import { flashcardsReducer, flashcardsInitialState } from './flashcards';
+import { storiesReducer, storiesInitialState } from './stories';
+import { uiReducer, uiInitialState } from './ui';
+import { ACTIONS } from './actions';
+
+// App state as one plain reducer, so every change can be replayed and checked
+// without a browser: rootReducer(initialState, action) -> next state.
+
+export const initialState = {
+    session: sessionInitialState,
+    data: dataInitialState,
+    flashcards: flashcardsInitialState,
+    stories: storiesInitialState,
+    ui: uiInitialState,
+};
+
+export const rootReducer = (state = initialState, action) => {
+    // Coming back to the same reader (e.g. from the dashboard) keeps their story and flashcard
+    if (action.type === ACTIONS.READER_SELECTED && action.childId === state.data.childId) return state;
+    // Auth can report the same user again (e.g. after a token refresh); their data still applies
+    if (action.type === ACTIONS.SIGNED_IN && action.account.uid === state.session.userId) {
+        return { ...state, session: sessionReducer(state.session, action) };
+    }
+    return {
+        session: sessionReducer(state.session, action),
+        data: dataReducer(state.data, action),
+        flashcards: flashcardsReducer(state.flashcards, action),
+        stories: storiesReducer(state.stories, action),
+        ui: uiReducer(state.ui, action),
+    };
+};
+
+export * from './actions';
+export { SESSION_STATUS } from './session';
+export { mergeResults } from './stories';
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { rootReducer, initialState, signedIn, signedOut, readerSelected, progressLoaded, storyRequested, wordChanged } from './index';
+
+const replay = (actions, state = initialState) => actions.reduce(rootReducer, state);
+
+const account = (uid) => ({ uid, isAnonymous: false, email: `${uid}@example.com`, displayName: null });
+
+describe('rootReducer', () => {
+    it('starts from the initial state', () => {
+        expect(rootReducer(undefined, { type: '@@init' })).toEqual(initialState);
+    });
+
+    it('keeps a reader\'s flashcard and story when the same reader is selected again', () => {
+        const state = replay([signedIn(account('u1')), readerSelected('c1'), wordChanged(3), storyRequested()]);
+        expect(rootReducer(state, readerSelected('c1'))).toBe(state);
+    });
+
+    it('resets the history, flashcard and story when another reader is selected', () => {
+        const state = replay([signedIn(account('u1')), readerSelected('c1'), progressLoaded([{ word: 'cat' }]), wordChanged(3), storyRequested()]);
+        const next = rootReducer(state, readerSelected('c2'));
+        expect(next.data).toMatchObject({ childId: 'c2', progress: [], stories: [], rewards: null });
+        expect(next.flashcards.currentWordIndex).toBe(0);
+        expect(next.stories.loading).toBe(false);
+    });
+
+    it('keeps the loaded data when the same user signs in again', () => {
+        const state = replay([signedIn(account('u1')), readerSelected('c1'), progressLoaded([{ word: 'cat' }])]);
+        const next = rootReducer(state, signedIn({ ...account('u1'), displayName: 'Sam' }));
+        expect(next.data).toBe(state.data);
+        expect(next.session.account.displayName).toBe('Sam');
+    });
+
+    it('clears the readers when a different user signs in or the user signs out', () => {
+        const state = replay([signedIn(account('u1')), readerSelected('c1'), progressLoaded([{ word: 'cat' }])]);
+        expect(rootReducer(state, signedIn(account('u2'))).data).toMatchObject({ profiles: null, childId: null, progress: [] });
+        expect(rootReducer(state, signedOut()).data).toMatchObject({ profiles: null, childId: null, progress: [] });
+    });
+});
@@ -0,0 +1,73 @@
+import { BUILT_IN_DECKS, deckLanguage, defaultDeckFor } from '../data/decks';
+import { localeInfo, profileLocale } from '../data/locales';
+import { SHOP_ITEMS } from '../data/rewards';
+import { buildSchedule, countDueWords } from '../lib/scheduler';
+import { estimateLevel, storyLevelIndex } from '../lib/adaptive';
+import { EMPTY_STARS } from '../services/rewards';
+import { practiceStreaks } from '../lib/stats';
+
+// Values derived from the store. Nothing here is saved: the schedule and level are
+// rebuilt from the reader's history whenever it changes.
+
+export const selectChild = ({ data }, childId) => data.profiles?.find(p => p.id === childId) || null;
+
+// Decks in the language a reader is learning to read.
+export const selectDecksFor = ({ data }, language) => data.decks.filter(d => deckLanguage(d) === language);
+
+// Fall back to the language's built-in deck until Firestore has decks in it (or if
+// the selected one was deleted)
+export const selectActiveDeck = (state, language = 'en') => {
+    const decks = selectDecksFor(state, language);
+    return decks.find(d => d.id === state.flashcards.selectedDeckId) || decks[0] || defaultDeckFor(language);
+};
+
+/**
+ * Spaced repetition and adaptive difficulty for the loaded reader. Practice stays on
+ * words at the estimated level unless the deck has none at that level, and on decks
+ * in the language of the reader's locale.
+ * Returns { locale, language, deck, words, schedule, adaptiveLevel, levelWords, isAtLevel, storyLevel, dueWordCount }.
+ */
+export const selectPractice = (state, child) => {
+    const { progress, stories, decks } = state.data;
+    const locale = profileLocale(child);
+    const { language } = localeInfo(locale);
+    const deck = selectActiveDeck(state, language);
+    const words = deck.words || [];
+    const schedule = buildSchedule(progress);
+    const adaptiveLevel = estimateLevel({
+        progress,
+        stories,
+        wordLevels: Object.fromEntries([...BUILT_IN_DECKS, ...decks].flatMap(d => d.words || []).map(w => [w.text, w.level])),
+        startLevel: storyLevelIndex(child?.readingLevel),
+    });
+    const levelWords = words.filter(w => w.level === adaptiveLevel.wordLevel);
+    const isAtLevel = (word) => levelWords.length === 0 || word.level === adaptiveLevel.wordLevel;
+
+    return {
+        locale,
+        language,
+        deck,
+        words,
+        schedule,
+        adaptiveLevel,
+        levelWords,
+        isAtLevel,
+        storyLevel: state.stories.levelChoice || adaptiveLevel.storyLevel,
+        dueWordCount: countDueWords(words.filter(isAtLevel), schedule),
+    };
+};
+
+/**
+ * Stars, streak and equipped item for the loaded reader. Stars come from the
+ * server-written rewards ledger; the balance is what is left after purchases.
+ */
+export const selectRewards = (state) => {
+    const { progress, stories, rewards } = state.data;
+    const stars = rewards?.stars || EMPTY_STARS;
+    return {
+        stars,
+        balance: Math.max(0, stars.earned - (rewards?.spent || 0)),
+        streak: practiceStreaks([...progress, ...stories]),
+        equippedItem: SHOP_ITEMS.find(item => item.id === rewards?.equipped) || null,
+    };
+};
@@ -0,0 +1,37 @@
+import { ACTIONS } from './actions';
+
+export const SESSION_STATUS = {
+    LOADING: 'loading', // Firebase starting up, or waiting for the guest sign-in
+    READY: 'ready', // Signed in
+    FAILED: 'failed', // Firebase could not start, or sign-in failed
+};
+
+// Firebase handles and the signed-in account.
+export const sessionInitialState = {
+    status: SESSION_STATUS.LOADING,
+    db: null,
+    auth: null,
+    appId: 'default-app-id', // Replaced by the Firebase projectId
+    userId: null,
+    account: null, // { uid, isAnonymous, email, displayName }
+    error: '',
+};
+
+export const sessionReducer = (state = sessionInitialState, action) => {
+    switch (action.type) {
+        case ACTIONS.FIREBASE_READY:
+            return { ...state, db: action.db, auth: action.auth, appId: action.appId };
+        case ACTIONS.FIREBASE_FAILED:
+        case ACTIONS.AUTH_FAILED:
+            return { ...state, status: SESSION_STATUS.FAILED, error: action.error };
+        case ACTIONS.SIGNED_IN:
+            return { ...state, status: SESSION_STATUS.READY, userId: action.account.uid, account: action.account, error: '' };
+        case ACTIONS.SIGNED_OUT:
+            // A guest account is signed in next, so this is a short loading state
+            return { ...state, status: SESSION_STATUS.LOADING, userId: null, account: null };
+        case ACTIONS.ACCOUNT_CHANGED:
+            return { ...state, account: action.account };
+        default:
+            return state;
+    }
+};
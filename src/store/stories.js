@@ -0,0 +1,66 @@
+import { ACTIONS } from './actions';
+
+// The story on screen, its comprehension questions and the child's answers.
+export const storiesInitialState = {
+    levelChoice: null, // null follows the adaptive estimate
+    loading: false,
+    story: '',
+    storyId: null, // Firestore ID of the story on screen
+    questions: [],
+    targetUses: [], // [{ word, count, positions }] for the story on screen
+    answers: {},
+    results: {}, // { [questionId]: { verdict, score, feedback, attempts, retrying } }
+    feedback: '', // Overall comprehension summary
+    readingFeedback: '',
+};
+
+// Adds freshly graded questions to the earlier results, counting each attempt.
+export const mergeResults = (results, graded) => {
+    const merged = { ...results };
+    Object.entries(graded).forEach(([id, result]) => {
+        merged[id] = { ...result, attempts: (results[id]?.attempts || 0) + 1, retrying: false };
+    });
+    return merged;
+};
+
+export const storiesReducer = (state = storiesInitialState, action) => {
+    switch (action.type) {
+        case ACTIONS.READER_SELECTED:
+            return storiesInitialState;
+        case ACTIONS.STORY_LEVEL_CHOSEN:
+            return { ...state, levelChoice: action.level };
+        case ACTIONS.STORY_REQUESTED:
+            return { ...storiesInitialState, levelChoice: state.levelChoice, loading: true };
+        case ACTIONS.STORY_LOADED:
+            return {
+                ...state,
+                loading: false,
+                story: action.story,
+                storyId: action.storyId,
+                questions: action.questions,
+                targetUses: action.targetUses,
+            };
+        case ACTIONS.STORY_FAILED:
+            return { ...state, loading: false, story: action.message };
+        case ACTIONS.ANSWER_CHANGED:
+            return { ...state, answers: { ...state.answers, [action.questionId]: action.answer } };
+        case ACTIONS.QUESTIONS_GRADED:
+            return { ...state, results: mergeResults(state.results, action.graded) };
+        case ACTIONS.COMPREHENSION_FEEDBACK:
+            return { ...state, feedback: action.feedback };
+        case ACTIONS.QUESTION_RETRIED: {
+            // The previous result stays saved until the new answer is checked
+            const answers = { ...state.answers };
+            delete answers[action.questionId];
+            return {
+                ...state,
+                answers,
+                results: { ...state.results, [action.questionId]: { ...state.results[action.questionId], retrying: true } },
+            };
+        }
+        case ACTIONS.READING_FEEDBACK:
+            return { ...state, readingFeedback: action.feedback };
+        default:
+            return state;
+    }
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { storiesReducer, storiesInitialState, mergeResults } from './stories';
+import { storyLevelChosen, storyRequested, storyLoaded, storyFailed, answerChanged, questionsGraded, questionRetried, readerSelected } from './actions';
+
+const replay = (actions, state = storiesInitialState) => actions.reduce(storiesReducer, state);
+
+const loaded = replay([
+    storyLevelChosen('beginner'),
+    storyRequested(),
+    storyLoaded({ story: 'Sam has a cat.', storyId: 's1', questions: [{ id: 1 }, { id: 2 }], targetUses: [] }),
+]);
+
+describe('storiesReducer', () => {
+    it('keeps the chosen level while a new story loads', () => {
+        const loading = storiesReducer({ ...loaded, answers: { 1: 'Sam' } }, storyRequested());
+        expect(loading).toEqual({ ...storiesInitialState, levelChoice: 'beginner', loading: true });
+        expect(loaded).toMatchObject({ loading: false, story: 'Sam has a cat.', storyId: 's1', levelChoice: 'beginner' });
+    });
+
+    it('shows the failure message in place of the story', () => {
+        expect(replay([storyRequested(), storyFailed('No story today.')])).toMatchObject({ loading: false, story: 'No story today.' });
+    });
+
+    it('counts attempts at each question and keeps the old result while retrying', () => {
+        let state = replay([answerChanged(1, 'Sam'), questionsGraded({ 1: { verdict: 'incorrect', score: 0 } })], loaded);
+        state = storiesReducer(state, questionRetried(1));
+        expect(state.answers).toEqual({});
+        expect(state.results[1]).toMatchObject({ verdict: 'incorrect', attempts: 1, retrying: true });
+
+        state = replay([answerChanged(1, 'Pip'), questionsGraded({ 1: { verdict: 'correct', score: 1 } })], state);
+        expect(state.results[1]).toEqual({ verdict: 'correct', score: 1, attempts: 2, retrying: false });
+    });
+
+    it('starts over for another reader', () => {
+        expect(storiesReducer(loaded, readerSelected('c2'))).toBe(storiesInitialState);
+    });
+});
+
+describe('mergeResults', () => {
+    it('leaves questions that were not graded again alone', () => {
+        const results = { 1: { verdict: 'correct', attempts: 1, retrying: false } };
+        expect(mergeResults(results, { 2: { verdict: 'partial' } })).toEqual({
+            1: { verdict: 'correct', attempts: 1, retrying: false },
+            2: { verdict: 'partial', attempts: 1, retrying: false },
+        });
+    });
+});
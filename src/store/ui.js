@@ -0,0 +1,20 @@
+import { ACTIONS } from './actions';
+
+// Overlays that can open from anywhere in the app.
+export const uiInitialState = {
+    celebration: null, // { icon, title, message } while celebrating
+    showAccount: false,
+};
+
+export const uiReducer = (state = uiInitialState, action) => {
+    switch (action.type) {
+        case ACTIONS.CELEBRATION_STARTED:
+            return { ...state, celebration: action.celebration };
+        case ACTIONS.CELEBRATION_ENDED:
+            return { ...state, celebration: null };
+        case ACTIONS.ACCOUNT_PANEL_TOGGLED:
+            return { ...state, showAccount: action.open };
+        default:
+            return state;
+    }
+};
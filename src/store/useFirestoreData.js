@@ -0,0 +1,77 @@
+import { useEffect } from 'react';
+import { useStore } from './useStore';
+import { profilesLoaded, sharedProfilesLoaded, decksLoaded, readerSelected, progressLoaded, storiesLoaded, rewardsLoaded, flashcardFeedback } from './actions';
+import { subscribeToProfiles, subscribeToSharedProfiles, subscribeToChildCollection } from '../services/profiles';
+import { isGuest } from '../services/auth';
+import { subscribeToDecks } from '../services/decks';
+import { subscribeToRewards } from '../services/rewards';
+
+// Firestore listeners that keep the store's `data` slice up to date.
+
+// The signed-in account's readers, readers shared with it and the shared decks.
+export const useAccountData = () => {
+    const [{ session }, dispatch] = useStore();
+    const { db, appId, userId } = session;
+    // Guest accounts do not show their ID, so nothing can be shared with them
+    const guest = isGuest(session.account);
+
+    useEffect(() => {
+        if (!db || !userId || !appId) return;
+        return subscribeToProfiles(db, appId, userId, (profiles) => dispatch(profilesLoaded(profiles)), (error) => {
+            console.error("Error fetching profiles:", error);
+            dispatch(flashcardFeedback(`Error loading readers: ${error.message}`));
+            dispatch(profilesLoaded([]));
+        });
+    }, [db, appId, userId, dispatch]);
+
+    useEffect(() => {
+        if (!db || !userId || !appId) return;
+        if (guest) {
+            dispatch(sharedProfilesLoaded([]));
+            return;
+        }
+        return subscribeToSharedProfiles(db, appId, userId, (profiles) => dispatch(sharedProfilesLoaded(profiles)), (error) => {
+            console.error("Error fetching shared readers:", error);
+            dispatch(sharedProfilesLoaded([]));
+        });
+    }, [db, appId, userId, guest, dispatch]);
+
+    useEffect(() => {
+        if (!db || !appId || !userId) return;
+        return subscribeToDecks(db, appId, (decks) => dispatch(decksLoaded(decks)), (error) => {
+            console.error("Error fetching decks:", error);
+            dispatch(flashcardFeedback(`Error loading decks: ${error.message}`));
+        });
+    }, [db, appId, userId, dispatch]);
+};
+
+// One reader's progress, stories and rewards. The scheduler, level estimate and
+// stars replay the full history, so each listener just keeps the latest copy.
+// `ownerId` is the account a shared reader belongs to; the signed-in one by default.
+export const useReaderData = (childId, ownerId = null) => {
+    const [{ session }, dispatch] = useStore();
+    const { db, appId } = session;
+    const userId = ownerId || session.userId;
+
+    useEffect(() => {
+        dispatch(readerSelected(childId));
+        if (!db || !userId || !appId || !childId) return;
+
+        const unsubscribeProgress = subscribeToChildCollection(db, appId, userId, childId, 'progress', (progress) => dispatch(progressLoaded(progress)), (error) => {
+            console.error("Error fetching user progress:", error);
+            dispatch(flashcardFeedback(`Error loading progress: ${error.message}`));
+        });
+        const unsubscribeStories = subscribeToChildCollection(db, appId, userId, childId, 'stories', (stories) => dispatch(storiesLoaded(stories)), (error) => {
+            console.error("Error fetching stories:", error);
+        });
+        const unsubscribeRewards = subscribeToRewards(db, appId, userId, childId, (rewards) => dispatch(rewardsLoaded(rewards)), (error) => {
+            console.error("Error fetching rewards:", error);
+        });
+
+        return () => {
+            unsubscribeProgress();
+            unsubscribeStories();
+            unsubscribeRewards();
+        };
+    }, [db, appId, userId, childId, dispatch]);
+};
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+export const StoreContext = createContext(null);
+
+// [state, dispatch] from the nearest StoreProvider.
+export const useStore = () => {
+    const store = useContext(StoreContext);
+    if (!store) throw new Error("useStore must be used inside a StoreProvider.");
+    return store;
+};
@@ -0,0 +1,55 @@
+// Service worker for installing Phonics Fun as an app and opening it offline.
+// Each build gets its own cache: the build swaps the manifest placeholder below for
+// { version, assets } (see vite.config.js), the shell and built assets are cached on
+// install, and caches from older builds are deleted on activate. Large lazily loaded
+// chunks (the on-device speech recognizer) are cached the first time they are used.
+// Requests to other origins (Firestore, auth, the LLM) always go to the network.
+
+const { version, assets } = self.__PRECACHE_MANIFEST
+const CACHE_NAME = `phonics-fun-${version}`
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg']
+
+// Only successful responses are cached, so an error page never replaces a good copy
+const putIfOk = (request, response) => {
+  if (!response.ok) return
+  const copy = response.clone()
+  caches.open(CACHE_NAME).then((cache) => cache.put(request, copy))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll([...SHELL, ...assets])).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  // Pages: network first so new releases show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          putIfOk('/index.html', response)
+          return response
+        })
+        .catch(() => caches.match('/index.html')),
+    )
+    return
+  }
+
+  // Assets: file names change with every build, so a cached copy is always current
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+      putIfOk(request, response)
+      return response
+    })),
+  )
+})
@@ -5,7 +5,23 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      keyframes: {
+        'confetti-fall': {
+          '0%': { transform: 'translateY(-10vh) rotate(0deg)', opacity: '1' },
+          '100%': { transform: 'translateY(105vh) rotate(540deg)', opacity: '0.6' },
+        },
+        'pop-in': {
+          '0%': { transform: 'scale(0.4)', opacity: '0' },
+          '60%': { transform: 'scale(1.1)', opacity: '1' },
+          '100%': { transform: 'scale(1)' },
+        },
+      },
+      animation: {
+        'confetti-fall': 'confetti-fall 2.8s ease-in forwards',
+        'pop-in': 'pop-in 0.5s ease-out',
+      },
+    },
   },
   plugins: [],
-}
\ No newline at end of file
+}
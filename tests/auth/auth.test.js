@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInWithCredential, GoogleAuthProvider } from 'firebase/auth';
+import { signInAsGuest, registerWithEmail, signInWithEmail, signInWithGoogle, signOutUser, isGuest, describeAuthError } from '../../src/services/auth';
+
+// src/services/auth.js against the Auth emulator. Run with `npm run test:auth`,
+// which starts the emulator around the tests.
+
+const PROJECT_ID = 'demo-phonics-fun';
+const EMULATOR = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099'}`;
+
+// Popups need a browser, so they are replaced by the credential of the Google
+// account the test signs in with. The emulator accepts an unsigned JSON ID token.
+let googleAccount = null;
+const googleCredential = () => GoogleAuthProvider.credential(JSON.stringify(googleAccount));
+
+vi.mock('firebase/auth', async (importOriginal) => {
+    const firebaseAuth = await importOriginal();
+    return {
+        ...firebaseAuth,
+        signInWithPopup: (auth) => firebaseAuth.signInWithCredential(auth, googleCredential()),
+        linkWithPopup: (user) => firebaseAuth.linkWithCredential(user, googleCredential()),
+    };
+});
+
+let app;
+let auth;
+
+beforeAll(() => {
+    app = initializeApp({ apiKey: 'fake-api-key', projectId: PROJECT_ID }, 'auth-test');
+    auth = getAuth(app);
+    connectAuthEmulator(auth, EMULATOR, { disableWarnings: true });
+});
+
+beforeEach(async () => {
+    await signOutUser(auth);
+    await fetch(`${EMULATOR}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    googleAccount = { sub: 'google-parent', email: 'parent@example.com', email_verified: true };
+});
+
+afterAll(() => app && deleteApp(app));
+
+describe('guest accounts', () => {
+    it('signs in as a guest and signs out', async () => {
+        const { user } = await signInAsGuest(auth);
+        expect(isGuest(user)).toBe(true);
+        expect(auth.currentUser.uid).toBe(user.uid);
+
+        await signOutUser(auth);
+        expect(auth.currentUser).toBeNull();
+    });
+});
+
+describe('email accounts', () => {
+    it('upgrades a guest in place, keeping the uid', async () => {
+        const { user: guest } = await signInAsGuest(auth);
+        const { user } = await registerWithEmail(auth, 'teacher@example.com', 'secret123');
+
+        expect(user.uid).toBe(guest.uid);
+        expect(isGuest(user)).toBe(false);
+        expect(user.email).toBe('teacher@example.com');
+    });
+
+    it('creates an account when nobody is signed in', async () => {
+        const { user } = await registerWithEmail(auth, 'teacher@example.com', 'secret123');
+        expect(isGuest(user)).toBe(false);
+    });
+
+    it('signs back into the account after signing out', async () => {
+        const { user: created } = await registerWithEmail(auth, 'teacher@example.com', 'secret123');
+        await signOutUser(auth);
+
+        const { user } = await signInWithEmail(auth, 'teacher@example.com', 'secret123');
+        expect(user.uid).toBe(created.uid);
+    });
+
+    it('rejects a wrong password with a readable message', async () => {
+        await registerWithEmail(auth, 'teacher@example.com', 'secret123');
+        await signOutUser(auth);
+
+        const error = await signInWithEmail(auth, 'teacher@example.com', 'wrong-password').catch(e => e);
+        expect(describeAuthError(error)).toBe("That email and password don't match an account.");
+    });
+
+    it('will not link a guest to an email that already has an account', async () => {
+        await registerWithEmail(auth, 'teacher@example.com', 'secret123');
+        await signOutUser(auth);
+        await signInAsGuest(auth);
+
+        const error = await registerWithEmail(auth, 'teacher@example.com', 'secret123').catch(e => e);
+        expect(error.code).toBe('auth/email-already-in-use');
+        expect(describeAuthError(error)).toBe('An account with this email already exists. Sign in instead.');
+    });
+});
+
+describe('Google accounts', () => {
+    it('upgrades a guest in place, keeping the uid', async () => {
+        const { user: guest } = await signInAsGuest(auth);
+        const { user, linked } = await signInWithGoogle(auth);
+
+        expect(linked).toBe(true);
+        expect(user.uid).toBe(guest.uid);
+        expect(isGuest(user)).toBe(false);
+        expect(user.email).toBe('parent@example.com');
+    });
+
+    it('signs into the existing account when the Google account is already in use', async () => {
+        const { user: existing } = await signInWithCredential(auth, googleCredential());
+        await signOutUser(auth);
+        const { user: guest } = await signInAsGuest(auth);
+
+        const { user, linked } = await signInWithGoogle(auth);
+
+        expect(linked).toBe(false);
+        expect(user.uid).toBe(existing.uid);
+        expect(user.uid).not.toBe(guest.uid);
+        expect(auth.currentUser.uid).toBe(existing.uid);
+    });
+
+    it('signs in without linking when nobody is signed in', async () => {
+        const { user, linked } = await signInWithGoogle(auth);
+        expect(linked).toBe(false);
+        expect(isGuest(user)).toBe(false);
+    });
+});
@@ -0,0 +1,285 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, addDoc, collection, collectionGroup, query, where, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+// firestore.rules against the Firestore emulator. Run with `npm run test:rules`,
+// which starts the emulators around the tests.
+
+const APP = 'artifacts/test-app';
+const OWNER = 'owner';
+const GUARDIAN = 'guardian';
+const STRANGER = 'stranger';
+const CHILD = `${APP}/users/${OWNER}/children/kid`;
+
+let testEnv;
+
+const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+// Writes with the rules switched off, as the Cloud Functions' admin access does.
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+const attempt = (fields = {}) => ({
+    word: 'cat',
+    correct: true,
+    verdict: 'correct',
+    timestamp: new Date(),
+    savedAt: serverTimestamp(),
+    ...fields,
+});
+
+const story = (fields = {}) => ({
+    level: 'beginner',
+    story: 'Sam has a cat.',
+    questions: [],
+    timestamp: new Date(),
+    savedAt: serverTimestamp(),
+    ...fields,
+});
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-phonics-fun',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(CHILD, { name: 'Kid', avatar: '🐱', readingLevel: 'beginner', guardianIds: [GUARDIAN] });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+describe('child profiles', () => {
+    it('can be read by the owner and guardians but not by others', async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs(OWNER), CHILD)));
+        await assertSucceeds(getDoc(doc(firestoreAs(GUARDIAN), CHILD)));
+        await assertFails(getDoc(doc(firestoreAs(STRANGER), CHILD)));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), CHILD)));
+    });
+
+    it('can be found by the guardians they are shared with', async () => {
+        const sharedWith = (uid, guardianId) => query(collectionGroup(firestoreAs(uid), 'children'), where('guardianIds', 'array-contains', guardianId));
+        await assertSucceeds(getDocs(sharedWith(GUARDIAN, GUARDIAN)));
+        await assertSucceeds(getDocs(sharedWith(STRANGER, STRANGER)));
+        await assertFails(getDocs(sharedWith(STRANGER, GUARDIAN)));
+        await assertFails(getDocs(collectionGroup(firestoreAs(GUARDIAN), 'children')));
+    });
+
+    it('can only be changed by the owner', async () => {
+        await assertSucceeds(updateDoc(doc(firestoreAs(OWNER), CHILD), { readingLevel: 'intermediate' }));
+        await assertFails(updateDoc(doc(firestoreAs(GUARDIAN), CHILD), { readingLevel: 'advanced' }));
+        await assertFails(updateDoc(doc(firestoreAs(STRANGER), CHILD), { readingLevel: 'advanced' }));
+    });
+
+    it('rejects unknown fields, locales and recording options', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(updateDoc(doc(db, CHILD), { nickname: 'K' }));
+        await assertFails(updateDoc(doc(db, CHILD), { locale: 'fr-FR' }));
+        await assertFails(updateDoc(doc(db, CHILD), { recordingRetentionDays: 365 }));
+        await assertFails(updateDoc(doc(db, CHILD), { name: 'x'.repeat(41) }));
+    });
+});
+
+describe('progress', () => {
+    const progress = (db) => collection(db, `${CHILD}/progress`);
+
+    it('can be added by the owner only', async () => {
+        await assertSucceeds(addDoc(progress(firestoreAs(OWNER)), attempt()));
+        await assertFails(addDoc(progress(firestoreAs(GUARDIAN)), attempt()));
+        await assertFails(addDoc(progress(firestoreAs(STRANGER)), attempt()));
+    });
+
+    it('can be read by guardians but not by others', async () => {
+        await seed(`${CHILD}/progress/p1`, { word: 'cat', correct: true, timestamp: new Date(), savedAt: new Date() });
+        await assertSucceeds(getDoc(doc(firestoreAs(GUARDIAN), `${CHILD}/progress/p1`)));
+        await assertFails(getDoc(doc(firestoreAs(STRANGER), `${CHILD}/progress/p1`)));
+    });
+
+    it('is never edited', async () => {
+        const db = firestoreAs(OWNER);
+        const ref = await assertSucceeds(addDoc(progress(db), attempt({ correct: false, verdict: 'incorrect' })));
+        await assertFails(updateDoc(ref, { correct: true, verdict: 'correct' }));
+    });
+
+    it('must carry the server time in savedAt', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(addDoc(progress(db), attempt({ savedAt: new Date() })));
+        const { savedAt: _savedAt, ...withoutSavedAt } = attempt();
+        await assertFails(addDoc(progress(db), withoutSavedAt));
+    });
+
+    it('rejects practice times in the future', async () => {
+        const tomorrow = Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000);
+        await assertFails(addDoc(progress(firestoreAs(OWNER)), attempt({ timestamp: tomorrow })));
+    });
+
+    it('checks the shape of each attempt', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(addDoc(progress(db), attempt({ stars: 100 })));
+        await assertFails(addDoc(progress(db), attempt({ correct: 'yes' })));
+        await assertFails(addDoc(progress(db), attempt({ word: '' })));
+        await assertFails(addDoc(progress(db), attempt({ verdict: 'close', correct: true })));
+        await assertFails(addDoc(progress(db), attempt({ confidence: 2 })));
+        await assertFails(addDoc(progress(db), attempt({ recording: { location: 'somewhere', path: 'x' } })));
+        await assertSucceeds(addDoc(progress(db), attempt({ verdict: 'close', correct: false, confidence: 0.3 })));
+        await assertSucceeds(addDoc(progress(db), attempt({ recording: { location: 'device', path: '123-abc', mimeType: 'audio/webm', durationMs: 900 } })));
+    });
+
+    it('caps the size of each field', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(addDoc(progress(db), attempt({ word: 'x'.repeat(41) })));
+        await assertFails(addDoc(progress(db), attempt({ spoken: 'x'.repeat(201) })));
+        await assertFails(addDoc(progress(db), attempt({ strugglingSyllables: Array(21).fill('ca') })));
+        await assertFails(addDoc(progress(db), attempt({ alternatives: Array(6).fill({ transcript: 'cat', confidence: 1 }) })));
+    });
+});
+
+describe('stories', () => {
+    const STORY = `${CHILD}/stories/s1`;
+
+    it('can be created by the owner with a valid shape', async () => {
+        const db = firestoreAs(OWNER);
+        await assertSucceeds(setDoc(doc(db, STORY), story()));
+        await assertFails(setDoc(doc(db, `${CHILD}/stories/s2`), story({ level: 'expert' })));
+        await assertFails(setDoc(doc(db, `${CHILD}/stories/s3`), story({ story: 'x'.repeat(4001) })));
+        await assertFails(setDoc(doc(db, `${CHILD}/stories/s4`), story({ questions: Array(11).fill({}) })));
+        await assertFails(setDoc(doc(db, `${CHILD}/stories/s5`), story({ savedAt: new Date() })));
+        await assertFails(setDoc(doc(db, `${CHILD}/stories/s6`), story({ comprehension: { score: 1 } })));
+        await assertFails(setDoc(doc(firestoreAs(GUARDIAN), `${CHILD}/stories/s7`), story()));
+    });
+
+    it('only gain reading records and comprehension results', async () => {
+        const db = firestoreAs(OWNER);
+        await setDoc(doc(db, STORY), story());
+        await assertSucceeds(updateDoc(doc(db, STORY), {
+            comprehension: { summary: 'Well done.', score: 0.8, results: [] },
+            evaluatedAt: new Date(),
+        }));
+        await assertFails(updateDoc(doc(db, STORY), { story: 'A different story.' }));
+        await assertFails(updateDoc(doc(db, STORY), { comprehension: { summary: 'Well done.', score: 5, results: [] } }));
+        await assertFails(updateDoc(doc(firestoreAs(GUARDIAN), STORY), { readingRecords: [] }));
+    });
+});
+
+describe('rewards', () => {
+    const LEDGER = `${CHILD}/rewards/ledger`;
+    const STATE = `${CHILD}/rewards/state`;
+
+    beforeEach(async () => {
+        await seed(LEDGER, { earned: 40, stars: { words: 40, games: 0, stories: 0, comprehension: 0 }, badges: {} });
+        await seed(STATE, { spent: 0, owned: [], equipped: null });
+    });
+
+    it('can be read by the owner and guardians but not by others', async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs(OWNER), LEDGER)));
+        await assertSucceeds(getDoc(doc(firestoreAs(GUARDIAN), STATE)));
+        await assertFails(getDoc(doc(firestoreAs(STRANGER), LEDGER)));
+        await assertFails(getDoc(doc(firestoreAs(STRANGER), STATE)));
+    });
+
+    it('keeps the ledger out of the client\'s reach', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(OWNER), LEDGER), { earned: 1000 }));
+        await assertFails(setDoc(doc(firestoreAs(OWNER), `${CHILD}/rewards/other`), { earned: 1000 }));
+        await assertFails(updateDoc(doc(firestoreAs(OWNER), STATE), { 'badges.bookworm': new Date() }));
+    });
+
+    it('lets the owner buy an item for its price', async () => {
+        const db = firestoreAs(OWNER);
+        await assertSucceeds(updateDoc(doc(db, STATE), { owned: ['sunglasses'], spent: 20 }));
+        await assertSucceeds(updateDoc(doc(db, STATE), { equipped: 'sunglasses' }));
+        await assertFails(updateDoc(doc(firestoreAs(GUARDIAN), STATE), { owned: ['cap'], spent: 10 }));
+    });
+
+    it('rejects purchases at the wrong price, of unknown items or twice over', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['sunglasses'], spent: 1 }));
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['unicorn'], spent: 10 }));
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['cap', 'bow'], spent: 20 }));
+        await updateDoc(doc(db, STATE), { owned: ['cap'], spent: 10 });
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['cap', 'cap'], spent: 20 }));
+        await assertFails(updateDoc(doc(db, STATE), { spent: 0 }));
+    });
+
+    it('rejects purchases beyond the stars earned', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['crown'], spent: 50 }));
+        await assertSucceeds(updateDoc(doc(db, STATE), { owned: ['top-hat'], spent: 30 }));
+        await assertFails(updateDoc(doc(db, STATE), { owned: ['top-hat', 'sunglasses'], spent: 50 }));
+        await assertSucceeds(updateDoc(doc(db, STATE), { owned: ['top-hat', 'cap'], spent: 40 }));
+    });
+
+    it('only equips owned items', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(OWNER), STATE), { equipped: 'rocket' }));
+    });
+});
+
+describe('decks', () => {
+    const DECK = `${APP}/decks/d1`;
+    const deck = (fields = {}) => ({
+        name: 'Short a',
+        language: 'en',
+        pattern: 'cvc',
+        gradeBand: 'K',
+        words: [{ id: '1', text: 'cat', level: 'easy', sentence: '', glosses: {} }],
+        createdBy: OWNER,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...fields,
+    });
+
+    it('can be read by anyone signed in', async () => {
+        await seed(DECK, deck());
+        await assertSucceeds(getDoc(doc(firestoreAs(STRANGER), DECK)));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), DECK)));
+    });
+
+    it('are created in the author\'s name', async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(OWNER), DECK), deck()));
+        await assertFails(setDoc(doc(firestoreAs(STRANGER), `${APP}/decks/d2`), deck()));
+        await assertFails(setDoc(doc(firestoreAs(OWNER), `${APP}/decks/d3`), deck({ words: Array(201).fill({ text: 'cat' }) })));
+    });
+
+    it('can only be changed or deleted by their author', async () => {
+        await seed(DECK, deck());
+        await assertSucceeds(updateDoc(doc(firestoreAs(OWNER), DECK), { name: 'Short a words' }));
+        await assertFails(updateDoc(doc(firestoreAs(STRANGER), DECK), { name: 'Mine now' }));
+        await assertFails(updateDoc(doc(firestoreAs(OWNER), DECK), { createdBy: STRANGER }));
+        await assertFails(deleteDoc(doc(firestoreAs(STRANGER), DECK)));
+        await assertSucceeds(deleteDoc(doc(firestoreAs(OWNER), DECK)));
+    });
+});
+
+describe('content rejections', () => {
+    const rejections = (db, uid = OWNER) => collection(db, `${APP}/users/${uid}/contentRejections`);
+    const rejection = (fields = {}) => ({
+        task: 'story',
+        attempt: 1,
+        issues: [{ code: 'too-short', message: 'Story has 20 words.' }],
+        output: '{"story":"Short."}',
+        childId: 'kid',
+        timestamp: new Date(),
+        ...fields,
+    });
+
+    it('can be logged and read by the account only', async () => {
+        const ref = await assertSucceeds(addDoc(rejections(firestoreAs(OWNER)), rejection()));
+        await assertFails(addDoc(rejections(firestoreAs(STRANGER)), rejection()));
+        await assertFails(getDoc(doc(firestoreAs(STRANGER), ref.path)));
+    });
+
+    it('caps the size of the saved output', async () => {
+        const db = firestoreAs(OWNER);
+        await assertFails(addDoc(rejections(db), rejection({ output: 'x'.repeat(4001) })));
+        await assertFails(addDoc(rejections(db), rejection({ output: { story: 'Short.' } })));
+        await assertFails(addDoc(rejections(db), rejection({ issues: Array(21).fill({ code: 'x' }) })));
+    });
+});
+
+describe('LLM usage', () => {
+    it('is out of the client\'s reach', async () => {
+        await assertFails(getDoc(doc(firestoreAs(OWNER), `llmUsage/${OWNER}`)));
+        await assertFails(setDoc(doc(firestoreAs(OWNER), `llmUsage/${OWNER}`), { dayCount: 0 }));
+    });
+});
@@ -0,0 +1,59 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+
+// storage.rules against the Storage emulator. Guardian checks read the child's
+// profile from Firestore, so both emulators run (`npm run test:rules`).
+
+const OWNER = 'owner';
+const GUARDIAN = 'guardian';
+const STRANGER = 'stranger';
+const CHILD = 'artifacts/test-app/users/owner/children/kid';
+const CLIP = `${CHILD}/recordings/1700000000000-abc`;
+
+const AUDIO = new Uint8Array([1, 2, 3]);
+
+let testEnv;
+
+const storageAs = (uid) => testEnv.authenticatedContext(uid).storage();
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-phonics-fun',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async context => {
+        await setDoc(doc(context.firestore(), CHILD), { name: 'Kid', avatar: '🐱', readingLevel: 'beginner', guardianIds: [GUARDIAN] });
+        await uploadBytes(ref(context.storage(), CLIP), AUDIO, { contentType: 'audio/webm' });
+    });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+describe('voice recordings', () => {
+    it('can be played by the owner and guardians but not by others', async () => {
+        await assertSucceeds(getBytes(ref(storageAs(OWNER), CLIP)));
+        await assertSucceeds(getBytes(ref(storageAs(GUARDIAN), CLIP)));
+        await assertFails(getBytes(ref(storageAs(STRANGER), CLIP)));
+    });
+
+    it('can only be saved by the owner, as small audio files', async () => {
+        await assertSucceeds(uploadBytes(ref(storageAs(OWNER), `${CHILD}/recordings/2`), AUDIO, { contentType: 'audio/mp4' }));
+        await assertFails(uploadBytes(ref(storageAs(GUARDIAN), `${CHILD}/recordings/3`), AUDIO, { contentType: 'audio/mp4' }));
+        await assertFails(uploadBytes(ref(storageAs(OWNER), `${CHILD}/recordings/4`), AUDIO, { contentType: 'image/png' }));
+        await assertFails(uploadBytes(ref(storageAs(OWNER), `${CHILD}/recordings/5`), new Uint8Array(1024 * 1024), { contentType: 'audio/webm' }));
+    });
+
+    it('can only be deleted by the owner', async () => {
+        await assertFails(deleteObject(ref(storageAs(GUARDIAN), CLIP)));
+        await assertSucceeds(deleteObject(ref(storageAs(OWNER), CLIP)));
+    });
+});
@@ -1,11 +1,48 @@
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Built files the service worker caches on install. Larger chunks (the on-device
+// speech recognizer) and the older font formats only some browsers use are cached
+// when first requested instead.
+const PRECACHE_PATTERN = /\.(js|css|woff2)$/;
+const PRECACHE_MAX_BYTES = 1024 * 1024;
+
+// Emits src/sw.js as /sw.js with this build's asset list and a version taken from
+// the (content-hashed) file names, so every release gets a fresh cache.
+const serviceWorker = () => ({
+  name: 'phonics-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const assets = Object.values(bundle)
+      .filter((file) => PRECACHE_PATTERN.test(file.fileName))
+      .filter((file) => (file.type === 'chunk' ? file.code : file.source).length <= PRECACHE_MAX_BYTES)
+      .map((file) => `/${file.fileName}`)
+      .sort();
+    const version = createHash('sha256').update(Object.keys(bundle).sort().join('\n')).digest('hex').slice(0, 12);
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      .replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, assets }));
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   // Add this build configuration
   build: {
     target: 'es2020', // or 'esnext' for the very latest
   },
-});
\ No newline at end of file
+  // `npm test` runs the unit tests next to the code in src/. The tests in tests/
+  // need the Firebase emulators, so their npm scripts start them first; the files
+  // share one emulator and clear it between tests, so they run one at a time.
+  test: {
+    projects: [
+      { extends: true, test: { name: 'unit', include: ['src/**/*.test.{js,jsx}', 'shared/**/*.test.js', 'functions/*.test.js'] } },
+      { test: { name: 'rules', include: ['tests/rules/**/*.test.js'], fileParallelism: false, testTimeout: 20000 } },
+      { test: { name: 'auth', include: ['tests/auth/**/*.test.js'], fileParallelism: false, testTimeout: 20000 } },
+    ],
+  },
+});